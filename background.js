@@ -1,8 +1,31 @@
 // Background Service Worker for Job Lander Extension
-// Note: Using dynamic imports since service workers don't support ES6 imports directly
+// Bundled by webpack, so shared utils can be imported as ES modules
+import configManager from './utils/config.js';
+import outboxManager, { OUTBOX_ALARM_NAME, OUTBOX_STATUS } from './utils/outbox.js';
+import apiClient, { API_ERROR_CODES } from './utils/apiClient.js';
+import statsService, { STATS_ALARM_NAME } from './utils/statsService.js';
+import applicationIndex from './utils/applicationIndex.js';
+import settingsManager from './utils/settings.js';
+import descriptionStore from './utils/descriptionStore.js';
+import answerLibrary from './utils/answerLibrary.js';
+import profileStore from './utils/profileStore.js';
+import sessionManager, { SESSION_ALARM_NAME } from './utils/sessionManager.js';
+
+// How long an auto-saved application can be undone from its notification
+const UNDO_WINDOW_MS = 10 * 60 * 1000;
+const UNDO_STORAGE_KEY = 'undoableSaves';
+
+// Auto-fill answers are streamed to the content script over a port of this name
+const AUTO_FILL_PORT_NAME = 'auto-fill-answers';
+const AUTO_FILL_CONCURRENCY = 3;
+
+// CV files are sent to content scripts as base64, so keep them to a sensible size
+const MAX_UPLOAD_FILE_BYTES = 10 * 1024 * 1024;
 
 class BackgroundManager {
   constructor() {
+    this.outboxProcessing = false;
+    this.outboxInFlight = new Set(); // Outbox items being sent right now, by id
     this.init();
   }
 
@@ -13,6 +36,12 @@ class BackgroundManager {
       return true; // Keep message channel open for async response
     });
 
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === AUTO_FILL_PORT_NAME) {
+        this.handleAutoFillPort(port);
+      }
+    });
+
     // Listen for extension installation
     chrome.runtime.onInstalled.addListener((details) => {
       this.handleInstallation(details);
@@ -22,6 +51,54 @@ class BackgroundManager {
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
+
+    // Tabs opened from a tracked tab (an "Apply" link opening a new tab) join its session
+    chrome.tabs.onCreated.addListener((tab) => {
+      if (tab.openerTabId !== undefined) {
+        sessionManager.attachOpenedTab(tab.openerTabId, tab.id);
+      }
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      sessionManager.detachTab(tabId);
+    });
+
+    // Retry queued saves when their backoff alarm fires or the browser starts
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === OUTBOX_ALARM_NAME) {
+        this.processOutbox();
+      } else if (alarm.name === STATS_ALARM_NAME) {
+        this.updateApplicationBadge();
+      } else if (alarm.name === SESSION_ALARM_NAME) {
+        sessionManager.expireStale();
+      }
+    });
+
+    chrome.runtime.onStartup.addListener(() => {
+      sessionManager.releaseTabs();
+      this.processOutbox();
+      this.updateApplicationBadge();
+    });
+
+    // Stats from another backend are meaningless, start over when the environment changes
+    configManager.onChange(async () => {
+      await statsService.clear();
+      await this.updateApplicationBadge();
+    });
+
+    // Undo button on auto-save notifications
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+      if (buttonIndex === 0) {
+        this.undoAutoSave(notificationId);
+      }
+    });
+
+    chrome.notifications.onClosed.addListener((notificationId) => {
+      this.forgetUndoableSave(notificationId);
+    });
+
+    statsService.scheduleRefresh();
+    sessionManager.scheduleExpiry();
   }
 
   async handleMessage(message, sender, sendResponse) {
@@ -33,7 +110,7 @@ class BackgroundManager {
           break;
 
         case 'GET_APPLICATION_STATS':
-          const stats = await this.getApplicationStats();
+          const stats = await this.getApplicationStats({ forceRefresh: message.forceRefresh });
           sendResponse({ success: true, data: stats });
           break;
 
@@ -43,7 +120,74 @@ class BackgroundManager {
           break;
 
         case 'SAVE_TRACKED_APPLICATION':
-          await this.handleTrackedApplicationSave(message.data, sender);
+          const saveResult = await this.handleTrackedApplicationSave(message.data, sender);
+          sendResponse({ success: true, ...saveResult });
+          break;
+
+        case 'CHECK_DUPLICATE_APPLICATION':
+          const duplicate = await this.checkDuplicateApplication(message.data);
+          sendResponse({ success: true, data: duplicate });
+          break;
+
+        case 'GET_SETTINGS':
+          const settings = await settingsManager.get();
+          sendResponse({ success: true, data: settings });
+          break;
+
+        case 'UPDATE_SETTINGS':
+          const updatedSettings = await settingsManager.update(message.data);
+          sendResponse({ success: true, data: updatedSettings });
+          break;
+
+        case 'GET_OUTBOX':
+          const outboxItems = await outboxManager.getItems();
+          sendResponse({ success: true, data: outboxItems });
+          break;
+
+        case 'RETRY_OUTBOX_ITEM':
+          const retryResult = await this.retryOutboxItem(message.id);
+          sendResponse({ success: true, data: retryResult });
+          break;
+
+        case 'DISCARD_OUTBOX_ITEM':
+          await outboxManager.remove(message.id);
+          await outboxManager.scheduleRetry();
+          sendResponse({ success: true });
+          break;
+
+        // Tracking sessions: content scripts save their state, the popup resumes or abandons them
+        case 'TRACKING_SESSION_GET':
+          const tabSession = await sessionManager.findForTab(sender.tab?.id);
+          sendResponse({ success: true, data: tabSession });
+          break;
+
+        case 'TRACKING_SESSION_SAVE':
+          const savedSession = await sessionManager.save(message.data.sessionId, {
+            tabId: sender.tab?.id,
+            url: message.data.url,
+            state: message.data.state
+          });
+          sendResponse({ success: true, data: { id: savedSession.id } });
+          break;
+
+        case 'TRACKING_SESSION_END':
+          await this.endTrackingSession(message.data.sessionId, sender.tab?.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_TRACKING_SESSIONS':
+          await sessionManager.expireStale();
+          const trackingSessions = await sessionManager.list();
+          sendResponse({ success: true, data: trackingSessions });
+          break;
+
+        case 'RESUME_TRACKING_SESSION':
+          const resumedTab = await this.resumeTrackingSession(message.id);
+          sendResponse({ success: true, data: resumedTab });
+          break;
+
+        case 'ABANDON_TRACKING_SESSION':
+          await this.endTrackingSession(message.id);
           sendResponse({ success: true });
           break;
 
@@ -62,28 +206,87 @@ class BackgroundManager {
           sendResponse({ success: true, data: answers });
           break;
 
+        case 'CLASSIFY_QUESTIONS':
+          const classifications = await apiClient.classifyQuestions(message.data);
+          sendResponse({ success: true, data: classifications });
+          break;
+
+        case 'ANSWER_LIBRARY_MATCH':
+          const libraryMatches = await answerLibrary.matchQuestions(message.data.questions);
+          sendResponse({ success: true, data: libraryMatches });
+          break;
+
+        case 'ANSWER_LIBRARY_RECORD_USE':
+          await answerLibrary.recordUse(message.data.key);
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_CV_FILE':
+          const cvFile = await this.getCvFile(message.data.cvId);
+          sendResponse({ success: true, data: cvFile });
+          break;
+
+        case 'GET_PROFILE':
+          const profile = await profileStore.getFillValues();
+          sendResponse({ success: true, data: profile });
+          break;
+
         case 'GET_USER_ID':
           const userId = await this.getUserId();
           sendResponse({ success: true, userId: userId });
           break;
 
+        // A form in a cross-origin frame reporting to the tracker in the tab's top frame
+        case 'FRAME_READY':
+        case 'FRAME_QUESTIONS':
+          const topFrameResponse = await this.sendToFrame(sender.tab?.id, 0, {
+            ...message.data,
+            type: message.type,
+            frameId: sender.frameId
+          });
+          sendResponse({ success: true, data: topFrameResponse });
+          break;
+
+        case 'FRAME_BROADCAST':
+          await this.sendToFrame(sender.tab?.id, null, message.data.message);
+          sendResponse({ success: true });
+          break;
+
+        case 'FRAME_FILL':
+          const frameFill = await this.sendToFrame(sender.tab?.id, message.data.frameId, {
+            type: 'FRAME_FILL',
+            questionId: message.data.questionId,
+            answer: message.data.answer,
+            jobDescription: message.data.jobDescription
+          });
+          if (!frameFill) {
+            throw new Error('The form frame did not respond');
+          }
+          sendResponse({ success: true, data: frameFill });
+          break;
+
+        // Profile and CV fills for forms in cross-origin frames; null when the frame has nothing to fill
+        case 'FRAME_FILL_PROFILE':
+        case 'FRAME_UPLOAD':
+          const frameReport = await this.sendToFrame(sender.tab?.id, message.data.frameId, {
+            type: message.type,
+            documents: message.data.documents
+          });
+          sendResponse({ success: true, data: frameReport });
+          break;
+
         default:
           sendResponse({ success: false, error: 'Unknown message type' });
       }
     } catch (error) {
       console.error('Error handling message:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, code: error.code, status: error.status });
     }
   }
 
 
   async handleQuestionsSave(questionsData, sender) {
     try {
-      const token = await this.getAuthToken();
-      if (!token) {
-        throw new Error('No authentication token available');
-      }
-
       // Transform questions to match backend format if they're not already
       const transformedQuestions = questionsData.map(q => {
         // If already in correct format, use as is, otherwise transform
@@ -104,24 +307,14 @@ class BackgroundManager {
         }
       });
 
-      const response = await fetch('http://localhost:5253/api/questions/batch', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ questions: transformedQuestions }),
-      });
+      await apiClient.saveQuestionsBatch(transformedQuestions);
+      await this.learnAnswers(transformedQuestions);
 
-      if (response.ok) {
-        await this.showNotification(
-          'Questions Saved!',
-          `Saved ${questionsData.length} interview questions`,
-          'success'
-        );
-      } else {
-        throw new Error('Failed to save questions');
-      }
+      await this.showNotification(
+        'Questions Saved!',
+        `Saved ${questionsData.length} interview questions`,
+        'success'
+      );
     } catch (error) {
       console.error('Error saving questions:', error);
       await this.showNotification(
@@ -133,211 +326,49 @@ class BackgroundManager {
     }
   }
 
-  async saveApplicationToAPI(applicationData) {
-    try {
-      const token = await this.getAuthToken();
-      if (!token) {
-        throw new Error('No authentication token available');
-      }
-
-      const response = await fetch('http://localhost:5253/api/applications', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(applicationData),
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        return { success: true, data: result };
-      } else {
-        let errorMessage = 'Failed to save application';
-        try {
-          const contentType = response.headers.get('content-type') || '';
-          if (contentType.includes('application/json')) {
-            const errJson = await response.json();
-            errorMessage = errJson.message || JSON.stringify(errJson);
-          } else {
-            const errText = await response.text();
-            errorMessage = errText || errorMessage;
-          }
-        } catch (e) {
-          // ignore parse errors
-        }
-        console.error('Application save failed:', {
-          status: response.status,
-          statusText: response.statusText,
-          url: response.url,
-          message: errorMessage
-        });
-        return { success: false, error: errorMessage };
-      }
-    } catch (error) {
-      console.error('Error saving application:', error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  async getAuthToken() {
-    try {
-      // Use the new auth manager to get valid token from frontend
-      return await this.getValidTokenFromFrontend();
-    } catch (error) {
-      console.error('Error retrieving token:', error);
-      return null;
-    }
+  async getApplicationStats(options = {}) {
+    const stats = await statsService.getStats(options);
+    await this.setBadgeCount(stats.thisWeek);
+    return stats;
   }
 
-  // Get valid token from frontend localStorage (similar to auth manager)
-  async getValidTokenFromFrontend() {
+  // Badge shows applications submitted in the last 7 days. Cached stats are used while fresh;
+  // only an explicit refresh from the popup forces a fetch.
+  async updateApplicationBadge({ forceRefresh = false } = {}) {
     try {
-      const FRONTEND_URL = 'http://localhost:5173';
-      
-      return new Promise((resolve) => {
-        chrome.tabs.query({ url: `${FRONTEND_URL}/*` }, (tabs) => {
-          if (tabs.length > 0) {
-            chrome.scripting.executeScript({
-              target: { tabId: tabs[0].id },
-              func: () => {
-                const accessToken = localStorage.getItem('access');
-                const refreshToken = localStorage.getItem('refreshToken');
-                
-                if (!accessToken) return null;
-
-                try {
-                  // Validate token expiration
-                  const payload = JSON.parse(atob(accessToken.split('.')[1]));
-                  const currentTime = Date.now() / 1000;
-                  
-                  // If token is valid (with 5 min buffer), return it
-                  if (payload.exp && payload.exp > (currentTime + 300)) {
-                    return accessToken;
-                  }
-                  
-                  // Token expired but we have refresh token
-                  if (refreshToken) {
-                    return { needsRefresh: true, refreshToken };
-                  }
-                  
-                  return null;
-                } catch (error) {
-                  console.error('Token validation error:', error);
-                  return null;
-                }
-              }
-            }, async (results) => {
-              if (chrome.runtime.lastError) {
-                console.warn('Could not access frontend tokens:', chrome.runtime.lastError);
-                resolve(null);
-                return;
-              }
-
-              const result = results?.[0]?.result;
-              
-              if (!result) {
-                resolve(null);
-                return;
-              }
-
-              // If token needs refresh, handle it
-              if (result.needsRefresh) {
-                const newToken = await this.refreshTokenInFrontend(result.refreshToken);
-                resolve(newToken);
-                return;
-              }
-
-              resolve(result);
-            });
-          } else {
-            resolve(null);
-          }
-        });
-      });
+      const stats = await statsService.getStats({ forceRefresh });
+      await this.setBadgeCount(stats.thisWeek);
     } catch (error) {
-      console.error('Error getting token from frontend:', error);
-      return null;
+      console.error('Error updating badge:', error);
+      // Not signed in or backend unreachable: don't leave a stale count up
+      if (error.code === API_ERROR_CODES.UNAUTHORIZED) {
+        await this.setBadgeCount(0);
+      }
     }
   }
 
-  // Refresh token using frontend mechanism
-  async refreshTokenInFrontend(refreshToken) {
+  // A save or delete made here is counted into the cached stats instead of refetching them
+  async recordStatsChange(application, delta) {
     try {
-      const response = await fetch('http://localhost:5253/api/auth/refresh', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ refreshToken }),
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        
-        // Update tokens in frontend localStorage
-        const FRONTEND_URL = 'http://localhost:5173';
-        chrome.tabs.query({ url: `${FRONTEND_URL}/*` }, (tabs) => {
-          if (tabs.length > 0) {
-            chrome.scripting.executeScript({
-              target: { tabId: tabs[0].id },
-              func: (tokenData) => {
-                localStorage.setItem("access", tokenData.token);
-                localStorage.setItem("refreshToken", tokenData.refreshToken);
-                
-                if (tokenData.userId) localStorage.setItem("userId", tokenData.userId);
-                if (tokenData.email) localStorage.setItem("email", tokenData.email);
-                if (tokenData.fullName) localStorage.setItem("fullName", tokenData.fullName);
-                if (tokenData.role !== undefined) localStorage.setItem("role", tokenData.role);
-                if (tokenData.expiresAt) localStorage.setItem("expiresAt", tokenData.expiresAt);
-              },
-              args: [data]
-            });
-          }
-        });
-        
-        return data.token;
+      const stats = await statsService.recordChange(application, delta);
+      if (stats) {
+        await this.setBadgeCount(stats.thisWeek);
       } else {
-        console.error('Token refresh failed');
-        return null;
+        await this.updateApplicationBadge();
       }
     } catch (error) {
-      console.error('Token refresh error:', error);
-      return null;
+      console.error('Error updating stats:', error);
     }
   }
 
-  async getApplicationStats() {
-    // Since /applications/stats doesn't exist, return mock data or null
-    // TODO: Implement actual stats endpoint in backend or remove this functionality
-    try {
-      return {
-        total: 0,
-        thisWeek: 0,
-        thisMonth: 0,
-        inProgress: 0
-      };
-    } catch (error) {
-      console.error('Error fetching stats:', error);
-      return null;
-    }
-  }
+  async setBadgeCount(count) {
+    await chrome.action.setBadgeText({
+      text: count > 0 ? count.toString() : ''
+    });
 
-  async updateApplicationBadge() {
-    try {
-      const stats = await this.getApplicationStats();
-      const count = stats?.thisWeek || 0;
-      
-      await chrome.action.setBadgeText({
-        text: count > 0 ? count.toString() : ''
-      });
-      
-      await chrome.action.setBadgeBackgroundColor({
-        color: '#3b82f6'
-      });
-    } catch (error) {
-      console.error('Error updating badge:', error);
-    }
+    await chrome.action.setBadgeBackgroundColor({
+      color: '#3b82f6'
+    });
   }
 
   async updateBadge(count) {
@@ -383,6 +414,7 @@ class BackgroundManager {
     } else if (details.reason === 'update') {
       // Handle extension updates
       console.log('Extension updated to version:', chrome.runtime.getManifest().version);
+      await sessionManager.importLegacy();
     }
   }
 
@@ -425,154 +457,387 @@ class BackgroundManager {
   }
 
   // Handle tracked application save (new multi-step approach)
+  // Failed saves go to the outbox instead of being lost, and are retried in the background
   async handleTrackedApplicationSave(data, sender) {
-    try {
-      const token = await this.getAuthToken();
-      if (!token) {
-        throw new Error('No authentication token available');
-      }
+    const delivery = { payload: data, applicationId: null };
 
-      // Save the application first
-      const applicationResult = await this.saveApplicationToAPI(data.application);
-      
-      if (applicationResult.success) {
-        // Save questions if any
-        if (data.questions && data.questions.length > 0) {
-          // Add applicationId to each question
-          const questionsWithAppId = data.questions.map(q => ({
-            ...q,
-            applicationId: applicationResult.data.applicationId
-          }));
-          
-          await this.saveQuestionsToAPI(questionsWithAppId);
-        }
+    try {
+      await this.deliverTrackedApplication(delivery);
 
+      if (data.autoSaved) {
+        await this.showUndoableSaveNotification(delivery.applicationId, data.application);
+      } else {
         await this.showNotification(
           'Application Saved!',
           `Successfully saved application: ${data.application.jobTitle}`,
           'success'
         );
+      }
 
-        // Update badge count
-        await this.updateApplicationBadge();
+      // Update badge count
+      await this.recordStatsChange(data.application, 1);
+
+      return { queued: false, applicationId: delivery.applicationId };
+    } catch (error) {
+      console.error('Error saving tracked application, queueing for retry:', error);
+
+      // Rejected saves (validation, 4xx) won't go through on a retry; they wait in the popup instead
+      const retryable = this.isRetryableError(error);
+      const item = await outboxManager.enqueue(data, {
+        applicationId: delivery.applicationId,
+        error,
+        retryable
+      });
+      await outboxManager.scheduleRetry();
+
+      if (retryable) {
+        await this.showNotification(
+          'Saved for Later',
+          `Couldn't reach Job Lander. "${data.application.jobTitle}" will be retried automatically.`,
+          'warning'
+        );
       } else {
-        throw new Error(applicationResult.error);
+        await this.showNotification(
+          'Save Failed',
+          `Job Lander rejected "${data.application.jobTitle}": ${error.message}. Open the extension to retry or discard it.`,
+          'error'
+        );
       }
-    } catch (error) {
-      console.error('Error saving tracked application:', error);
-      
-      await this.showNotification(
-        'Save Failed',
-        'Failed to save application data. Please try again.',
-        'error'
+
+      return { queued: true, failed: !retryable, outboxId: item.id, error: error.message };
+    }
+  }
+
+  // Send an application and then its questions. Questions need the applicationId returned by
+  // the first call, so once it is known it is kept on the delivery and the application is not re-sent.
+  async deliverTrackedApplication(delivery) {
+    const { application, questions } = delivery.payload;
+
+    if (!delivery.applicationId) {
+      const savedApplication = await apiClient.createApplication(application);
+      delivery.applicationId = savedApplication.applicationId;
+
+      await applicationIndex.record(
+        { ...application, companyName: delivery.payload.companyName },
+        delivery.applicationId
       );
-      
-      throw error;
+
+      // The API copy may be shortened; keep the full description locally
+      if (delivery.payload.fullDescription) {
+        await descriptionStore.save(delivery.applicationId, {
+          ...delivery.payload.fullDescription,
+          jobTitle: application.jobTitle,
+          link: application.link
+        });
+      }
+    }
+
+    // Save questions if any
+    if (questions && questions.length > 0) {
+      // Add applicationId to each question
+      const questionsWithAppId = questions.map(q => ({
+        ...q,
+        applicationId: delivery.applicationId
+      }));
+
+      await apiClient.saveQuestionsBatch(questionsWithAppId);
+      console.log('Successfully saved', questions.length, 'questions');
+
+      await this.learnAnswers(questions);
     }
   }
 
-  // Get dropdown data for companies and CVs (matching frontend API calls)
-  async getDropdownData() {
+  // Saved answers feed the answer library; a failure here must not fail the save
+  async learnAnswers(questions) {
     try {
-      const token = await this.getAuthToken();
-      if (!token) {
-        throw new Error('No authentication token available');
-      }
+      await answerLibrary.learnFromQuestions(questions);
+    } catch (error) {
+      console.warn('Job Lander BG: Could not update answer library:', error.message);
+    }
+  }
 
-      console.log('Job Lander: Fetching dropdown data...');
-
-      // Build URLs exactly like frontend does
-      const companiesUrl = new URL('http://localhost:5253/api/user-companies');
-      companiesUrl.searchParams.append('PageSize', '100');
-
-      const cvsUrl = 'http://localhost:5253/api/cvs';
-
-      // Fetch companies and CVs in parallel
-      const [companiesResponse, cvsResponse] = await Promise.all([
-        fetch(companiesUrl.toString(), {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        }),
-        fetch(cvsUrl, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        })
-      ]);
-
-      let companies = [];
-      let cvs = [];
-
-      // Handle user-companies response
-      if (companiesResponse.ok) {
-        const companiesData = await companiesResponse.json();
-        console.log('Job Lander: User-companies response:', companiesData);
-        
-        // user-companies API returns array directly
-        if (Array.isArray(companiesData)) {
-          companies = companiesData;
-        } else if (companiesData && Array.isArray(companiesData.items)) {
-          companies = companiesData.items;
-        }
-      } else {
-        console.error('Job Lander: User-companies API failed:', companiesResponse.status, companiesResponse.statusText);
-        const errorText = await companiesResponse.text();
-        console.error('Job Lander: User-companies error details:', errorText);
+  // Auto-saves happen without a click, so their notification offers a way back
+  async showUndoableSaveNotification(applicationId, application) {
+    const { jobTitle, submissionDate, stage, status } = application;
+    try {
+      const notificationId = await chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('assets/icon-48.png'),
+        title: 'Application Saved Automatically',
+        message: `Saved "${jobTitle}" after you submitted it.`,
+        buttons: [{ title: 'Undo' }],
+        requireInteraction: true,
+        priority: 1
+      });
+
+      const result = await chrome.storage.local.get([UNDO_STORAGE_KEY]);
+      const undoable = result[UNDO_STORAGE_KEY] || {};
+      undoable[notificationId] = {
+        applicationId,
+        jobTitle,
+        application: { submissionDate, stage, status }, // What the stats counted, to take back out on undo
+        expiresAt: Date.now() + UNDO_WINDOW_MS
+      };
+      await chrome.storage.local.set({ [UNDO_STORAGE_KEY]: undoable });
+    } catch (error) {
+      console.error('Error showing undo notification:', error);
+    }
+  }
+
+  async forgetUndoableSave(notificationId) {
+    const result = await chrome.storage.local.get([UNDO_STORAGE_KEY]);
+    const undoable = result[UNDO_STORAGE_KEY] || {};
+    if (!undoable[notificationId]) return null;
+
+    const entry = undoable[notificationId];
+    delete undoable[notificationId];
+    await chrome.storage.local.set({ [UNDO_STORAGE_KEY]: undoable });
+    return entry;
+  }
+
+  async undoAutoSave(notificationId) {
+    const entry = await this.forgetUndoableSave(notificationId);
+    chrome.notifications.clear(notificationId);
+    if (!entry) return;
+
+    if (Date.now() > entry.expiresAt) {
+      await this.showNotification('Undo Expired', `"${entry.jobTitle}" was kept. You can delete it from Job Lander.`, 'info');
+      return;
+    }
+
+    try {
+      await apiClient.deleteApplication(entry.applicationId);
+      await applicationIndex.forget(entry.applicationId);
+      await descriptionStore.remove(entry.applicationId);
+      await this.recordStatsChange(entry.application || {}, -1);
+      await this.showNotification('Save Undone', `Removed "${entry.jobTitle}" from Job Lander.`, 'info');
+    } catch (error) {
+      console.error('Job Lander BG: Undo failed:', error);
+      await this.showNotification('Undo Failed', `Couldn't remove "${entry.jobTitle}": ${error.message}`, 'error');
+    }
+  }
+
+  // Best-effort lookup of an earlier application for the same posting; never blocks tracking
+  async checkDuplicateApplication(job) {
+    try {
+      const duplicate = await applicationIndex.findDuplicate(job);
+      if (!duplicate) return null;
+
+      const frontendUrl = await configManager.getFrontendUrl();
+      return {
+        ...duplicate,
+        recordUrl: `${frontendUrl}/applications/${duplicate.application.applicationId}`
+      };
+    } catch (error) {
+      console.warn('Job Lander BG: Duplicate check failed:', error.message);
+      return null;
+    }
+  }
+
+  // Network errors, timeouts, expired tokens and server errors are worth retrying; validation errors are not
+  isRetryableError(error) {
+    return [
+      API_ERROR_CODES.NETWORK,
+      API_ERROR_CODES.TIMEOUT,
+      API_ERROR_CODES.UNAUTHORIZED,
+      API_ERROR_CODES.RATE_LIMITED,
+      API_ERROR_CODES.SERVER
+    ].includes(error.code) || !error.code;
+  }
+
+  // Deliver every outbox item that is due, oldest first
+  async processOutbox() {
+    if (this.outboxProcessing) return;
+    this.outboxProcessing = true;
+
+    try {
+      const dueItems = await outboxManager.getDueItems();
+      if (dueItems.length > 0) {
+        console.log('Job Lander BG: Retrying', dueItems.length, 'queued application saves');
       }
 
-      // Handle CVs response (exactly like frontend)
-      if (cvsResponse.ok) {
-        const cvsData = await cvsResponse.json();
-        console.log('Job Lander: CVs response:', cvsData);
-        
-        // Frontend expects response.data || []
-        cvs = cvsData || [];
-      } else {
-        console.error('Job Lander: CVs API failed:', cvsResponse.status, cvsResponse.statusText);
-        const errorText = await cvsResponse.text();
-        console.error('Job Lander: CVs error details:', errorText);
+      for (const item of dueItems) {
+        await this.deliverOutboxItem(item);
       }
+    } catch (error) {
+      console.error('Job Lander BG: Error processing outbox:', error);
+    } finally {
+      this.outboxProcessing = false;
+      await outboxManager.scheduleRetry();
+    }
+  }
 
-      console.log('Job Lander: Final dropdown data:', { 
-        companiesCount: companies.length, 
-        cvsCount: cvs.length 
-      });
+  async deliverOutboxItem(queuedItem) {
+    // The alarm pass and a manual retry can reach the same item; sending it twice would create the application twice
+    if (this.outboxInFlight.has(queuedItem.id)) {
+      return { success: false, inFlight: true, error: 'This save is already being sent' };
+    }
+    this.outboxInFlight.add(queuedItem.id);
 
-      return { companies, cvs };
-    } catch (error) {
-      console.error('Job Lander: Error fetching dropdown data:', error);
-      return { companies: [], cvs: [] };
+    try {
+      // Read it again: the other sender may have delivered it or stored its applicationId meanwhile
+      const item = await outboxManager.getItem(queuedItem.id);
+      if (!item) {
+        return { success: true };
+      }
+      return await this.sendOutboxItem(item);
+    } finally {
+      this.outboxInFlight.delete(queuedItem.id);
     }
   }
 
-  // Save questions to API
-  async saveQuestionsToAPI(questions) {
+  async sendOutboxItem(item) {
+    const delivery = { payload: item.payload, applicationId: item.applicationId };
+
     try {
-      const token = await this.getAuthToken();
-      if (!token) return;
-
-      const response = await fetch('http://localhost:5253/api/questions/batch', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ questions }),
+      await this.deliverTrackedApplication(delivery);
+      await outboxManager.remove(item.id);
+
+      await this.showNotification(
+        'Application Saved!',
+        `Queued application saved: ${item.jobTitle}`,
+        'success'
+      );
+      await this.recordStatsChange(item.payload.application, 1);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Job Lander BG: Outbox delivery failed:', item.id, error);
+
+      // Keep the applicationId even on failure so the application is never created twice
+      if (delivery.applicationId && !item.applicationId) {
+        await outboxManager.update(item.id, { applicationId: delivery.applicationId });
+      }
+
+      const updated = await outboxManager.recordFailure(item.id, error, {
+        retryable: this.isRetryableError(error)
       });
 
-      if (!response.ok) {
-        console.error('Failed to save questions to API');
-      } else {
-        console.log('Successfully saved', questions.length, 'questions');
+      if (updated?.status === OUTBOX_STATUS.FAILED) {
+        await this.showNotification(
+          'Save Failed',
+          `Couldn't save "${item.jobTitle}". Open the extension to retry or discard it.`,
+          'error'
+        );
+      }
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manual retry from the popup; an item the retry alarm is already sending is left to it
+  async retryOutboxItem(id) {
+    const item = await outboxManager.markForRetry(id);
+    if (!item) {
+      throw new Error('Queued save not found');
+    }
+
+    const result = await this.deliverOutboxItem(item);
+    await outboxManager.scheduleRetry();
+    return result;
+  }
+
+  // Get dropdown data for companies and CVs (matching frontend API calls)
+  // Errors propagate so the sidebar can tell "not signed in" apart from "no companies yet"
+  async getDropdownData() {
+    console.log('Job Lander: Fetching dropdown data...');
+
+    const [companies, cvs] = await Promise.all([
+      apiClient.getUserCompanies({ pageSize: 100 }),
+      apiClient.getCvs()
+    ]);
+
+    console.log('Job Lander: Final dropdown data:', { 
+      companiesCount: companies.length, 
+      cvsCount: cvs.length 
+    });
+
+    return { companies, cvs };
+  }
+
+  /**
+   * Bring a tracking session back on screen
+   * Focuses one of its open tabs, or opens the page it was last on and binds the new tab to it.
+   * @returns {Object} - { tabId }
+   */
+  async resumeTrackingSession(sessionId) {
+    const session = await sessionManager.get(sessionId);
+    if (!session) {
+      throw new Error('This tracking session has expired');
+    }
+
+    for (const tabId of session.tabIds) {
+      try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+        return { tabId };
+      } catch (error) {
+        // Closed while the worker was asleep
+        await sessionManager.detachTab(tabId);
       }
+    }
+
+    const tab = await chrome.tabs.create({ url: session.lastUrl || session.link });
+    await sessionManager.attachTab(sessionId, tab.id);
+    return { tabId: tab.id };
+  }
+
+  // Remove a session and close the sidebar in its tabs (other than the one that ended it)
+  async endTrackingSession(sessionId, fromTabId = null) {
+    const session = await sessionManager.remove(sessionId);
+    if (!session) return;
+
+    await Promise.all(session.tabIds
+      .filter(tabId => tabId !== fromTabId)
+      .map(tabId => this.sendToFrame(tabId, 0, { type: 'TRACKING_SESSION_ENDED', sessionId })));
+  }
+
+  /**
+   * Message the content script in one frame of a tab
+   * @param {Number|null} frameId - null for every frame
+   * @returns {Promise<*>} - The frame's response; null when no script answered (the frame
+   *   navigated away, or the top frame isn't tracking)
+   */
+  async sendToFrame(tabId, frameId, message) {
+    if (tabId === undefined || tabId === null) return null;
+
+    try {
+      const response = frameId === null
+        ? await chrome.tabs.sendMessage(tabId, message)
+        : await chrome.tabs.sendMessage(tabId, message, { frameId });
+      return response || null;
     } catch (error) {
-      console.error('Error saving questions to API:', error);
+      return null;
+    }
+  }
+
+  // Download a CV for an upload field; Blobs can't cross runtime messaging, so it goes as base64
+  async getCvFile(cvId) {
+    if (!cvId) {
+      throw new Error('No CV selected');
+    }
+
+    const { blob, fileName, contentType } = await apiClient.downloadCv(cvId);
+    if (blob.size > MAX_UPLOAD_FILE_BYTES) {
+      throw new Error(`CV file is too large to attach (${Math.round(blob.size / 1024 / 1024)} MB)`);
     }
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+
+    const extension = contentType.includes('wordprocessingml') ? 'docx'
+      : contentType.includes('msword') ? 'doc'
+        : 'pdf';
+
+    return {
+      fileName: fileName || `resume-${cvId}.${extension}`,
+      contentType,
+      size: blob.size,
+      base64: btoa(binary)
+    };
   }
 
   // Utility method to check authentication status
@@ -591,11 +856,11 @@ class BackgroundManager {
    */
   async getUserId() {
     try {
-      const FRONTEND_URL = 'http://localhost:5173';
+      const frontendUrl = await configManager.getFrontendUrl();
       
       // Try to get from frontend localStorage first
       const userId = await new Promise((resolve) => {
-        chrome.tabs.query({ url: `${FRONTEND_URL}/*` }, (tabs) => {
+        chrome.tabs.query({ url: `${frontendUrl}/*` }, (tabs) => {
           if (tabs.length > 0) {
             chrome.scripting.executeScript({
               target: { tabId: tabs[0].id },
@@ -642,108 +907,110 @@ class BackgroundManager {
    * Get AI-generated answer for a single question
    */
   async getAutoFillAnswer(data) {
-    try {
-      const token = await this.getAuthToken();
-      if (!token) {
-        throw new Error('No authentication token available');
-      }
+    console.log('Job Lander BG: Requesting AI answer for question');
 
-      console.log('Job Lander BG: Requesting AI answer for question');
-
-      const response = await fetch('http://localhost:5253/api/ai-assistant/generate-answer', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: data.question,
-          jobContext: data.jobDescription || '',
-          topK: 50
-        }),
-      });
+    const answer = await apiClient.generateAnswer({
+      question: data.question,
+      jobContext: data.jobDescription || ''
+    });
 
-      if (response.ok) {
-        const result = await response.json();
-        console.log('Job Lander BG: AI answer received:', result.success ? 'success' : 'failed');
-        return result.answer || '';
-      } else {
-        const errorText = await response.text();
-        console.error('Job Lander BG: Failed to get AI answer:', response.status, errorText);
-        throw new Error('Failed to get AI answer');
-      }
-    } catch (error) {
-      console.error('Job Lander BG: Auto-fill answer error:', error);
-      throw error;
-    }
+    console.log('Job Lander BG: AI answer received:', answer ? 'success' : 'empty');
+    return answer;
   }
 
   /**
    * Get AI-generated answers for multiple questions (batched)
-   * Since the backend only has a single answer endpoint, we call it multiple times
+   * Resolves once every answer is in; auto-fill uses the streaming port instead.
    */
   async getAutoFillAnswersBatch(data) {
-    try {
-      const token = await this.getAuthToken();
-      if (!token) {
-        throw new Error('No authentication token available');
+    const questions = data.questions || [];
+    const answers = new Array(questions.length).fill('');
+
+    await this.generateAnswersConcurrently(questions, data.jobDescription || '', {
+      onAnswer: (index, answer) => {
+        answers[index] = answer;
+      }
+    });
+
+    console.log('Job Lander BG: Received', answers.length, 'AI answers');
+    return answers;
+  }
+
+  /**
+   * Stream AI answers over a long-lived port
+   * Content script sends { type: 'GENERATE', questions, jobDescription } and gets one
+   * { type: 'ANSWER', index, answer, error } per question in completion order, then
+   * { type: 'DONE' } or { type: 'ERROR', error, code }. CANCEL aborts requests still in flight
+   * and ends the stream with { type: 'DONE', cancelled: true }; disconnecting just aborts.
+   */
+  handleAutoFillPort(port) {
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    const post = (message) => {
+      if (!controller.signal.aborted) {
+        port.postMessage(message);
+      }
+    };
+
+    port.onMessage.addListener(async (message) => {
+      if (message.type === 'CANCEL') {
+        if (controller.signal.aborted) return;
+        console.log('Job Lander BG: Auto-fill answer generation cancelled');
+        controller.abort();
+        // Aborted requests post nothing more, so this is the stream's last message
+        port.postMessage({ type: 'DONE', cancelled: true });
+        return;
       }
+      if (message.type !== 'GENERATE') return;
 
-      console.log('Job Lander BG: Requesting AI answers for', data.questions?.length || 0, 'questions');
+      try {
+        await this.generateAnswersConcurrently(message.questions || [], message.jobDescription || '', {
+          signal: controller.signal,
+          onAnswer: (index, answer, error) => post({ type: 'ANSWER', index, answer, error: error?.message || null })
+        });
+        post({ type: 'DONE' });
+      } catch (error) {
+        post({ type: 'ERROR', error: error.message, code: error.code });
+      }
+    });
+  }
 
-      const questions = data.questions || [];
-      const jobContext = data.jobDescription || '';
-      const answers = [];
+  /**
+   * Generate answers with at most AUTO_FILL_CONCURRENCY requests in flight
+   * onAnswer(index, answer, error) runs as each one finishes. A failed question gets an
+   * empty answer; auth failures affect every question, so they stop the run and are thrown.
+   */
+  async generateAnswersConcurrently(questions, jobContext, { signal, onAnswer }) {
+    console.log('Job Lander BG: Requesting AI answers for', questions.length, 'questions');
 
-      // Call the API for each question sequentially
-      for (let i = 0; i < questions.length; i++) {
-        const question = questions[i];
-        console.log(`Job Lander BG: Getting answer ${i + 1}/${questions.length}`);
+    let next = 0;
+    let fatalError = null;
 
+    const worker = async () => {
+      while (next < questions.length && !fatalError && !signal?.aborted) {
+        const index = next++;
         try {
-          const response = await fetch('http://localhost:5253/api/ai-assistant/generate-answer', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${token}`,
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              query: question,
-              jobContext: jobContext,
-              topK: 50
-            }),
-          });
-
-          if (response.ok) {
-            const result = await response.json();
-            if (result.success && result.answer) {
-              answers.push(result.answer);
-              console.log(`Job Lander BG: Answer ${i + 1} received (${result.answer.length} chars)`);
-            } else {
-              console.warn(`Job Lander BG: Answer ${i + 1} failed - no answer in response`);
-              answers.push(''); // Empty answer on failure
-            }
-          } else {
-            const errorText = await response.text();
-            console.error(`Job Lander BG: Failed to get answer ${i + 1}:`, response.status, errorText);
-            answers.push(''); // Empty answer on failure
-          }
+          const answer = await apiClient.generateAnswer({ question: questions[index], jobContext }, { signal });
+          console.log(`Job Lander BG: Answer ${index + 1}/${questions.length} received (${answer.length} chars)`);
+          onAnswer(index, answer, null);
         } catch (error) {
-          console.error(`Job Lander BG: Error getting answer ${i + 1}:`, error);
-          answers.push(''); // Empty answer on failure
-        }
-
-        // Small delay to avoid overwhelming the API
-        if (i < questions.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 200));
+          if (error.code === API_ERROR_CODES.ABORTED) return;
+          if (error.code === API_ERROR_CODES.UNAUTHORIZED) {
+            fatalError = error;
+            return;
+          }
+          console.error(`Job Lander BG: Error getting answer ${index + 1}:`, error.message);
+          onAnswer(index, '', error);
         }
       }
+    };
 
-      console.log('Job Lander BG: Received', answers.length, 'AI answers');
-      return answers;
-    } catch (error) {
-      console.error('Job Lander BG: Auto-fill batch error:', error);
-      throw error;
+    const workerCount = Math.min(AUTO_FILL_CONCURRENCY, questions.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (fatalError) {
+      throw fatalError;
     }
   }
 }
@@ -752,6 +1019,4 @@ class BackgroundManager {
 const backgroundManager = new BackgroundManager();
 
 // Export for testing purposes
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = BackgroundManager;
-}
+export default BackgroundManager;
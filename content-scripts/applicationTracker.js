@@ -1,20 +1,35 @@
 // Application Tracker - Main orchestrator for multi-step job application tracking
+
+// Longest description sent to the API; the full one is stored locally by the background
+const DESCRIPTION_API_LIMIT = 7000;
+
+// Answers at least this long are saved unless unticked (settings: minAnswerLength)
+const DEFAULT_MIN_ANSWER_LENGTH = 100;
+
+// chrome.storage.sync key the options page writes settings to (see utils/settings.js)
+const TRACKER_SETTINGS_STORAGE_KEY = 'trackerSettings';
+
 class ApplicationTracker {
   constructor() {
     this.isTracking = false;
+    this.minAnswerLength = DEFAULT_MIN_ANSWER_LENGTH;
     this.applicationData = {
       // Job posting data
       jobTitle: '',
       companyName: '',
-      description: '',
+      description: '', // Full Markdown
+      descriptionSections: null, // { summary, responsibilities, requirements, benefits, aboutCompany, other }
       jobType: '',
       location: '',
       salary: '',
+      salaryDetails: null, // Parsed salary: { min, max, currency, period, isEstimate, raw, annualized }
       link: window.location.href,
+      siteAdapter: null, // Id of the site adapter that extracted the posting, if any
       
       // User selections (required)
       companyId: null,
       submittedCvId: null,
+      coverLetterId: null, // Optional, only attached to upload fields
       
       // Progressive data
       questions: [],
@@ -26,17 +41,49 @@ class ApplicationTracker {
       stage: 'Applied',
       status: 'Pending',
       atsScore: 0,
-      contactedEmployeeIds: []
+      contactedEmployeeIds: [],
+
+      // Set when the user chose "Continue anyway" on a duplicate warning
+      duplicateAcknowledged: false,
+
+      // "Include in save" choices by question text; without one, the answer's length decides
+      saveSelections: {},
+
+      // Type, difficulty and tags by question text, set by the user or the AI; the rest are
+      // classified when needed (see getQuestionClassification)
+      questionClassifications: {},
+
+      // Auto-fill answers by normalized question text, reused on later wizard steps
+      sessionAnswers: {},
+      // Multi-step auto-fill in progress: { active, step }, resumed after a page load
+      wizard: null
     };
     
+    // Background tracking session this tab belongs to (see utils/sessionManager.js)
+    this.sessionId = null;
+    this.sessionWrite = Promise.resolve();
+
     this.sidebarManager = null;
     this.pageDetector = null;
     this.dataCollector = null;
+    this.confirmationDetector = null;
     
     this.init();
   }
 
   async init() {
+    chrome.runtime.onMessage.addListener((message) => this.handleSessionMessage(message));
+
+    // The minimum answer length can be changed on the options page while a form is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[TRACKER_SETTINGS_STORAGE_KEY]) {
+        this.setMinAnswerLength(changes[TRACKER_SETTINGS_STORAGE_KEY].newValue?.minAnswerLength);
+        if (this.isTracking) {
+          this.sidebarManager?.refreshSaveRules();
+        }
+      }
+    });
+
     // Check if there's an active tracking session from a previous tab/redirect
     await this.checkForActiveTracking();
     
@@ -44,25 +91,34 @@ class ApplicationTracker {
     if (!this.isTracking && this.isJobPostingPage()) {
       this.addStartTrackingButton();
       console.log('Job Lander: Application tracker initialized on job posting page');
+
+      // Only the link is known before extraction, so this hits the local index of saved links
+      const duplicate = await this.checkForDuplicate({ link: window.location.href });
+      if (duplicate) {
+        this.showStartButtonDuplicateWarning(duplicate);
+      }
     }
   }
   
+  // Restore the session this tab belongs to: the one it started, or one it was opened from
   async checkForActiveTracking() {
     try {
-      const result = await chrome.storage.local.get(['activeTracking']);
+      const response = await chrome.runtime.sendMessage({ type: 'TRACKING_SESSION_GET' });
+      const session = response?.success ? response.data : null;
       
-      if (result.activeTracking && result.activeTracking.isActive) {
+      if (session && session.state) {
         console.log('Job Lander: Found active tracking session, restoring...');
+        this.sessionId = session.id;
         
         // Restore the application data
         this.applicationData = {
           ...this.applicationData,
-          ...result.activeTracking.data
+          ...session.state.data
         };
         
         // Convert userAnswers back to Map
-        if (result.activeTracking.userAnswersArray) {
-          this.applicationData.userAnswers = new Map(result.activeTracking.userAnswersArray);
+        if (session.state.userAnswersArray) {
+          this.applicationData.userAnswers = new Map(session.state.userAnswersArray);
         }
         
         // Start tracking with restored data
@@ -75,6 +131,15 @@ class ApplicationTracker {
     }
   }
 
+  // The session was abandoned from the popup, or saved or stopped in another of its tabs
+  handleSessionMessage(message) {
+    if (message.type === 'TRACKING_SESSION_ENDED' && message.sessionId === this.sessionId && this.isTracking) {
+      this.sessionId = null;
+      this.stopTracking();
+    }
+    return false;
+  }
+
   isJobPostingPage() {
     const url = window.location.href.toLowerCase();
     const pathname = window.location.pathname.toLowerCase();
@@ -106,6 +171,27 @@ class ApplicationTracker {
     // Ashby ATS (pattern: jobs.ashbyhq.com/company-name/job-uuid)
     if (url.includes('ashbyhq.com') || url.includes('jobs.ashbyhq.com')) return true;
     
+    // iCIMS ATS (careers-company.icims.com/jobs/123/title/job)
+    if (url.includes('icims.com') && pathname.includes('/jobs/')) return true;
+    
+    // Taleo ATS
+    if (url.includes('taleo.net') && pathname.includes('jobdetail')) return true;
+    
+    // BambooHR ATS
+    if (url.includes('bamboohr.com') && pathname.includes('/careers')) return true;
+    
+    // Jobvite ATS
+    if (url.includes('jobvite.com') && pathname.includes('/job/')) return true;
+    
+    // Workable ATS (apply.workable.com/company/j/SHORTCODE)
+    if (url.includes('workable.com') && pathname.includes('/j/')) return true;
+    
+    // Recruitee ATS (company.recruitee.com/o/slug)
+    if (url.includes('recruitee.com') && pathname.includes('/o/')) return true;
+    
+    // Personio ATS (company.jobs.personio.de/job/123)
+    if ((url.includes('jobs.personio.de') || url.includes('jobs.personio.com')) && pathname.includes('/job/')) return true;
+    
     // Generic job posting patterns
     if (pathname.includes('job') && !pathname.includes('apply')) return true;
     if (pathname.includes('career') && !pathname.includes('apply')) return true;
@@ -165,6 +251,99 @@ class ApplicationTracker {
     document.body.appendChild(button);
   }
 
+  // Warning panel under the Start Tracking button
+  showStartButtonDuplicateWarning(duplicate) {
+    document.getElementById('job-lander-duplicate-warning')?.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'job-lander-duplicate-warning';
+    panel.style.cssText = `
+      position: fixed;
+      top: 78px;
+      right: 20px;
+      z-index: 999999;
+      max-width: 280px;
+      background: #fffbeb;
+      border: 1px solid #fcd34d;
+      color: #92400e;
+      padding: 12px 14px;
+      border-radius: 10px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+    `;
+
+    const message = document.createElement('div');
+    message.style.cssText = 'font-weight: 600; margin-bottom: 8px;';
+    message.textContent = this.describeDuplicate(duplicate);
+    panel.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 8px;';
+
+    const buttonStyle = `
+      flex: 1;
+      padding: 6px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+
+    const openButton = document.createElement('button');
+    openButton.textContent = 'Open existing record';
+    openButton.style.cssText = buttonStyle + 'background: #f59e0b; color: white; border: none;';
+    openButton.addEventListener('click', () => {
+      window.open(duplicate.recordUrl, '_blank');
+    });
+
+    const continueButton = document.createElement('button');
+    continueButton.textContent = 'Continue anyway';
+    continueButton.style.cssText = buttonStyle + 'background: white; color: #92400e; border: 1px solid #fcd34d;';
+    continueButton.addEventListener('click', () => {
+      this.applicationData.duplicateAcknowledged = true;
+      panel.remove();
+      this.startTracking();
+    });
+
+    actions.appendChild(openButton);
+    actions.appendChild(continueButton);
+    panel.appendChild(actions);
+
+    document.body.appendChild(panel);
+  }
+
+  /**
+   * Ask the background for an earlier application of this posting
+   * @param {Object} job - { link, jobTitle, companyName, companyId }
+   * @returns {Object|null} - { application, matchedBy, source, recordUrl }
+   */
+  async checkForDuplicate(job = this.applicationData) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CHECK_DUPLICATE_APPLICATION',
+        data: {
+          link: job.link,
+          jobTitle: job.jobTitle,
+          companyName: job.companyName,
+          companyId: job.companyId
+        }
+      });
+      return response?.success ? response.data : null;
+    } catch (error) {
+      console.warn('Job Lander: Duplicate check failed:', error);
+      return null;
+    }
+  }
+
+  describeDuplicate(duplicate) {
+    const app = duplicate.application;
+    const date = app.submissionDate || app.createdAt;
+    const dateText = date ? new Date(date).toLocaleDateString() : 'an earlier date';
+    const stage = (app.stage || 'Applied').replace(/([a-z])([A-Z])/g, '$1 $2');
+    return `You already applied here on ${dateText}, stage ${stage}`;
+  }
+
   async startTracking(isRestore = false) {
     try {
       this.isTracking = true;
@@ -175,6 +354,9 @@ class ApplicationTracker {
         startButton.style.display = 'none';
       }
       
+      // The button's warning panel is replaced by the sidebar banner from here on
+      document.getElementById('job-lander-duplicate-warning')?.remove();
+
       // 1. Collect initial job posting data (skip if restoring)
       if (!isRestore) {
         await this.collectJobPostingData();
@@ -182,6 +364,7 @@ class ApplicationTracker {
       
       // 2. Initialize other components
       await this.initializeComponents();
+      await this.loadMinAnswerLength();
       
       // 3. Show sidebar with collected data
       await this.sidebarManager.show();
@@ -189,6 +372,8 @@ class ApplicationTracker {
       // 4. Start monitoring
       this.pageDetector.startMonitoring();
       this.dataCollector.startQuestionTracking();
+      this.confirmationDetector?.startMonitoring();
+      this.frameBridge?.broadcast('FRAME_START');
       
       // 5. Save tracking state to storage for persistence across redirects
       await this.saveTrackingState();
@@ -197,6 +382,19 @@ class ApplicationTracker {
       
       if (isRestore) {
         this.sidebarManager.showSuccess('Tracking session restored! Continue filling out your application.');
+
+        // A multi-step auto-fill was moving to this page; carry on once the step has rendered
+        if (this.applicationData.wizard?.active) {
+          setTimeout(() => this.sidebarManager.handleAutoFill({ resumeWizard: true }), 1500);
+        }
+      }
+
+      // 6. Warn if this posting was already saved (now that title and company are known)
+      if (!this.applicationData.duplicateAcknowledged) {
+        const duplicate = await this.checkForDuplicate();
+        if (duplicate) {
+          this.sidebarManager.showDuplicateWarning(duplicate);
+        }
       }
       
     } catch (error) {
@@ -205,35 +403,58 @@ class ApplicationTracker {
     }
   }
   
-  async saveTrackingState() {
+  // Saves and clears run in order, so the first save creates the session and later ones update it
+  saveTrackingState() {
+    this.sessionWrite = this.sessionWrite.then(() => this.writeTrackingState());
+    return this.sessionWrite;
+  }
+
+  async writeTrackingState() {
+    // A late save after the session ended would start a new one
+    if (!this.isTracking) return;
+
     try {
       // Convert Map to array for storage
       const userAnswersArray = Array.from(this.applicationData.userAnswers.entries());
       
-      const trackingData = {
-        isActive: true,
-        timestamp: new Date().toISOString(),
+      const response = await chrome.runtime.sendMessage({
+        type: 'TRACKING_SESSION_SAVE',
         data: {
-          ...this.applicationData,
-          userAnswers: undefined // Remove Map object
-        },
-        userAnswersArray: userAnswersArray
-      };
+          sessionId: this.sessionId,
+          url: window.location.href,
+          state: {
+            data: {
+              ...this.applicationData,
+              questions: undefined, // Holds page elements; scanned again after a restore
+              userAnswers: undefined // Remove Map object
+            },
+            userAnswersArray: userAnswersArray
+          }
+        }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
       
-      await chrome.storage.local.set({ activeTracking: trackingData });
-      console.log('Job Lander: Tracking state saved to storage');
+      this.sessionId = response.data.id;
+      console.log('Job Lander: Tracking state saved to session', this.sessionId);
     } catch (error) {
       console.error('Job Lander: Error saving tracking state:', error);
     }
   }
   
-  async clearTrackingState() {
-    try {
-      await chrome.storage.local.remove('activeTracking');
-      console.log('Job Lander: Tracking state cleared from storage');
-    } catch (error) {
-      console.error('Job Lander: Error clearing tracking state:', error);
-    }
+  clearTrackingState() {
+    this.sessionWrite = this.sessionWrite.then(async () => {
+      if (!this.sessionId) return;
+      try {
+        await chrome.runtime.sendMessage({ type: 'TRACKING_SESSION_END', data: { sessionId: this.sessionId } });
+        console.log('Job Lander: Tracking session ended');
+      } catch (error) {
+        console.error('Job Lander: Error clearing tracking state:', error);
+      }
+      this.sessionId = null;
+    });
+    return this.sessionWrite;
   }
 
   async initializeComponents() {
@@ -244,6 +465,18 @@ class ApplicationTracker {
       this.pageDetector = new PageDetector(this);
       this.dataCollector = new DataCollector(this);
       
+      if (window.ConfirmationDetector) {
+        this.confirmationDetector = new ConfirmationDetector(this);
+      } else {
+        console.warn('Job Lander: ConfirmationDetector not available');
+      }
+      
+      if (window.FileUploadManager) {
+        this.fileUploadManager = new FileUploadManager(this);
+      } else {
+        console.warn('Job Lander: FileUploadManager not available');
+      }
+
       // Initialize AutoFillManager if available
       if (window.AutoFillManager) {
         this.autoFillManager = new AutoFillManager(this);
@@ -251,6 +484,19 @@ class ApplicationTracker {
       } else {
         console.warn('Job Lander: AutoFillManager not available');
       }
+
+      if (window.WizardController) {
+        this.wizardController = new WizardController(this);
+      }
+
+      if (window.QuestionClassifier) {
+        this.questionClassifier = new QuestionClassifier();
+      }
+
+      // Questions from forms in cross-origin frames
+      if (window.FrameBridge) {
+        this.frameBridge = new FrameBridge(this);
+      }
     }
   }
 
@@ -269,10 +515,13 @@ class ApplicationTracker {
       jobTitle: jobData.jobTitle || '',
       companyName: jobData.companyName || '',
       description: jobData.jobDescription || '',
+      descriptionSections: jobData.descriptionSections || null,
       jobType: jobData.jobType || '',
       location: jobData.location || '',
       salary: jobData.salary || '',
-      link: window.location.href
+      salaryDetails: jobData.salaryDetails || null,
+      link: window.location.href,
+      siteAdapter: jobData.siteAdapter
     });
 
     console.log('Job Lander: Collected job posting data', this.applicationData);
@@ -280,6 +529,7 @@ class ApplicationTracker {
 
   async stopTracking() {
     this.isTracking = false;
+    this.applicationData.duplicateAcknowledged = false;
     
     if (this.sidebarManager) {
       this.sidebarManager.hide();
@@ -290,6 +540,11 @@ class ApplicationTracker {
     if (this.dataCollector) {
       this.dataCollector.stopQuestionTracking();
     }
+    this.frameBridge?.broadcast('FRAME_STOP');
+    if (this.confirmationDetector) {
+      this.confirmationDetector.stopMonitoring();
+      this.confirmationDetector.reset();
+    }
     
     // Clear tracking state from storage
     await this.clearTrackingState();
@@ -303,7 +558,12 @@ class ApplicationTracker {
     console.log('Job Lander: Application tracking stopped');
   }
 
-  async saveApplication() {
+  /**
+   * Save the tracked application
+   * @param {Object} options - { autoSaved } set when saved without a click after submission
+   * @returns {Boolean} - Whether the background accepted the save (saved or queued)
+   */
+  async saveApplication({ autoSaved = false } = {}) {
     try {
       // Get current values from sidebar inputs
       const currentData = this.sidebarManager.getCurrentJobData();
@@ -317,21 +577,36 @@ class ApplicationTracker {
       // Validate required fields
       if (!mergedData.companyId) {
         this.sidebarManager.showError('Please select a company');
-        return;
+        return false;
       }
 
       if (!mergedData.cvId) {
         this.sidebarManager.showError('Please select a CV');
-        return;
+        return false;
       }
 
+      // Re-check with the final title and company unless the user already chose to continue
+      if (!this.applicationData.duplicateAcknowledged) {
+        const duplicate = await this.checkForDuplicate(mergedData);
+        if (duplicate) {
+          this.sidebarManager.showDuplicateWarning(duplicate);
+          this.sidebarManager.showError('This application looks like a duplicate. Choose "Continue anyway" to save it again.');
+          return false;
+        }
+      }
+
+      // The description may have been edited in the sidebar, so split and shorten it now
+      const converter = new MarkdownConverter();
+      const fullDescription = mergedData.description || '';
+
       // Prepare data for API
       const apiData = {
         companyId: parseInt(mergedData.companyId),
         jobTitle: mergedData.jobTitle,
         jobType: mergedData.jobType || 'Full-time',
-        description: mergedData.description,
+        description: converter.fitToLength(fullDescription, DESCRIPTION_API_LIMIT),
         link: this.applicationData.link,
+        salary: mergedData.salary || '',
         submittedCvId: parseInt(mergedData.cvId),
         atsScore: this.applicationData.atsScore || 0,
         stage: this.applicationData.stage || 'Applied',
@@ -340,44 +615,187 @@ class ApplicationTracker {
         contactedEmployeeIds: this.applicationData.contactedEmployeeIds || []
       };
 
-      // Filter questions to only include answers >= 100 characters (final safeguard)
-      const validQuestions = Array.from(this.applicationData.userAnswers.entries())
-        .filter(([questionText, answer]) => answer && answer.length >= 100)
-        .map(([questionText, answer]) => ({
-          question1: questionText,
-          answer: answer,
-          type: 'Technical',
-          answerStatus: 'Completed',
-          difficulty: 3,
-          preparationNote: '',
-          favorite: false,
-          tags: []
-        }));
+      // Only the answers the save summary lists as saved (ticked, or long enough)
+      this.snapshotAnswers();
+      const savePlan = this.getSavePlan();
+      const validQuestions = savePlan.saved
+        .map(({ text: questionText, answer }) => {
+          const classification = this.getQuestionClassification(questionText, answer);
+          return {
+            question1: questionText,
+            answer: answer,
+            type: classification.type,
+            answerStatus: 'Completed',
+            difficulty: classification.difficulty,
+            preparationNote: '',
+            favorite: false,
+            tags: classification.tags
+          };
+        });
       
-      console.log(`Job Lander: Saving ${validQuestions.length} questions with valid answers (≥100 chars)`);
+      console.log(`Job Lander: Saving ${validQuestions.length} answers, skipping ${savePlan.skipped.length}, ${savePlan.empty.length} empty`);
 
       // Send to background script
       const response = await chrome.runtime.sendMessage({
         type: 'SAVE_TRACKED_APPLICATION',
         data: {
           application: apiData,
-          questions: validQuestions
+          questions: validQuestions,
+          companyName: mergedData.companyName, // Kept for the local duplicate index
+          fullDescription: fullDescription
+            ? { markdown: fullDescription, sections: converter.splitSections(fullDescription) }
+            : null,
+          autoSaved
         }
       });
 
       if (response.success) {
-        this.sidebarManager.showSuccess('Application saved successfully!');
+        // Queued saves are kept by the background outbox, so tracking can end either way
+        this.sidebarManager.hideSaveConfirmation();
+        if (response.failed) {
+          this.sidebarManager.showError(`Job Lander rejected this application: ${response.error}. It is kept in the extension popup, where you can retry or discard it.`);
+        } else {
+          this.sidebarManager.showSuccess(response.queued
+            ? 'Job Lander is unreachable right now. Your application was queued and will be saved automatically.'
+            : 'Application saved successfully!');
+        }
         // Clear tracking state immediately
         await this.clearTrackingState();
         setTimeout(async () => {
           await this.stopTracking();
         }, 2000);
+        return true;
       } else {
         throw new Error(response.error || 'Failed to save application');
       }
     } catch (error) {
       console.error('Job Lander: Error saving application:', error);
       this.sidebarManager.showError('Failed to save application: ' + error.message);
+      return false;
+    }
+  }
+
+  // Called by ConfirmationDetector once the ATS shows its "application submitted" screen
+  async onApplicationSubmitted(detection) {
+    this.applicationData.currentStep = 'complete';
+    this.sidebarManager.updateProgress('complete');
+
+    // Snapshot answers now; the form fields may disappear with the next navigation
+    const answerCount = this.snapshotAnswers();
+    this.applicationData.submission = {
+      detectedAt: new Date().toISOString(),
+      platform: detection.platform,
+      matchedBy: detection.matchedBy,
+      answerCount
+    };
+    await this.saveTrackingState();
+
+    const summary = {
+      jobTitle: this.applicationData.jobTitle,
+      companyName: this.applicationData.companyName,
+      platformName: detection.platformName,
+      answerCount
+    };
+
+    const settings = await this.getSettings();
+    if (settings.autoSaveOnSubmit) {
+      const saved = await this.saveApplication({ autoSaved: true });
+      if (saved) return;
+      // Missing company/CV or a duplicate: fall back to asking
+    }
+
+    this.sidebarManager.showSaveConfirmation(summary);
+  }
+
+  // Merge the current values of detected question fields into userAnswers
+  snapshotAnswers() {
+    if (this.dataCollector) {
+      this.dataCollector.detectedQuestions.forEach(question => {
+        // A choice field's value is the option's, not what it says; the question keeps the labels
+        const value = question.optionElements || question.frameId !== undefined
+          ? (question.answer || '').trim()
+          : (question.inputElement?.value || '').trim();
+        if (value) {
+          this.applicationData.userAnswers.set(question.text, value);
+        }
+      });
+    }
+    return this.getSavePlan().saved.length;
+  }
+
+  async loadMinAnswerLength() {
+    const settings = await this.getSettings();
+    this.setMinAnswerLength(settings.minAnswerLength);
+  }
+
+  setMinAnswerLength(value) {
+    const minAnswerLength = Number(value);
+    this.minAnswerLength = value !== undefined && Number.isFinite(minAnswerLength) && minAnswerLength >= 0
+      ? minAnswerLength
+      : DEFAULT_MIN_ANSWER_LENGTH;
+  }
+
+  // An answer is saved when the user ticked it, or when it is long enough and not unticked
+  isIncludedInSave(questionText, answer) {
+    if (!answer) return false;
+    const selection = this.applicationData.saveSelections?.[questionText];
+    return selection !== undefined ? selection : answer.length >= this.minAnswerLength;
+  }
+
+  async setQuestionIncluded(questionText, included) {
+    this.applicationData.saveSelections = {
+      ...(this.applicationData.saveSelections || {}),
+      [questionText]: included
+    };
+    await this.saveTrackingState();
+  }
+
+  /**
+   * What a save would send, for the summary shown before saving
+   * Covers the questions on this page and answers captured on earlier pages.
+   * @returns {Object} - { saved: [{ text, answer }], skipped: [{ text, answer, reason }], empty: [{ text }] }
+   */
+  getSavePlan() {
+    const plan = { saved: [], skipped: [], empty: [] };
+    const texts = new Set([
+      ...this.applicationData.questions.map(question => question.text),
+      ...this.applicationData.userAnswers.keys()
+    ]);
+
+    texts.forEach(text => {
+      const question = this.applicationData.questions.find(q => q.text === text);
+      const answer = (this.applicationData.userAnswers.get(text) || question?.answer || '').trim();
+
+      if (!answer) {
+        plan.empty.push({ text });
+      } else if (this.isIncludedInSave(text, answer)) {
+        plan.saved.push({ text, answer });
+      } else {
+        const reason = this.applicationData.saveSelections?.[text] === false
+          ? 'unticked'
+          : `shorter than ${this.minAnswerLength} characters`;
+        plan.skipped.push({ text, answer, reason });
+      }
+    });
+
+    return plan;
+  }
+
+  async getSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      return response?.success ? response.data : {};
+    } catch (error) {
+      console.warn('Job Lander: Could not load settings:', error);
+      return {};
+    }
+  }
+
+  async updateSettings(changes) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', data: changes });
+    } catch (error) {
+      console.warn('Job Lander: Could not update settings:', error);
     }
   }
 
@@ -403,16 +821,75 @@ class ApplicationTracker {
   }
 
   updateQuestionAnswer(questionId, answer) {
-    // Only store answers with 100 or more characters
-    if (answer.length >= 100) {
-      const question = this.applicationData.questions.find(q => q.id === questionId);
-      if (question) {
-        this.applicationData.userAnswers.set(question.text, answer);
-        console.log('Job Lander: Captured answer for question:', question.text.substring(0, 50) + '...');
-      }
+    // Every answer is kept; the save summary decides which are sent (see getSavePlan)
+    const question = this.applicationData.questions.find(q => q.id === questionId);
+    if (!question) return;
+
+    if (answer && answer.trim()) {
+      this.applicationData.userAnswers.set(question.text, answer);
+      console.log('Job Lander: Captured answer for question:', question.text.substring(0, 50) + '...');
+    } else {
+      this.applicationData.userAnswers.delete(question.text);
     }
   }
 
+  /**
+   * Type, difficulty and tags a question is saved with: the user's or the AI's choice if
+   * there is one, otherwise the classifier's rules
+   * @returns {Object} - { type, difficulty, tags, source: 'rules' | 'ai' | 'user' }
+   */
+  getQuestionClassification(questionText, answer = '') {
+    const stored = this.applicationData.questionClassifications?.[questionText];
+    if (stored) return stored;
+
+    if (!this.questionClassifier) {
+      return { type: 'General', difficulty: 3, tags: [], source: 'rules' };
+    }
+    const question = this.applicationData.questions.find(q => q.text === questionText);
+    return this.questionClassifier.classify(questionText, {
+      answer: answer || this.applicationData.userAnswers.get(questionText) || question?.answer || '',
+      jobDescription: this.applicationData.description,
+      kind: question?.kind || null
+    });
+  }
+
+  async updateQuestionClassification(questionText, changes) {
+    const current = this.getQuestionClassification(questionText);
+    this.applicationData.questionClassifications = {
+      ...(this.applicationData.questionClassifications || {}),
+      [questionText]: { ...current, ...changes, source: 'user' }
+    };
+    await this.saveTrackingState();
+  }
+
+  /**
+   * Let the backend AI refine the classification of every question that will be saved, except
+   * the ones the user already adjusted. Questions it can't classify keep their rule-based result.
+   * @returns {Object} - { classified, total }: how many of the questions the AI classified
+   */
+  async classifyQuestionsWithAI() {
+    if (!this.questionClassifier) return { classified: 0, total: 0 };
+
+    const classifications = this.applicationData.questionClassifications || {};
+    const items = Array.from(this.applicationData.userAnswers.entries())
+      .filter(([text, answer]) => this.isIncludedInSave(text, answer) && classifications[text]?.source !== 'user')
+      .map(([text, answer]) => ({ text, answer, classification: this.getQuestionClassification(text, answer) }));
+    if (items.length === 0) return { classified: 0, total: 0 };
+
+    const results = await this.questionClassifier.classifyWithAI(items, this.applicationData.description || '');
+    const updated = { ...classifications };
+    let classified = 0;
+    results.forEach((result, i) => {
+      if (result.source !== 'ai') return;
+      updated[items[i].text] = result;
+      classified++;
+    });
+
+    this.applicationData.questionClassifications = updated;
+    await this.saveTrackingState();
+    return { classified, total: items.length };
+  }
+
   async updateCompanySelection(companyId) {
     this.applicationData.companyId = companyId;
     console.log('Job Lander: Company selected:', companyId);
@@ -427,6 +904,13 @@ class ApplicationTracker {
     await this.saveTrackingState();
   }
 
+  async updateCoverLetterSelection(documentId) {
+    this.applicationData.coverLetterId = documentId || null;
+    console.log('Job Lander: Cover letter selected:', documentId);
+    // Save updated state
+    await this.saveTrackingState();
+  }
+
   showErrorNotification(message) {
     // Simple error notification
     const notification = document.createElement('div');
@@ -454,11 +938,17 @@ class ApplicationTracker {
   }
 }
 
-// Initialize when page loads
+// Initialize when page loads; other frames only report their form to the top frame
+function startJobLander() {
+  if (window !== window.top) {
+    window.jobLanderFrameAgent = window.FrameBridge ? FrameBridge.startAgent() : null;
+    return;
+  }
+  window.jobLanderTracker = new ApplicationTracker();
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    window.jobLanderTracker = new ApplicationTracker();
-  });
+  document.addEventListener('DOMContentLoaded', startJobLander);
 } else {
-  window.jobLanderTracker = new ApplicationTracker();
+  startJobLander();
 }
@@ -1,15 +1,23 @@
 // AutoFill Manager - Orchestrates AI-powered form auto-fill
+
+// Fill attempts per question, counting corrected answers and fallback adapters
+const AUTO_FILL_MAX_ATTEMPTS = 4;
+
 class AutoFillManager {
   constructor(tracker) {
     this.tracker = tracker;
     this.inputAdapter = null; // Will be initialized when needed
     this.eventTrigger = null; // Will be initialized when needed
+    this.profileClassifier = null; // Will be initialized when needed
     this.isRunning = false;
     this.cancelRequested = false;
     this.progressCallback = null;
     this.currentQuestionIndex = 0;
     this.totalQuestions = 0;
     this.results = [];
+    this.reviewDecisions = [];
+    this.answerStream = null; // Open answer stream, cancelled with the run
+    this.jobData = null; // Current run's job, for answers re-asked after a validation error
   }
 
   /**
@@ -22,6 +30,16 @@ class AutoFillManager {
     if (!this.eventTrigger && window.EventTriggerManager) {
       this.eventTrigger = new EventTriggerManager();
     }
+    if (!this.valueCoercer && window.ValueCoercer) {
+      this.valueCoercer = new ValueCoercer();
+    }
+    if (!this.profileClassifier && window.ProfileFieldClassifier) {
+      // Reuse the question detector's label lookup, which knows more page layouts
+      this.profileClassifier = new ProfileFieldClassifier((element) =>
+        this.tracker?.dataCollector?.extractQuestionFromInput(element)?.text ||
+        this.profileClassifier.findLabel(element)
+      );
+    }
   }
 
   /**
@@ -29,9 +47,13 @@ class AutoFillManager {
    * @param {Array} questions - Array of detected questions
    * @param {Object} jobData - Job description and metadata
    * @param {Function} progressCallback - Callback for progress updates
+   * @param {Function} [reviewCallback] - When given, answers are shown for review first:
+   *   called with (items, { regenerate, onAnswer }) as soon as generation starts; each
+   *   item's answer is null until onAnswer delivers it. Resolves with one decision per
+   *   item, or null when the review is cancelled. Only accepted answers are filled.
    * @returns {Object} - Completion report
    */
-  async startAutoFill(questions, jobData, progressCallback) {
+  async startAutoFill(questions, jobData, progressCallback, reviewCallback = null) {
     if (this.isRunning) {
       console.warn('Job Lander: Auto-fill already in progress');
       return { success: false, error: 'Auto-fill already running' };
@@ -46,9 +68,11 @@ class AutoFillManager {
     this.isRunning = true;
     this.cancelRequested = false;
     this.progressCallback = progressCallback;
+    this.jobData = jobData;
     this.currentQuestionIndex = 0;
     this.totalQuestions = questions.length;
     this.results = [];
+    this.reviewDecisions = [];
 
     // Initialize adapters
     this.initializeAdapters();
@@ -71,9 +95,10 @@ class AutoFillManager {
       }
 
       // Step 3: Filter questions that need answers (only completely empty ones)
+      // Upload fields take the selected CV or cover letter, not an answer (see FileUploadManager)
       const questionsToFill = questions.filter(q => {
         const currentAnswer = q.answer || '';
-        return currentAnswer.length === 0; // Only fill if completely empty
+        return currentAnswer.length === 0 && q.kind !== 'file'; // Only fill if completely empty
       });
 
       if (questionsToFill.length === 0) {
@@ -90,42 +115,66 @@ class AutoFillManager {
       this.totalQuestions = questionsToFill.length;
       this.updateProgress(0, `Processing ${questionsToFill.length} questions...`);
 
-      // Step 4: Request answers from API
-      const answers = await this.getAIAnswersBatch(
-        questionsToFill, 
-        jobData.description || '', 
-        userId
-      );
+      // Step 4: Reuse answers from earlier steps and the library; only the rest need the AI
+      const libraryMatches = this.addSessionAnswers(questionsToFill, await this.getLibraryMatches(questionsToFill));
+      const aiQuestions = questionsToFill.filter(q => !libraryMatches[q.id]?.autoFill);
 
-      if (!answers.success) {
-        return this.handleError('Failed to get AI answers: ' + answers.error);
-      }
+      // Step 5: Stream AI answers as they are generated
+      const stream = this.streamAIAnswers(aiQuestions, jobData.description || '');
 
-      // Step 5: Fill each question
-      for (let i = 0; i < questionsToFill.length; i++) {
-        if (this.cancelRequested) {
-          console.log('Job Lander: Auto-fill cancelled by user');
-          break;
+      if (reviewCallback) {
+        // Step 6: Let the user approve answers before anything is written to the page
+        const approved = await this.reviewAnswers(questionsToFill, libraryMatches, stream, jobData, reviewCallback);
+        if (!approved) {
+          this.cancelRequested = true;
+          return this.generateReport();
         }
+        this.totalQuestions = approved.length;
 
-        const question = questionsToFill[i];
-        const answer = answers.data[i];
+        // Step 7: Fill the approved answers
+        for (let i = 0; i < approved.length; i++) {
+          if (this.cancelRequested) {
+            console.log('Job Lander: Auto-fill cancelled by user');
+            break;
+          }
 
-        this.currentQuestionIndex = i + 1;
-        this.updateProgress(
-          (i / questionsToFill.length) * 100,
-          `Filling question ${i + 1} of ${questionsToFill.length}...`
-        );
+          const { question, answer, source } = approved[i];
+
+          this.currentQuestionIndex = i + 1;
+          this.updateProgress(
+            (i / approved.length) * 100,
+            `Filling question ${i + 1} of ${approved.length}...`
+          );
 
-        // Fill the question
-        const result = await this.fillQuestion(question, answer);
-        this.results.push(result);
+          await this.fillAndRecord(question, answer, {
+            source,
+            libraryKey: libraryMatches[question.id]?.key,
+            decision: this.reviewDecisions.find(d => d.questionId === question.id)?.decision || null
+          });
+        }
+      } else {
+        // Steps 6-7: Fill library answers, then each AI answer as soon as it arrives
+        const libraryQuestions = questionsToFill.filter(q => libraryMatches[q.id]?.autoFill);
+        for (let i = 0; i < libraryQuestions.length && !this.cancelRequested; i++) {
+          const question = libraryQuestions[i];
+          this.currentQuestionIndex = i + 1;
+          this.updateProgress(
+            (i / questionsToFill.length) * 100,
+            `Filling question ${i + 1} of ${questionsToFill.length} from saved answers...`
+          );
+          await this.fillAndRecord(question, libraryMatches[question.id].answer, {
+            source: libraryMatches[question.id].source || 'library',
+            libraryKey: libraryMatches[question.id].key
+          });
+        }
 
-        // Small delay between fills to avoid overwhelming the page
-        await this.sleep(300);
+        const streamResult = await this.fillAsAnswersArrive(aiQuestions, stream, libraryQuestions.length);
+        if (!streamResult.success) {
+          return this.handleError('Failed to get AI answers: ' + streamResult.error);
+        }
       }
 
-      // Step 6: Generate completion report
+      // Step 8: Generate completion report
       return this.generateReport();
 
     } catch (error) {
@@ -137,11 +186,332 @@ class AutoFillManager {
     }
   }
 
+  /**
+   * Fill answers one at a time in the order they arrive
+   * Fills stay sequential (each one scrolls and fires events) while generation runs ahead.
+   * @param {Number} alreadyFilled - Questions filled before the stream (from the library)
+   */
+  async fillAsAnswersArrive(questions, stream, alreadyFilled = 0) {
+    const total = questions.length + alreadyFilled;
+    let started = alreadyFilled;
+    let fillChain = Promise.resolve();
+
+    if (questions.length > 0) {
+      this.updateProgress((started / total) * 100, `Generating answers for ${questions.length} questions...`);
+    }
+
+    stream.onAnswer((question, answer) => {
+      fillChain = fillChain.then(async () => {
+        if (this.cancelRequested) return;
+
+        started++;
+        this.currentQuestionIndex = started;
+        this.updateProgress(
+          ((started - 1) / total) * 100,
+          `Filling question ${started} of ${total}...`
+        );
+
+        if (!answer) {
+          this.results.push({
+            questionId: question.id,
+            questionText: question.text,
+            success: false,
+            error: 'No answer generated',
+            source: 'ai'
+          });
+          return;
+        }
+
+        await this.fillAndRecord(question, answer, { source: 'ai' });
+      });
+    });
+
+    try {
+      await stream.done;
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      await fillChain;
+    }
+  }
+
+  /**
+   * Fill one question and add the outcome to the report
+   * @param {Object} meta - { source: 'ai' | 'library' | 'session', libraryKey, decision }
+   */
+  async fillAndRecord(question, answer, { source = 'ai', libraryKey = null, decision = null } = {}) {
+    const result = await this.fillQuestion(question, answer);
+    // Shown under the question in the sidebar, e.g. "Could not read a date from ..."
+    question.fillError = result.success ? null : result.error;
+    question.fillCorrection = result.success ? result.correction || null : null;
+    result.source = source;
+    result.decision = decision;
+    this.results.push(result);
+
+    if (result.success) {
+      this.rememberAnswer(question, result.answer || answer);
+    }
+
+    if (result.success && source === 'library' && libraryKey) {
+      chrome.runtime.sendMessage({ type: 'ANSWER_LIBRARY_RECORD_USE', data: { key: libraryKey } })
+        .catch(() => {});
+    }
+
+    // Small delay between fills to avoid overwhelming the page
+    await this.sleep(300);
+    return result;
+  }
+
+  /**
+   * Look up stored answers for the questions
+   * @returns {Object} - { [questionId]: { key, question, answer, score, autoFill } }
+   */
+  async getLibraryMatches(questions) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ANSWER_LIBRARY_MATCH',
+        data: { questions: questions.map(q => ({ id: q.id, text: q.text })) }
+      });
+      const matches = response?.success ? response.data || {} : {};
+      console.log('Job Lander: Answer library matched', Object.keys(matches).length, 'of', questions.length, 'questions');
+      return matches;
+    } catch (error) {
+      console.warn('Job Lander: Answer library unavailable:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Answers given earlier in this application (e.g. on a previous wizard step) win over the
+   * library. They live in the tracking state, so they survive page loads between steps.
+   * @returns {Object} - libraryMatches with session answers added as { answer, autoFill, source: 'session' }
+   */
+  addSessionAnswers(questions, libraryMatches) {
+    const sessionAnswers = this.tracker?.applicationData?.sessionAnswers || {};
+    const matches = { ...libraryMatches };
+
+    questions.forEach(question => {
+      const answer = sessionAnswers[this.sessionKey(question)];
+      if (answer) {
+        matches[question.id] = { key: null, question: question.text, answer, score: 1, autoFill: true, source: 'session' };
+      }
+    });
+    return matches;
+  }
+
+  rememberAnswer(question, answer) {
+    const applicationData = this.tracker?.applicationData;
+    if (!applicationData) return;
+
+    applicationData.sessionAnswers = applicationData.sessionAnswers || {};
+    applicationData.sessionAnswers[this.sessionKey(question)] = answer;
+  }
+
+  // Each employment entry asks "Job title" again, with a different answer
+  sessionKey(question) {
+    const key = question.normalizedText || question.text;
+    return question.entryIndex ? `${key}#${question.entryIndex}` : key;
+  }
+
+  /**
+   * Hand answers to the reviewer as they are generated and keep the approved ones
+   * Strong library matches start out filled in; weaker ones ride along as suggestions.
+   * @returns {Array|null} - Approved [{ question, answer, source }], or null if the review was cancelled
+   */
+  async reviewAnswers(questions, libraryMatches, stream, jobData, reviewCallback) {
+    const items = questions.map(question => {
+      const match = libraryMatches[question.id];
+      return {
+        questionId: question.id,
+        questionText: question.text,
+        options: question.options || null,
+        choiceType: question.choiceType || null,
+        kind: question.kind || null,
+        maxLength: question.maxLength || null,
+        answer: match?.autoFill ? match.answer : null, // AI answers arrive through onAnswer
+        source: match?.autoFill ? match.source || 'library' : 'ai',
+        suggestion: match && !match.autoFill
+          ? { question: match.question, answer: match.answer, score: match.score }
+          : null
+      };
+    });
+
+    this.updateProgress(0, `Review ${items.length} answers before filling`);
+
+    // Generation errors show up as empty answers; the run itself continues
+    stream.done.catch(error => console.warn('Job Lander: Answer stream failed:', error.message));
+
+    const decisions = await reviewCallback(items, {
+      regenerate: (item) => this.regenerateAnswer(item, jobData),
+      onAnswer: (listener) => stream.onAnswer((question, answer) => {
+        listener(items.findIndex(item => item.questionId === question.id), answer);
+      })
+    });
+
+    // Anything still generating is no longer needed
+    stream.cancel();
+
+    if (!decisions || this.cancelRequested) {
+      console.log('Job Lander: Answer review cancelled');
+      return null;
+    }
+
+    // decision: 'accepted' | 'edited' | 'skipped'; source: 'ai' | 'library' | 'session'
+    this.reviewDecisions = items.map((item, i) => {
+      const decision = decisions[i] || {};
+      const answer = (decision.answer || '').trim();
+      const approved = ['accepted', 'edited'].includes(decision.decision) && answer.length > 0;
+      return {
+        questionId: item.questionId,
+        questionText: item.questionText,
+        decision: approved ? decision.decision : 'skipped',
+        answer: approved ? answer : '',
+        source: decision.source || item.source,
+        regenerations: decision.regenerations || 0
+      };
+    });
+
+    return questions
+      .map((question, i) => ({
+        question,
+        answer: this.reviewDecisions[i].answer,
+        source: this.reviewDecisions[i].source
+      }))
+      .filter((entry, i) => this.reviewDecisions[i].decision !== 'skipped');
+  }
+
+  /**
+   * Ask for a fresh answer to one question during review
+   * @returns {String} - New answer ('' when none could be generated)
+   */
+  async regenerateAnswer(item, jobData) {
+    const prompt = this.buildQuestionPrompt({
+      text: item.questionText,
+      options: item.options,
+      choiceType: item.choiceType,
+      kind: item.kind,
+      maxLength: item.maxLength
+    });
+    const result = await this.getAIAnswer(prompt, jobData?.description || '');
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.answer || '';
+  }
+
+  /**
+   * Fill standard fields (name, email, phone, links, address) from the user's profile
+   * Runs separately from AI answers and only touches empty fields that have a profile value.
+   * @returns {Object} - Completion report
+   */
+  async fillProfileFields() {
+    if (this.isRunning) {
+      console.warn('Job Lander: Auto-fill already in progress');
+      return { success: false, error: 'Auto-fill already running' };
+    }
+
+    this.initializeAdapters();
+    if (!this.inputAdapter || !this.eventTrigger || !this.profileClassifier) {
+      return { success: false, error: 'Required adapters not loaded' };
+    }
+
+    this.isRunning = true;
+    try {
+      const profile = await this.getProfile();
+      if (!profile || !Object.values(profile).some(Boolean)) {
+        return { success: false, error: 'Your profile is empty. Fill it in from the extension popup.' };
+      }
+
+      const fields = this.profileClassifier.findFields();
+      console.log('Job Lander: Found', fields.length, 'profile fields');
+
+      const details = [];
+      for (const field of fields) {
+        const value = profile[field.key];
+        const detail = { key: field.key, label: field.label, source: field.source, success: false, skipped: false, error: null };
+        details.push(detail);
+
+        if (!value) {
+          detail.skipped = true;
+          detail.error = 'No profile value';
+          continue;
+        }
+        if (this.hasValue(field.element)) {
+          detail.skipped = true;
+          detail.error = 'Already filled';
+          continue;
+        }
+
+        const inputType = this.inputAdapter.detectInputType(field.element);
+        const fillResult = await this.inputAdapter.fillInput(field.element, value, inputType);
+        if (fillResult.success) {
+          await this.eventTrigger.triggerInputEvents(field.element, { inputType });
+        }
+        detail.success = fillResult.success;
+        detail.error = fillResult.error || null;
+        detail.lowConfidence = !!fillResult.lowConfidence;
+
+        await this.sleep(100);
+      }
+
+      // Forms embedded from another site (Greenhouse, Lever) are filled by their own frame
+      if (this.tracker?.frameBridge) {
+        const frameReports = await this.tracker.frameBridge.fillProfileInFrames();
+        frameReports.forEach(frameReport => details.push(...(frameReport.details || [])));
+      }
+
+      const filled = details.filter(d => d.success).length;
+      const uncertain = details.filter(d => d.success && d.lowConfidence);
+      const report = {
+        success: true,
+        filled,
+        skipped: details.filter(d => d.skipped).length,
+        failed: details.filter(d => !d.success && !d.skipped).length,
+        message: details.length === 0
+          ? 'No contact fields found on this page'
+          : `Filled ${filled} profile field${filled === 1 ? '' : 's'}.`
+            + (uncertain.length ? ` Please check: ${uncertain.map(d => d.label || d.key).join(', ')}.` : ''),
+        details
+      };
+
+      console.log('Job Lander: Profile fill report:', report);
+      return report;
+    } catch (error) {
+      console.error('Job Lander: Profile fill error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async getProfile() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PROFILE' });
+      return response?.success ? response.data : null;
+    } catch (error) {
+      console.error('Job Lander: Error loading profile:', error);
+      return null;
+    }
+  }
+
+  // Selects count as empty while the placeholder option is chosen
+  hasValue(element) {
+    if (element.tagName === 'SELECT') {
+      return element.selectedIndex > 0 && element.value !== '';
+    }
+    return (element.value || '').trim().length > 0;
+  }
+
   /**
    * Fill a single question
+   * When the value doesn't stick or the form shows a validation error, the answer is
+   * corrected (shortened to the limit, reformatted, or re-asked from the AI with the
+   * form's message) and retried, then retried with the next adapter, before the
+   * question is marked failed.
    * @param {Object} question - Question object with inputElement
    * @param {String} answer - AI-generated answer
-   * @returns {Object} - Result of fill operation
+   * @returns {Object} - Result of fill operation; answer and correction when the answer was changed
    */
   async fillQuestion(question, answer) {
     const result = {
@@ -152,10 +522,16 @@ class AutoFillManager {
     };
 
     try {
+      // Questions from a cross-origin frame are filled by that frame's content script
+      if (question.frameId !== undefined && question.frameId !== null) {
+        return await this.fillInFrame(question, answer);
+      }
+
       // Find the input element
       const inputElement = question.inputElement;
       
-      if (!inputElement || !document.body.contains(inputElement)) {
+      // isConnected rather than document.body.contains: shadow DOM and frame fields count too
+      if (!inputElement || !inputElement.isConnected) {
         result.error = 'Input element not found or removed from DOM';
         return result;
       }
@@ -164,34 +540,81 @@ class AutoFillManager {
       inputElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
       await this.sleep(200);
 
-      // Detect input type
-      const inputType = this.inputAdapter.detectInputType(inputElement);
-      console.log('Job Lander: Detected input type:', inputType, 'for question:', question.text.substring(0, 50));
+      // Multi-part questions (an address block) take one line of the answer per field
+      const parts = question.parts || [];
+      const lines = parts.length > 0 ? answer.split(/\n+/).map(line => line.trim()).filter(Boolean) : [answer];
 
-      // Fill the input
-      const fillResult = await this.inputAdapter.fillInput(inputElement, answer, inputType);
-      
-      if (!fillResult.success) {
-        result.error = fillResult.error;
+      // Detect input type from the field and the question's kind; the fallbacks are tried
+      // when its value doesn't stick
+      const detectedType = this.inputAdapter.detectInputType(inputElement, question.kind);
+      const strategies = [detectedType, ...this.inputAdapter.getFallbackTypes(detectedType)];
+      console.log('Job Lander: Detected input type:', detectedType, 'for question:', question.text.substring(0, 50));
+
+      let value = lines[0] || answer;
+      let strategy = 0;
+      let attempt = null;
+      const corrections = [];
+      const correctionState = { askedAI: false };
+
+      for (let i = 0; i < AUTO_FILL_MAX_ATTEMPTS; i++) {
+        attempt = await this.attemptFill(inputElement, value, strategies[strategy]);
+        if (!attempt.error) break;
+
+        console.log('Job Lander: Fill attempt', i + 1, 'failed:', attempt.error);
+
+        const correction = attempt.validation
+          ? await this.correctAnswer(question, value, inputElement, attempt.validation, correctionState)
+          : null;
+        if (correction && correction.value && correction.value !== value) {
+          value = correction.value;
+          corrections.push(correction.note);
+        } else if (strategy + 1 < strategies.length) {
+          strategy++;
+        } else {
+          break;
+        }
+      }
+
+      if (attempt.error) {
+        result.error = attempt.error;
         return result;
       }
 
-      // Trigger events
-      await this.eventTrigger.triggerInputEvents(inputElement, { inputType });
+      const fillResult = attempt.fillResult;
 
-      // Wait for validation
-      await this.eventTrigger.waitForValidation(inputElement, 500);
+      // Choice questions report the option picked and typed inputs the converted value,
+      // not the free-text answer
+      const filledAnswer = fillResult.selected
+        ? fillResult.selected.join(', ')
+        : fillResult.value || value;
+      if (fillResult.selected) {
+        result.selectedOptions = fillResult.selected;
+      }
 
-      // Verify the value was set
-      const verifyResult = this.verifyValueSet(inputElement, answer);
-      if (!verifyResult.success) {
-        result.error = 'Value verification failed: ' + verifyResult.error;
-        return result;
+      if (corrections.length > 0) {
+        result.answer = value;
+        result.correction = corrections.join('; ');
+      }
+
+      // Fuzzy option picks are kept but flagged for the user to check
+      if (fillResult.confidence !== undefined) {
+        result.confidence = fillResult.confidence;
+        result.lowConfidence = !!fillResult.lowConfidence;
+        question.lowConfidenceMatch = fillResult.lowConfidence
+          ? { selected: filledAnswer, confidence: fillResult.confidence }
+          : null;
+      }
+
+      if (parts.length > 0 && lines.length > 1) {
+        const failedParts = await this.fillParts(parts, lines.slice(1));
+        if (failedParts.length > 0) {
+          result.failedParts = failedParts;
+        }
       }
 
       // Update the question's answer in the tracker
       if (this.tracker && this.tracker.dataCollector) {
-        this.tracker.dataCollector.updateQuestionAnswer(question.id, answer);
+        this.tracker.dataCollector.updateQuestionAnswer(question.id, lines.length > 1 ? lines.join('\n') : filledAnswer);
       }
 
       result.success = true;
@@ -206,38 +629,334 @@ class AutoFillManager {
   }
 
   /**
-   * Get AI answers from backend
-   * Background script will call the API for each question
+   * Fill the other fields of a multi-part question, one answer line each
+   * @returns {Array} - Labels of the parts that could not be filled
    */
-  async getAIAnswersBatch(questions, jobDescription, userId) {
-    try {
-      console.log('Job Lander: Requesting AI answers for', questions.length, 'questions');
+  async fillParts(parts, lines) {
+    const failed = [];
+    for (let i = 0; i < parts.length && i < lines.length; i++) {
+      const element = parts[i].element;
+      if (!element || !element.isConnected) {
+        failed.push(parts[i].label);
+        continue;
+      }
+      const attempt = await this.attemptFill(element, lines[i], this.inputAdapter.detectInputType(element));
+      if (attempt.error) {
+        console.log('Job Lander: Could not fill part', parts[i].label, attempt.error);
+        failed.push(parts[i].label);
+      }
+    }
+    return failed;
+  }
 
-      const response = await chrome.runtime.sendMessage({
-        type: 'AUTO_FILL_GET_ANSWERS_BATCH',
-        data: {
-          userId: userId,
-          questions: questions.map(q => q.text),
-          jobDescription: jobDescription
+  /**
+   * Fill a question through the content script of the frame it lives in
+   */
+  async fillInFrame(question, answer) {
+    if (!this.tracker?.frameBridge) {
+      return { questionId: question.id, questionText: question.text, success: false, error: 'Form frame not connected' };
+    }
+
+    const result = await this.tracker.frameBridge.fillQuestion(question, answer, this.jobData?.description || '');
+    if (result.success) {
+      const filledAnswer = result.filledAnswer || result.answer || answer;
+      if (result.confidence !== undefined) {
+        question.lowConfidenceMatch = result.lowConfidence
+          ? { selected: filledAnswer, confidence: result.confidence }
+          : null;
+      }
+      this.tracker.dataCollector?.updateQuestionAnswer(question.id, filledAnswer);
+    }
+    return result;
+  }
+
+  /**
+   * Write a value with one adapter and read back what the form made of it
+   * @returns {Object} - { fillResult, validation, error } - error is null when the value
+   *   stuck and the form shows no new message; validation is set when a correction may help
+   */
+  async attemptFill(inputElement, value, inputType) {
+    const baseline = this.eventTrigger.getValidationState(inputElement);
+
+    const fillResult = await this.inputAdapter.fillInput(inputElement, value, inputType);
+    if (!fillResult.success) {
+      return { fillResult, validation: null, error: fillResult.error };
+    }
+
+    // Trigger events (choice groups were clicked, which already fired real events)
+    if (inputType !== 'choiceGroup') {
+      await this.eventTrigger.triggerInputEvents(inputElement, { inputType });
+    }
+
+    // Wait for validation
+    const validation = await this.eventTrigger.waitForValidation(inputElement, 500, baseline);
+
+    // Picked options are checked by their adapter; the field's own messages don't apply
+    if (fillResult.selected) {
+      return { fillResult, validation: null, error: null };
+    }
+
+    // Verify the value was set; typed adapters check their own result
+    if (!fillResult.verified) {
+      const verifyResult = this.verifyValueSet(inputElement, value);
+      if (!verifyResult.success) {
+        // A value the page cut short tells the limit even without maxlength
+        if (verifyResult.truncatedTo) {
+          validation.maxLength = validation.maxLength || verifyResult.truncatedTo;
+          validation.overLimit = true;
         }
-      });
+        return {
+          fillResult,
+          validation: verifyResult.truncatedTo ? validation : null,
+          error: 'Value verification failed: ' + verifyResult.error
+        };
+      }
+    }
+
+    if (validation.invalid) {
+      const reason = validation.messages[0] ||
+        (validation.overLimit ? `Answer is longer than the ${validation.maxLength}-character limit` : 'The form marked the answer as invalid');
+      return { fillResult, validation, error: 'The form rejected the answer: ' + reason };
+    }
+
+    return { fillResult, validation, error: null };
+  }
+
+  /**
+   * A new answer that may pass the form's validation
+   * Tries, in order: shortening to the character limit, reformatting to the field's type or
+   * pattern, then asking the AI again with the form's message (once per question).
+   * @param {Object} state - { askedAI }, shared across one question's attempts
+   * @returns {Object|null} - { value, note }
+   */
+  async correctAnswer(question, value, element, validation, state) {
+    if (validation.overLimit && validation.maxLength) {
+      // Far too long: a rewritten answer reads better than a cut one
+      if (!state.askedAI && value.length > validation.maxLength * 1.5) {
+        const rewritten = await this.reaskAI(question, value, validation, state);
+        if (rewritten) return rewritten;
+      }
+      const shortened = this.valueCoercer?.fitLength(value, validation.maxLength);
+      if (shortened && shortened !== value) {
+        return { value: shortened, note: `Shortened to the ${validation.maxLength}-character limit` };
+      }
+    }
+
+    if (validation.formatError) {
+      const reformatted = this.reformatAnswer(value, element, validation);
+      if (reformatted && reformatted !== value) {
+        return { value: reformatted, note: 'Reformatted for the field' };
+      }
+    }
+
+    if (!state.askedAI && (validation.messages.length > 0 || validation.maxLength)) {
+      return this.reaskAI(question, value, validation, state);
+    }
 
-      if (response && response.success && response.data) {
-        console.log('Job Lander: Received', response.data.length, 'AI answers');
-        return { success: true, data: response.data };
+    return null;
+  }
+
+  /**
+   * Pull the part of an answer the field's type or pattern accepts
+   * ("My email is jane@x.com" -> "jane@x.com", "linkedin.com/in/jane" -> "https://linkedin.com/in/jane")
+   */
+  reformatAnswer(value, element, validation) {
+    const text = value.trim();
+    const messages = validation.messages.join(' ');
+    const candidates = [];
+
+    if (element.type === 'email' || /e-?mail/i.test(messages)) {
+      candidates.push(text.match(/[^\s@<>(),;:]+@[^\s@<>(),;:]+\.[a-z]{2,}/i)?.[0]);
+    }
+    if (element.type === 'url' || /\b(url|link|website)\b/i.test(messages)) {
+      const url = text.match(/https?:\/\/\S+/i)?.[0] || text.match(/\b(?:www\.)?[a-z0-9-]+\.[a-z]{2,}\S*/i)?.[0];
+      candidates.push(url && !/^https?:/i.test(url) ? `https://${url}` : url);
+    }
+    if (element.type === 'tel' || /phone/i.test(messages)) {
+      candidates.push(text.replace(/[^\d+]/g, ''));
+    }
+    if (/\b(number|numeric|digits?)\b/i.test(messages)) {
+      const number = this.valueCoercer?.parseNumber(text);
+      if (number !== null && number !== undefined) candidates.push(String(number));
+      candidates.push(text.replace(/\D/g, ''));
+    }
+
+    // The pattern attribute decides between the generic cleanups
+    const pattern = element.getAttribute?.('pattern');
+    if (pattern) {
+      candidates.push(text.replace(/\s+/g, ' '), text.replace(/\s+/g, ''), text.replace(/\D/g, ''), text.replace(/[^a-z0-9]/gi, ''));
+      try {
+        const regex = new RegExp(`^(?:${pattern})$`, 'u');
+        return candidates.find(candidate => candidate && regex.test(candidate)) || null;
+      } catch (error) {
+        // Invalid pattern: fall through to the first candidate
+      }
+    }
+
+    return candidates.find(Boolean) || null;
+  }
+
+  /**
+   * Ask the AI again, telling it what the form said about the last answer
+   * @returns {Object|null} - { value, note }
+   */
+  async reaskAI(question, value, validation, state) {
+    state.askedAI = true;
+    if (question.options && question.options.length > 0) return null;
+
+    const constraints = [];
+    if (validation.messages.length > 0) {
+      constraints.push(`The form rejected the answer "${value.substring(0, 200)}" with: ${validation.messages.join(' ')}`);
+    }
+    if (validation.maxLength) {
+      constraints.push(`Answer in at most ${validation.maxLength} characters.`);
+    }
+    if (constraints.length === 0) return null;
+
+    this.updateProgress(
+      this.totalQuestions ? (Math.max(0, this.currentQuestionIndex - 1) / this.totalQuestions) * 100 : 0,
+      'Fixing an answer the form rejected...'
+    );
+
+    const result = await this.getAIAnswer(`${this.buildQuestionPrompt(question)}\n${constraints.join('\n')}`, this.jobData?.description || '');
+    if (!result.success || !result.answer) return null;
+
+    const answer = validation.maxLength
+      ? this.valueCoercer?.fitLength(result.answer, validation.maxLength) || result.answer
+      : result.answer.trim();
+    return { value: answer, note: 'Rewritten to meet the form\'s requirements' };
+  }
+
+  /**
+   * Open an answer stream on the 'auto-fill-answers' port
+   * The background generates a few answers at a time and posts each one as it finishes.
+   * @returns {Object} - { onAnswer(listener), done, cancel() }; listeners get (question, answer)
+   *   and answers that arrived before a listener was added are replayed to it
+   */
+  streamAIAnswers(questions, jobDescription) {
+    const answers = new Map();
+    const listeners = [];
+
+    // Everything came from the library
+    if (questions.length === 0) {
+      return { done: Promise.resolve(answers), onAnswer: () => {}, cancel: () => {} };
+    }
+
+    console.log('Job Lander: Streaming AI answers for', questions.length, 'questions');
+
+    let finished = false;
+    let cancelling = false;
+    let settle;
+    const done = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+
+    const port = chrome.runtime.connect({ name: 'auto-fill-answers' });
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      if (this.answerStream === stream) this.answerStream = null;
+      if (error) {
+        settle.reject(error);
       } else {
-        return { success: false, error: response?.error || 'Unknown error' };
+        settle.resolve(answers);
       }
-    } catch (error) {
-      console.error('Job Lander: Error getting AI answers:', error);
-      return { success: false, error: error.message };
+    };
+
+    port.onMessage.addListener((message) => {
+      switch (message.type) {
+        case 'ANSWER':
+          if (message.error) {
+            console.warn('Job Lander: No answer for question', message.index + 1, '-', message.error);
+          }
+          answers.set(questions[message.index], message.answer || '');
+          listeners.forEach(listener => listener(questions[message.index], message.answer || ''));
+          break;
+        case 'DONE':
+          console.log('Job Lander: Received', answers.size, 'AI answers', message.cancelled ? '(cancelled)' : '');
+          port.disconnect();
+          finish();
+          break;
+        case 'ERROR':
+          port.disconnect();
+          finish(new Error(message.error || 'Unknown error'));
+          break;
+      }
+    });
+
+    // Only reached when the background goes away; after a cancel that just ends the stream
+    port.onDisconnect.addListener(() => {
+      finish(cancelling ? null : new Error('Answer stream closed unexpectedly'));
+    });
+
+    const stream = {
+      done,
+      onAnswer: (listener) => {
+        listeners.push(listener);
+        answers.forEach((answer, question) => listener(question, answer));
+      },
+      // The background stops generating and answers with DONE, which ends the stream
+      cancel: () => {
+        if (finished || cancelling) return;
+        cancelling = true;
+        port.postMessage({ type: 'CANCEL' });
+      }
+    };
+
+    this.answerStream = stream;
+    port.postMessage({
+      type: 'GENERATE',
+      questions: questions.map(q => this.buildQuestionPrompt(q)),
+      jobDescription: jobDescription
+    });
+
+    return stream;
+  }
+
+  /**
+   * The question as sent to the AI, with what its field accepts
+   * Choice questions carry their options so the answer can be matched to one; the kind
+   * (see DataCollector.describeField) decides the shape of everything else.
+   */
+  buildQuestionPrompt(question) {
+    // "Job title" means little without the entry it belongs to
+    const text = question.entryIndex && question.groupLabel ? `${question.groupLabel} - ${question.text}` : question.text;
+
+    if (question.options && question.options.length > 0) {
+      const multiple = question.kind ? question.kind === 'multi-choice' : question.choiceType === 'checkbox';
+      const instruction = question.options.length === 1
+        ? 'Answer Yes or No.'
+        : multiple
+          ? 'Answer with the options that apply, separated by commas.'
+          : 'Answer with exactly one of the options.';
+      return `${text}\nOptions: ${question.options.join(' | ')}\n${instruction}`;
+    }
+
+    if (question.kind === 'consent') return `${text}\nAnswer Yes or No.`;
+
+    // Date and number fields only take a value, not a sentence (frames report their type)
+    const inputType = question.inputElement
+      ? this.inputAdapter?.detectInputType(question.inputElement, question.kind)
+      : question.inputType;
+    if (question.kind === 'date' || inputType === 'date') return `${text}\nAnswer with a single date.`;
+    if (question.kind === 'numeric' || inputType === 'number') return `${text}\nAnswer with a single number.`;
+
+    const lines = [text];
+    if (question.parts && question.parts.length > 0) {
+      const labels = [question.text, ...question.parts.map(part => part.label || 'next field')];
+      lines.push(`Answer on ${labels.length} lines, one for each of: ${labels.join(' | ')}.`);
+    }
+    if (question.maxLength) {
+      lines.push(`Answer in at most ${question.maxLength} characters.`);
     }
+    return lines.join('\n');
   }
 
   /**
    * Get single AI answer (fallback - not typically used)
    */
-  async getAIAnswer(questionText, jobDescription, userId) {
+  async getAIAnswer(questionText, jobDescription) {
     try {
       const response = await chrome.runtime.sendMessage({
         type: 'AUTO_FILL_GET_ANSWER',
@@ -294,8 +1013,8 @@ class AutoFillManager {
       return { valid: false, error: 'Questions must be an array' };
     }
 
-    // Check if questions have input elements
-    const questionsWithInputs = questions.filter(q => q.inputElement);
+    // Check if questions have input elements; questions in cross-origin frames are filled by their frame
+    const questionsWithInputs = questions.filter(q => q.inputElement || (q.frameId !== undefined && q.frameId !== null));
     if (questionsWithInputs.length === 0) {
       return { valid: false, error: 'No input elements found for questions' };
     }
@@ -327,6 +1046,11 @@ class AutoFillManager {
         return { success: false, error: 'Value is empty' };
       }
 
+      // The page cut the value to its limit (maxlength enforced by the page's own script)
+      if (actualTrimmed.length < expectedTrimmed.length && expectedTrimmed.startsWith(actualTrimmed)) {
+        return { success: false, error: `Value was cut to ${actualValue.length} characters`, truncatedTo: actualValue.length };
+      }
+
       // Check if at least 80% of the expected value is present
       if (actualTrimmed.length >= expectedTrimmed.length * 0.8) {
         return { success: true };
@@ -358,6 +1082,7 @@ class AutoFillManager {
   cancel() {
     console.log('Job Lander: Auto-fill cancellation requested');
     this.cancelRequested = true;
+    this.answerStream?.cancel();
     this.updateProgress(100, 'Auto-fill cancelled');
   }
 
@@ -367,18 +1092,29 @@ class AutoFillManager {
   generateReport() {
     const successful = this.results.filter(r => r.success).length;
     const failed = this.results.filter(r => !r.success).length;
+    const skipped = this.reviewDecisions.filter(d => d.decision === 'skipped').length;
+    const fromLibrary = this.results.filter(r => r.success && r.source === 'library').length;
+    const needsReview = this.results.filter(r => r.success && r.lowConfidence);
+    const corrected = this.results.filter(r => r.success && r.correction).length;
     const cancelled = this.cancelRequested;
 
     const report = {
       success: true,
       filled: successful,
-      skipped: 0,
+      fromLibrary: fromLibrary,
+      skipped: skipped,
       failed: failed,
       cancelled: cancelled,
       message: cancelled 
         ? `Auto-fill cancelled. Filled ${successful} questions.`
-        : `Filled ${successful} of ${this.totalQuestions} questions.`,
-      details: this.results
+        : `Filled ${successful} of ${this.totalQuestions} questions.`
+          + (fromLibrary ? ` ${fromLibrary} from your answer library.` : '')
+          + (skipped ? ` Skipped ${skipped}.` : '')
+          + (corrected ? ` Adjusted ${corrected} answer${corrected === 1 ? '' : 's'} the form rejected.` : '')
+          + (needsReview.length ? ` Please check ${needsReview.length} uncertain option pick${needsReview.length === 1 ? '' : 's'}.` : ''),
+      needsReview: needsReview,
+      details: this.results,
+      review: this.reviewDecisions
     };
 
     console.log('Job Lander: Auto-fill report:', report);
@@ -419,7 +1155,8 @@ class AutoFillManager {
       cancelRequested: this.cancelRequested,
       currentQuestion: this.currentQuestionIndex,
       totalQuestions: this.totalQuestions,
-      results: this.results
+      results: this.results,
+      reviewDecisions: this.reviewDecisions
     };
   }
 }
@@ -0,0 +1,194 @@
+// Confirmation Detector - Recognizes "application submitted" screens on known ATS platforms
+
+// Per-ATS confirmation signatures. A page matches when its host matches and any of the URL
+// patterns, selectors or text patterns (searched inside `scope` when given) match.
+const CONFIRMATION_SIGNATURES = [
+  {
+    id: 'greenhouse',
+    name: 'Greenhouse',
+    hosts: ['greenhouse.io'],
+    urlPatterns: [/\/confirmation\/?$/i, /[?&]submitted=true/i],
+    selectors: ['#application_confirmation', '.application-confirmation', '[data-testid="confirmation-message"]'],
+    textPatterns: [/thank you for applying/i, /your application has been (submitted|received)/i]
+  },
+  {
+    id: 'lever',
+    name: 'Lever',
+    hosts: ['lever.co'],
+    urlPatterns: [/\/thanks\/?$/i],
+    selectors: ['[data-qa="msg-submit-success"]', '.application-confirmation', '.thanks-page'],
+    textPatterns: [/application submitted/i, /thanks for applying/i]
+  },
+  {
+    id: 'workday',
+    name: 'Workday',
+    hosts: ['myworkdayjobs.com', 'myworkdaysite.com'],
+    urlPatterns: [],
+    selectors: [
+      '[data-automation-id="congratulationsPopup"]',
+      '[data-automation-id="applicationSubmittedMessage"]',
+      '[data-automation-id="submittedApplicationMessage"]'
+    ],
+    textPatterns: [/application (was )?submitted/i, /you have successfully applied/i]
+  },
+  {
+    id: 'ashby',
+    name: 'Ashby',
+    hosts: ['ashbyhq.com'],
+    urlPatterns: [/\/application\/success/i],
+    selectors: ['[class*="ashby-application-form-success"]', '[data-testid="application-success"]'],
+    textPatterns: [/thanks for applying/i, /application (was )?(successfully )?submitted/i]
+  },
+  {
+    id: 'linkedin_easy_apply',
+    name: 'LinkedIn Easy Apply',
+    hosts: ['linkedin.com'],
+    urlPatterns: [/\/post-apply\//i],
+    // Only the Easy Apply modal counts; the feed is full of "applied" text
+    scope: '.jobs-easy-apply-modal, [data-test-modal-id="easy-apply-modal"], [data-test-modal-id="post-apply-modal"], .artdeco-modal',
+    selectors: ['[data-test-modal-id="post-apply-modal"]', '.jpac-modal-header'],
+    textPatterns: [/your application was sent/i, /application submitted/i]
+  },
+  {
+    id: 'indeed',
+    name: 'Indeed',
+    hosts: ['indeed.com'],
+    urlPatterns: [/\/post-apply/i, /\/postresumeapply/i],
+    selectors: ['[data-testid="ia-PostApply"]', '.ia-PostApply-header', '#ia-container .ia-PostApply'],
+    textPatterns: [/your application has been submitted/i, /application submitted/i]
+  }
+];
+
+class ConfirmationDetector {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.observer = null;
+    this.isMonitoring = false;
+    this.hasDetected = false;
+    this.submitObserved = false; // Generic rules are too loose to trust before a submit
+    this.checkTimeout = null;
+    this.signature = this.findSignature(window.location.hostname);
+  }
+
+  findSignature(hostname) {
+    const host = hostname.toLowerCase();
+    return CONFIRMATION_SIGNATURES.find(signature =>
+      signature.hosts.some(h => host === h || host.endsWith('.' + h))
+    ) || null;
+  }
+
+  startMonitoring() {
+    if (this.isMonitoring) return;
+    this.isMonitoring = true;
+
+    // Confirmation may already be showing (e.g. restored session on a thank-you page)
+    this.check();
+
+    this.observer = new MutationObserver(() => {
+      if (!this.isMonitoring || this.hasDetected) return;
+
+      // Debounce: confirmation screens usually render in several passes
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = setTimeout(() => this.check(), 500);
+    });
+
+    this.observer.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+
+    console.log('Job Lander: Confirmation detection started', this.signature ? `(${this.signature.name})` : '(generic)');
+  }
+
+  stopMonitoring() {
+    this.isMonitoring = false;
+    clearTimeout(this.checkTimeout);
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  // Allow another detection, e.g. after the user dismissed a false positive
+  reset() {
+    this.hasDetected = false;
+    this.submitObserved = false;
+  }
+
+  // Called when PageDetector sees a form submission land on a completion page
+  onSubmitObserved() {
+    this.submitObserved = true;
+    this.check();
+  }
+
+  /**
+   * Check the current page and notify the tracker once when a confirmation is found
+   * @returns {Object|null} - Detection result
+   */
+  check() {
+    if (!this.isMonitoring || this.hasDetected) return null;
+
+    const detection = this.detect();
+    if (detection) {
+      this.hasDetected = true;
+      console.log('Job Lander: Application submission detected', detection);
+      this.tracker.onApplicationSubmitted(detection);
+    }
+    return detection;
+  }
+
+  /**
+   * Match the page against the ATS signature, falling back to PageDetector's generic rules
+   * @returns {Object|null} - { platform, platformName, matchedBy, url }
+   */
+  detect(url = window.location.href) {
+    const signature = this.signature;
+
+    if (signature) {
+      const result = (matchedBy) => ({
+        platform: signature.id,
+        platformName: signature.name,
+        matchedBy,
+        url
+      });
+
+      if (signature.urlPatterns.some(pattern => pattern.test(url))) {
+        return result('url');
+      }
+
+      if (signature.selectors.some(selector => this.isVisible(document.querySelector(selector)))) {
+        return result('selector');
+      }
+
+      const scopes = signature.scope
+        ? Array.from(document.querySelectorAll(signature.scope)).filter(el => this.isVisible(el))
+        : [document.body];
+      const hasText = scopes.some(scope => {
+        const text = scope.innerText || scope.textContent || '';
+        return signature.textPatterns.some(pattern => pattern.test(text));
+      });
+      if (hasText) {
+        return result('text');
+      }
+
+      // Known platform without a match: don't let the loose generic rules guess
+      return null;
+    }
+
+    if (this.submitObserved && this.tracker.pageDetector?.detectPageType(url) === 'application_complete') {
+      return { platform: 'generic', platformName: 'Generic', matchedBy: 'page_type', url };
+    }
+
+    return null;
+  }
+
+  isVisible(element) {
+    if (!element) return false;
+    const style = window.getComputedStyle(element);
+    return style.display !== 'none' && style.visibility !== 'hidden' && element.getClientRects().length > 0;
+  }
+}
+
+// Make available globally
+window.ConfirmationDetector = ConfirmationDetector;
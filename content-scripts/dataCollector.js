@@ -1,4 +1,21 @@
 // Data Collector - Handles progressive data collection and question detection
+
+// Free-text questions that only make sense after the choice above them
+const QUESTION_FOLLOW_UP_PATTERN = /^(if (yes|no|so|other|applicable|you answered|not)\b|please (explain|specify|describe|elaborate|provide|list)\b|(explain|specify|details|other)\b)/i;
+
+// Checkboxes that record an agreement rather than pick from options
+const QUESTION_CONSENT_PATTERN = /\b(i (agree|consent|acknowledge|certify|confirm|understand|accept)|terms|privacy (policy|notice)|consent to)\b/i;
+
+// Labels that mark the field as required: "Email *", "Cover letter (required)"
+const QUESTION_REQUIRED_MARK = /\*\s*:?\s*$|\(required\)|\brequired\b\s*$/i;
+
+// Plain text inputs that expect a number or a date, going by their label
+const QUESTION_NUMERIC_LABEL = /\b(how many (years|months)|years of (professional |relevant |work )?experience|number of years)\b/i;
+const QUESTION_DATE_LABEL = /\b(start|availability|available|graduation|birth|end|earliest) date\b|\bdate of (birth|availability|graduation)\b/i;
+
+// Options a select lists before the real ones
+const QUESTION_PLACEHOLDER_OPTION = /^(select|choose|please select|--|-)\b|^\s*$/i;
+
 class DataCollector {
   constructor(tracker) {
     this.tracker = tracker;
@@ -8,6 +25,7 @@ class DataCollector {
     this.detectedQuestions = new Map(); // questionId -> question object
     this.questionIdCounter = 0;
     this.deletedQuestionLabels = new Set(); // Store labels of deleted questions
+    this.listenedDocuments = new WeakSet(); // Documents (top and same-origin frames) with input listeners
   }
 
   startQuestionTracking() {
@@ -47,7 +65,8 @@ class DataCollector {
   }
 
   observeQuestions() {
-    this.questionObserver = new MutationObserver((mutations) => {
+    // Shadow roots and same-origin frames are observed too, as they appear
+    this.questionObserver = DomTraversal.observe((mutations) => {
       if (!this.isTracking) return;
 
       let shouldScan = false;
@@ -58,6 +77,8 @@ class DataCollector {
           const addedNodes = Array.from(mutation.addedNodes);
           const hasNewFormElements = addedNodes.some(node => {
             if (node.nodeType !== Node.ELEMENT_NODE) return false;
+            // Web components and frames render their fields out of the host's subtree
+            if (node.shadowRoot || node.tagName === 'IFRAME') return true;
             
             return node.matches && (
               node.matches('form, label, fieldset, .question, [class*="question"], [class*="form"]') ||
@@ -78,9 +99,7 @@ class DataCollector {
           this.scanForQuestions();
         }, 500);
       }
-    });
-
-    this.questionObserver.observe(document.body, {
+    }, {
       childList: true,
       subtree: true,
       attributes: false
@@ -88,21 +107,32 @@ class DataCollector {
   }
 
   observeFormInputs() {
+    this.listenToDocument(document);
+  }
+
+  // Input events don't leave their frame, so each frame document gets its own listeners;
+  // events from shadow roots reach the document retargeted to the host
+  listenToDocument(doc) {
+    if (this.listenedDocuments.has(doc)) return;
+    this.listenedDocuments.add(doc);
+
     // Monitor all input changes
-    document.addEventListener('input', (e) => {
+    doc.addEventListener('input', (e) => {
       if (!this.isTracking) return;
       
-      if (e.target.matches('input, textarea, select')) {
-        this.handleInputChange(e.target);
+      const target = DomTraversal.eventTarget(e);
+      if (target.matches?.('input, textarea, select')) {
+        this.handleInputChange(target);
       }
     });
     
     // Monitor focus events to detect which questions are being answered
-    document.addEventListener('focus', (e) => {
+    doc.addEventListener('focus', (e) => {
       if (!this.isTracking) return;
       
-      if (e.target.matches('input, textarea, select')) {
-        this.handleInputFocus(e.target);
+      const target = DomTraversal.eventTarget(e);
+      if (target.matches?.('input, textarea, select')) {
+        this.handleInputFocus(target);
       }
     }, true);
   }
@@ -112,10 +142,23 @@ class DataCollector {
 
     const newQuestions = [];
     
-    // Focus only on input field labels and associated elements
-    const inputElements = document.querySelectorAll('input, textarea, select');
+    // Focus only on input field labels and associated elements, including those in
+    // open shadow roots and same-origin frames
+    const inputElements = DomTraversal.querySelectorAll('input, textarea, select');
+    const seenChoiceInputs = new Set();
+    // Per scan: how often each label appeared, and which question each label element started
+    const scan = { labelCounts: new Map(), questionsByLabel: new Map() };
     
     inputElements.forEach(input => {
+      this.listenToDocument(input.ownerDocument);
+
+      // Radio buttons and checkboxes are one question per group, not one per option
+      if (input.matches('input[type="radio"], input[type="checkbox"]')) {
+        const question = this.detectChoiceQuestion(input, seenChoiceInputs, scan);
+        if (question) newQuestions.push(question);
+        return;
+      }
+
       const questionData = this.extractQuestionFromInput(input);
       if (questionData && this.isValidQuestion(questionData.text)) {
         // Check if this question label was previously deleted
@@ -124,10 +167,26 @@ class DataCollector {
           console.log('Job Lander: Skipping deleted question:', questionData.text);
           return; // Skip this question
         }
+
+        // Inputs under one legend (street, city, zip) are parts of the question it asks
+        const owner = questionData.labelElement && scan.questionsByLabel.get(questionData.labelElement);
+        if (owner) {
+          this.addQuestionPart(owner, input);
+          return;
+        }
         
-        const questionId = this.generateQuestionId(questionData.text);
+        const questionId = this.nextQuestionId(questionData.text, scan.labelCounts);
+        const field = this.describeField(input, questionData);
         
-        if (!this.detectedQuestions.has(questionId)) {
+        if (this.detectedQuestions.has(questionId)) {
+          this.rebindQuestion(questionId, {
+            inputElement: input,
+            labelElement: questionData.labelElement,
+            answer: input.value || '',
+            parts: [],
+            ...field
+          });
+        } else {
           const question = {
             id: questionId,
             text: questionData.text,
@@ -135,6 +194,7 @@ class DataCollector {
             inputElement: input,
             labelElement: questionData.labelElement,
             type: this.categorizeQuestion(questionData.text),
+            ...field,
             detectedAt: new Date().toISOString(),
             answer: input.value || ''
           };
@@ -142,14 +202,23 @@ class DataCollector {
           this.detectedQuestions.set(questionId, question);
           newQuestions.push(question);
           
-          console.log('Job Lander: New question detected from input:', questionData.text);
+          console.log('Job Lander: New question detected from input:', questionData.text, `(${field.kind})`);
+        }
+
+        if (questionData.labelElement) {
+          scan.questionsByLabel.set(questionData.labelElement, this.detectedQuestions.get(questionId));
         }
       }
     });
 
+    // Groups and follow-ups depend on the whole form, so they are worked out once it is scanned
+    const linksChanged = this.linkQuestions();
+
     if (newQuestions.length > 0) {
       console.log('Job Lander: Detected', newQuestions.length, 'new questions');
       this.updateTracker();
+    } else if (linksChanged) {
+      this.updateTracker();
     }
   }
 
@@ -161,7 +230,7 @@ class DataCollector {
 
     // Method 1: Look for associated label using 'for' attribute
     if (inputElement.id) {
-      labelElement = document.querySelector(`label[for="${inputElement.id}"]`);
+      labelElement = DomTraversal.findLabelFor(inputElement);
       if (labelElement) {
         questionText = this.cleanQuestionText(labelElement.textContent);
       }
@@ -220,6 +289,315 @@ class DataCollector {
     };
   }
 
+  /**
+   * Detect a radio/checkbox group as a single question with its option labels
+   * @returns {Object|null} - The new question, or null if none (or already known)
+   */
+  detectChoiceQuestion(input, seenInputs, scan) {
+    if (seenInputs.has(input) || !window.ChoiceGroupAdapter) return null;
+
+    const group = ChoiceGroupAdapter.getGroup(input);
+    if (!group) return null;
+    group.options.forEach(option => seenInputs.add(option.element));
+
+    const questionData = this.extractQuestionFromChoiceGroup(group);
+    if (!questionData || !this.isValidQuestion(questionData.text)) return null;
+
+    const normalizedText = this.normalizeQuestionText(questionData.text);
+    if (this.deletedQuestionLabels.has(normalizedText)) return null;
+
+    const questionId = this.nextQuestionId(questionData.text, scan.labelCounts);
+    const field = this.describeChoiceGroup(group, questionData);
+    if (this.detectedQuestions.has(questionId)) {
+      this.rebindQuestion(questionId, {
+        inputElement: group.options[0].element,
+        labelElement: questionData.labelElement,
+        answer: this.getChoiceAnswer(group.options),
+        optionElements: group.options.map(option => option.element),
+        ...field
+      });
+      return null;
+    }
+
+    const question = {
+      id: questionId,
+      text: questionData.text,
+      normalizedText: normalizedText,
+      inputElement: group.options[0].element,
+      labelElement: questionData.labelElement,
+      type: this.categorizeQuestion(questionData.text),
+      ...field,
+      detectedAt: new Date().toISOString(),
+      answer: this.getChoiceAnswer(group.options),
+      choiceType: group.type, // 'radio' | 'checkbox'
+      optionElements: group.options.map(option => option.element)
+    };
+
+    this.detectedQuestions.set(questionId, question);
+    console.log('Job Lander: New choice question detected:', question.text, question.options);
+    return question;
+  }
+
+  /**
+   * The question model's view of a field: what kind of answer it takes and its constraints
+   * @param {Object} questionData - From extractQuestionFromInput
+   * @returns {Object} - { kind, options, required, maxLength, minLength }
+   *   kind: 'free-text' | 'single-choice' | 'multi-choice' | 'numeric' | 'date' | 'file' | 'consent'
+   */
+  describeField(input, questionData) {
+    const type = (input.type || '').toLowerCase();
+    const field = {
+      kind: 'free-text',
+      options: null,
+      required: this.isRequired(input, questionData.labelElement),
+      maxLength: null,
+      minLength: input.minLength > 0 ? input.minLength : null
+    };
+
+    if (input.tagName === 'INPUT' && type === 'file') {
+      field.kind = 'file';
+    } else if (input.tagName === 'SELECT') {
+      field.kind = input.multiple ? 'multi-choice' : 'single-choice';
+      field.options = this.getSelectOptions(input);
+    } else if (window.ComboboxAdapter && ComboboxAdapter.isCombobox(input)) {
+      // Its options only exist once the dropdown is opened
+      field.kind = 'single-choice';
+    } else if (window.DateInputAdapter && DateInputAdapter.isDateInput(input)) {
+      field.kind = 'date';
+    } else if (window.NumberInputAdapter && NumberInputAdapter.isNumberInput(input)) {
+      field.kind = 'numeric';
+    } else if (input.tagName === 'INPUT' && ['text', ''].includes(type)) {
+      if (QUESTION_NUMERIC_LABEL.test(questionData.text)) field.kind = 'numeric';
+      else if (QUESTION_DATE_LABEL.test(questionData.text)) field.kind = 'date';
+    }
+
+    if (field.kind === 'free-text' || field.kind === 'numeric') {
+      this.eventTrigger = this.eventTrigger || (window.EventTriggerManager ? new EventTriggerManager() : null);
+      field.maxLength = this.eventTrigger?.getValidationState(input).maxLength || null;
+    }
+
+    return field;
+  }
+
+  // A lone checkbox or an "I agree" group records consent; otherwise radios pick one, checkboxes several
+  describeChoiceGroup(group, questionData) {
+    const options = group.options.map(option => option.label);
+    let kind = group.type === 'radio' ? 'single-choice' : 'multi-choice';
+    if (group.type === 'checkbox' && (options.length === 1 || QUESTION_CONSENT_PATTERN.test(questionData.text))) {
+      kind = 'consent';
+    }
+
+    const elements = group.options.map(option => option.element);
+    return {
+      kind,
+      options,
+      required: elements.some(element => element.required) ||
+        group.container.getAttribute('aria-required') === 'true' ||
+        this.isRequired(null, questionData.labelElement),
+      maxLength: null,
+      minLength: null
+    };
+  }
+
+  isRequired(input, labelElement) {
+    if (input && (input.required || input.getAttribute('aria-required') === 'true')) return true;
+    // cleanQuestionText drops the asterisk, so look at the label as written
+    const labelText = (labelElement?.textContent || '').replace(/\s+/g, ' ').trim();
+    return QUESTION_REQUIRED_MARK.test(labelText);
+  }
+
+  // Long lists (countries, schools) are matched when filling rather than shown to the AI
+  getSelectOptions(select) {
+    const options = Array.from(select.options)
+      .filter(option => !option.disabled && !QUESTION_PLACEHOLDER_OPTION.test(option.textContent.trim()))
+      .map(option => option.textContent.replace(/\s+/g, ' ').trim());
+    return options.length > 0 && options.length <= 50 ? options : null;
+  }
+
+  // Another input under the same label, e.g. the city field of an address block
+  addQuestionPart(question, input) {
+    question.parts = question.parts || [];
+    if (question.parts.some(part => part.element === input)) return;
+
+    const labelText = input.getAttribute('aria-label') || input.placeholder ||
+      DomTraversal.findLabelFor(input)?.textContent || input.name || '';
+    question.parts.push({ element: input, label: this.cleanQuestionText(labelText) });
+  }
+
+  /**
+   * Id for the next question with this label. The first keeps the plain hash, so ids stay
+   * stable across scans; repeats (one "Job title" per employment entry) are numbered.
+   */
+  nextQuestionId(text, labelCounts) {
+    const baseId = this.generateQuestionId(text);
+    const count = (labelCounts.get(baseId) || 0) + 1;
+    labelCounts.set(baseId, count);
+    return count === 1 ? baseId : `${baseId}-${count}`;
+  }
+
+  /**
+   * Work out groups and follow-ups across the questions on the page:
+   * - entries: repeated labels (employment history) give each repeat's container an entry group
+   * - sections: a fieldset legend over several questions
+   * - follow-ups: "If yes, please explain" after a choice question belongs to that question
+   * @returns {Boolean} - Whether any link changed
+   */
+  linkQuestions() {
+    const local = Array.from(this.detectedQuestions.values())
+      .filter(question => question.inputElement?.isConnected)
+      .sort((a, b) => this.compareDocumentOrder(a.inputElement, b.inputElement));
+
+    const links = new Map(local.map(question => [question, { groupId: null, groupLabel: null, entryIndex: null, parentId: null }]));
+
+    // Entries: each instance of a repeated label marks one entry; its container is the largest
+    // ancestor that doesn't reach into another entry
+    const byBaseId = new Map();
+    local.forEach(question => {
+      const baseId = question.id.split('-')[0];
+      if (!byBaseId.has(baseId)) byBaseId.set(baseId, []);
+      byBaseId.get(baseId).push(question);
+    });
+
+    byBaseId.forEach(instances => {
+      // "If yes, please explain" repeats under unrelated questions
+      if (instances.length < 2 || QUESTION_FOLLOW_UP_PATTERN.test(instances[0].text)) return;
+      const elements = instances.map(question => question.inputElement);
+
+      instances.forEach((instance, index) => {
+        const container = this.findEntryContainer(instance.inputElement, elements);
+        if (!container) return;
+        const groupId = `entry-${instances[0].id}-${index + 1}`;
+        const groupLabel = this.findEntryLabel(container) || `Entry ${index + 1}`;
+
+        local.forEach(question => {
+          const link = links.get(question);
+          if (link.groupId?.startsWith('entry-') || !container.contains(question.inputElement)) return;
+          Object.assign(link, { groupId, groupLabel, entryIndex: index + 1 });
+        });
+      });
+    });
+
+    // Sections: fieldsets with a legend that hold more than one question
+    const byFieldset = new Map();
+    local.forEach(question => {
+      if (links.get(question).groupId) return;
+      const fieldset = question.inputElement.closest('fieldset');
+      const legend = fieldset?.querySelector('legend');
+      if (!legend || legend === question.labelElement) return;
+      if (!byFieldset.has(fieldset)) byFieldset.set(fieldset, []);
+      byFieldset.get(fieldset).push(question);
+    });
+
+    byFieldset.forEach((questions, fieldset) => {
+      if (questions.length < 2) return;
+      const groupId = `section-${questions[0].id}`;
+      const groupLabel = this.cleanQuestionText(fieldset.querySelector('legend').textContent);
+      questions.forEach(question => Object.assign(links.get(question), { groupId, groupLabel }));
+    });
+
+    // Follow-ups: a free-text question asking to expand on the choice question just before it
+    local.forEach((question, index) => {
+      const previous = local[index - 1];
+      if (!previous || question.kind !== 'free-text') return;
+      if (!['single-choice', 'multi-choice', 'consent'].includes(previous.kind)) return;
+      if (links.get(previous).groupId !== links.get(question).groupId) return;
+      if (QUESTION_FOLLOW_UP_PATTERN.test(question.text)) {
+        links.get(question).parentId = previous.id;
+      }
+    });
+
+    let changed = false;
+    links.forEach((link, question) => {
+      Object.keys(link).forEach(key => {
+        if ((question[key] || null) !== link[key]) {
+          question[key] = link[key];
+          changed = true;
+        }
+      });
+    });
+    return changed;
+  }
+
+  compareDocumentOrder(a, b) {
+    if (a === b) return 0;
+    // Elements in different documents or shadow roots have no order; keep them stable
+    const position = a.compareDocumentPosition(b);
+    if (position & Node.DOCUMENT_POSITION_DISCONNECTED) return 0;
+    return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  }
+
+  // Widest ancestor of an entry's field that holds none of the other entries' fields
+  findEntryContainer(element, entryElements) {
+    let container = null;
+    let node = element.parentElement;
+    while (node && node !== element.ownerDocument.body) {
+      if (entryElements.some(other => other !== element && node.contains(other))) break;
+      container = node;
+      node = node.parentElement;
+    }
+    return container;
+  }
+
+  // "Work Experience 2", "Employer: Acme" - the heading or legend an entry starts with
+  findEntryLabel(container) {
+    const heading = container.querySelector('legend, h1, h2, h3, h4, h5, h6, [role="heading"]');
+    const text = heading ? this.cleanQuestionText(heading.textContent) : '';
+    return text && text.length <= 80 ? text : null;
+  }
+
+  // A wizard step that renders again (or is revisited) gives known questions new inputs
+  rebindQuestion(questionId, fields) {
+    const question = this.detectedQuestions.get(questionId);
+    if (!question || question.inputElement?.isConnected) return false;
+
+    Object.assign(question, fields);
+    console.log('Job Lander: Question moved to a new input:', question.text.substring(0, 50));
+    return true;
+  }
+
+  extractQuestionFromChoiceGroup(group) {
+    const { container, options } = group;
+
+    // A lone checkbox carries its question in its own label ("I am 18 or older")
+    if (group.type === 'checkbox' && options.length === 1) {
+      return { text: this.cleanQuestionText(options[0].label), labelElement: null };
+    }
+
+    const legend = container.matches('fieldset') ? container.querySelector('legend') : null;
+    if (legend && legend.textContent.trim()) {
+      return { text: this.cleanQuestionText(legend.textContent), labelElement: legend };
+    }
+
+    const labelledBy = container.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const labelElement = DomTraversal.getElementById(labelledBy.split(/\s+/)[0], container);
+      if (labelElement && labelElement.textContent.trim()) {
+        return { text: this.cleanQuestionText(labelElement.textContent), labelElement };
+      }
+    }
+
+    // Otherwise the group container is labelled like any other input
+    const questionData = this.extractQuestionFromInput(container);
+    if (questionData) {
+      return questionData;
+    }
+
+    // Or by a heading-like first child that is not one of the options
+    const first = container.firstElementChild;
+    if (first && !options.some(option => first.contains(option.element)) && first.textContent.trim()) {
+      return { text: this.cleanQuestionText(first.textContent), labelElement: first };
+    }
+
+    return null;
+  }
+
+  getChoiceAnswer(options) {
+    return options
+      .filter(option => ChoiceGroupAdapter.isChecked(option.element))
+      .map(option => option.label)
+      .join(', ');
+  }
+
   findPrecedingQuestionElements(inputElement) {
     const elements = [];
     let current = inputElement.previousElementSibling;
@@ -264,6 +642,12 @@ class DataCollector {
 
   categorizeQuestion(text) {
     if (!text) return 'General';
+
+    // The classifier knows more phrasings; the keywords below are the fallback
+    if (window.QuestionClassifier) {
+      this.classifier = this.classifier || new QuestionClassifier();
+      return this.classifier.classifyType(text);
+    }
     
     const lowerText = text.toLowerCase();
     
@@ -290,7 +674,7 @@ class DataCollector {
       
       // Find related input
       if (element.htmlFor) {
-        relatedInput = document.getElementById(element.htmlFor);
+        relatedInput = DomTraversal.getElementById(element.htmlFor, element);
       } else {
         relatedInput = element.querySelector('input, textarea, select');
       }
@@ -381,27 +765,46 @@ class DataCollector {
   }
 
   handleInputChange(input) {
+    if (input.matches('input[type="radio"], input[type="checkbox"]')) {
+      this.handleChoiceChange(input);
+      return;
+    }
+
     const value = input.value.trim();
     
-    // Only process substantial answers (>100 characters as requested)
-    if (value.length > 100) {
-      const questionId = this.findQuestionForInput(input);
-      if (questionId) {
-        const question = this.detectedQuestions.get(questionId);
-        if (question) {
-          question.answered = true;
-          question.answer = value;
-          
-          console.log('Job Lander: Captured substantial answer for question:', question.text.substring(0, 50) + '...');
-          
-          // Update tracker
-          this.tracker.updateQuestionAnswer(questionId, value);
-          this.updateTracker();
-        }
+    // Short answers count too (notice period, visa status); the save summary decides what is sent
+    const questionId = this.findQuestionForInput(input);
+    if (questionId) {
+      const question = this.detectedQuestions.get(questionId);
+      // Parts of a multi-part question keep the main field's answer
+      if (question && question.inputElement === input) {
+        question.answered = value.length > 0;
+        question.answer = value;
+        
+        console.log('Job Lander: Captured answer for question:', question.text.substring(0, 50) + '...');
+        
+        // Update tracker
+        this.tracker.updateQuestionAnswer(questionId, value);
+        this.updateTracker();
       }
     }
   }
 
+  // Keep a choice question's answer in step with the checked options
+  handleChoiceChange(input) {
+    for (const question of this.detectedQuestions.values()) {
+      if (!question.optionElements?.includes(input)) continue;
+
+      question.answer = question.optionElements
+        .filter(element => ChoiceGroupAdapter.isChecked(element))
+        .map(element => question.options[question.optionElements.indexOf(element)])
+        .join(', ');
+      question.answered = question.answer.length > 0;
+      this.tracker.updateQuestionAnswer(question.id, question.answer);
+      return;
+    }
+  }
+
   handleInputFocus(input) {
     // When user focuses on an input, try to identify the related question
     const questionId = this.findQuestionForInput(input);
@@ -413,7 +816,8 @@ class DataCollector {
   findQuestionForInput(input) {
     // Try to find which question this input belongs to
     for (const [questionId, question] of this.detectedQuestions) {
-      if (question.relatedInput === input) {
+      if (question.inputElement === input || question.relatedInput === input ||
+          question.parts?.some(part => part.element === input)) {
         return questionId;
       }
     }
@@ -474,6 +878,78 @@ class DataCollector {
     return null;
   }
 
+  /**
+   * Replace the questions a cross-origin frame reported (see FrameBridge)
+   * They have no inputElement here; frameId and remoteId route their fills back to the frame.
+   * Known questions keep their object, so sidebar edits and fill hints survive a report.
+   */
+  setFrameQuestions(frameId, questions) {
+    const reportedIds = new Set();
+    let changed = false;
+
+    questions.forEach(reported => {
+      const normalizedText = reported.normalizedText || this.normalizeQuestionText(reported.text);
+      if (this.deletedQuestionLabels.has(normalizedText)) return;
+
+      const id = `${frameId}:${reported.id}`;
+      reportedIds.add(id);
+      const existing = this.detectedQuestions.get(id);
+      // Links point at the frame's own ids
+      const links = {
+        parentId: reported.parentId ? `${frameId}:${reported.parentId}` : null,
+        groupId: reported.groupId ? `${frameId}:${reported.groupId}` : null,
+        groupLabel: reported.groupLabel || null,
+        entryIndex: reported.entryIndex || null
+      };
+
+      if (existing) {
+        if (existing.answer !== reported.answer) {
+          this.updateQuestionAnswer(id, reported.answer);
+          changed = true;
+        }
+        if (existing.parentId !== links.parentId || existing.groupId !== links.groupId) {
+          changed = true;
+        }
+        Object.assign(existing, {
+          answered: reported.answered,
+          options: reported.options,
+          inputType: reported.inputType,
+          kind: reported.kind,
+          required: reported.required,
+          maxLength: reported.maxLength,
+          parts: reported.parts,
+          ...links
+        });
+        return;
+      }
+
+      this.detectedQuestions.set(id, {
+        ...reported,
+        ...links,
+        id,
+        remoteId: reported.id,
+        frameId,
+        normalizedText,
+        inputElement: null,
+        labelElement: null,
+        detectedAt: new Date().toISOString()
+      });
+      changed = true;
+    });
+
+    for (const [id, question] of this.detectedQuestions) {
+      if (question.frameId === frameId && !reportedIds.has(id)) {
+        this.detectedQuestions.delete(id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      console.log('Job Lander: Frame', frameId, 'reported', questions.length, 'questions');
+      this.updateTracker();
+    }
+  }
+
   updateTracker() {
     const questions = Array.from(this.detectedQuestions.values());
     this.tracker.updateQuestions(questions);
@@ -535,6 +1011,13 @@ class DataCollector {
           userAnswers.delete(oldText);
           userAnswers.set(newText, answer);
         }
+
+        // Type, difficulty and tags chosen in the sidebar follow the question too
+        const classifications = this.tracker.applicationData.questionClassifications;
+        if (classifications && classifications[oldText]) {
+          classifications[newText] = classifications[oldText];
+          delete classifications[oldText];
+        }
       }
       
       console.log('Job Lander: Question text updated:', questionId, newText);
@@ -547,17 +1030,13 @@ class DataCollector {
       const question = this.detectedQuestions.get(questionId);
       question.answer = newAnswer;
       
-      // Update tracker's user answers - only store answers >= 100 characters
+      // Update tracker's user answers; whether short ones are saved is decided at save time
       if (this.tracker && this.tracker.applicationData && this.tracker.applicationData.userAnswers) {
-        if (newAnswer && newAnswer.length >= 100) {
+        if (newAnswer && newAnswer.trim()) {
           this.tracker.applicationData.userAnswers.set(question.text, newAnswer);
-          console.log('Job Lander: Answer stored (≥100 chars):', questionId, newAnswer.length, 'chars');
+          console.log('Job Lander: Answer stored:', questionId, newAnswer.length, 'chars');
         } else {
-          // Remove from userAnswers if it falls below 100 chars
           this.tracker.applicationData.userAnswers.delete(question.text);
-          if (newAnswer && newAnswer.length > 0) {
-            console.log('Job Lander: Answer too short (not stored):', questionId, newAnswer.length, 'chars');
-          }
         }
       }
       
@@ -0,0 +1,121 @@
+// DOM Traversal - Reaches form fields inside open shadow roots (web components) and
+// same-origin iframes, which document.querySelectorAll doesn't see. Cross-origin frames run
+// their own content script and report through the background (see FrameBridge).
+
+class DomTraversal {
+  /**
+   * The document, every open shadow root and every same-origin frame document below it
+   * @returns {Array} - Documents and shadow roots, outermost first
+   */
+  static getRoots(root = document) {
+    const roots = [];
+    const queue = [root];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      roots.push(current);
+
+      current.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          queue.push(element.shadowRoot);
+        }
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          const frameDocument = DomTraversal.getFrameDocument(element);
+          if (frameDocument) queue.push(frameDocument);
+        }
+      });
+    }
+
+    return roots;
+  }
+
+  /**
+   * querySelectorAll across every root
+   */
+  static querySelectorAll(selector, root = document) {
+    return DomTraversal.getRoots(root).flatMap(current => Array.from(current.querySelectorAll(selector)));
+  }
+
+  // Document of a same-origin frame; null for cross-origin frames and frames still loading
+  static getFrameDocument(frame) {
+    try {
+      const frameDocument = frame.contentDocument;
+      return frameDocument && frameDocument.documentElement ? frameDocument : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The document or shadow root an element lives in, where its ids and label[for] resolve
+  static rootOf(element) {
+    const root = element?.getRootNode?.();
+    return root && typeof root.querySelector === 'function' ? root : document;
+  }
+
+  static getElementById(id, context) {
+    if (!id) return null;
+    const root = DomTraversal.rootOf(context);
+    return (root.getElementById ? root.getElementById(id) : root.querySelector(`#${CSS.escape(id)}`)) ||
+      document.getElementById(id);
+  }
+
+  static findLabelFor(element) {
+    if (!element?.id) return null;
+    return DomTraversal.rootOf(element).querySelector(`label[for="${CSS.escape(element.id)}"]`);
+  }
+
+  // The element an event started on, inside shadow roots too (events are retargeted to the host)
+  static eventTarget(event) {
+    return event.composedPath ? event.composedPath()[0] || event.target : event.target;
+  }
+
+  /**
+   * Observe mutations in every root; shadow roots and frames that appear later are added.
+   * A frame that finishes loading is reported as an added node, since its parent sees no mutation.
+   * @returns {Object} - { refresh(), disconnect() }
+   */
+  static observe(callback, options = { childList: true, subtree: true }) {
+    const observed = new WeakSet();
+    let observer = null;
+    let refreshTimer = null;
+    let connected = true;
+
+    const onFrameLoad = (event) => {
+      if (!connected) return;
+      if (event.target.tagName !== 'IFRAME' && event.target.tagName !== 'FRAME') return;
+      observeNewRoots();
+      callback([{ type: 'childList', addedNodes: [event.target], removedNodes: [] }]);
+    };
+
+    const observeNewRoots = () => {
+      DomTraversal.getRoots().forEach(root => {
+        if (observed.has(root)) return;
+        observed.add(root);
+        observer.observe(root.body || root, options);
+        root.addEventListener('load', onFrameLoad, true);
+      });
+    };
+
+    observer = new MutationObserver((mutations) => {
+      // Walking every root is costly, so new roots are looked for once additions settle
+      if (mutations.some(mutation => mutation.addedNodes && mutation.addedNodes.length > 0)) {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(observeNewRoots, 300);
+      }
+      callback(mutations);
+    });
+    observeNewRoots();
+
+    return {
+      refresh: observeNewRoots,
+      disconnect: () => {
+        connected = false;
+        clearTimeout(refreshTimer);
+        observer.disconnect();
+      }
+    };
+  }
+}
+
+// Make available globally
+window.DomTraversal = DomTraversal;
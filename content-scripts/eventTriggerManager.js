@@ -1,4 +1,31 @@
 // Event Trigger Manager - Dispatches proper events for form validation and state updates
+
+// Error messages of common form libraries and ATS pages
+const VALIDATION_ERROR_SELECTOR = [
+  '.error',
+  '.error-message',
+  '.invalid-feedback',
+  '.field-error',
+  '[role="alert"]',
+  '.help-block.error',
+  '[class*="error-text"]',
+  '[class*="errorMessage"]',
+  '[data-automation-id="errorMessage"]', // Workday
+  '[id$="-error"]'
+].join(', ');
+
+// Character counters next to a field: "215/200", "215 / 200 characters"
+const VALIDATION_COUNTER_PATTERN = /\b(\d{1,5})\s*\/\s*(\d{1,5})\b/;
+
+// Limits stated in hints and messages: "Maximum 200 characters", "200 characters or less"
+const VALIDATION_LIMIT_PATTERNS = [
+  /(?:max(?:imum)?|limit(?:ed)?(?: to)?|up to|no more than|at most|less than|fewer than)\D{0,15}(\d{1,5})\s*(?:characters|chars)/i,
+  /(\d{1,5})\s*(?:characters|chars)\s*(?:max(?:imum)?|limit|or (?:less|fewer))/i
+];
+
+// Messages that ask for another format rather than another answer
+const VALIDATION_FORMAT_PATTERN = /invalid|format|valid (e-?mail|url|link|phone|number|date)|must (be|contain|start)|only (digits|numbers|letters)|numeric/i;
+
 class EventTriggerManager {
   constructor() {
     this.eventOptions = {
@@ -240,8 +267,10 @@ class EventTriggerManager {
    * Wait for form validation to complete
    * @param {HTMLElement} element - The input element
    * @param {Number} timeout - Max wait time in ms
+   * @param {Object} [baseline] - Validation state before the fill (see getValidationState)
+   * @returns {Object} - Validation state once the form has settled
    */
-  async waitForValidation(element, timeout = 500) {
+  async waitForValidation(element, timeout = 500, baseline = null) {
     const startTime = Date.now();
     
     try {
@@ -282,6 +311,103 @@ class EventTriggerManager {
       // Just wait the minimum time if error occurs
       await this.sleep(timeout);
     }
+
+    return this.getValidationState(element, baseline);
+  }
+
+  /**
+   * What the form says about a field: aria-invalid, native constraint validation, messages
+   * linked with aria-describedby / aria-errormessage, error text next to the field and
+   * character counters. Scripted values skip the browser's maxlength check, so the limit is
+   * compared to the value here.
+   * @param {Object} [baseline] - State before the fill; messages that were already showing
+   *   (e.g. "required" from an earlier submit) don't count against the new value
+   * @returns {Object} - { invalid, messages, maxLength, length, overLimit, formatError }
+   */
+  getValidationState(element, baseline = null) {
+    const state = { invalid: false, messages: [], maxLength: null, length: 0, overLimit: false, formatError: false, ariaInvalid: false };
+
+    try {
+      const value = element.value !== undefined ? element.value : element.textContent || '';
+      state.length = value.length;
+      state.ariaInvalid = element.getAttribute('aria-invalid') === 'true';
+
+      const messages = new Set();
+      const validity = element.validity;
+      // Empty fields are the verification's concern, not a message to act on
+      if (validity && !validity.valid && !validity.valueMissing && element.validationMessage) {
+        messages.add(element.validationMessage);
+      }
+
+      // Linked descriptions are often plain hints; keep them for the limit, count errors only
+      const hints = [];
+      ['aria-errormessage', 'aria-describedby'].forEach(attribute => {
+        (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean).forEach(id => {
+          const linked = document.getElementById(id);
+          const text = linked?.textContent.replace(/\s+/g, ' ').trim();
+          if (!text) return;
+          if (attribute === 'aria-errormessage' || linked.matches(VALIDATION_ERROR_SELECTOR)) {
+            messages.add(text);
+          } else {
+            hints.push(text);
+          }
+        });
+      });
+
+      this.findErrorMessages(element).forEach(text => messages.add(text));
+
+      const ignored = new Set(baseline?.messages || []);
+      state.messages = Array.from(messages).filter(text => !ignored.has(text));
+
+      // Limit: maxlength, then a counter, then a limit written in a hint or message
+      const container = this.findFieldContainer(element);
+      const counter = container?.textContent.match(VALIDATION_COUNTER_PATTERN);
+      const counterOver = counter && Number(counter[1]) > Number(counter[2]) && Math.abs(Number(counter[1]) - state.length) <= 5;
+      if (element.maxLength > 0) {
+        state.maxLength = element.maxLength;
+      } else if (counter && Math.abs(Number(counter[1]) - state.length) <= 5) {
+        state.maxLength = Number(counter[2]);
+      } else {
+        const limitText = [...hints, ...state.messages, container?.textContent || ''].join(' ');
+        const limit = VALIDATION_LIMIT_PATTERNS.map(pattern => limitText.match(pattern)).find(Boolean);
+        if (limit) state.maxLength = Number(limit[1]);
+      }
+
+      state.overLimit = !!(validity?.tooLong || counterOver || (state.maxLength && state.length > state.maxLength));
+      state.formatError = !!(validity?.typeMismatch || validity?.patternMismatch || validity?.badInput ||
+        state.messages.some(text => VALIDATION_FORMAT_PATTERN.test(text)));
+      state.invalid = state.overLimit || state.messages.length > 0 ||
+        (state.ariaInvalid && !baseline?.ariaInvalid);
+    } catch (error) {
+      console.error('Job Lander: Error reading validation state:', error);
+    }
+
+    return state;
+  }
+
+  /**
+   * Error text shown next to a field
+   * @returns {Array} - Message texts
+   */
+  findErrorMessages(element) {
+    const container = this.findFieldContainer(element);
+    if (!container) return [];
+
+    return Array.from(container.querySelectorAll(VALIDATION_ERROR_SELECTOR))
+      .filter(node => !node.contains(element) && node.getClientRects().length > 0)
+      .map(node => node.textContent.replace(/\s+/g, ' ').trim())
+      .filter(text => text && text.length < 300);
+  }
+
+  // Closest ancestor that holds this field only, where its messages and counter live
+  findFieldContainer(element) {
+    let container = null;
+    let node = element.parentElement;
+    for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+      if (node.querySelectorAll('input:not([type="hidden"]), textarea, select').length > 1) break;
+      container = node;
+    }
+    return container;
   }
 
   /**
@@ -293,23 +419,8 @@ class EventTriggerManager {
       if (!parent) return false;
 
       // Look for common error message elements
-      const errorSelectors = [
-        '.error',
-        '.error-message',
-        '.invalid-feedback',
-        '.field-error',
-        '[role="alert"]',
-        '.help-block.error'
-      ];
-
-      for (const selector of errorSelectors) {
-        const errorElement = parent.querySelector(selector);
-        if (errorElement && errorElement.textContent.trim()) {
-          return true;
-        }
-      }
-
-      return false;
+      return Array.from(parent.querySelectorAll(VALIDATION_ERROR_SELECTOR))
+        .some(errorElement => errorElement.textContent.trim());
     } catch (error) {
       return false;
     }
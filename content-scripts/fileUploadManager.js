@@ -0,0 +1,263 @@
+// File Upload Manager - Attaches the selected CV (and optional cover letter) to the
+// application form's file inputs and drag-and-drop upload zones
+
+// What an upload field is for, judged from its label and surrounding text
+const FILE_UPLOAD_KIND_PATTERNS = {
+  coverLetter: /cover[\s_-]?letter|motivation(al)?[\s_-]?letter/i,
+  resume: /r[eé]sum[eé]|\bcv\b|curriculum/i
+};
+
+// Upload zones that take dropped files (Workday, react-dropzone and similar widgets)
+const FILE_UPLOAD_DROPZONE_SELECTOR = [
+  '[data-automation-id="file-upload-drop-zone"]',
+  '[class*="dropzone"]',
+  '[class*="drop-zone"]',
+  '[class*="DropZone"]'
+].join(', ');
+
+// Page messages that mean the upload was rejected
+const FILE_UPLOAD_ERROR_TEXT = /(file (type|format)|too (large|big)|not (supported|allowed)|upload failed|could not (be )?upload)/i;
+
+class FileUploadManager {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.fileCache = new Map(); // documentId -> File
+  }
+
+  /**
+   * Attach documents to the form
+   * @param {Object} documents - { resumeId, coverLetterId }
+   * @returns {Object} - { success, uploads: [{ kind, label, fileName, success, confirmed, error }], message }
+   */
+  async uploadDocuments({ resumeId, coverLetterId = null } = {}) {
+    if (!resumeId && !coverLetterId) {
+      return { success: false, error: 'Select a CV first' };
+    }
+
+    const targets = this.findTargets();
+    console.log('Job Lander: Found', targets.length, 'upload fields');
+    if (targets.length === 0) {
+      // The form may be embedded from another site (Greenhouse, Lever); its frame attaches the files
+      const frameReports = this.tracker?.frameBridge
+        ? await this.tracker.frameBridge.uploadInFrames({ resumeId, coverLetterId })
+        : [];
+      return frameReports.find(report => report.success) || frameReports[0] ||
+        { success: false, error: 'No file upload fields found on this page' };
+    }
+
+    const plan = [];
+    const resumeTarget = targets.find(t => t.kind === 'resume') ||
+      (targets.filter(t => t.kind !== 'coverLetter').length === 1 ? targets.find(t => t.kind !== 'coverLetter') : null);
+    if (resumeId && resumeTarget) plan.push({ kind: 'resume', documentId: resumeId, target: resumeTarget });
+
+    const coverTarget = targets.find(t => t.kind === 'coverLetter');
+    if (coverLetterId && coverTarget) plan.push({ kind: 'coverLetter', documentId: coverLetterId, target: coverTarget });
+
+    if (plan.length === 0) {
+      return { success: false, error: 'Could not tell which upload field is for the CV' };
+    }
+
+    const uploads = [];
+    for (const { kind, documentId, target } of plan) {
+      const upload = { kind, label: target.label, fileName: null, success: false, confirmed: false, error: null };
+      uploads.push(upload);
+
+      try {
+        if (this.hasFile(target)) {
+          upload.error = 'A file is already attached';
+          continue;
+        }
+
+        const file = await this.getFile(documentId);
+        upload.fileName = file.name;
+        const textBefore = this.uploadContainer(target).textContent;
+
+        if (target.type === 'dropzone') {
+          this.dropOnZone(target.element, file);
+        } else {
+          this.attachToInput(target.element, file);
+        }
+
+        Object.assign(upload, await this.confirmUpload(target, file, textBefore));
+      } catch (error) {
+        console.error('Job Lander: Upload error:', error);
+        upload.error = error.message;
+      }
+    }
+
+    const attached = uploads.filter(u => u.success);
+    const report = {
+      success: attached.length > 0,
+      uploads,
+      message: attached.length > 0
+        ? `Attached ${attached.map(u => u.fileName).join(' and ')}.`
+          + (attached.some(u => !u.confirmed) ? ' The page has not shown it yet, please check the upload field.' : '')
+        : null,
+      error: attached.length === 0 ? (uploads.find(u => u.error)?.error || 'Upload failed') : null
+    };
+
+    console.log('Job Lander: Upload report:', report);
+    return report;
+  }
+
+  /**
+   * File inputs and drop zones on the page
+   * @returns {Array} - [{ element, type: 'input' | 'dropzone', kind: 'resume' | 'coverLetter' | null, label, container }]
+   */
+  findTargets(root = document) {
+    const targets = [];
+    const inputs = DomTraversal.querySelectorAll('input[type="file"]', root)
+      .filter(input => !input.disabled && !input.closest('#job-lander-sidebar'));
+
+    inputs.forEach(input => {
+      const { text, container } = this.describe(input);
+      targets.push({ element: input, type: 'input', kind: this.classify(text), label: text.substring(0, 80), container });
+    });
+
+    // Drop zones without a file input of their own only take dropped files
+    DomTraversal.querySelectorAll(FILE_UPLOAD_DROPZONE_SELECTOR, root).forEach(zone => {
+      if (zone.closest('#job-lander-sidebar') || zone.querySelector('input[type="file"]')) return;
+      if (targets.some(t => t.element.contains(zone) || zone.contains(t.element))) return;
+      const { text, container } = this.describe(zone);
+      targets.push({ element: zone, type: 'dropzone', kind: this.classify(text), label: text.substring(0, 80), container });
+    });
+
+    return targets;
+  }
+
+  classify(text) {
+    if (FILE_UPLOAD_KIND_PATTERNS.coverLetter.test(text)) return 'coverLetter';
+    if (FILE_UPLOAD_KIND_PATTERNS.resume.test(text)) return 'resume';
+    return null;
+  }
+
+  /**
+   * Label, attributes and the text around the field, up to the first block naming a document
+   * @returns {Object} - { text, container } - container is that block, where the page shows the upload
+   */
+  describe(element) {
+    const parts = [
+      element.getAttribute('aria-label'),
+      element.getAttribute('name'),
+      element.id,
+      element.getAttribute('data-automation-id')
+    ];
+
+    if (element.id) {
+      parts.push(DomTraversal.findLabelFor(element)?.textContent);
+    }
+
+    // Stop before a block that holds other upload fields, or their labels would leak in
+    let node = element.parentElement;
+    let container = null;
+    for (let depth = 0; node && depth < 6; depth++, node = node.parentElement) {
+      if (depth > 0 && node.querySelectorAll('input[type="file"]').length > 1) break;
+      container = node;
+      if (this.classify(node.textContent)) break;
+    }
+    parts.push(container?.textContent);
+
+    return {
+      text: parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim(),
+      container: container && this.classify(container.textContent) ? container : null
+    };
+  }
+
+  // Smallest ancestor with a bit of text: where the page shows the uploaded file's name
+  findContainer(element) {
+    let node = element.parentElement || element;
+    for (let depth = 0; depth < 5 && node.parentElement; depth++) {
+      if (node.textContent.trim().length >= 20) break;
+      node = node.parentElement;
+    }
+    return node;
+  }
+
+  hasFile(target) {
+    return target.type === 'input' && target.element.files && target.element.files.length > 0;
+  }
+
+  async getFile(documentId) {
+    if (this.fileCache.has(documentId)) {
+      return this.fileCache.get(documentId);
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CV_FILE', data: { cvId: documentId } });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not download the CV');
+    }
+
+    const { fileName, contentType, base64 } = response.data;
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    const file = new File([bytes], fileName, { type: contentType });
+    this.fileCache.set(documentId, file);
+    return file;
+  }
+
+  attachToInput(input, file) {
+    const transfer = new DataTransfer();
+    transfer.items.add(file);
+    input.files = transfer.files;
+
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  dropOnZone(zone, file) {
+    const transfer = new DataTransfer();
+    transfer.items.add(file);
+
+    zone.scrollIntoView({ block: 'center' });
+    ['dragenter', 'dragover', 'drop'].forEach(type => {
+      zone.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: transfer }));
+    });
+  }
+
+  uploadContainer(target) {
+    return target.container ||
+      this.findContainer(target.element.closest(FILE_UPLOAD_DROPZONE_SELECTOR) || target.element);
+  }
+
+  /**
+   * Wait for the page to show the file name (or a new error) next to the field
+   * @param {String} textBefore - Field text before attaching, so help text like "Accepted file types" isn't an error
+   * @returns {Object} - { success, confirmed, error }
+   */
+  async confirmUpload(target, file, textBefore = '', timeoutMs = 4000) {
+    const container = this.uploadContainer(target);
+    const hadErrorText = FILE_UPLOAD_ERROR_TEXT.test(textBefore);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const start = Date.now();
+
+    while (Date.now() - start < timeoutMs) {
+      const text = container.textContent;
+      if (text.includes(file.name) || (baseName.length >= 4 && text.includes(baseName))) {
+        return { success: true, confirmed: true, error: null };
+      }
+      if (!hadErrorText && FILE_UPLOAD_ERROR_TEXT.test(text)) {
+        return { success: false, confirmed: false, error: 'The page rejected the file: ' + text.replace(/\s+/g, ' ').trim().substring(0, 120) };
+      }
+      await this.sleep(250);
+    }
+
+    // Inputs still holding the file were accepted even if the page shows nothing
+    const stillAttached = target.type === 'input' && target.element.files?.[0]?.name === file.name;
+    return {
+      success: stillAttached || target.type === 'dropzone',
+      confirmed: false,
+      error: stillAttached || target.type === 'dropzone' ? null : 'The page cleared the file'
+    };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Make available globally
+window.FileUploadManager = FileUploadManager;
@@ -0,0 +1,259 @@
+// Frame Bridge - Joins application forms in cross-origin iframes (Greenhouse #grnhse_app,
+// Lever embeds) to the tracker in the top frame. Content scripts run in every frame; a frame
+// whose parent is cross-origin runs a FrameAgent that scans its own form and reports the
+// questions through the background. The top frame lists them in the sidebar and sends fills
+// back the same way. Same-origin frames are read directly (see DomTraversal).
+
+class FrameBridge {
+  /**
+   * Top frame side
+   * @param {Object} tracker - ApplicationTracker
+   */
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.frameIds = new Set(); // Frames whose agent has reported in
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleMessage(message, sendResponse));
+  }
+
+  static isTopFrame() {
+    return window === window.top;
+  }
+
+  // The parent's traversal already covers frames it can read
+  static isCoveredByParent() {
+    try {
+      return !!window.parent.document;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run the agent in this frame unless its parent reads it directly
+   * @returns {FrameAgent|null}
+   */
+  static startAgent() {
+    if (FrameBridge.isTopFrame() || FrameBridge.isCoveredByParent() || !window.DataCollector) {
+      return null;
+    }
+
+    const agent = new FrameAgent();
+    agent.init();
+    return agent;
+  }
+
+  handleMessage(message, sendResponse) {
+    const dataCollector = this.tracker.dataCollector;
+    if (message.type === 'FRAME_READY' || message.type === 'FRAME_QUESTIONS') {
+      this.frameIds.add(message.frameId);
+    }
+
+    switch (message.type) {
+      case 'FRAME_READY':
+        // The frame (re)loaded: what it reported before is gone
+        dataCollector?.setFrameQuestions(message.frameId, []);
+        sendResponse({ tracking: this.tracker.isTracking });
+        break;
+
+      case 'FRAME_QUESTIONS':
+        if (this.tracker.isTracking) {
+          dataCollector?.setFrameQuestions(message.frameId, message.questions || []);
+        }
+        sendResponse({ received: true });
+        break;
+    }
+    return false;
+  }
+
+  /**
+   * Tell every frame's agent to start or stop scanning
+   * @param {String} type - 'FRAME_START' | 'FRAME_STOP'
+   */
+  broadcast(type) {
+    chrome.runtime.sendMessage({ type: 'FRAME_BROADCAST', data: { message: { type } } })
+      .catch(error => console.warn('Job Lander: Could not reach form frames:', error));
+  }
+
+  /**
+   * Fill a question that lives in another frame
+   * @returns {Object} - The frame's fill result, plus filledAnswer (what the field now holds)
+   */
+  async fillQuestion(question, answer, jobDescription = '') {
+    const response = await chrome.runtime.sendMessage({
+      type: 'FRAME_FILL',
+      data: { frameId: question.frameId, questionId: question.remoteId, answer, jobDescription }
+    });
+
+    if (!response || !response.success) {
+      return {
+        questionId: question.id,
+        questionText: question.text,
+        success: false,
+        error: response?.error || 'The form frame did not respond'
+      };
+    }
+    return { ...response.data, questionId: question.id };
+  }
+
+  /**
+   * Fill profile fields in every reporting frame
+   * @returns {Array} - The frames' fill reports (see AutoFillManager.fillProfileFields)
+   */
+  fillProfileInFrames() {
+    return this.requestFrames('FRAME_FILL_PROFILE');
+  }
+
+  /**
+   * Attach documents in frames that have upload fields
+   * @param {Object} documents - { resumeId, coverLetterId }
+   * @returns {Array} - The frames' upload reports (see FileUploadManager.uploadDocuments)
+   */
+  uploadInFrames(documents) {
+    return this.requestFrames('FRAME_UPLOAD', { documents });
+  }
+
+  // One frame at a time; frames that navigated away or have nothing to do don't answer
+  async requestFrames(type, data = {}) {
+    const reports = [];
+    for (const frameId of this.frameIds) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type, data: { ...data, frameId } });
+        if (response?.success && response.data) {
+          reports.push(response.data);
+        }
+      } catch (error) {
+        console.warn('Job Lander: Could not reach form frame', frameId, error);
+      }
+    }
+    return reports;
+  }
+}
+
+/**
+ * Frame side: stands in for the ApplicationTracker that DataCollector and AutoFillManager
+ * expect, and reports to the top frame instead of a sidebar
+ */
+class FrameAgent {
+  constructor() {
+    this.isTracking = false;
+    this.applicationData = { questions: [], userAnswers: new Map(), sessionAnswers: {} };
+    this.dataCollector = new DataCollector(this);
+    this.autoFillManager = window.AutoFillManager ? new AutoFillManager(this) : null;
+    this.reportTimeout = null;
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleMessage(message, sendResponse));
+  }
+
+  async init() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'FRAME_READY' });
+      if (response?.success && response.data?.tracking) {
+        this.start();
+      }
+    } catch (error) {
+      // Extension reloaded or no tracker in the top frame yet; FRAME_START comes later
+    }
+  }
+
+  handleMessage(message, sendResponse) {
+    switch (message.type) {
+      case 'FRAME_START':
+        this.start();
+        return false;
+      case 'FRAME_STOP':
+        this.stop();
+        return false;
+      case 'FRAME_FILL':
+        this.fill(message).then(sendResponse);
+        return true; // Keep the channel open for the async fill
+      case 'FRAME_FILL_PROFILE':
+        this.fillProfile().then(sendResponse);
+        return true;
+      case 'FRAME_UPLOAD':
+        this.upload(message.documents).then(sendResponse);
+        return true;
+    }
+    return false;
+  }
+
+  start() {
+    if (this.isTracking) return;
+    this.isTracking = true;
+    this.dataCollector.startQuestionTracking();
+    console.log('Job Lander: Reporting questions from frame', window.location.hostname);
+  }
+
+  stop() {
+    this.isTracking = false;
+    this.dataCollector.stopQuestionTracking();
+    this.dataCollector.detectedQuestions.clear();
+  }
+
+  async fill({ questionId, answer, jobDescription }) {
+    const question = this.dataCollector.detectedQuestions.get(questionId);
+    if (!question || !this.autoFillManager) {
+      return { success: false, error: 'Question is no longer on the page' };
+    }
+
+    this.autoFillManager.initializeAdapters();
+    this.autoFillManager.jobData = { description: jobDescription || '' };
+    const result = await this.autoFillManager.fillQuestion(question, answer);
+    return { ...result, filledAnswer: question.answer };
+  }
+
+  async fillProfile() {
+    return this.autoFillManager ? this.autoFillManager.fillProfileFields() : null;
+  }
+
+  // Only frames with an upload field answer, so the top frame can tell which one took the file
+  async upload(documents) {
+    if (!window.FileUploadManager) return null;
+    this.fileUploadManager = this.fileUploadManager || new FileUploadManager(this);
+    if (this.fileUploadManager.findTargets().length === 0) return null;
+    return this.fileUploadManager.uploadDocuments(documents || {});
+  }
+
+  // Called by DataCollector whenever the question list changes
+  updateQuestions(questions) {
+    this.applicationData.questions = questions;
+    clearTimeout(this.reportTimeout);
+    this.reportTimeout = setTimeout(() => this.report(), 200);
+  }
+
+  // Answers travel with the next report
+  updateQuestionAnswer() {}
+
+  report() {
+    this.autoFillManager?.initializeAdapters();
+    const inputAdapter = this.autoFillManager?.inputAdapter;
+
+    const questions = Array.from(this.dataCollector.detectedQuestions.values()).map(question => ({
+      id: question.id,
+      text: question.text,
+      normalizedText: question.normalizedText,
+      type: question.type,
+      answer: question.answer || '',
+      answered: !!question.answered,
+      options: question.options,
+      choiceType: question.choiceType,
+      kind: question.kind,
+      required: !!question.required,
+      maxLength: question.maxLength || null,
+      parts: (question.parts || []).map(part => ({ label: part.label })),
+      groupId: question.groupId || null,
+      groupLabel: question.groupLabel || null,
+      entryIndex: question.entryIndex || null,
+      parentId: question.parentId || null,
+      // The top frame can't look at the field, but the prompt depends on its type
+      inputType: question.inputElement && inputAdapter ? inputAdapter.detectInputType(question.inputElement, question.kind) : null
+    }));
+
+    chrome.runtime.sendMessage({ type: 'FRAME_QUESTIONS', data: { questions } })
+      .catch(error => console.warn('Job Lander: Could not report frame questions:', error));
+  }
+}
+
+// Make available globally
+window.FrameBridge = FrameBridge;
+window.FrameAgent = FrameAgent;
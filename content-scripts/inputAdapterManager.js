@@ -1,4 +1,68 @@
 // Input Adapter Manager - Handles different input types with specialized adapters
+
+// Option matches scoring below this are filled but reported for the user to check
+const OPTION_MATCH_LOW_CONFIDENCE = 0.75;
+
+// Wrappers of custom dropdowns: React-Select, MUI Autocomplete, Workday prompts
+const COMBOBOX_CONTAINER_SELECTOR = [
+  '.select__control',
+  '[class*="react-select"]',
+  '.MuiAutocomplete-root',
+  '[data-automation-id="multiselectInputContainer"]',
+  '[data-uxi-widget-type="selectinput"]'
+].join(', ');
+
+// Options of an open dropdown list. React-Select without a class prefix only has generated
+// classes ("css-1n7v3ny-option"), so those count inside its menu only.
+const COMBOBOX_OPTION_SELECTOR = [
+  '[role="option"]',
+  '.select__option',
+  '[class*="-menu"] [class*="-option"]',
+  '[class*="__menu"] [class*="__option"]',
+  '.MuiAutocomplete-option',
+  '[data-automation-id="promptOption"]',
+  '[data-automation-id="menuItem"]'
+].join(', ');
+
+// Date picker widgets whose text input takes a typed date (react-datepicker, MUI, flatpickr,
+// bootstrap-datepicker, Workday date sections)
+const DATE_PICKER_SELECTOR = [
+  '.react-datepicker__input-container',
+  '.MuiPickersTextField-root',
+  '[class*="DatePicker"]',
+  '[class*="datepicker"]',
+  '[data-provide="datepicker"]',
+  '.flatpickr-input',
+  '[data-automation-id="dateInputWrapper"]'
+].join(', ');
+
+// Placeholders that are input masks: "(___) ___-____", "999-99-9999"
+const MASK_PLACEHOLDER = /^[\s()+\-./\d]*[_#9][_#9\s()+\-./]*$/;
+
+// Where a combobox shows what was picked: React-Select values and pills, MUI chips, Workday pills
+const COMBOBOX_VALUE_SELECTOR = [
+  '[class*="single-value"]',
+  '[class*="singleValue"]',
+  '[class*="multi-value__label"]',
+  '[class*="multiValue"]',
+  '.MuiChip-label',
+  '[data-automation-id="selectedItem"]'
+].join(', ');
+
+// List states that show up as options but are not choices
+const COMBOBOX_PLACEHOLDER_OPTION = /^(no (options|results|matches|items)( found)?|loading\.*|searching\.*|type to search.*|select\.*|-+)$/i;
+
+// Other ways to write the same value when the detected adapter's value doesn't stick.
+// Option, date and number adapters check their own result, so they have none.
+const FILL_STRATEGY_FALLBACKS = {
+  standard: ['react', 'vue'],
+  react: ['standard'],
+  vue: ['react', 'standard'],
+  masked: ['react'],
+  contentEditable: ['wysiwyg'],
+  wysiwyg: ['contentEditable']
+};
+
 class InputAdapterManager {
   constructor() {
     this.adapters = {
@@ -7,15 +71,23 @@ class InputAdapterManager {
       vue: new VueInputAdapter(),
       contentEditable: new ContentEditableAdapter(),
       wysiwyg: new WYSIWYGAdapter(),
-      select: new SelectAdapter()
+      select: new SelectAdapter(),
+      choiceGroup: new ChoiceGroupAdapter(),
+      combobox: new ComboboxAdapter(),
+      date: new DateInputAdapter(),
+      number: new NumberInputAdapter(),
+      masked: new MaskedInputAdapter()
     };
   }
 
   /**
    * Detect input type by analyzing the element
-   * Priority: WYSIWYG > ContentEditable > React > Vue > Select > Standard
+   * Priority: WYSIWYG > ContentEditable > Choice group > Combobox > Select > Date > Number > Masked >
+   * React > Vue > Standard
+   * @param {String} [kind] - The question's field kind (see DataCollector.describeField); a
+   *   plain text input labelled as a date or a number is filled like one
    */
-  detectInputType(element) {
+  detectInputType(element, kind = null) {
     if (!element) return 'standard';
 
     // Check for WYSIWYG editors first (most specific)
@@ -28,11 +100,42 @@ class InputAdapterManager {
       return 'contentEditable';
     }
 
+    // Radio buttons and checkboxes are filled as a group
+    if (ChoiceGroupAdapter.isChoiceElement(element)) {
+      return 'choiceGroup';
+    }
+
+    // Custom dropdowns need click, type and pick
+    if (ComboboxAdapter.isCombobox(element)) {
+      return 'combobox';
+    }
+
     // Check for select elements
     if (element.tagName === 'SELECT') {
       return 'select';
     }
 
+    // Typed inputs get the answer converted to their format first
+    if (DateInputAdapter.isDateInput(element)) {
+      return 'date';
+    }
+
+    if (NumberInputAdapter.isNumberInput(element)) {
+      return 'number';
+    }
+
+    if (element.tagName === 'INPUT' && kind === 'date') {
+      return 'date';
+    }
+
+    if (element.tagName === 'INPUT' && kind === 'numeric') {
+      return 'number';
+    }
+
+    if (MaskedInputAdapter.getMask(element)) {
+      return 'masked';
+    }
+
     // Check for React
     if (this.isReactInput(element)) {
       return 'react';
@@ -66,6 +169,13 @@ class InputAdapterManager {
     }
   }
 
+  /**
+   * Adapters to retry with, in order, after the detected one failed
+   */
+  getFallbackTypes(inputType) {
+    return FILL_STRATEGY_FALLBACKS[inputType] || [];
+  }
+
   /**
    * Get adapter instance
    */
@@ -468,11 +578,20 @@ class SelectAdapter {
       
       // Try to find matching option by text
       const options = Array.from(element.options);
-      const matchingOption = options.find(opt => 
+      let matchingOption = options.find(opt => 
         opt.text.toLowerCase().includes(value.toLowerCase()) ||
         opt.value.toLowerCase().includes(value.toLowerCase())
       );
 
+      // Longer answers ("Yes, I am authorized to work in the US") need fuzzy matching
+      let confidence = matchingOption ? 1 : 0;
+      if (!matchingOption && window.TextMatcher) {
+        const choices = options.filter(opt => opt.value !== '' && !opt.disabled);
+        const best = new TextMatcher().bestMatch(value, choices, { getText: opt => opt.text });
+        matchingOption = best?.option;
+        confidence = best?.score || 0;
+      }
+
       if (matchingOption) {
         element.value = matchingOption.value;
         
@@ -480,7 +599,12 @@ class SelectAdapter {
         const changeEvent = new Event('change', { bubbles: true, cancelable: true });
         element.dispatchEvent(changeEvent);
         
-        return { success: true };
+        return {
+          success: true,
+          selected: [matchingOption.text.trim()],
+          confidence,
+          lowConfidence: confidence < OPTION_MATCH_LOW_CONFIDENCE
+        };
       } else {
         return { success: false, error: 'No matching option found' };
       }
@@ -491,5 +615,713 @@ class SelectAdapter {
   }
 }
 
+/**
+ * Choice Group Adapter - For radio groups, checkbox groups and single consent checkboxes
+ * The answer is matched to the option labels and the chosen options are clicked, so the
+ * page sees the same events as a real click.
+ */
+class ChoiceGroupAdapter {
+  constructor() {
+    this.matcher = window.TextMatcher ? new TextMatcher() : null;
+  }
+
+  static isChoiceElement(element) {
+    if (element.matches('input[type="radio"], input[type="checkbox"], [role="radio"], [role="checkbox"]')) {
+      return true;
+    }
+    // A fieldset or ARIA group holding only choices
+    return element.matches('fieldset, [role="radiogroup"], [role="group"]') &&
+      !!element.querySelector('input[type="radio"], input[type="checkbox"], [role="radio"], [role="checkbox"]') &&
+      !element.querySelector('input:not([type="radio"]):not([type="checkbox"]):not([type="hidden"]), textarea, select');
+  }
+
+  /**
+   * Collect the group an option (or group container) belongs to
+   * @returns {Object|null} - { type: 'radio' | 'checkbox', container, options: [{ element, label, value }] }
+   */
+  static getGroup(element) {
+    if (!element) return null;
+
+    const optionSelector = 'input[type="radio"], input[type="checkbox"], [role="radio"], [role="checkbox"]';
+    let inputs = [];
+    let container = null;
+
+    if (element.matches(optionSelector)) {
+      const type = ChoiceGroupAdapter.getType(element);
+      container = element.closest('fieldset, [role="radiogroup"], [role="group"]');
+
+      // Native options share a name; ARIA options share a container
+      if (element.name) {
+        const scope = element.form || DomTraversal.rootOf(element);
+        inputs = Array.from(scope.querySelectorAll(`input[name="${CSS.escape(element.name)}"]`));
+      }
+      if (inputs.length <= 1 && container) {
+        inputs = Array.from(container.querySelectorAll(optionSelector));
+      }
+      if (inputs.length === 0) inputs = [element];
+      inputs = inputs.filter(input => ChoiceGroupAdapter.getType(input) === type);
+    } else {
+      container = element;
+      inputs = Array.from(element.querySelectorAll(optionSelector));
+    }
+
+    if (inputs.length === 0) return null;
+
+    return {
+      type: ChoiceGroupAdapter.getType(inputs[0]),
+      container: container || ChoiceGroupAdapter.commonAncestor(inputs),
+      options: inputs.map(input => ({
+        element: input,
+        label: ChoiceGroupAdapter.getOptionLabel(input),
+        value: input.value || input.getAttribute('data-value') || ''
+      }))
+    };
+  }
+
+  // Closest element holding every option (for native groups without a fieldset)
+  static commonAncestor(elements) {
+    let ancestor = elements[0].parentElement;
+    while (ancestor && !elements.every(element => ancestor.contains(element))) {
+      ancestor = ancestor.parentElement;
+    }
+    // A lone option's parent is usually its own label
+    if (ancestor && elements.length === 1 && ancestor.tagName === 'LABEL') {
+      ancestor = ancestor.parentElement;
+    }
+    return ancestor || elements[0].ownerDocument.body;
+  }
+
+  static getType(element) {
+    return (element.type || element.getAttribute('role')) === 'radio' ? 'radio' : 'checkbox';
+  }
+
+  static isChecked(element) {
+    if (typeof element.checked === 'boolean') return element.checked;
+    return element.getAttribute('aria-checked') === 'true';
+  }
+
+  static getOptionLabel(input) {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    if (input.id) {
+      const label = DomTraversal.findLabelFor(input);
+      if (label && clean(label.textContent)) return clean(label.textContent);
+    }
+
+    const parentLabel = input.closest('label');
+    if (parentLabel && clean(parentLabel.textContent)) return clean(parentLabel.textContent);
+
+    const labelledBy = input.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => DomTraversal.getElementById(id, input)?.textContent || '').join(' ');
+      if (clean(text)) return clean(text);
+    }
+
+    if (input.getAttribute('aria-label')) return clean(input.getAttribute('aria-label'));
+
+    // ARIA options usually carry their own text; native ones often have it right after them
+    // tagName rather than instanceof: options in frames come from another window
+    if (input.tagName !== 'INPUT' && clean(input.textContent)) return clean(input.textContent);
+    const next = input.nextElementSibling || input.nextSibling;
+    if (next && clean(next.textContent)) return clean(next.textContent);
+
+    return clean(input.value);
+  }
+
+  async fill(element, value) {
+    try {
+      const group = ChoiceGroupAdapter.getGroup(element);
+      if (!group) {
+        return { success: false, error: 'No options found' };
+      }
+      if (!this.matcher) {
+        return { success: false, error: 'Text matcher not loaded' };
+      }
+
+      const getText = option => option.label || option.value;
+      let targets;
+      let confidence = 1;
+
+      if (group.type === 'checkbox' && group.options.length === 1) {
+        // A lone checkbox ("I agree...", "I am over 18") is a yes/no question
+        const polarity = this.matcher.polarity(value);
+        if (!polarity) {
+          return { success: false, error: 'Answer is not yes or no' };
+        }
+        targets = polarity === 'yes' ? group.options : [];
+      } else if (group.type === 'checkbox') {
+        targets = this.matcher.matchMany(value, group.options, { getText });
+      } else {
+        const best = this.matcher.bestMatch(value, group.options, { getText });
+        targets = best ? [best.option] : [];
+        confidence = best ? best.score : 0;
+      }
+
+      if (targets.length === 0 && group.options.length > 1) {
+        return { success: false, error: 'No option matches the answer' };
+      }
+
+      for (const option of group.options) {
+        const shouldCheck = targets.includes(option);
+        // Radios can't be unchecked by clicking; checking another one does it
+        if (ChoiceGroupAdapter.isChecked(option.element) === shouldCheck) continue;
+        if (!shouldCheck && group.type === 'radio') continue;
+
+        await this.click(option.element);
+      }
+
+      const selected = group.options.filter(option => ChoiceGroupAdapter.isChecked(option.element));
+      const missed = targets.filter(option => !selected.includes(option));
+      if (missed.length > 0) {
+        return { success: false, error: `Could not select "${getText(missed[0])}"` };
+      }
+
+      return {
+        success: true,
+        selected: selected.map(getText),
+        confidence,
+        lowConfidence: confidence < OPTION_MATCH_LOW_CONFIDENCE
+      };
+    } catch (error) {
+      console.error('Job Lander: Choice group adapter error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Click the option, falling back to its label when a styled label intercepts the click
+  async click(element) {
+    const before = ChoiceGroupAdapter.isChecked(element);
+    element.scrollIntoView({ block: 'nearest' });
+    element.click();
+    await this.sleep(50);
+
+    if (ChoiceGroupAdapter.isChecked(element) === before) {
+      const label = element.id
+        ? DomTraversal.findLabelFor(element)
+        : element.closest('label');
+      if (label) {
+        label.click();
+        await this.sleep(50);
+      }
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Set a value the way typing would, so React's value tracker sees the change
+function setNativeInputValue(element, value) {
+  const prototype = element.tagName === 'TEXTAREA' ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+  if (setter) {
+    setter.call(element, value);
+  } else {
+    element.value = value;
+  }
+  element.dispatchEvent(new Event('input', { bubbles: true, cancelable: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true, cancelable: true }));
+}
+
+// Short excerpt of an answer for error messages
+function quoteAnswer(value) {
+  const text = String(value || '').trim();
+  return `"${text.length > 40 ? text.substring(0, 40) + '...' : text}"`;
+}
+
+/**
+ * Date Input Adapter - For type=date/month/datetime-local, date picker text inputs and
+ * Workday's separate month/day/year sections. Reads a date from the answer ("In two weeks",
+ * "March 3, 2027") and writes it in the format the field expects.
+ */
+class DateInputAdapter {
+  constructor() {
+    this.coercer = window.ValueCoercer ? new ValueCoercer() : null;
+  }
+
+  static isDateInput(element) {
+    if (element.tagName !== 'INPUT') return false;
+
+    const type = (element.type || '').toLowerCase();
+    if (['date', 'month', 'datetime-local'].includes(type)) return true;
+    if (!['text', 'tel', ''].includes(type)) return false;
+
+    if (element.closest(DATE_PICKER_SELECTOR) || element.closest('[data-automation-id^="dateSection"]')) return true;
+    return !!(window.ValueCoercer && new ValueCoercer().inferDateFormat(element));
+  }
+
+  async fill(element, value) {
+    if (!this.coercer) {
+      return { success: false, error: 'Value coercer not loaded' };
+    }
+
+    let date = this.coercer.parseDate(value);
+    if (!date) {
+      return { success: false, error: `Could not read a date from ${quoteAnswer(value)}` };
+    }
+
+    try {
+      const sections = this.findDateSections(element);
+      if (sections) {
+        return await this.fillSections(sections, date);
+      }
+
+      const type = (element.type || '').toLowerCase();
+      let written;
+      let adjusted = false;
+
+      if (['date', 'month', 'datetime-local'].includes(type)) {
+        // min/max are ISO dates, so they compare as strings
+        const iso = this.coercer.formatDate(date);
+        const min = (element.min || '').substring(0, 10);
+        const max = (element.max || '').substring(0, 10);
+        if (min.length === 10 && iso < min) {
+          date = this.coercer.parseDate(min);
+          adjusted = true;
+        } else if (max.length === 10 && iso > max) {
+          date = this.coercer.parseDate(max);
+          adjusted = true;
+        }
+
+        written = type === 'month'
+          ? this.coercer.formatDate(date, 'YYYY-MM')
+          : type === 'datetime-local'
+            ? `${this.coercer.formatDate(date)}T09:00`
+            : this.coercer.formatDate(date);
+      } else {
+        const format = this.coercer.inferDateFormat(element) || this.coercer.localeDateFormat();
+        written = this.coercer.formatDate(date, format);
+      }
+
+      element.focus();
+      setNativeInputValue(element, written);
+      await this.sleep(100);
+      // Pickers commit a typed date on blur
+      element.blur();
+      await this.sleep(100);
+
+      const shown = element.value.trim();
+      if (!shown) {
+        return { success: false, error: `The date picker did not accept ${written}` };
+      }
+      const shownDate = this.coercer.parseDate(shown);
+      if (shownDate && type !== 'month' && shownDate.getTime() !== date.getTime()) {
+        return { success: false, error: `The date picker changed ${written} to ${shown}` };
+      }
+
+      return { success: true, value: shown, verified: true, adjusted };
+    } catch (error) {
+      console.error('Job Lander: Date adapter error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Workday renders one input per part inside a date wrapper
+  findDateSections(element) {
+    const wrapper = element.closest('[data-automation-id="dateInputWrapper"]') ||
+      element.closest('[data-automation-id^="dateSection"]')?.parentElement;
+    if (!wrapper) return null;
+
+    const find = part => wrapper.querySelector(`input[data-automation-id="dateSection${part}-input"]`);
+    const sections = { month: find('Month'), day: find('Day'), year: find('Year') };
+    return sections.month && sections.year ? sections : null;
+  }
+
+  async fillSections(sections, date) {
+    const parts = [
+      [sections.month, this.coercer.formatDate(date, 'MM')],
+      [sections.day, this.coercer.formatDate(date, 'DD')],
+      [sections.year, this.coercer.formatDate(date, 'YYYY')]
+    ].filter(([input]) => input);
+
+    for (const [input, text] of parts) {
+      input.focus();
+      setNativeInputValue(input, text);
+      await this.sleep(50);
+    }
+    parts[parts.length - 1][0].blur();
+    await this.sleep(100);
+
+    const written = parts.map(([, text]) => text).join('/');
+    if (parts.some(([input, text]) => parseInt(input.value, 10) !== parseInt(text, 10))) {
+      return { success: false, error: `The date fields did not accept ${written}` };
+    }
+    return { success: true, value: written, verified: true };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Number Input Adapter - For type=number/range and numeric text inputs. Pulls the number out of
+ * the answer ("$120k", "5+ years") and fits it to min, max and step.
+ */
+class NumberInputAdapter {
+  constructor() {
+    this.coercer = window.ValueCoercer ? new ValueCoercer() : null;
+  }
+
+  static isNumberInput(element) {
+    if (element.tagName !== 'INPUT') return false;
+    const type = (element.type || '').toLowerCase();
+    const inputMode = (element.getAttribute('inputmode') || '').toLowerCase();
+    if (type === 'number' || type === 'range') return true;
+
+    // Zip codes and phone numbers use a numeric keyboard too, but leading zeros and + matter there
+    const identity = [element.getAttribute('autocomplete'), element.name, element.id].join(' ');
+    return (inputMode === 'numeric' || inputMode === 'decimal') && !/tel|phone|zip|postal|code/i.test(identity);
+  }
+
+  async fill(element, value) {
+    if (!this.coercer) {
+      return { success: false, error: 'Value coercer not loaded' };
+    }
+
+    const number = this.coercer.parseNumber(value);
+    if (number === null) {
+      return { success: false, error: `No number found in ${quoteAnswer(value)}` };
+    }
+
+    try {
+      const type = (element.type || '').toLowerCase();
+      // Native number inputs step by 1 unless told otherwise
+      const step = element.getAttribute('step') || (type === 'number' || type === 'range' ? '1' : null);
+      const { value: fitted, adjusted } = this.coercer.clampNumber(number, {
+        min: element.getAttribute('min'),
+        max: element.getAttribute('max'),
+        step: step === 'any' ? null : step
+      });
+      const written = String(fitted);
+
+      element.focus();
+      setNativeInputValue(element, written);
+      await this.sleep(50);
+
+      if (parseFloat(element.value) !== fitted) {
+        return { success: false, error: `The field did not accept ${written}` };
+      }
+
+      return { success: true, value: written, verified: true, adjusted };
+    } catch (error) {
+      console.error('Job Lander: Number adapter error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Masked Input Adapter - For text inputs with an input mask (phone numbers, IDs). Fits the
+ * answer's digits into the mask so mask libraries don't reject or garble it.
+ */
+class MaskedInputAdapter {
+  constructor() {
+    this.coercer = window.ValueCoercer ? new ValueCoercer() : null;
+  }
+
+  /**
+   * The field's mask in ValueCoercer.applyMask notation, or null
+   */
+  static getMask(element) {
+    if (element.tagName !== 'INPUT') return null;
+
+    // jQuery Mask Plugin uses 0 for a digit
+    const jqueryMask = element.getAttribute('data-mask');
+    if (jqueryMask) return jqueryMask.replace(/0/g, '9');
+
+    const inputmask = element.getAttribute('data-inputmask-mask') ||
+      element.getAttribute('data-inputmask')?.match(/mask['"]?\s*:\s*['"]([^'"]+)['"]/)?.[1];
+    if (inputmask) return inputmask;
+
+    const placeholder = (element.getAttribute('placeholder') || '').trim();
+    if (MASK_PLACEHOLDER.test(placeholder) && (placeholder.match(/[_#9]/g) || []).length >= 4) {
+      return placeholder;
+    }
+    return null;
+  }
+
+  async fill(element, value) {
+    if (!this.coercer) {
+      return { success: false, error: 'Value coercer not loaded' };
+    }
+
+    const mask = MaskedInputAdapter.getMask(element);
+    const masked = this.coercer.applyMask(value, mask);
+    if (!masked.success) {
+      return { success: false, error: `${masked.error} (${mask})` };
+    }
+
+    try {
+      element.focus();
+      setNativeInputValue(element, masked.value);
+      await this.sleep(50);
+
+      // Mask libraries may reformat, so compare the characters that were typed
+      const typed = text => text.replace(/[^a-z0-9]/gi, '');
+      if (!typed(element.value).endsWith(typed(masked.value).slice(-4))) {
+        return { success: false, error: `The field did not accept ${masked.value}` };
+      }
+
+      return { success: true, value: element.value, verified: true };
+    } catch (error) {
+      console.error('Job Lander: Masked input adapter error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Combobox Adapter - For custom dropdowns (role="combobox", React-Select, MUI Autocomplete,
+ * Workday prompts). Opens the list, types to filter when needed, waits for async options,
+ * picks the option closest to the answer and checks that the selection took.
+ */
+class ComboboxAdapter {
+  constructor() {
+    this.matcher = window.TextMatcher ? new TextMatcher() : null;
+  }
+
+  static isCombobox(element) {
+    if (element.tagName === 'SELECT' || element.tagName === 'TEXTAREA') return false;
+    if (element.getAttribute('role') === 'combobox') return true;
+    if (element.getAttribute('aria-haspopup') === 'listbox') return true;
+    if (element.getAttribute('aria-autocomplete') === 'list') return true;
+    return !!element.closest(COMBOBOX_CONTAINER_SELECTOR);
+  }
+
+  async fill(element, value) {
+    if (!this.matcher) {
+      return { success: false, error: 'Text matcher not loaded' };
+    }
+
+    const input = this.findTextInput(element);
+    const trigger = input || element;
+    this.typedTerm = null;
+
+    try {
+      await this.open(trigger);
+      let best = this.rank(value, await this.waitForOptions(trigger, { timeoutMs: 1500 }));
+      let bestTerm = null;
+
+      // Long lists are filtered by typing; async lists only load once something is typed
+      if ((!best || best.score < OPTION_MATCH_LOW_CONFIDENCE) && input && !input.readOnly) {
+        for (const term of this.searchTerms(value)) {
+          await this.typeSearch(input, term);
+          const candidate = this.rank(value, await this.waitForOptions(trigger, { timeoutMs: 3000 }));
+          if (candidate && (!best || candidate.score > best.score)) {
+            best = candidate;
+            bestTerm = term;
+          }
+          if (best && best.score >= OPTION_MATCH_LOW_CONFIDENCE) break;
+        }
+
+        // The best option came from an earlier list; bring that list back
+        if (best && !best.option.element.isConnected) {
+          await this.typeSearch(input, bestTerm || '');
+          const options = await this.waitForOptions(trigger, { timeoutMs: 3000 });
+          const again = options.find(option => option.text === best.option.text);
+          best = again ? { option: again, score: best.score } : null;
+        }
+      }
+
+      if (!best) {
+        await this.close(trigger);
+        return { success: false, error: 'No matching option found' };
+      }
+
+      await this.pick(best.option.element);
+
+      if (!(await this.verifySelection(element, trigger, best.option))) {
+        await this.close(trigger);
+        return { success: false, error: `Selecting "${best.option.text}" did not take effect` };
+      }
+
+      await this.close(trigger);
+      return {
+        success: true,
+        selected: [best.option.text],
+        confidence: Math.round(best.score * 100) / 100,
+        lowConfidence: best.score < OPTION_MATCH_LOW_CONFIDENCE
+      };
+    } catch (error) {
+      console.error('Job Lander: Combobox adapter error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  findTextInput(element) {
+    if (element.matches('input')) return element;
+    const container = element.closest(COMBOBOX_CONTAINER_SELECTOR) || element;
+    return container.querySelector('input:not([type="hidden"])');
+  }
+
+  // The whole answer when short, then its first words ("Yes, I am authorized" -> "Yes")
+  searchTerms(value) {
+    const text = value.trim();
+    const words = text.split(/[\s,]+/).filter(Boolean);
+    const terms = [];
+
+    if (text.length <= 40) terms.push(text);
+    if (words.length > 3) terms.push(words.slice(0, 3).join(' '));
+    if (words.length > 1 && words[0].length >= 2) terms.push(words[0].replace(/[^\w+#.-]/g, ''));
+
+    return [...new Set(terms.filter(Boolean))];
+  }
+
+  rank(value, options) {
+    return this.matcher.bestMatch(value, options, { getText: option => option.text, minScore: 0.4 });
+  }
+
+  async open(trigger) {
+    trigger.scrollIntoView({ block: 'center' });
+    trigger.focus();
+    // React-Select opens on mousedown, most others on click
+    this.dispatchMouse(trigger.closest(COMBOBOX_CONTAINER_SELECTOR) || trigger, ['mousedown', 'mouseup', 'click']);
+    await this.sleep(200);
+
+    if (this.visibleOptions(trigger).length === 0) {
+      trigger.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', bubbles: true }));
+      await this.sleep(150);
+    }
+  }
+
+  async typeSearch(input, term) {
+    this.typedTerm = term;
+    input.focus();
+    const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value')?.set;
+    if (setter) {
+      setter.call(input, term);
+    } else {
+      input.value = term;
+    }
+    input.dispatchEvent(new InputEvent('input', { bubbles: true, data: term, inputType: 'insertText' }));
+    await this.sleep(100);
+  }
+
+  /**
+   * Wait until the list has options and stops changing (async options load in batches)
+   * @returns {Array} - [{ element, text }]
+   */
+  async waitForOptions(trigger, { timeoutMs = 3000, settleMs = 300, intervalMs = 100 } = {}) {
+    const start = Date.now();
+    let options = [];
+    let lastCount = -1;
+    let stableSince = Date.now();
+
+    while (Date.now() - start < timeoutMs) {
+      options = this.visibleOptions(trigger);
+      if (options.length !== lastCount) {
+        lastCount = options.length;
+        stableSince = Date.now();
+      } else if (options.length > 0 && Date.now() - stableSince >= settleMs) {
+        break;
+      }
+      await this.sleep(intervalMs);
+    }
+
+    return options;
+  }
+
+  visibleOptions(trigger) {
+    // Prefer the list the combobox says it controls
+    const listId = trigger.getAttribute('aria-controls') || trigger.getAttribute('aria-owns');
+    const listbox = listId ? DomTraversal.getElementById(listId, trigger) : null;
+    // Otherwise the list is in the trigger's shadow root, or portalled to its document's body
+    const scopes = listbox ? [listbox] : Array.from(new Set([DomTraversal.rootOf(trigger), trigger.ownerDocument]));
+
+    return scopes.flatMap(scope => Array.from(scope.querySelectorAll(COMBOBOX_OPTION_SELECTOR)))
+      // Nested matches ("-option" inside "[role=option]") would count twice
+      .filter(element => !element.parentElement?.closest(COMBOBOX_OPTION_SELECTOR))
+      .filter(element => !element.closest('#job-lander-sidebar'))
+      .filter(element => element.getAttribute('aria-disabled') !== 'true')
+      .filter(element => element.offsetParent !== null || element.getClientRects().length > 0)
+      .map(element => ({ element, text: element.textContent.replace(/\s+/g, ' ').trim() }))
+      .filter(option => option.text && !COMBOBOX_PLACEHOLDER_OPTION.test(option.text));
+  }
+
+  async pick(optionElement) {
+    optionElement.scrollIntoView({ block: 'nearest' });
+    this.dispatchMouse(optionElement, ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click']);
+    await this.sleep(200);
+  }
+
+  /**
+   * Whether the pick took effect, judged by selection state rather than text on screen: the
+   * open list and the search text typed into the input both contain the option's text anyway.
+   * Counts a value or pill element showing the option, the option marked aria-selected once the
+   * list has closed, a non-input trigger showing it, or an input the widget rewrote to it.
+   */
+  async verifySelection(element, trigger, option) {
+    const expected = this.matcher.normalize(option.text);
+    const container = trigger.closest(COMBOBOX_CONTAINER_SELECTOR) ||
+      element.closest('[data-automation-id]') ||
+      trigger.parentElement?.parentElement ||
+      trigger;
+    const shows = (text) => {
+      const normalized = this.matcher.normalize(text || '');
+      return !!normalized && normalized.includes(expected);
+    };
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const listClosed = trigger.getAttribute('aria-expanded') !== 'true' && this.visibleOptions(trigger).length === 0;
+
+      const valueElements = Array.from(container.querySelectorAll(COMBOBOX_VALUE_SELECTOR))
+        .filter(value => !value.closest(COMBOBOX_OPTION_SELECTOR));
+      if (valueElements.some(value => shows(value.textContent))) return true;
+
+      if (listClosed && option.element.isConnected && option.element.getAttribute('aria-selected') === 'true') return true;
+
+      if (trigger.tagName !== 'INPUT' && shows(this.ownText(trigger))) return true;
+
+      // Widgets that keep the choice in the input (MUI Autocomplete) replace the search text
+      // with the option's label; text we typed ourselves only counts once the list has closed
+      if (trigger.tagName === 'INPUT' && shows(trigger.value)) {
+        const typedItself = this.typedTerm !== null &&
+          this.matcher.normalize(this.typedTerm) === this.matcher.normalize(trigger.value);
+        if (!typedItself || listClosed) return true;
+      }
+
+      await this.sleep(100);
+    }
+    return false;
+  }
+
+  // Text of an element without the options of a list rendered inside it
+  ownText(element) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll(COMBOBOX_OPTION_SELECTOR).forEach(option => option.remove());
+    return copy.textContent;
+  }
+
+  async close(trigger) {
+    if (this.visibleOptions(trigger).length > 0) {
+      trigger.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', bubbles: true }));
+      await this.sleep(50);
+    }
+    trigger.blur();
+  }
+
+  dispatchMouse(element, types) {
+    types.forEach(type => {
+      const EventType = type.startsWith('pointer') && window.PointerEvent ? PointerEvent : MouseEvent;
+      element.dispatchEvent(new EventType(type, { bubbles: true, cancelable: true, view: window, button: 0 }));
+    });
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
 // Make available globally
 window.InputAdapterManager = InputAdapterManager;
+window.ChoiceGroupAdapter = ChoiceGroupAdapter;
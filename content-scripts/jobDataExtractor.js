@@ -5,13 +5,17 @@
  * 1. JSON-LD structured data (schema.org/JobPosting)
  * 2. Meta tags (OpenGraph, Twitter Cards)
  * 3. Smart DOM analysis (content scoring + semantic patterns)
- * 4. Site-specific patterns (Greenhouse, Lever, Workday, etc.)
+ * 4. Site adapters (Greenhouse, Lever, Workday, etc. - one file each in siteAdapters/)
  */
 
 class JobDataExtractor {
   constructor() {
     this.url = window.location.href;
     this.hostname = window.location.hostname.toLowerCase();
+    this.siteAdapters = window.JobLanderSiteAdapters || null;
+    this.matchedAdapter = null; // The site adapter for this page, even when JSON-LD was enough
+    this.salaryParser = new SalaryParser();
+    this.markdownConverter = new MarkdownConverter();
   }
 
   /**
@@ -20,6 +24,9 @@ class JobDataExtractor {
   async extract() {
     console.log('Job Lander: Starting intelligent job data extraction...');
 
+    // Known before any strategy runs, so the result reports the site even on the JSON-LD path
+    this.matchedAdapter = this.siteAdapters ? this.siteAdapters.find(this.url) : null;
+
     // Strategy 1: Try JSON-LD structured data (most reliable)
     const fromJSONLD = this.extractFromJSONLD();
     if (fromJSONLD && this.isComplete(fromJSONLD, 0.7)) {
@@ -31,7 +38,7 @@ class JobDataExtractor {
     const fromMeta = this.extractFromMetaTags();
     
     // Strategy 3: Try site-specific patterns (ATS systems)
-    const fromSiteSpecific = this.extractFromSiteSpecific();
+    const fromSiteSpecific = await this.extractFromSiteSpecific();
     
     // Strategy 4: Smart DOM analysis (universal fallback)
     const fromDOM = this.extractFromDOM();
@@ -106,7 +113,7 @@ class JobDataExtractor {
       jobTitle: job.title || job.name || '',
       companyName: this.extractCompanyFromLD(job.hiringOrganization),
       location: this.extractLocationFromLD(job.jobLocation),
-      jobDescription: this.cleanText(job.description || ''),
+      jobDescription: this.toMarkdown(job.description || ''),
       salary: this.extractSalaryFromLD(job.baseSalary),
       jobType: job.employmentType || '',
       datePosted: job.datePosted || '',
@@ -137,21 +144,8 @@ class JobDataExtractor {
 
   extractSalaryFromLD(salary) {
     if (!salary) return '';
-    if (typeof salary === 'string') return salary;
-    
-    const currency = salary.currency || '$';
-    const value = salary.value;
-    const minValue = salary.minValue;
-    const maxValue = salary.maxValue;
-    const unitText = salary.unitText || '';
-
-    if (minValue && maxValue) {
-      return `${currency}${minValue}-${maxValue} ${unitText}`.trim();
-    }
-    if (value) {
-      return `${currency}${value} ${unitText}`.trim();
-    }
-    return '';
+    const parsed = this.salaryParser.fromStructured(salary);
+    return parsed ? parsed.raw : '';
   }
 
   /**
@@ -177,7 +171,7 @@ class JobDataExtractor {
     return {
       jobTitle: title,
       companyName: company,
-      jobDescription: this.cleanText(description),
+      jobDescription: this.toMarkdown(description),
       location: '',
       salary: '',
       jobType: ''
@@ -185,400 +179,27 @@ class JobDataExtractor {
   }
 
   /**
-   * Extract from site-specific patterns (ATS systems)
+   * Extract using the matching site adapter (see siteAdapters/siteAdapterRegistry.js)
    */
-  extractFromSiteSpecific() {
-    // WhiteCarrot
-    if (this.hostname.includes('whitecarrot.io')) {
-      return this.extractFromWhiteCarrot();
-    }
-
-    // Greenhouse
-    if (this.hostname.includes('greenhouse.io') || document.querySelector('#grnhse_app')) {
-      return this.extractFromGreenhouse();
-    }
-
-    // Lever
-    if (this.hostname.includes('lever.co') || document.querySelector('.posting')) {
-      return this.extractFromLever();
-    }
-
-    // Workday
-    if (this.hostname.includes('myworkdayjobs.com') || document.querySelector('[data-automation-id="jobPostingHeader"]')) {
-      return this.extractFromWorkday();
-    }
-
-    // SmartRecruiters
-    if (this.hostname.includes('smartrecruiters.com') || document.querySelector('[data-test="job-title"]')) {
-      return this.extractFromSmartRecruiters();
-    }
-
-    // LinkedIn
-    if (this.hostname.includes('linkedin.com')) {
-      return this.extractFromLinkedIn();
-    }
-
-    // Indeed
-    if (this.hostname.includes('indeed.com')) {
-      return this.extractFromIndeed();
-    }
-
-    // Glassdoor
-    if (this.hostname.includes('glassdoor.com')) {
-      return this.extractFromGlassdoor();
-    }
-
-    return null;
-  }
-
-  extractFromWhiteCarrot() {
-    console.log('Job Lander: Using WhiteCarrot-specific extraction');
-    
-    // WhiteCarrot is a Vue.js SPA - wait for content to load
-    const maxAttempts = 10;
-    let attempts = 0;
-    
-    const extractData = () => {
-      // Job title - look for centered large text
-      const jobTitle = this.getTextContent('.mt-3.mb-2.text-center') || 
-                       Array.from(document.querySelectorAll('p')).find(p => 
-                         p.style.fontSize === '1.75rem' && p.textContent.trim()
-                       )?.textContent.trim() || '';
-      
-      // Company name - extract from URL (e.g., /careers/bayzat/job/)
-      let companyName = '';
-      const urlMatch = window.location.pathname.match(/\/careers\/([^\/]+)\//);
-      if (urlMatch) {
-        companyName = urlMatch[1].charAt(0).toUpperCase() + urlMatch[1].slice(1);
-      }
-      
-      // Also check for company logo alt text
-      const logo = document.querySelector('img[alt="Logo"]');
-      if (logo && logo.src && !companyName) {
-        // Try to extract from image filename
-        const srcMatch = logo.src.match(/\/([^\/]+)\.\w+$/);
-        if (srcMatch) {
-          companyName = srcMatch[1];
-        }
-      }
-      
-      // Job description link - extract the external job description URL
-      const jobDescLink = document.querySelector('a[href*="/share/careers/"]');
-      let jobDescription = '';
-      let externalUrl = '';
-      
-      if (jobDescLink) {
-        externalUrl = jobDescLink.href;
-        jobDescription = `For full job description, visit: ${externalUrl}`;
-      }
-      
-      // Location - WhiteCarrot often doesn't show location on profile-builder page
-      // Try to find any location-related text
-      let location = '';
-      const textElements = Array.from(document.querySelectorAll('p, span, div'));
-      for (const el of textElements) {
-        const text = el.textContent.trim();
-        // Look for common location patterns
-        if (text.match(/^[A-Z][a-z]+,\s*[A-Z]/)) { // City, Country pattern
-          location = text;
-          break;
-        }
-      }
-      
-      return {
-        jobTitle: jobTitle,
-        companyName: companyName,
-        location: location,
-        jobDescription: jobDescription,
-        salary: '',
-        jobType: ''
-      };
-    };
-    
-    const data = extractData();
-    
-    // If data is incomplete and we haven't exceeded attempts, wait and retry
-    if ((!data.jobTitle || !data.companyName) && attempts < maxAttempts) {
-      attempts++;
-      console.log('Job Lander: WhiteCarrot data incomplete, waiting for Vue to render...', attempts);
-      setTimeout(() => extractData(), 500);
+  async extractFromSiteSpecific() {
+    if (!this.siteAdapters) {
+      console.warn('Job Lander: Site adapter registry not loaded');
+      return null;
     }
-    
-    return data;
-  }
-
-  extractFromGreenhouse() {
-    console.log('Job Lander: Using Greenhouse-specific extraction');
-    return {
-      jobTitle: this.getTextContent('#header .app-title'),
-      companyName: this.getTextContent('#header .company-name'),
-      location: this.getTextContent('.location'),
-      jobDescription: this.getHTMLContent('#content'),
-      salary: '',
-      jobType: ''
-    };
-  }
-
-  extractFromLever() {
-    console.log('Job Lander: Using Lever-specific extraction');
-    const categories = document.querySelector('.posting-categories');
-    return {
-      jobTitle: this.getTextContent('.posting-headline h2'),
-      companyName: document.querySelector('.main-header-logo')?.alt || '',
-      location: this.getTextContent('.posting-categories .location'),
-      jobDescription: this.getHTMLContent('.section-wrapper .content'),
-      salary: '',
-      jobType: this.getTextContent('.posting-categories .commitment')
-    };
-  }
-
-  extractFromWorkday() {
-    console.log('Job Lander: Using Workday-specific extraction');
-    return {
-      jobTitle: this.getTextContent('[data-automation-id="jobPostingHeader"]'),
-      companyName: this.getTextContent('.company-name, [data-automation-id="companyName"]'),
-      location: this.getTextContent('[data-automation-id="locations"]'),
-      jobDescription: this.getHTMLContent('[data-automation-id="jobPostingDescription"]'),
-      salary: '',
-      jobType: this.getTextContent('[data-automation-id="time-type"]')
-    };
-  }
 
-  extractFromSmartRecruiters() {
-    console.log('Job Lander: Using SmartRecruiters-specific extraction');
-    return {
-      jobTitle: this.getTextContent('[data-test="job-title"]'),
-      companyName: this.getTextContent('[data-test="company-name"]'),
-      location: this.getTextContent('[data-test="job-location"]'),
-      jobDescription: this.getHTMLContent('[data-test="job-description"]'),
-      salary: '',
-      jobType: this.getTextContent('[data-test="employment-type"]')
-    };
-  }
-
-  extractFromLinkedIn() {
-    console.log('Job Lander: Using LinkedIn-specific extraction');
-    const titleSelectors = [
-      '.jobs-unified-top-card__job-title h1',
-      '.jobs-unified-top-card__job-title a',
-      '.job-details-jobs-unified-top-card__job-title h1',
-      'h1.t-24.t-bold'
-    ];
-
-    const companySelectors = [
-      '.jobs-unified-top-card__company-name a',
-      '.jobs-unified-top-card__company-name',
-      '.job-details-jobs-unified-top-card__company-name a'
-    ];
-
-    const descriptionSelectors = [
-      '.jobs-description-content__text',
-      '.jobs-description__content',
-      '.jobs-box__html-content'
-    ];
-
-    // Extract location with smart parsing for new LinkedIn structure
-    const location = this.extractLinkedInLocation();
-
-    return {
-      jobTitle: this.getTextFromSelectors(titleSelectors),
-      companyName: this.getTextFromSelectors(companySelectors),
-      location: location,
-      jobDescription: this.getHTMLFromSelectors(descriptionSelectors),
-      salary: '',
-      jobType: ''
-    };
-  }
-
-  extractLinkedInLocation() {
-    // Try new LinkedIn structure (2024+) with tvm__text classes
-    const tvmTextElements = document.querySelectorAll('.tvm__text--low-emphasis');
-    if (tvmTextElements.length > 0) {
-      // First tvm__text element is typically the location
-      // Format: "Cairo, Cairo, Egypt"
-      for (const element of tvmTextElements) {
-        const text = element.textContent?.trim() || '';
-        // Location typically has commas and doesn't contain numbers or "ago"
-        if (text && 
-            text.includes(',') && 
-            !text.includes('ago') && 
-            !text.includes('applicant') && 
-            !/\d/.test(text)) {
-          console.log('Job Lander: Found location in tvm__text:', text);
-          return text;
-        }
-      }
+    const adapter = this.matchedAdapter;
+    if (!adapter) {
+      return null;
     }
 
-    // Fallback to older LinkedIn selectors
-    const oldLocationSelectors = [
-      '.jobs-unified-top-card__bullet',
-      '.jobs-unified-top-card__primary-description',
-      '.jobs-unified-top-card__subtitle-primary-grouping .tvm__text'
-    ];
+    console.log(`Job Lander: Using ${adapter.name} site adapter`);
 
-    for (const selector of oldLocationSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const text = element.textContent?.trim() || '';
-        if (text) {
-          console.log('Job Lander: Found location in old selector:', text);
-          return text;
-        }
-      }
+    try {
+      return await this.siteAdapters.extract(adapter, this);
+    } catch (error) {
+      console.error(`Job Lander: ${adapter.name} site adapter failed:`, error);
+      return null;
     }
-
-    console.log('Job Lander: No location found');
-    return '';
-  }
-
-  extractFromIndeed() {
-    console.log('Job Lander: Using Indeed-specific extraction');
-    const titleSelectors = [
-      '[data-jk] h1 span',
-      '[data-jk] h1',
-      'h1[data-testid="job-title"]'
-    ];
-
-    const companySelectors = [
-      '[data-testid="company-name"] a',
-      '[data-testid="company-name"]',
-      '.jobsearch-CompanyInfoWithoutHeaderImage a'
-    ];
-
-    const descriptionSelectors = [
-      '#jobDescriptionText',
-      '[data-testid="jobDescription"]'
-    ];
-
-    return {
-      jobTitle: this.getTextFromSelectors(titleSelectors),
-      companyName: this.getTextFromSelectors(companySelectors),
-      location: this.getTextContent('[data-testid="job-location"]'),
-      jobDescription: this.getHTMLFromSelectors(descriptionSelectors),
-      salary: this.getTextContent('[data-testid="salary-snippet"]'),
-      jobType: ''
-    };
-  }
-
-  extractFromGlassdoor() {
-    console.log('Job Lander: Using Glassdoor-specific extraction');
-    
-    // Glassdoor has a two-column layout: job list (left) and job details (right)
-    // We need to extract from the job details panel, not the list
-    const jobDetailsContainer = document.querySelector('.JobDetails_jobDetailsContainer__y9P3L') ||
-                                document.querySelector('[class*="JobDetails_jobDetails"]') ||
-                                document.querySelector('.jobDetails') ||
-                                document.querySelector('#JobDetails');
-    
-    // Helper function to search within job details container
-    const getTextFromContainer = (selectors) => {
-      if (!jobDetailsContainer) {
-        return this.getTextFromSelectors(selectors);
-      }
-      
-      for (const selector of selectors) {
-        const element = jobDetailsContainer.querySelector(selector);
-        if (element) {
-          const text = element.textContent?.trim() || '';
-          if (text) {
-            console.log(`Job Lander: Found match for selector "${selector}":`, text.substring(0, 100));
-            return text;
-          }
-        }
-      }
-      return '';
-    };
-    
-    const getHTMLFromContainer = (selectors) => {
-      if (!jobDetailsContainer) {
-        return this.getHTMLFromSelectors(selectors);
-      }
-      
-      for (const selector of selectors) {
-        const element = jobDetailsContainer.querySelector(selector);
-        if (element) {
-          const html = element.innerHTML?.trim() || '';
-          if (html) {
-            console.log(`Job Lander: Found HTML match for selector "${selector}": ${html.length} chars`);
-            return html;
-          }
-        }
-      }
-      return '';
-    };
-    
-    // Job title - try multiple selectors (within job details)
-    const titleSelectors = [
-      'h1[id*="jd-job-title"]',
-      '[data-test="job-title"]',
-      'h1.heading_Level1__w42c9',
-      'h1.heading_Heading__aomVx',
-      'div.JobDetails_jobTitle h1',
-      'h1'
-    ];
-    
-    // Company name - try multiple selectors (within job details)
-    const companySelectors = [
-      '.EmployerProfile_employerNameHeading__bXBYr h4',
-      'h4.heading_Subhead__jiUbT',
-      '.EmployerProfile_compactEmployerName__9MGcV',
-      '[data-test="employer-name"]',
-      'div[class*="EmployerProfile"] h4',
-      'a[class*="EmployerProfile"] h4',
-      'div.employerName'
-    ];
-    
-    // Location - try multiple selectors (within job details)
-    const locationSelectors = [
-      '.JobDetails_locationAndPay__XGFmY > div:first-child',
-      'div[data-test="location"]',
-      '[data-test="location"]',
-      'div[class*="location"]'
-    ];
-    
-    // Job description - try multiple selectors (within job details)
-    const descriptionSelectors = [
-      '.JobDetails_jobDescription__uW_fK',
-      'div[class*="JobDetails_jobDescription"]',
-      '[data-test="jobDescriptionContent"]',
-      'div.jobDescriptionContent',
-      'div.desc',
-      'section[class*="description"]'
-    ];
-    
-    // Salary - try multiple selectors (within job details)
-    const salarySelectors = [
-      'div[id*="jd-salary"]',
-      '.JobDetails_locationAndPay__XGFmY .JobCard_salaryEstimate__QpbTW',
-      '[data-test="detailSalary"]',
-      'div[class*="salary"]'
-    ];
-    
-    console.log('Job Lander: Job details container found:', !!jobDetailsContainer);
-    
-    const jobTitle = getTextFromContainer(titleSelectors);
-    const companyName = getTextFromContainer(companySelectors);
-    const location = getTextFromContainer(locationSelectors);
-    const jobDescription = getHTMLFromContainer(descriptionSelectors);
-    const salary = getTextFromContainer(salarySelectors);
-    
-    console.log('Job Lander: Glassdoor extraction results:', {
-      jobTitle: jobTitle ? `Found: ${jobTitle.substring(0, 50)}...` : 'Not found',
-      companyName: companyName ? `Found: ${companyName}` : 'Not found',
-      location: location ? `Found: ${location}` : 'Not found',
-      jobDescription: jobDescription ? `Found (${jobDescription.length} chars)` : 'Not found',
-      salary: salary ? `Found: ${salary}` : 'Not found'
-    });
-    
-    return {
-      jobTitle: jobTitle,
-      companyName: companyName,
-      location: location,
-      jobDescription: jobDescription,
-      salary: salary,
-      jobType: ''
-    };
   }
 
   /**
@@ -683,21 +304,10 @@ class JobDataExtractor {
 
   guessSalary() {
     if (!document.body || !document.body.innerText) return '';
-    
-    const bodyText = document.body.innerText;
-    // Look for salary patterns: $50,000 - $70,000 or $50K-$70K or $50k-70k/year
-    const patterns = [
-      /\$[\d,]+\s*[-–]\s*\$[\d,]+(?:\s*(?:per|\/)\s*(?:year|yr|annum|hour|hr))?/i,
-      /\$[\d,]+[kK]\s*[-–]\s*\$?[\d,]+[kK](?:\s*(?:per|\/)\s*(?:year|yr|annum))?/i,
-      /salary:\s*\$[\d,]+(?:\s*[-–]\s*\$[\d,]+)?/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = bodyText.match(pattern);
-      if (match) return match[0];
-    }
 
-    return '';
+    // Any currency, ranges, "k" suffixes and periods, e.g. "€45.000 – €55.000 per year"
+    const salary = this.salaryParser.findInText(document.body.innerText);
+    return salary ? salary.raw : '';
   }
 
   guessJobType() {
@@ -798,12 +408,30 @@ class JobDataExtractor {
     }) || scored[0];
 
     if (best && best.element) {
-      return this.cleanText(best.element.innerHTML);
+      return this.toMarkdown(this.narrowDescriptionContainer(best, scored).element);
     }
 
     return '';
   }
 
+  // The best-scoring container is often a wrapper that also holds "similar jobs" or apply
+  // widgets; prefer the smallest descendant that keeps most of its words and all its keywords
+  narrowDescriptionContainer(best, scored) {
+    const keywords = ['responsibilities', 'requirements', 'qualifications', 'description', 'experience'];
+    const keywordCount = (text) => keywords.filter(keyword => text.toLowerCase().includes(keyword)).length;
+    const bestKeywords = keywordCount(best.text);
+
+    const candidates = scored.filter(item =>
+      item.element !== best.element &&
+      best.element.contains(item.element) &&
+      item.wordCount >= best.wordCount * 0.5 &&
+      keywordCount(item.text) >= bestKeywords
+    );
+    candidates.sort((a, b) => a.wordCount - b.wordCount);
+
+    return candidates[0] || best;
+  }
+
   /**
    * Helper methods
    */
@@ -814,7 +442,7 @@ class JobDataExtractor {
 
   getHTMLContent(selector) {
     const el = document.querySelector(selector);
-    return el ? this.cleanText(el.innerHTML) : '';
+    return el ? this.toMarkdown(el) : '';
   }
 
   getTextFromSelectors(selectors) {
@@ -833,24 +461,9 @@ class JobDataExtractor {
     return '';
   }
 
-  cleanText(htmlOrText) {
-    if (!htmlOrText) return '';
-
-    // Convert HTML to text
-    const el = document.createElement('div');
-    el.innerHTML = htmlOrText;
-
-    // Get text content preserving structure
-    let text = el.innerText || el.textContent || '';
-
-    // Clean up whitespace
-    text = text
-      .replace(/\u00a0/g, ' ') // non-breaking spaces
-      .replace(/[ \t]+\n/g, '\n') // trailing spaces before newlines
-      .replace(/\n{3,}/g, '\n\n') // collapse multiple newlines
-      .trim();
-
-    return text;
+  // Sanitized Markdown that keeps headings, lists and links (see markdownConverter.js)
+  toMarkdown(htmlOrElement) {
+    return this.markdownConverter.convert(htmlOrElement);
   }
 
   mergeData(sources) {
@@ -901,40 +514,17 @@ class JobDataExtractor {
       return str || '';
     };
 
-    // Smart truncation at word boundaries (7000 char limit)
-    const smartTruncate = (text, maxLength = 7000) => {
-      if (!text || text.length <= maxLength) {
-        return text;
-      }
-      
-      // Truncate to max length
-      let truncated = text.substring(0, maxLength);
-      
-      // Find the last complete word (space, newline, or punctuation)
-      const lastSpace = truncated.lastIndexOf(' ');
-      const lastNewline = truncated.lastIndexOf('\n');
-      const lastPeriod = truncated.lastIndexOf('.');
-      
-      // Use the best boundary within last 100 chars to avoid cutting too much
-      const cutPoint = Math.max(
-        lastPeriod > maxLength - 100 ? lastPeriod + 1 : 0,
-        lastNewline > maxLength - 50 ? lastNewline : 0,
-        lastSpace > maxLength - 20 ? lastSpace : maxLength
-      );
-      
-      truncated = text.substring(0, cutPoint).trim();
-      
-      // Add truncation indicator
-      return truncated + '\n\n[Description truncated. View full details at the job posting.]';
-    };
-
     return {
       jobTitle: data.jobTitle || '',
       companyName: data.companyName || '',
       location: data.location || '',
-      jobDescription: smartTruncate(data.jobDescription, 7000),
+      // Full Markdown; the size-limited copy for the API is made when saving
+      jobDescription: data.jobDescription || '',
+      descriptionSections: this.markdownConverter.splitSections(data.jobDescription),
       salary: data.salary || '',
-      jobType: mapType(data.jobType)
+      salaryDetails: this.salaryParser.parse(data.salary),
+      jobType: mapType(data.jobType),
+      siteAdapter: this.matchedAdapter ? this.matchedAdapter.id : null
     };
   }
 }
@@ -0,0 +1,279 @@
+// Markdown Converter - Turns job description HTML into sanitized Markdown, splits it into
+// sections and fits it to a size limit without cutting through a list item or paragraph
+
+// Subtrees that are never part of a description
+const MARKDOWN_DROP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+  'form', 'button', 'input', 'select', 'textarea', 'nav', 'footer', 'aside',
+  '[role="navigation"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Headings that start page chrome rather than description content
+const MARKDOWN_NOISE_HEADINGS = /^(similar|related|recommended|more) (jobs|roles|positions|openings)|^people also (viewed|applied)|^share this (job|role)|^apply (now|for this)/i;
+
+// Section headings, matched against the heading text
+const DESCRIPTION_SECTIONS = [
+  { key: 'responsibilities', pattern: /responsibilit|what you('ll| will)? do|the role|your (role|impact|mission)|duties|day[- ]to[- ]day|you will/i },
+  { key: 'requirements', pattern: /requirement|qualification|what (you|we)('ll)? (need|bring|look)|who you are|skills|experience|must have|nice to have|about you|you have/i },
+  { key: 'benefits', pattern: /benefit|perks|what we offer|compensation|why (join|work)|we offer/i },
+  { key: 'aboutCompany', pattern: /about (us|the company|the team|[A-Z]\w+$)|who we are|our (company|mission|story)/i }
+];
+
+class MarkdownConverter {
+  /**
+   * Convert HTML (string or element) to Markdown
+   * Parsed with DOMParser so nothing in the markup runs or loads.
+   */
+  convert(htmlOrElement) {
+    if (!htmlOrElement) return '';
+
+    const html = typeof htmlOrElement === 'string' ? htmlOrElement : htmlOrElement.innerHTML;
+    // Plain text (e.g. meta descriptions) is only tidied. JSON-LD often carries escaped
+    // HTML ("&lt;p&gt;"), which becomes real markup once decoded.
+    if (!/<[a-z][\s\S]*>/i.test(html)) {
+      const decoded = this.decodeEntities(html);
+      if (!/<[a-z][\s\S]*>/i.test(decoded)) {
+        return this.tidy(decoded);
+      }
+      return this.convert(decoded);
+    }
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    this.stripNoise(doc.body);
+    return this.tidy(this.convertChildren(doc.body, { listDepth: 0 }));
+  }
+
+  decodeEntities(text) {
+    const doc = new DOMParser().parseFromString(`<body>${text}</body>`, 'text/html');
+    return doc.body.textContent || '';
+  }
+
+  stripNoise(root) {
+    root.querySelectorAll(MARKDOWN_DROP_SELECTOR).forEach(el => el.remove());
+
+    // Drop a noise heading and everything after it at the same level
+    root.querySelectorAll('h1, h2, h3, h4, h5, h6, strong, b').forEach(heading => {
+      if (!heading.isConnected || !MARKDOWN_NOISE_HEADINGS.test(heading.textContent.trim())) return;
+
+      let node = heading.closest('p') && heading.closest('p') !== root ? heading.closest('p') : heading;
+      while (node) {
+        const next = node.nextSibling;
+        node.remove();
+        node = next;
+      }
+    });
+  }
+
+  convertChildren(node, context) {
+    return Array.from(node.childNodes).map(child => this.convertNode(child, context)).join('');
+  }
+
+  convertNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+    const inner = () => this.convertChildren(node, context);
+
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const text = this.inline(inner());
+        // Descriptions sit under the page title, so levels start at ##
+        const level = Math.min(Math.max(Number(tag[1]), 2), 4);
+        return text ? `\n\n${'#'.repeat(level)} ${text}\n\n` : '';
+      }
+      case 'p':
+      case 'div':
+      case 'section':
+      case 'article':
+      case 'header':
+      case 'main':
+        return `\n\n${inner()}\n\n`;
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong':
+      case 'b': {
+        const text = this.inline(inner());
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = this.inline(inner());
+        return text ? `*${text}*` : '';
+      }
+      case 'a': {
+        const text = this.inline(inner());
+        const href = this.safeHref(node.getAttribute('href'));
+        if (!text) return '';
+        return href && href !== text ? `[${text}](${href})` : text;
+      }
+      case 'ul':
+      case 'ol':
+        return this.convertList(node, tag === 'ol', context);
+      case 'li':
+        // Stray <li> outside a list
+        return `\n- ${this.inline(inner())}\n`;
+      case 'img':
+        return '';
+      case 'table':
+        return `\n\n${this.convertTable(node)}\n\n`;
+      default:
+        return inner();
+    }
+  }
+
+  convertList(list, ordered, context) {
+    const indent = '  '.repeat(context.listDepth);
+    const items = Array.from(list.children).filter(child => child.tagName === 'LI');
+
+    const lines = items.map((item, index) => {
+      const nested = [];
+      const text = Array.from(item.childNodes).map(child => {
+        if (child.nodeType === Node.ELEMENT_NODE && ['UL', 'OL'].includes(child.tagName)) {
+          nested.push(this.convertList(child, child.tagName === 'OL', { listDepth: context.listDepth + 1 }));
+          return '';
+        }
+        return this.convertNode(child, context);
+      }).join('');
+
+      const marker = ordered ? `${index + 1}.` : '-';
+      const line = this.inline(text);
+      if (!line && nested.length === 0) return '';
+      return `${indent}${marker} ${line}\n${nested.join('')}`;
+    }).filter(Boolean);
+
+    return context.listDepth === 0 ? `\n\n${lines.join('')}\n\n` : `\n${lines.join('')}`;
+  }
+
+  // Tables become one line per row: "Cell | Cell"
+  convertTable(table) {
+    return Array.from(table.querySelectorAll('tr'))
+      .map(row => Array.from(row.children).map(cell => this.inline(cell.textContent)).filter(Boolean).join(' | '))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Collapse a block's content to one line
+  inline(text) {
+    return text.replace(/\s*\n\s*/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // Only absolute http(s) and mailto links survive
+  safeHref(href) {
+    if (!href) return '';
+    try {
+      const url = new URL(href, window.location.href);
+      return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  tidy(markdown) {
+    return markdown
+      .replace(/\u00a0/g, ' ')
+      .replace(/[ \t]+\n/g, '\n')
+      // Keep indentation only where it nests a list item
+      .replace(/^[ \t]+(?![ \t]*(?:[-*]|\d+\.) )/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Split Markdown into known sections by heading (## Heading or a bold-only line)
+   * @returns {Object} - { summary, responsibilities, requirements, benefits, aboutCompany, other }
+   */
+  splitSections(markdown) {
+    const sections = { summary: '', responsibilities: '', requirements: '', benefits: '', aboutCompany: '', other: '' };
+    if (!markdown) return sections;
+
+    let current = 'summary';
+    const append = (key, line) => {
+      sections[key] = sections[key] ? `${sections[key]}\n${line}` : line;
+    };
+
+    markdown.split('\n').forEach(line => {
+      const heading = this.headingText(line);
+      if (heading !== null) {
+        const match = DESCRIPTION_SECTIONS.find(section => section.pattern.test(heading));
+        current = match ? match.key : (current === 'summary' ? 'summary' : 'other');
+        if (!match) append(current, line);
+        return;
+      }
+      append(current, line);
+    });
+
+    Object.keys(sections).forEach(key => {
+      sections[key] = this.tidy(sections[key]);
+    });
+    return sections;
+  }
+
+  // Heading text for "## Heading", "**Heading**" or "**Heading:**" lines, else null
+  headingText(line) {
+    const trimmed = line.trim();
+    const hashMatch = trimmed.match(/^#{1,6}\s+(.+)$/);
+    if (hashMatch) return hashMatch[1].replace(/[*:]/g, '').trim();
+
+    const boldMatch = trimmed.match(/^\*\*([^*]{2,60})\*\*:?$/);
+    if (boldMatch) return boldMatch[1].replace(/:$/, '').trim();
+
+    return null;
+  }
+
+  /**
+   * Fit Markdown to maxLength, cutting only between blocks
+   * Sections are kept in priority order (responsibilities, requirements, summary, ...)
+   * so the most useful parts survive when the description is long.
+   */
+  fitToLength(markdown, maxLength = 7000) {
+    if (!markdown || markdown.length <= maxLength) return markdown || '';
+
+    const note = '\n\n*[Description shortened. The full version is saved in the extension and at the job posting.]*';
+    const budget = maxLength - note.length;
+    const sections = this.splitSections(markdown);
+    const order = ['responsibilities', 'requirements', 'summary', 'benefits', 'aboutCompany', 'other'];
+    const titles = {
+      responsibilities: '## Responsibilities',
+      requirements: '## Requirements',
+      benefits: '## Benefits',
+      aboutCompany: '## About the Company',
+      other: '## More Details'
+    };
+
+    let output = '';
+    for (const key of order) {
+      if (!sections[key]) continue;
+
+      const blocks = sections[key].split(/\n{2,}/);
+      const heading = titles[key] ? `${titles[key]}\n\n` : '';
+      let part = '';
+
+      for (const block of blocks) {
+        const candidate = part ? `${part}\n\n${block}` : block;
+        const total = (output ? output.length + 2 : 0) + heading.length + candidate.length;
+        if (total > budget) break;
+        part = candidate;
+      }
+
+      if (part) {
+        output = output ? `${output}\n\n${heading}${part}` : `${heading}${part}`;
+      }
+      if (part !== sections[key]) break; // Out of room
+    }
+
+    // A single block longer than the whole budget: cut it at a word boundary
+    if (!output) {
+      output = markdown.slice(0, budget).replace(/\s+\S*$/, '');
+    }
+
+    return output + note;
+  }
+}
+
+// Make available globally
+window.MarkdownConverter = MarkdownConverter;
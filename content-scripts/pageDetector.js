@@ -1,4 +1,58 @@
 // Page Detector - Monitors page changes and navigation for application tracking
+
+// URL rules for ATS platforms whose posting and application pages are told apart by path.
+// `application` is checked before `posting`, both against the full URL.
+const ATS_PAGE_PATTERNS = [
+  {
+    // jobs.ashbyhq.com/<org>/<id>[/application]
+    hosts: ['ashbyhq.com'],
+    application: [/\/application\/?(\?|$)/i],
+    posting: [/ashbyhq\.com\/[^\/]+\/[0-9a-f-]{36}/i]
+  },
+  {
+    // careers-<co>.icims.com/jobs/<id>/<slug>/job, then /login, /candidate
+    hosts: ['icims.com'],
+    application: [/\/jobs\/\d+\/[^\/]+\/(login|candidate)/i, /\/jobs\/candidate/i, /mode=apply/i],
+    posting: [/\/jobs\/\d+\/[^\/]+\/job/i]
+  },
+  {
+    // <co>.taleo.net/careersection/<section>/jobdetail.ftl?job=<id>, then jobapply.ftl / flow.jsf
+    hosts: ['taleo.net'],
+    application: [/jobapply\.ftl/i, /\/flow\.jsf/i],
+    posting: [/jobdetail\.ftl/i]
+  },
+  {
+    // <co>.bamboohr.com/careers/<id>
+    hosts: ['bamboohr.com'],
+    application: [/\/careers\/\d+\/apply/i, /[?&]apply/i],
+    posting: [/\/careers\/\d+/i, /\/jobs\/view\.php/i]
+  },
+  {
+    // jobs.jobvite.com/<co>/job/<id>[/apply]
+    hosts: ['jobvite.com'],
+    application: [/\/job\/[^\/]+\/apply/i],
+    posting: [/\/job\/[^\/?#]+/i]
+  },
+  {
+    // apply.workable.com/<account>/j/<shortcode>/[apply/]
+    hosts: ['workable.com'],
+    application: [/\/j\/[^\/]+\/apply/i],
+    posting: [/\/j\/[^\/?#]+/i]
+  },
+  {
+    // <co>.recruitee.com/o/<slug>[/c/new]
+    hosts: ['recruitee.com'],
+    application: [/\/o\/[^\/]+\/c\/new/i],
+    posting: [/\/o\/[^\/?#]+/i]
+  },
+  {
+    // <co>.jobs.personio.de/job/<id>, apply form at #apply
+    hosts: ['jobs.personio.de', 'jobs.personio.com'],
+    application: [/\/job\/\d+.*#apply/i, /\/job\/\d+\/apply/i],
+    posting: [/\/job\/\d+/i]
+  }
+];
+
 class PageDetector {
   constructor(tracker) {
     this.tracker = tracker;
@@ -6,6 +60,7 @@ class PageDetector {
     this.currentUrl = window.location.href;
     this.isMonitoring = false;
     this.urlChangeCallbacks = [];
+    this.contentChangeListeners = []; // Called on every DOM batch, e.g. to spot a new wizard step
   }
 
   startMonitoring() {
@@ -76,6 +131,10 @@ class PageDetector {
     this.observer = new MutationObserver((mutations) => {
       if (!this.isMonitoring) return;
 
+      if (this.contentChangeListeners.length > 0 && mutations.some(mutation => mutation.type === 'childList')) {
+        this.contentChangeListeners.forEach(listener => listener());
+      }
+
       let significantChange = false;
       
       mutations.forEach((mutation) => {
@@ -187,6 +246,7 @@ class PageDetector {
       const pageType = this.detectPageType(window.location.href);
       if (pageType === 'application_complete') {
         this.tracker.onPageChange(pageType, window.location.href);
+        this.tracker.confirmationDetector?.onSubmitObserved();
       }
     }, 2000);
   }
@@ -222,6 +282,12 @@ class PageDetector {
       }
     }
     
+    // ATS platforms with known posting/application URLs
+    const atsPageType = this.detectAtsPageType(url);
+    if (atsPageType) {
+      return atsPageType;
+    }
+    
     // Glassdoor patterns
     if (urlLower.includes('glassdoor.com')) {
       if (urlLower.includes('/job-listing/') || pathname.includes('/jobs/')) {
@@ -260,6 +326,23 @@ class PageDetector {
     return 'unknown';
   }
 
+  // Returns 'application_form', 'job_posting' or null when the URL isn't a known ATS page
+  detectAtsPageType(url) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    const platform = ATS_PAGE_PATTERNS.find(entry =>
+      entry.hosts.some(host => hostname === host || hostname.endsWith('.' + host))
+    );
+    if (!platform) return null;
+
+    if (platform.application.some(pattern => pattern.test(url))) {
+      return 'application_form';
+    }
+    if (platform.posting.some(pattern => pattern.test(url))) {
+      return 'job_posting';
+    }
+    return null;
+  }
+
   isApplicationForm(form) {
     if (!form || form.tagName !== 'FORM') return false;
     
@@ -319,6 +402,34 @@ class PageDetector {
     return jobSites.some(site => hostname.includes(site));
   }
 
+  /**
+   * Listen for any DOM change while monitoring
+   * @returns {Function} - Unsubscribe
+   */
+  onContentChange(listener) {
+    this.contentChangeListeners.push(listener);
+    return () => {
+      this.contentChangeListeners = this.contentChangeListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Identifies the form step on screen: URL, step heading and visible field names.
+   * Changes when a wizard moves to another step, even on the same URL.
+   */
+  getStepSignature() {
+    // Steps can render inside shadow roots and same-origin frames, like the fields auto-fill scans
+    const [heading] = DomTraversal.querySelectorAll(
+      '[data-automation-id="pageHeader"], [data-automation-id="progressBarActiveStep"], .jobs-easy-apply-content h3, form h1, form h2, form h3, main h2'
+    );
+    const fields = DomTraversal.querySelectorAll('input, textarea, select')
+      .filter(el => !el.closest('#job-lander-sidebar') && el.type !== 'hidden' && el.getClientRects().length > 0)
+      .map(el => el.name || el.id || el.getAttribute('data-automation-id') || el.type)
+      .join('|');
+
+    return [window.location.href, heading?.textContent.trim() || '', fields].join('#');
+  }
+
   // Get current page context for debugging
   getPageContext() {
     return {
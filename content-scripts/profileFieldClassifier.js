@@ -0,0 +1,211 @@
+// Profile Field Classifier - Maps standard form fields (name, email, phone, links, address)
+// to profile keys so they can be filled from the user's profile instead of the AI
+
+// HTML autocomplete tokens -> profile key (the most reliable signal when present)
+const PROFILE_AUTOCOMPLETE_MAP = {
+  'given-name': 'firstName',
+  'family-name': 'lastName',
+  'name': 'fullName',
+  'email': 'email',
+  'tel': 'phone',
+  'tel-national': 'phone',
+  'street-address': 'addressLine1',
+  'address-line1': 'addressLine1',
+  'address-level2': 'city',
+  'address-level1': 'state',
+  'postal-code': 'postalCode',
+  'country': 'country',
+  'country-name': 'country',
+  'organization': 'currentCompany',
+  'organization-title': 'currentTitle',
+  'url': 'portfolio'
+};
+
+// Field names/IDs used by specific ATS forms
+const PROFILE_ATS_FIELD_IDS = {
+  // Greenhouse
+  'first_name': 'firstName',
+  'last_name': 'lastName',
+  'job_application[first_name]': 'firstName',
+  'job_application[last_name]': 'lastName',
+  'job_application[email]': 'email',
+  'job_application[phone]': 'phone',
+  'job_application[location]': 'location',
+  // Lever
+  'urls[linkedin]': 'linkedin',
+  'urls[github]': 'github',
+  'urls[portfolio]': 'portfolio',
+  'urls[other]': 'portfolio',
+  'org': 'currentCompany',
+  // Workday (data-automation-id)
+  'legalnamesection_firstname': 'firstName',
+  'legalnamesection_lastname': 'lastName',
+  'addresssection_addressline1': 'addressLine1',
+  'addresssection_city': 'city',
+  'addresssection_postalcode': 'postalCode',
+  'phone-number': 'phone',
+  // Ashby
+  '_systemfield_name': 'fullName',
+  '_systemfield_email': 'email',
+  '_systemfield_phone': 'phone',
+  '_systemfield_location': 'location'
+};
+
+// Labels, names and IDs -> profile key, most specific first
+// labelPattern replaces pattern for label text where the word is also common in questions
+const PROFILE_FIELD_PATTERNS = [
+  { key: 'firstName', pattern: /\b(first|given|fore)[\s_-]?name\b|^fname$/i },
+  { key: 'lastName', pattern: /\b(last|family|sur)[\s_-]?name\b|^lname$|^surname$/i },
+  { key: 'email', pattern: /e-?mail/i },
+  { key: 'phone', pattern: /phone|mobile|\btel\b|telephone|\bcell\b/i },
+  { key: 'linkedin', pattern: /linked[\s_-]?in/i },
+  { key: 'github', pattern: /git[\s_-]?hub/i },
+  { key: 'portfolio', pattern: /portfolio|personal[\s_-]?(web)?site|\bwebsite\b|blog/i },
+  { key: 'currentCompany', pattern: /current[\s_-]?(company|employer)|^company$|organi[sz]ation/i },
+  { key: 'currentTitle', pattern: /current[\s_-]?(job[\s_-]?)?(title|position|role)/i },
+  { key: 'addressLine1', pattern: /street|address[\s_-]?(line)?[\s_-]?1|^address$/i },
+  { key: 'city', pattern: /\bcity\b|\btown\b/i },
+  {
+    key: 'state',
+    pattern: /\bstate\b|province|region|county/i,
+    labelPattern: /^(state|province|region|county)(\s*(\/|or)\s*(state|province|region|county))*$/i
+  },
+  { key: 'postalCode', pattern: /zip|postal|post[\s_-]?code/i },
+  { key: 'country', pattern: /\bcountry\b/i },
+  { key: 'location', pattern: /^(current\s+)?location$|^where are you (currently )?(located|based)\??$/i },
+  { key: 'fullName', pattern: /^(full[\s_-]?|legal[\s_-]?|your[\s_-]?)?name$/i }
+];
+
+// Labels are matched only when they name a field ("Mobile phone", "State / Province"); questions
+// and instructions ("Please state your notice period", "Which region would you like to work in?")
+// ask for more than a contact detail
+const PROFILE_LABEL_MAX_WORDS = 6;
+const PROFILE_LABEL_SENTENCE = /\?$|^(please|which|what|when|why|how|do|does|did|are|is|have|has|will|would|can|could|describe|tell|explain|list|provide)\b/i;
+const PROFILE_LOCATION_QUESTION = /^where are you (currently )?(located|based)\??$/i;
+
+// Contact details that never take several lines; a textarea with such a label asks for more
+const PROFILE_SINGLE_LINE_KEYS = ['phone', 'addressLine1', 'city', 'state', 'postalCode'];
+
+// Fields that look like profile fields but ask about something else
+const PROFILE_FIELD_EXCLUDE = /country[\s_-]?code|phone[\s_-]?type|extension|refer|reference|emergency|manager|recruiter|hiring|company[\s_-]?name[\s_-]?(you|of)|previous|former|school|university|username|password/i;
+
+class ProfileFieldClassifier {
+  /**
+   * @param {Function} [getLabel] - (element) => label text; defaults to a simple label lookup
+   */
+  constructor(getLabel = null) {
+    this.getLabel = getLabel || ((element) => this.findLabel(element));
+  }
+
+  /**
+   * Classify one input
+   * @returns {Object|null} - { key, source: 'autocomplete' | 'ats' | 'attribute' | 'label', label }
+   */
+  classify(element) {
+    const match = this.match(element);
+    if (match && element.tagName === 'TEXTAREA' && PROFILE_SINGLE_LINE_KEYS.includes(match.key)) {
+      return null;
+    }
+    return match;
+  }
+
+  match(element) {
+    if (!this.isFillable(element)) return null;
+
+    const label = (this.getLabel(element) || '').trim();
+    if (PROFILE_FIELD_EXCLUDE.test(label)) return null;
+
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/).pop();
+    if (PROFILE_AUTOCOMPLETE_MAP[autocomplete]) {
+      return { key: PROFILE_AUTOCOMPLETE_MAP[autocomplete], source: 'autocomplete', label };
+    }
+
+    const identifiers = [
+      element.getAttribute('name'),
+      element.id,
+      element.getAttribute('data-automation-id'),
+      element.closest('[data-automation-id]')?.getAttribute('data-automation-id')
+    ].filter(Boolean).map(value => value.toLowerCase());
+
+    for (const identifier of identifiers) {
+      if (PROFILE_ATS_FIELD_IDS[identifier]) {
+        return { key: PROFILE_ATS_FIELD_IDS[identifier], source: 'ats', label };
+      }
+    }
+
+    for (const identifier of identifiers) {
+      if (PROFILE_FIELD_EXCLUDE.test(identifier)) return null;
+      const match = PROFILE_FIELD_PATTERNS.find(rule => rule.pattern.test(identifier));
+      if (match) return { key: match.key, source: 'attribute', label };
+    }
+
+    const labelText = label.replace(/[*:]+/g, '').replace(/\s+/g, ' ').trim();
+    if (PROFILE_LOCATION_QUESTION.test(labelText)) {
+      return { key: 'location', source: 'label', label };
+    }
+    if (labelText && this.isFieldName(labelText)) {
+      const match = PROFILE_FIELD_PATTERNS.find(rule => (rule.labelPattern || rule.pattern).test(labelText));
+      if (match) return { key: match.key, source: 'label', label };
+    }
+
+    // Type attributes are a last hint
+    if (element.type === 'email') return { key: 'email', source: 'attribute', label };
+    if (element.type === 'tel') return { key: 'phone', source: 'attribute', label };
+
+    return null;
+  }
+
+  isFieldName(labelText) {
+    return labelText.length <= 60 &&
+      labelText.split(' ').length <= PROFILE_LABEL_MAX_WORDS &&
+      !PROFILE_LABEL_SENTENCE.test(labelText);
+  }
+
+  /**
+   * Find every profile field in a form or document
+   * @returns {Array} - [{ element, key, source, label }]
+   */
+  findFields(root = document) {
+    const fields = [];
+    DomTraversal.querySelectorAll('input, textarea, select', root).forEach(element => {
+      const match = this.classify(element);
+      if (match) fields.push({ element, ...match });
+    });
+    return fields;
+  }
+
+  isFillable(element) {
+    if (!element || element.disabled || element.readOnly) return false;
+    if (element.closest('#job-lander-sidebar')) return false;
+
+    const skipTypes = ['hidden', 'password', 'file', 'checkbox', 'radio', 'submit', 'button', 'image', 'reset'];
+    if (element.tagName === 'INPUT' && skipTypes.includes((element.type || '').toLowerCase())) return false;
+
+    // Invisible fields are usually honeypots or inactive variants
+    return element.offsetParent !== null || element.getClientRects().length > 0;
+  }
+
+  findLabel(element) {
+    if (element.id) {
+      const label = DomTraversal.findLabelFor(element);
+      if (label) return label.textContent;
+    }
+
+    const parentLabel = element.closest('label');
+    if (parentLabel) return parentLabel.textContent;
+
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => DomTraversal.getElementById(id, element)?.textContent || '')
+        .join(' ')
+        .trim();
+      if (text) return text;
+    }
+
+    return element.getAttribute('aria-label') || element.getAttribute('placeholder') || '';
+  }
+}
+
+// Make available globally
+window.ProfileFieldClassifier = ProfileFieldClassifier;
@@ -0,0 +1,164 @@
+// Question Classifier - Gives each saved question the type, difficulty and tags the
+// platform's interview prep works from. Rules run locally; on request the backend AI can refine
+// them, and edits in the sidebar override both.
+
+// Question types the backend accepts
+const QUESTION_CLASSIFIER_TYPES = ['Technical', 'Behavioral', 'Compensation', 'General'];
+
+// Checked in order; the first match wins
+const QUESTION_CLASSIFIER_RULES = [
+  // Bare "rate", "pay" or "benefit" turn up in other questions ("success rate", "pay attention"), so those only count in phrases
+  { type: 'Compensation', pattern: /\b(salary|salaries|compensation|wages?|bonus(es)?|equity|remuneration|ctc|(hourly|day|daily) rate|rate of pay|pay (range|rate|expectations?|requirements?)|(expected|desired|current) pay|benefits package)\b/i },
+  { type: 'Behavioral', pattern: /\b(tell us about a time|describe a (time|situation)|give an example|example of|conflict|disagree|challenge|mistake|fail(ed|ure)?|proud|feedback|team ?work|lead(ership)?|why (do|would) you|motivat|interest(ed)? in|passion|strength|weakness)\b/i },
+  { type: 'Technical', pattern: /\b(experience (with|in|using)|technical|technolog|skill|programming|language|framework|code|coding|algorithm|architect|design(ed)? a|system|debug|database|infrastructure|deploy|stack|tool|implement|optimi[sz]e|scal(e|ing|ability)|security|testing)\b/i }
+];
+
+// Questions that take some thought to answer well
+const QUESTION_CLASSIFIER_OPEN_ENDED = /\b(how would you|walk (us|me) through|design|architect|trade-?offs?|approach|explain how|describe how|what would you do)\b/i;
+const QUESTION_CLASSIFIER_CLOSED = /^(are|do|did|have|has|is|will|can|would)\b.{0,80}\?$/i;
+
+// Skills and technologies picked out of job descriptions and questions, as they are tagged
+const QUESTION_CLASSIFIER_SKILLS = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'C#', 'C++', 'Go', 'Rust', 'Ruby', 'PHP', 'Kotlin', 'Swift', 'Scala', 'SQL',
+  'React', 'Angular', 'Vue', 'Svelte', 'Next.js', 'Node.js', 'Express', 'Django', 'Flask', 'FastAPI', 'Spring', '.NET',
+  'Rails', 'Laravel', 'GraphQL', 'REST', 'gRPC', 'HTML', 'CSS', 'Tailwind',
+  'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Elasticsearch', 'Kafka', 'RabbitMQ', 'DynamoDB', 'Snowflake',
+  'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Ansible', 'Jenkins', 'GitHub Actions', 'CI/CD', 'Linux',
+  'Machine Learning', 'Deep Learning', 'NLP', 'LLM', 'PyTorch', 'TensorFlow', 'Pandas', 'Spark', 'Airflow', 'dbt',
+  'Microservices', 'Distributed Systems', 'System Design', 'Agile', 'Scrum', 'Figma', 'Git', 'Testing', 'Security'
+];
+
+// Skills that are also everyday words
+const QUESTION_CLASSIFIER_NAMED_SKILLS = ['Go', 'Rust', 'Ruby', 'Swift', 'Express', 'Spring', 'Rails', 'Spark', 'Airflow', 'Git'];
+
+const QUESTION_CLASSIFIER_MAX_TAGS = 6;
+
+class QuestionClassifier {
+  constructor() {
+    this.skillPatterns = QUESTION_CLASSIFIER_SKILLS.map(skill => ({ skill, pattern: this.skillPattern(skill) }));
+  }
+
+  static get types() {
+    return QUESTION_CLASSIFIER_TYPES;
+  }
+
+  /**
+   * Classify a question by rules
+   * @param {String} text - The question
+   * @param {Object} context - { answer, jobDescription, kind }
+   * @returns {Object} - { type, difficulty, tags, source: 'rules' }
+   */
+  classify(text, { answer = '', jobDescription = '', kind = null } = {}) {
+    const type = this.classifyType(text);
+    return {
+      type,
+      difficulty: this.estimateDifficulty(text, type, kind),
+      tags: this.deriveTags(text, answer, jobDescription),
+      source: 'rules'
+    };
+  }
+
+  classifyType(text) {
+    const rule = QUESTION_CLASSIFIER_RULES.find(({ pattern }) => pattern.test(text || ''));
+    return rule ? rule.type : 'General';
+  }
+
+  /**
+   * Difficulty from 1 (a fact) to 5 (an open design question)
+   */
+  estimateDifficulty(text, type, kind = null) {
+    if (kind && kind !== 'free-text') return 1; // Choices, numbers and dates
+
+    let difficulty = { Technical: 3, Behavioral: 3, Compensation: 2, General: 2 }[type] || 3;
+    if (QUESTION_CLASSIFIER_OPEN_ENDED.test(text)) difficulty++;
+    if (this.findSkills(text).length >= 2) difficulty++;
+    if (QUESTION_CLASSIFIER_CLOSED.test((text || '').trim())) difficulty--;
+    return Math.min(5, Math.max(1, difficulty));
+  }
+
+  /**
+   * Skills the question asks about, then skills from the job description the answer covers
+   */
+  deriveTags(text, answer = '', jobDescription = '') {
+    const tags = this.findSkills(text);
+    const jobSkills = this.findSkills(jobDescription);
+
+    jobSkills
+      .filter(skill => this.findSkills(answer).includes(skill))
+      .forEach(skill => tags.push(skill));
+
+    // A technical question with no named skill is about the job's stack
+    if (tags.length === 0 && this.classifyType(text) === 'Technical') {
+      tags.push(...jobSkills.slice(0, 3));
+    }
+
+    return Array.from(new Set(tags)).slice(0, QUESTION_CLASSIFIER_MAX_TAGS);
+  }
+
+  findSkills(text) {
+    if (!text) return [];
+    return this.skillPatterns.filter(({ pattern }) => pattern.test(text)).map(({ skill }) => skill);
+  }
+
+  // Word boundaries don't work around "C#", ".NET" or "Node.js", so look at the neighbours instead.
+  // Acronyms and everyday words ("REST", "Express", "Go") only count when written as a name.
+  skillPattern(skill) {
+    const escaped = skill.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/ /g, '[\\s-]');
+    const caseSensitive = skill === skill.toUpperCase() || QUESTION_CLASSIFIER_NAMED_SKILLS.includes(skill);
+    const alias = skill === 'Go' ? '|Golang' : '';
+    return new RegExp(`(^|[^\\w.#+])(${escaped}${alias})(?![\\w#+])`, caseSensitive ? '' : 'i');
+  }
+
+  /**
+   * Ask the backend AI to refine rule-based classifications (CLASSIFY_QUESTIONS)
+   * Questions it can't classify, or all of them when the call fails, keep the rule-based result.
+   * @param {Array} items - [{ text, answer, classification }]
+   * @returns {Promise<Array>} - Classifications in the same order; source is 'ai' for refined ones
+   */
+  async classifyWithAI(items, jobDescription = '') {
+    let replies = [];
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CLASSIFY_QUESTIONS',
+        data: {
+          questions: items.map(({ text, answer }) => ({ question: text, answer: (answer || '').substring(0, 500) })),
+          jobDescription,
+          types: QUESTION_CLASSIFIER_TYPES
+        }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not reach the AI service');
+      }
+      replies = response.data || [];
+    } catch (error) {
+      console.warn('Job Lander: AI classification unavailable, keeping rule-based results:', error.message);
+    }
+
+    return items.map((item, i) => this.normalizeAIResult(replies[i], item.classification) || item.classification);
+  }
+
+  /**
+   * @returns {Object|null} - { type, difficulty, tags, source: 'ai' }, or null if the reply is unusable
+   */
+  normalizeAIResult(reply, fallback) {
+    if (!reply || typeof reply !== 'object') return null;
+
+    const type = QUESTION_CLASSIFIER_TYPES.find(known => known.toLowerCase() === String(reply.type || '').toLowerCase());
+    if (!type) return null;
+
+    const difficulty = Math.round(Number(reply.difficulty));
+    const tags = Array.isArray(reply.tags)
+      ? reply.tags.map(tag => String(tag).trim()).filter(tag => tag && tag.length <= 40)
+      : fallback?.tags || [];
+
+    return {
+      type,
+      difficulty: difficulty >= 1 && difficulty <= 5 ? difficulty : fallback?.difficulty || 3,
+      tags: Array.from(new Set(tags)).slice(0, QUESTION_CLASSIFIER_MAX_TAGS),
+      source: 'ai'
+    };
+  }
+}
+
+// Make available globally
+window.QuestionClassifier = QuestionClassifier;
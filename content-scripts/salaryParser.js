@@ -0,0 +1,244 @@
+// Salary Parser - Turns salary text like "$50K-$70K/yr" or "EGP 15.000 - 20.000 per month"
+// into { min, max, currency, period, isEstimate, raw, annualized }
+
+// Checked in order, so multi-character symbols come before the bare ones they contain
+const SALARY_CURRENCIES = [
+  { code: 'USD', pattern: /US\$|\bUSD\b/i },
+  { code: 'CAD', pattern: /CA?\$|\bCAD\b/i },
+  { code: 'AUD', pattern: /A\$|\bAUD\b/i },
+  { code: 'EGP', pattern: /E£|\bEGP\b|\bL\.?E\.?(?=\s*\d)|\d\s*L\.?E\.?\b/i },
+  { code: 'EUR', pattern: /€|\bEUR\b|\beuros?\b/i },
+  { code: 'GBP', pattern: /£|\bGBP\b/i },
+  { code: 'INR', pattern: /₹|\bINR\b|\bRs\.?(?=\s*\d)|\b(?:lpa|lakhs?|lacs?|crores?)\b/i },
+  { code: 'AED', pattern: /\bAED\b/i },
+  { code: 'SAR', pattern: /\bSAR\b/i },
+  { code: 'CHF', pattern: /\bCHF\b/i },
+  { code: 'JPY', pattern: /¥|\bJPY\b/i },
+  { code: 'USD', pattern: /\$/ }
+];
+
+const SALARY_PERIODS = [
+  { period: 'hour', pattern: /(?:\/|\bper\b|\ban?\b)\s*(?:hour|hr|h)\b|\bhourly\b|\/h\b/i },
+  { period: 'day', pattern: /(?:\/|\bper\b|\ba\b)\s*day\b|\bdaily\b/i },
+  { period: 'week', pattern: /(?:\/|\bper\b|\ba\b)\s*(?:week|wk)\b|\bweekly\b/i },
+  { period: 'month', pattern: /(?:\/|\bper\b|\ba\b)\s*(?:month|mo|mth)\b|\bmonthly\b|\bp\.?m\.?(?!\w)/i },
+  { period: 'year', pattern: /(?:\/|\bper\b|\ban?\b)\s*(?:year|yr|annum|y)\b|\bannual(?:ly)?\b|\byearly\b|\bp\.?a\.?(?!\w)|\blpa\b/i }
+];
+
+// Working hours/days used to annualize
+const SALARY_ANNUAL_FACTORS = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+const SALARY_MULTIPLIERS = { k: 1e3, m: 1e6, mn: 1e6, lakh: 1e5, lac: 1e5, lpa: 1e5, crore: 1e7, cr: 1e7 };
+
+// "50,000" / "50.000,50" / "50 000" / "1,20,000" / "12.5", with an optional k/m/lakh suffix
+const SALARY_NUMBER_SOURCE = '\\d{1,3}(?:[\\s\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d+)*';
+const SALARY_SUFFIX_SOURCE = 'k|mn|m|lakhs?|lacs?|lpa|crores?|cr';
+
+const SALARY_CURRENCY_SOURCE = '(?:US\\$|CA?\\$|A\\$|E£|[$€£₹¥]|USD|EUR|GBP|EGP|INR|CAD|AUD|AED|SAR|CHF|JPY|L\\.?E\\.?|Rs\\.?)';
+
+class SalaryParser {
+  /**
+   * Parse a salary string
+   * @param {String} text - e.g. "$50K-$70K/yr", "Up to €4.500 monthly", "12 - 18 LPA"
+   * @returns {Object|null} - { min, max, currency, period, isEstimate, raw, annualized }
+   */
+  parse(text) {
+    const raw = (text || '').replace(/\s+/g, ' ').trim();
+    if (!raw) return null;
+
+    const amounts = this.findAmounts(raw);
+    if (amounts.length === 0) return null;
+
+    // "$50-70K": a bare number next to a suffixed one shares its suffix
+    if (amounts.length > 1) {
+      const [first, second] = amounts;
+      if (!first.suffix && second.suffix && first.value < 1000) {
+        first.value *= SALARY_MULTIPLIERS[second.suffix];
+      }
+    }
+
+    const lower = raw.toLowerCase();
+    const isUpTo = /\bup\s*to\b|\bupto\b|\bmax(?:imum)?\b/.test(lower);
+    const isFrom = /\bfrom\b|\bstarting\b|\bmin(?:imum)?\b|\d\s*[kK]?\s*\+/.test(lower);
+
+    let min = amounts[0].value;
+    let max = amounts.length > 1 ? amounts[1].value : amounts[0].value;
+    if (amounts.length === 1 && isUpTo) min = null;
+    if (amounts.length === 1 && isFrom && !isUpTo) max = null;
+    if (min !== null && max !== null && min > max) [min, max] = [max, min];
+
+    const salary = {
+      min,
+      max,
+      currency: this.detectCurrency(raw),
+      period: this.detectPeriod(raw, max ?? min, amounts),
+      isEstimate: /\best\.|\bestimated?\b|\bapprox/i.test(raw),
+      raw
+    };
+    salary.annualized = this.annualize(salary);
+    return salary;
+  }
+
+  // Numeric amounts in order, with their multiplier applied
+  findAmounts(text) {
+    const amounts = [];
+    const pattern = new RegExp(`(${SALARY_NUMBER_SOURCE})(?:\\s?(${SALARY_SUFFIX_SOURCE})(?![a-z]))?`, 'gi');
+    let match;
+
+    while ((match = pattern.exec(text)) !== null && amounts.length < 2) {
+      const value = this.parseNumber(match[1]);
+      if (value === null) continue;
+
+      const suffix = this.normalizeSuffix(match[2]);
+      amounts.push({
+        value: suffix ? value * SALARY_MULTIPLIERS[suffix] : value,
+        suffix
+      });
+    }
+
+    return amounts;
+  }
+
+  normalizeSuffix(suffix) {
+    if (!suffix) return null;
+    const lower = suffix.toLowerCase();
+    if (lower.startsWith('lakh')) return 'lakh';
+    if (lower.startsWith('lac')) return 'lac';
+    if (lower.startsWith('crore')) return 'crore';
+    return lower;
+  }
+
+  /**
+   * Parse a number in any common locale format
+   * "50,000" and "50.000" are thousands; "12.50" and "12,5" are decimals;
+   * "50.000,50" and "50,000.50" use the last separator as the decimal point.
+   */
+  parseNumber(text) {
+    const compact = text.replace(/\s/g, '');
+    const lastDot = compact.lastIndexOf('.');
+    const lastComma = compact.lastIndexOf(',');
+    const lastSeparator = Math.max(lastDot, lastComma);
+
+    let normalized = compact;
+    if (lastSeparator !== -1) {
+      const separator = compact[lastSeparator];
+      const decimals = compact.length - lastSeparator - 1;
+      const occurrences = compact.split(separator).length - 1;
+      const mixed = lastDot !== -1 && lastComma !== -1;
+
+      // A separator followed by exactly three digits is always grouping
+      const isDecimal = decimals !== 3 && (mixed || occurrences === 1);
+      normalized = isDecimal
+        ? compact.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + compact.slice(lastSeparator + 1)
+        : compact.replace(/[.,]/g, '');
+    }
+
+    const value = parseFloat(normalized);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  detectCurrency(text) {
+    const match = SALARY_CURRENCIES.find(entry => entry.pattern.test(text));
+    return match ? match.code : null;
+  }
+
+  // Explicit period wins; otherwise small figures are hourly and the rest yearly
+  detectPeriod(text, value, amounts = []) {
+    const match = SALARY_PERIODS.find(entry => entry.pattern.test(text));
+    if (match) return match.period;
+
+    if (amounts.some(amount => ['lakh', 'lac', 'lpa', 'crore', 'cr'].includes(amount.suffix))) return 'year';
+    if (value !== null && value !== undefined && value < 300) return 'hour';
+    return 'year';
+  }
+
+  // { min, max } per year, rounded to whole units
+  annualize(salary) {
+    const factor = SALARY_ANNUAL_FACTORS[salary.period] || 1;
+    const scale = (value) => (value === null || value === undefined ? null : Math.round(value * factor));
+    return { min: scale(salary.min), max: scale(salary.max) };
+  }
+
+  /**
+   * Build a salary from schema.org MonetaryAmount (JSON-LD baseSalary)
+   * @returns {Object|null}
+   */
+  fromStructured(baseSalary) {
+    if (!baseSalary) return null;
+    if (typeof baseSalary === 'string') return this.parse(baseSalary);
+
+    const value = typeof baseSalary.value === 'object' && baseSalary.value !== null ? baseSalary.value : baseSalary;
+    const toNumber = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+
+    const single = typeof baseSalary.value === 'object' ? toNumber(value.value) : toNumber(baseSalary.value);
+    const min = toNumber(value.minValue) ?? single;
+    const max = toNumber(value.maxValue) ?? single;
+    if (min === null && max === null) return null;
+
+    const unit = (value.unitText || baseSalary.unitText || '').toLowerCase();
+    const period = ['hour', 'day', 'week', 'month', 'year'].find(p => unit.includes(p)) || 'year';
+
+    const salary = {
+      min,
+      max,
+      currency: (baseSalary.currency || value.currency || '').toUpperCase() || null,
+      period,
+      isEstimate: false,
+      raw: ''
+    };
+    salary.raw = this.format(salary);
+    salary.annualized = this.annualize(salary);
+    return salary;
+  }
+
+  /**
+   * Find the first salary-looking phrase in page text
+   * Needs a currency marker so plain numbers (years, counts) aren't mistaken for pay.
+   * @returns {Object|null} - Parsed salary
+   */
+  findInText(text) {
+    if (!text) return null;
+
+    const amount = `${SALARY_CURRENCY_SOURCE}?\\s?(?:${SALARY_NUMBER_SOURCE})` +
+      `(?:\\s?(?:${SALARY_SUFFIX_SOURCE})(?![a-z]))?\\s?${SALARY_CURRENCY_SOURCE}?`;
+    const pattern = new RegExp(
+      `(?:(?:up\\s*to|upto|from|starting at|between)\\s+)?${amount}` +
+      `(?:\\s*(?:-|–|—|to|and)\\s*${amount})?\\+?` +
+      `(?:\\s*(?:/|per|an?)\\s*(?:hour|hr|day|week|month|mo|year|yr|annum)\\b|\\s*(?:hourly|daily|weekly|monthly|annually|yearly|p\\.a\\.|lpa)\\b)?`,
+      'gi'
+    );
+    const currencyPattern = new RegExp(SALARY_CURRENCY_SOURCE + '|\\blpa\\b|\\blakhs?\\b', 'i');
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!currencyPattern.test(match[0])) continue;
+
+      const salary = this.parse(match[0]);
+      if (salary) return salary;
+    }
+    return null;
+  }
+
+  // "USD 50,000 – 70,000 / year", "Up to EUR 4,500 / month"
+  format(salary) {
+    if (!salary) return '';
+
+    const number = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+    const currency = salary.currency ? salary.currency + ' ' : '';
+    const period = salary.period ? ` / ${salary.period}` : '';
+
+    if (salary.min === null && salary.max !== null) {
+      return `Up to ${currency}${number.format(salary.max)}${period}`;
+    }
+    if (salary.max === null && salary.min !== null) {
+      return `From ${currency}${number.format(salary.min)}${period}`;
+    }
+    if (salary.min === salary.max) {
+      return `${currency}${number.format(salary.min)}${period}`;
+    }
+    return `${currency}${number.format(salary.min)} – ${number.format(salary.max)}${period}`;
+  }
+}
+
+// Make available globally
+window.SalaryParser = SalaryParser;
@@ -1,4 +1,16 @@
 // Sidebar Manager - Handles the persistent sidebar UI for application tracking
+
+// Field kinds of the question model (see DataCollector.describeField)
+const SIDEBAR_KIND_LABELS = {
+  'free-text': 'Text',
+  'single-choice': 'Single choice',
+  'multi-choice': 'Multiple choice',
+  numeric: 'Number',
+  date: 'Date',
+  file: 'File',
+  consent: 'Consent'
+};
+
 class SidebarManager {
   constructor(tracker) {
     this.tracker = tracker;
@@ -9,9 +21,11 @@ class SidebarManager {
     this.cvs = [];
     this.updateQuestionsTimeout = null;
     this.lastQuestionsCount = 0;
+    this.lastQuestionsStructure = '';
     this.position = 'left'; // 'left' or 'right'
     this.isDragging = false;
     this.dragStartX = 0;
+    this.pendingReview = null; // { resolve } while generated answers await approval
   }
 
   async show() {
@@ -186,6 +200,15 @@ class SidebarManager {
         </div>
         
         <div class="jl-sidebar-content">
+          <!-- Duplicate Application Warning (hidden until a match is found) -->
+          <div id="jl-duplicate-warning" class="jl-duplicate-warning" style="display: none;"></div>
+
+          <!-- Save Prompt (shown once the application is detected as submitted) -->
+          <div id="jl-save-confirmation" class="jl-save-confirmation" style="display: none;"></div>
+
+          <!-- Save Summary (which answers a save sends, shown before saving) -->
+          <div id="jl-save-summary" class="jl-save-confirmation jl-save-summary" style="display: none;"></div>
+
           <!-- Progress Indicator -->
           <div class="jl-section">
             <div class="jl-progress">
@@ -229,9 +252,15 @@ class SidebarManager {
                 <label for="jl-job-type-input">Job Type:</label>
                 <input type="text" id="jl-job-type-input" class="jl-input" placeholder="Loading..." />
               </div>
+              <div class="jl-field">
+                <label for="jl-salary-input">Salary:</label>
+                <input type="text" id="jl-salary-input" class="jl-input" placeholder="Loading..." />
+                <div id="jl-salary-parsed" class="jl-field-hint"></div>
+              </div>
               <div class="jl-field">
                 <label for="jl-description-input">Job Description:</label>
-                <input type="text" id="jl-description-input" class="jl-input" placeholder="Loading..." />
+                <textarea id="jl-description-input" class="jl-input jl-description-input" rows="6" placeholder="Loading..."></textarea>
+                <div class="jl-field-hint">Markdown. Long descriptions are shortened for Job Lander; the full text is kept in the extension.</div>
               </div>
             </div>
           </div>
@@ -274,6 +303,29 @@ class SidebarManager {
                 </div>
                 <div class="jl-field-hint">Choose the CV you're submitting</div>
               </div>
+
+              <div class="jl-field">
+                <label for="jl-cover-letter-select">Cover Letter</label>
+                <div class="jl-select-wrapper">
+                  <select id="jl-cover-letter-select">
+                    <option value="">No cover letter</option>
+                  </select>
+                  <div class="jl-select-arrow">
+                    <svg width="12" height="12" fill="currentColor" viewBox="0 0 24 24">
+                      <path d="M7 10l5 5 5-5z"/>
+                    </svg>
+                  </div>
+                </div>
+                <div class="jl-field-hint">Optional. Attached to the form's cover letter upload, if it has one</div>
+              </div>
+
+              <button class="jl-btn jl-btn-secondary jl-btn-attach" data-action="attach-documents">
+                <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
+                  <path d="M16.5 6v11.5c0 2.21-1.79 4-4 4s-4-1.79-4-4V5c0-1.38 1.12-2.5 2.5-2.5s2.5 1.12 2.5 2.5v10.5c0 .55-.45 1-1 1s-1-.45-1-1V6H10v9.5c0 1.38 1.12 2.5 2.5 2.5s2.5-1.12 2.5-2.5V5c0-2.21-1.79-4-4-4S7 2.79 7 5v12.5c0 3.04 2.46 5.5 5.5 5.5s5.5-2.46 5.5-5.5V6h-1.5z"/>
+                </svg>
+                Attach to Form
+              </button>
+              <div id="jl-upload-status" class="jl-upload-status"></div>
             </div>
           </div>
 
@@ -290,7 +342,7 @@ class SidebarManager {
                 <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
                   <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
                 </svg>
-                <span>Only questions with answers ≥ 100 characters will be saved</span>
+                <span class="jl-min-length-note">${this.describeMinAnswerLength()}</span>
               </div>
               <div class="jl-color-legend">
                 <div class="jl-legend-item">
@@ -311,6 +363,20 @@ class SidebarManager {
               </svg>
               Auto-Fill Answers (AI)
             </button>
+
+            <!-- Multi-step applications: keep filling after each "Next" -->
+            <label class="jl-wizard-toggle">
+              <input type="checkbox" id="jl-wizard-mode" ${window.WizardController && WizardController.isWizardPage() ? 'checked' : ''}>
+              Continue through all steps
+            </label>
+
+            <!-- Contact fields come from the profile, not the AI -->
+            <button class="jl-btn jl-btn-secondary jl-btn-fill-profile" data-action="fill-profile" style="margin-bottom: 8px;">
+              <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
+                <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
+              </svg>
+              Fill Profile Fields
+            </button>
             
             <!-- Auto-Fill Progress Indicator (hidden by default) -->
             <div class="jl-auto-fill-progress" id="jl-auto-fill-progress" style="display: none;">
@@ -328,7 +394,24 @@ class SidebarManager {
               </div>
               <p class="jl-progress-text" id="jl-progress-text">Preparing...</p>
             </div>
+
+            <!-- Asked before a multi-step auto-fill clicks the final submit button -->
+            <div id="jl-submit-confirm" class="jl-submit-confirm" style="display: none;">
+              <p>All steps are filled. Submit the application now?</p>
+              <div class="jl-submit-confirm-actions">
+                <button class="jl-btn jl-btn-secondary" data-confirm-action="review">I'll review first</button>
+                <button class="jl-btn jl-btn-primary" data-confirm-action="submit">Submit application</button>
+              </div>
+            </div>
+
+            <!-- Answer Review (generated answers wait here for approval before filling) -->
+            <div id="jl-answer-review" class="jl-answer-review" style="display: none;"></div>
             
+            <!-- Type, difficulty and tags saved with each question for interview prep -->
+            <button class="jl-btn jl-btn-secondary jl-btn-classify" data-action="classify-questions" style="margin-bottom: 8px;">
+              Suggest Types and Tags (AI)
+            </button>
+
             <button class="jl-btn jl-btn-add-question" data-action="add-question">
               <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24">
                 <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
@@ -894,6 +977,41 @@ class SidebarManager {
          border-radius: 12px;
        }
        
+       .jl-question-tags {
+         display: flex;
+         flex-wrap: wrap;
+         align-items: center;
+         gap: 4px;
+       }
+
+       .jl-question-kind,
+       .jl-question-required,
+       .jl-question-parent {
+         font-size: 11px;
+         padding: 2px 6px;
+         border-radius: 12px;
+         background: #e2e8f0;
+         color: #475569;
+       }
+
+       .jl-question-required {
+         background: rgba(239, 68, 68, 0.1);
+         color: #dc2626;
+       }
+
+       .jl-question-item.jl-question-follow-up {
+         margin-left: 16px;
+       }
+
+       .jl-question-group {
+         font-size: 12px;
+         font-weight: 600;
+         color: #374151;
+         text-transform: uppercase;
+         letter-spacing: 0.03em;
+         margin: 16px 0 8px;
+       }
+
        .jl-question-remove {
          background: rgba(239, 68, 68, 0.1);
          border: none;
@@ -939,6 +1057,14 @@ class SidebarManager {
          min-height: 40px;
        }
        
+       .jl-description-input {
+         resize: vertical;
+         min-height: 80px;
+         font-size: 12px;
+         font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+         line-height: 1.4;
+       }
+       
        .jl-question-status {
          font-size: 11px;
          font-weight: 500;
@@ -957,6 +1083,131 @@ class SidebarManager {
          margin-bottom: 12px;
        }
        
+       .jl-duplicate-warning {
+         padding: 12px;
+         margin-bottom: 12px;
+         background: #fffbeb;
+         border: 1px solid #fcd34d;
+         border-radius: 8px;
+         font-size: 13px;
+         color: #92400e;
+       }
+
+       .jl-duplicate-title {
+         display: flex;
+         align-items: flex-start;
+         gap: 8px;
+         font-weight: 600;
+       }
+
+       .jl-duplicate-detail {
+         margin: 4px 0 10px 24px;
+         font-size: 12px;
+         color: #b45309;
+       }
+
+       .jl-duplicate-actions {
+         display: flex;
+         gap: 8px;
+       }
+
+       .jl-duplicate-actions .jl-btn {
+         flex: 1;
+         padding: 6px 8px;
+         font-size: 12px;
+       }
+
+       .jl-save-confirmation {
+         padding: 12px;
+         margin-bottom: 12px;
+         background: #ecfdf5;
+         border: 1px solid #6ee7b7;
+         border-radius: 8px;
+         font-size: 13px;
+         color: #065f46;
+       }
+
+       .jl-save-confirmation-title {
+         display: flex;
+         align-items: flex-start;
+         gap: 8px;
+         font-weight: 600;
+       }
+
+       .jl-save-confirmation-detail {
+         margin: 4px 0 10px 24px;
+         font-size: 12px;
+         color: #047857;
+       }
+
+       .jl-save-confirmation-actions {
+         display: flex;
+         gap: 8px;
+       }
+
+       .jl-save-confirmation-actions .jl-btn {
+         flex: 1;
+         padding: 6px 8px;
+         font-size: 12px;
+       }
+
+       .jl-save-confirmation-auto {
+         display: flex;
+         align-items: center;
+         gap: 6px;
+         margin-top: 8px;
+         font-size: 12px;
+         cursor: pointer;
+       }
+
+       .jl-save-summary {
+         background: #f8fafc;
+         border-color: #cbd5e1;
+         color: #1e293b;
+       }
+
+       .jl-save-summary-group {
+         margin-top: 8px;
+         font-size: 12px;
+       }
+
+       .jl-save-summary-list {
+         margin: 4px 0 0;
+         padding-left: 18px;
+         max-height: 120px;
+         overflow-y: auto;
+       }
+
+       .jl-save-summary-list span {
+         color: #64748b;
+       }
+
+       .jl-save-summary .jl-save-confirmation-actions {
+         margin-top: 10px;
+       }
+
+       .jl-save-summary .jl-save-confirmation-detail {
+         margin: 8px 0 0;
+         color: #64748b;
+       }
+
+       .jl-question-footer {
+         display: flex;
+         justify-content: space-between;
+         align-items: center;
+         gap: 8px;
+       }
+
+       .jl-question-include {
+         display: flex;
+         align-items: center;
+         gap: 4px;
+         font-size: 12px;
+         color: #4b5563;
+         cursor: pointer;
+         white-space: nowrap;
+       }
+
        .jl-info-banner {
          display: flex;
          align-items: center;
@@ -1066,6 +1317,75 @@ class SidebarManager {
          cursor: not-allowed;
        }
        
+       .jl-btn-fill-profile,
+       .jl-btn-classify {
+         width: 100%;
+       }
+
+       .jl-question-prep-row {
+         display: flex;
+         gap: 6px;
+         margin-bottom: 6px;
+       }
+
+       .jl-question-prep-row select {
+         flex: 1;
+       }
+
+       .jl-wizard-toggle {
+         display: flex;
+         align-items: center;
+         gap: 6px;
+         font-size: 12px;
+         color: #4b5563;
+         margin-bottom: 8px;
+         cursor: pointer;
+       }
+
+       .jl-submit-confirm {
+         border: 1px solid #fcd34d;
+         background: #fffbeb;
+         border-radius: 8px;
+         padding: 10px 12px;
+         margin-bottom: 8px;
+         font-size: 13px;
+       }
+
+       .jl-submit-confirm p {
+         margin: 0 0 8px;
+       }
+
+       .jl-submit-confirm-actions {
+         display: flex;
+         gap: 8px;
+         justify-content: flex-end;
+       }
+
+       .jl-btn-attach {
+         width: 100%;
+       }
+
+       .jl-upload-status {
+         margin-top: 6px;
+       }
+
+       .jl-upload-item {
+         font-size: 12px;
+         padding: 4px 0;
+       }
+
+       .jl-upload-item.confirmed {
+         color: #059669;
+       }
+
+       .jl-upload-item.unconfirmed {
+         color: #b45309;
+       }
+
+       .jl-upload-item.failed {
+         color: #dc2626;
+       }
+
        .jl-btn-auto-fill svg {
          width: 16px;
          height: 16px;
@@ -1151,6 +1471,106 @@ class SidebarManager {
        .jl-auto-fill-progress.jl-active {
          animation: jl-pulse 2s ease-in-out infinite;
        }
+       /* Answer review */
+       .jl-answer-review {
+         background: #f8fafc;
+         border: 1px solid #e5e7eb;
+         border-radius: 8px;
+         padding: 12px;
+         margin-bottom: 12px;
+       }
+
+       .jl-review-header {
+         font-size: 13px;
+         font-weight: 600;
+         color: #374151;
+         margin-bottom: 8px;
+       }
+
+       .jl-review-item {
+         background: white;
+         border: 1px solid #e5e7eb;
+         border-left: 3px solid #d1d5db;
+         border-radius: 6px;
+         padding: 8px;
+         margin-bottom: 8px;
+       }
+
+       .jl-review-item.jl-review-accepted {
+         border-left-color: #10b981;
+       }
+
+       .jl-review-item.jl-review-skipped {
+         border-left-color: #9ca3af;
+         opacity: 0.6;
+       }
+
+       .jl-review-question {
+         font-size: 12px;
+         font-weight: 600;
+         color: #374151;
+         margin-bottom: 6px;
+       }
+
+       .jl-review-options {
+         margin: -2px 0 6px;
+       }
+
+       .jl-review-source {
+         margin: -2px 0 6px;
+         color: #059669;
+       }
+
+       .jl-low-confidence,
+       .jl-fill-corrected {
+         color: #b45309;
+       }
+
+       .jl-fill-error {
+         color: #dc2626;
+       }
+
+       .jl-review-suggestion {
+         display: flex;
+         align-items: center;
+         gap: 6px;
+         margin-bottom: 6px;
+         font-size: 11px;
+         color: #6b7280;
+       }
+
+       .jl-review-suggestion .jl-btn {
+         flex-shrink: 0;
+         padding: 4px 6px;
+         font-size: 11px;
+       }
+
+       .jl-review-answer[readonly] {
+         background: #f9fafb;
+       }
+
+       .jl-review-actions {
+         display: flex;
+         gap: 4px;
+         margin-top: 6px;
+       }
+
+       .jl-review-actions .jl-btn {
+         flex: 1;
+         padding: 4px 6px;
+         font-size: 11px;
+       }
+
+       .jl-review-footer {
+         display: flex;
+         gap: 8px;
+       }
+
+       .jl-review-footer .jl-btn {
+         flex: 1;
+         padding: 6px 8px;
+         font-size: 12px;
+       }
      `;
 
      const styleSheet = document.createElement('style');
@@ -1170,6 +1590,14 @@ class SidebarManager {
       });
     }
 
+    // Re-parse salary as the user edits it
+    const salaryInput = this.sidebar.querySelector('#jl-salary-input');
+    if (salaryInput) {
+      salaryInput.addEventListener('input', () => {
+        this.updateSalaryHint(this.parseSalary(salaryInput.value));
+      });
+    }
+
     // Collapse/Expand button
     const collapseBtn = this.sidebar.querySelector('[data-action="toggle-collapse"]');
     if (collapseBtn) {
@@ -1190,7 +1618,7 @@ class SidebarManager {
     const saveBtn = this.sidebar.querySelector('[data-action="save"]');
     if (saveBtn) {
       saveBtn.addEventListener('click', () => {
-        this.tracker.saveApplication();
+        this.showSaveSummary();
       });
     }
 
@@ -1210,6 +1638,22 @@ class SidebarManager {
       });
     }
 
+    // Cover letter selection
+    const coverLetterSelect = this.sidebar.querySelector('#jl-cover-letter-select');
+    if (coverLetterSelect) {
+      coverLetterSelect.addEventListener('change', (e) => {
+        this.tracker.updateCoverLetterSelection(e.target.value);
+      });
+    }
+
+    // Attach CV / cover letter button
+    const attachBtn = this.sidebar.querySelector('[data-action="attach-documents"]');
+    if (attachBtn) {
+      attachBtn.addEventListener('click', () => {
+        this.handleAttachDocuments();
+      });
+    }
+
     // Add question button
     const addQuestionBtn = this.sidebar.querySelector('[data-action="add-question"]');
     if (addQuestionBtn) {
@@ -1226,6 +1670,30 @@ class SidebarManager {
       });
     }
 
+    // Once ticked or unticked by hand, the wizard toggle no longer follows the page
+    const wizardToggle = this.sidebar.querySelector('#jl-wizard-mode');
+    if (wizardToggle) {
+      wizardToggle.addEventListener('change', () => {
+        wizardToggle.dataset.userSet = 'true';
+      });
+    }
+
+    // Fill profile fields button
+    const fillProfileBtn = this.sidebar.querySelector('[data-action="fill-profile"]');
+    if (fillProfileBtn) {
+      fillProfileBtn.addEventListener('click', () => {
+        this.handleFillProfile();
+      });
+    }
+
+    // AI classification of the questions that will be saved
+    const classifyBtn = this.sidebar.querySelector('[data-action="classify-questions"]');
+    if (classifyBtn) {
+      classifyBtn.addEventListener('click', () => {
+        this.handleClassifyQuestions();
+      });
+    }
+
     // Cancel auto-fill button
     const cancelAutoFillBtn = this.sidebar.querySelector('[data-action="cancel-auto-fill"]');
     if (cancelAutoFillBtn) {
@@ -1339,6 +1807,21 @@ class SidebarManager {
     });
     
     console.log('Job Lander: CV dropdown populated with', select.options.length - 1, 'options');
+
+    // Cover letters are uploaded documents too
+    const coverLetterSelect = this.sidebar?.querySelector('#jl-cover-letter-select');
+    if (coverLetterSelect) {
+      coverLetterSelect.innerHTML = '<option value="">No cover letter</option>';
+      this.cvs.forEach(cv => {
+        const option = document.createElement('option');
+        option.value = cv.resumeId || cv.id;
+        option.textContent = `Document ${cv.resumeId || cv.id} (${new Date(cv.createdAt).toLocaleDateString()})`;
+        coverLetterSelect.appendChild(option);
+      });
+      if (this.tracker.applicationData.coverLetterId) {
+        coverLetterSelect.value = this.tracker.applicationData.coverLetterId;
+      }
+    }
   }
 
   updateJobData() {
@@ -1348,7 +1831,35 @@ class SidebarManager {
     this.updateInputField('jl-company-name-input', data.companyName);
     this.updateInputField('jl-location-input', data.location);
     this.updateInputField('jl-job-type-input', data.jobType);
+    this.updateInputField('jl-salary-input', data.salary);
     this.updateInputField('jl-description-input', data.description);
+    this.updateSalaryHint(data.salaryDetails || this.parseSalary(data.salary));
+  }
+
+  parseSalary(text) {
+    return window.SalaryParser ? new SalaryParser().parse(text) : null;
+  }
+
+  // Show how the salary was understood, e.g. "USD 25 – 30 / hour · ≈ USD 52,000 – 62,400 / year"
+  updateSalaryHint(salary) {
+    const hint = this.sidebar?.querySelector('#jl-salary-parsed');
+    if (!hint) return;
+
+    const input = this.sidebar.querySelector('#jl-salary-input');
+    if (!salary) {
+      hint.textContent = input?.value.trim() ? "Couldn't read an amount from this" : '';
+      return;
+    }
+
+    const parser = new SalaryParser();
+    let text = parser.format(salary);
+    if (salary.period !== 'year') {
+      text += ` · ≈ ${parser.format({ ...salary, ...salary.annualized, period: 'year' })}`;
+    }
+    if (salary.isEstimate) {
+      text += ' · estimate';
+    }
+    hint.textContent = text;
   }
 
   updateInputField(fieldId, value) {
@@ -1368,6 +1879,8 @@ class SidebarManager {
       companyName: this.sidebar.querySelector('#jl-company-name-input')?.value || '',
       location: this.sidebar.querySelector('#jl-location-input')?.value || '',
       jobType: this.sidebar.querySelector('#jl-job-type-input')?.value || '',
+      salary: this.sidebar.querySelector('#jl-salary-input')?.value || '',
+      salaryDetails: this.parseSalary(this.sidebar.querySelector('#jl-salary-input')?.value),
       description: this.sidebar.querySelector('#jl-description-input')?.value || '',
       companyId: this.sidebar.querySelector('#jl-company-select')?.value || '',
       cvId: this.sidebar.querySelector('#jl-cv-select')?.value || ''
@@ -1375,8 +1888,9 @@ class SidebarManager {
   }
 
   updateQuestions(questions) {
-    // Check if we actually need to rebuild the UI (questions added/removed)
-    if (questions.length === this.lastQuestionsCount) {
+    // Check if we actually need to rebuild the UI (questions added/removed, regrouped)
+    const structure = this.getQuestionsStructure(questions);
+    if (questions.length === this.lastQuestionsCount && structure === this.lastQuestionsStructure) {
       // Same number of questions, just update counter and return
       this.updateQuestionCounter(questions.length);
       return;
@@ -1395,6 +1909,12 @@ class SidebarManager {
     // Update counter immediately
     this.updateQuestionCounter(questions.length);
     this.lastQuestionsCount = questions.length;
+    this.lastQuestionsStructure = structure;
+  }
+
+  // Groups and follow-up links; a change moves items around, so the list is rebuilt
+  getQuestionsStructure(questions) {
+    return questions.map(question => `${question.id}/${question.groupId || ''}/${question.parentId || ''}`).join('|');
   }
 
   updateQuestionCounter(count) {
@@ -1423,23 +1943,31 @@ class SidebarManager {
       return;
     }
 
+    const numbers = new Map(questions.map((question, index) => [question.id, index + 1]));
+
     container.innerHTML = questions.map((question, index) => {
+      // Questions of one section or entry sit under its heading
+      const startsGroup = question.groupId && question.groupId !== questions[index - 1]?.groupId;
+      const groupHeader = startsGroup
+        ? `<div class="jl-question-group">${this.escapeHtml(question.groupLabel || 'Section')}</div>`
+        : '';
+      const parentNumber = question.parentId ? numbers.get(question.parentId) : null;
       const isAnswered = this.tracker.applicationData.userAnswers.has(question.text);
       const answer = this.tracker.applicationData.userAnswers.get(question.text) || question.answer || '';
+      const saveStatus = this.getSaveStatus(question.text, answer);
+      const colorClass = saveStatus.colorClass;
+      const included = this.tracker.isIncludedInSave(question.text, answer) ||
+        (!answer && this.tracker.applicationData.saveSelections?.[question.text] === true);
       
-      // Determine color class based on answer length
-      const answerLength = answer.length;
-      let colorClass = '';
-      if (answerLength >= 100) {
-        colorClass = 'will-save';
-      } else if (answerLength > 0 && answerLength < 100) {
-        colorClass = 'too-short';
-      }
-      
-      return `
-        <div class="jl-question-item ${colorClass}" data-question-id="${question.id}">
+      return `${groupHeader}
+        <div class="jl-question-item ${colorClass} ${parentNumber ? 'jl-question-follow-up' : ''}" data-question-id="${question.id}">
           <div class="jl-question-header">
-            <span class="jl-question-number">#${index + 1}</span>
+            <span class="jl-question-tags">
+              <span class="jl-question-number">#${index + 1}</span>
+              ${question.kind ? `<span class="jl-question-kind">${SIDEBAR_KIND_LABELS[question.kind] || this.escapeHtml(question.kind)}</span>` : ''}
+              ${question.required ? '<span class="jl-question-required" title="Required by the form">Required</span>' : ''}
+              ${parentNumber ? `<span class="jl-question-parent">Follow-up to #${parentNumber}</span>` : ''}
+            </span>
             <button class="jl-question-remove" data-action="remove-question" data-question-id="${question.id}" title="Remove question">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -1463,15 +1991,23 @@ class SidebarManager {
                         data-question-id="${question.id}"
                         placeholder="Enter your answer..."
                         rows="2">${this.escapeHtml(answer)}</textarea>
+              ${question.options ? `<div class="jl-field-hint">Options: ${question.options.map(option => this.escapeHtml(option)).join(' · ')}</div>` : ''}
+              ${question.parts && question.parts.length > 0 ? `<div class="jl-field-hint">Also fills: ${question.parts.map(part => this.escapeHtml(part.label || 'unlabelled field')).join(' · ')} (one answer line each)</div>` : ''}
+              ${question.maxLength ? `<div class="jl-field-hint">Up to ${question.maxLength} characters</div>` : ''}
+              ${question.kind === 'file' ? '<div class="jl-field-hint">Upload field: filled with the selected CV or cover letter</div>' : ''}
+              ${question.lowConfidenceMatch ? `<div class="jl-field-hint jl-low-confidence">Uncertain match: picked "${this.escapeHtml(question.lowConfidenceMatch.selected)}" (${Math.round(question.lowConfidenceMatch.confidence * 100)}%). Please check it on the form.</div>` : ''}
+              ${question.fillError ? `<div class="jl-field-hint jl-fill-error">Not filled: ${this.escapeHtml(question.fillError)}</div>` : ''}
+              ${question.fillCorrection ? `<div class="jl-field-hint jl-fill-corrected">${this.escapeHtml(question.fillCorrection)}. Please check it on the form.</div>` : ''}
             </div>
+            ${this.getQuestionPrepHTML(question, answer)}
           </div>
           
-          <div class="jl-question-status" data-question-id="${question.id}">
-            ${answer.length >= 100 
-              ? `<svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24" style="display: inline-block; vertical-align: middle; margin-right: 2px;"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg> Will be saved (${answer.length} chars)` 
-              : answer.length > 0 
-                ? `<svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24" style="display: inline-block; vertical-align: middle; margin-right: 2px;"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg> Too short (${answer.length}/100 chars)`
-                : 'No answer yet'}
+          <div class="jl-question-footer">
+            <div class="jl-question-status" data-question-id="${question.id}">${saveStatus.html}</div>
+            <label class="jl-question-include">
+              <input type="checkbox" class="jl-question-include-input" data-question-id="${question.id}" ${included ? 'checked' : ''}>
+              Include in save
+            </label>
           </div>
         </div>
       `;
@@ -1481,6 +2017,33 @@ class SidebarManager {
     this.attachQuestionEventListeners();
   }
 
+  // Type, difficulty and tags the question is saved with; editing them overrides the classifier
+  getQuestionPrepHTML(question, answer) {
+    if (!this.tracker.questionClassifier) return '';
+
+    const classification = this.tracker.getQuestionClassification(question.text, answer);
+    const typeOptions = QuestionClassifier.types
+      .map(type => `<option value="${type}" ${type === classification.type ? 'selected' : ''}>${type}</option>`)
+      .join('');
+    const difficultyOptions = [1, 2, 3, 4, 5]
+      .map(level => `<option value="${level}" ${level === classification.difficulty ? 'selected' : ''}>Difficulty ${level}</option>`)
+      .join('');
+    const source = { ai: 'Suggested by AI', user: 'Set by you' }[classification.source] || 'Detected automatically';
+
+    return `
+            <div class="jl-field jl-question-prep">
+              <label>Interview prep:</label>
+              <div class="jl-question-prep-row">
+                <select class="jl-input jl-prep-type" data-question-id="${question.id}">${typeOptions}</select>
+                <select class="jl-input jl-prep-difficulty" data-question-id="${question.id}">${difficultyOptions}</select>
+              </div>
+              <input type="text" class="jl-input jl-prep-tags" data-question-id="${question.id}"
+                     value="${this.escapeHtml(classification.tags.join(', '))}"
+                     placeholder="Tags, separated by commas">
+              <div class="jl-field-hint">${source}</div>
+            </div>`;
+  }
+
   // Force immediate UI rebuild (for when questions are added/removed)
   forceUpdateQuestions(questions) {
     if (this.updateQuestionsTimeout) {
@@ -1489,6 +2052,7 @@ class SidebarManager {
     }
     this.rebuildQuestionsUI(questions);
     this.lastQuestionsCount = questions.length;
+    this.lastQuestionsStructure = this.getQuestionsStructure(questions);
   }
 
   escapeHtml(text) {
@@ -1522,6 +2086,29 @@ class SidebarManager {
       input.setAttribute('data-listener-attached', 'true');
     });
 
+    // "Include in save" checkboxes (only attach to new inputs)
+    const includeInputs = this.sidebar.querySelectorAll('.jl-question-include-input:not([data-listener-attached])');
+    includeInputs.forEach(input => {
+      input.addEventListener('change', async () => {
+        const questionId = input.dataset.questionId;
+        const question = this.tracker.dataCollector?.detectedQuestions.get(questionId);
+        if (!question) return;
+        await this.tracker.setQuestionIncluded(question.text, input.checked);
+        const answer = this.tracker.applicationData.userAnswers.get(question.text) || question.answer || '';
+        this.updateQuestionStatusDisplay(questionId, answer);
+      });
+      input.setAttribute('data-listener-attached', 'true');
+    });
+
+    // Interview prep fields (only attach to new inputs)
+    const prepInputs = this.sidebar.querySelectorAll('.jl-prep-type:not([data-listener-attached]), .jl-prep-difficulty:not([data-listener-attached]), .jl-prep-tags:not([data-listener-attached])');
+    prepInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        this.updateQuestionClassification(input.dataset.questionId);
+      });
+      input.setAttribute('data-listener-attached', 'true');
+    });
+
     // Answer inputs (only attach to new inputs)
     const answerInputs = this.sidebar.querySelectorAll('.jl-question-answer-input:not([data-listener-attached])');
     answerInputs.forEach(input => {
@@ -1555,6 +2142,25 @@ class SidebarManager {
     console.log('Job Lander: Question text updated:', questionId, newText);
   }
 
+  updateQuestionClassification(questionId) {
+    const question = this.tracker?.dataCollector?.detectedQuestions.get(questionId);
+    const item = this.sidebar?.querySelector(`.jl-question-item[data-question-id="${questionId}"]`);
+    if (!question || !item) return;
+
+    const tags = item.querySelector('.jl-prep-tags').value
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean);
+    this.tracker.updateQuestionClassification(question.text, {
+      type: item.querySelector('.jl-prep-type').value,
+      difficulty: parseInt(item.querySelector('.jl-prep-difficulty').value, 10),
+      tags: Array.from(new Set(tags))
+    });
+
+    const hint = item.querySelector('.jl-question-prep .jl-field-hint');
+    if (hint) hint.textContent = 'Set by you';
+  }
+
   updateQuestionAnswer(questionId, newAnswer) {
     if (!questionId || !this.tracker || !this.tracker.dataCollector) return;
     
@@ -1567,32 +2173,65 @@ class SidebarManager {
   }
 
   updateQuestionStatusDisplay(questionId, answer) {
-    const questionElement = this.sidebar?.querySelector(`[data-question-id="${questionId}"]`);
-    if (questionElement) {
-      const statusElement = questionElement.querySelector('.jl-question-status');
-      if (statusElement) {
-        const answerLength = answer ? answer.length : 0;
-        
-        // Determine color class based on answer length
-        let colorClass = '';
-        let statusText = 'No answer yet';
-        
-        if (answerLength >= 100) {
-          colorClass = 'will-save';
-          statusText = `<svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24" style="display: inline-block; vertical-align: middle; margin-right: 2px;"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg> Will be saved (${answerLength} chars)`;
-        } else if (answerLength > 0) {
-          colorClass = 'too-short';
-          statusText = `<svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24" style="display: inline-block; vertical-align: middle; margin-right: 2px;"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg> Too short (${answerLength}/100 chars)`;
-        }
-        
-        // Update the status element
-        statusElement.className = 'jl-question-status';
-        statusElement.innerHTML = statusText;
-        
-        // Update the parent question item class
-        questionElement.className = `jl-question-item ${colorClass}`;
-      }
+    const questionElement = this.sidebar?.querySelector(`.jl-question-item[data-question-id="${questionId}"]`);
+    const question = this.tracker?.dataCollector?.detectedQuestions.get(questionId);
+    if (!questionElement || !question) return;
+
+    const saveStatus = this.getSaveStatus(question.text, answer);
+    const statusElement = questionElement.querySelector('.jl-question-status');
+    if (statusElement) {
+      statusElement.innerHTML = saveStatus.html;
+    }
+
+    questionElement.classList.remove('will-save', 'too-short');
+    if (saveStatus.colorClass) {
+      questionElement.classList.add(saveStatus.colorClass);
+    }
+
+    const checkbox = questionElement.querySelector('.jl-question-include-input');
+    if (checkbox && answer) {
+      checkbox.checked = this.tracker.isIncludedInSave(question.text, answer);
+    }
+  }
+
+  describeMinAnswerLength() {
+    return `Answers of ${this.tracker.minAnswerLength}+ characters are saved. Tick "Include in save" to keep shorter ones.`;
+  }
+
+  // The minimum answer length changed in the settings: redo the banner and every save status
+  refreshSaveRules() {
+    if (!this.sidebar) return;
+
+    const note = this.sidebar.querySelector('.jl-min-length-note');
+    if (note) note.textContent = this.describeMinAnswerLength();
+    this.forceUpdateQuestions(Array.from(this.tracker.dataCollector?.detectedQuestions?.values() || []));
+
+    const summary = this.sidebar.querySelector('#jl-save-summary');
+    if (summary && summary.style.display !== 'none') {
+      this.showSaveSummary();
+    }
+  }
+
+  /**
+   * Whether a save would send this answer, as a color class and a status line
+   * @returns {Object} - { colorClass: 'will-save' | 'too-short' | '', html }
+   */
+  getSaveStatus(questionText, answer) {
+    const length = answer ? answer.length : 0;
+    const minLength = this.tracker.minAnswerLength;
+    const check = '<svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24" style="display: inline-block; vertical-align: middle; margin-right: 2px;"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>';
+    const warning = '<svg width="14" height="14" fill="currentColor" viewBox="0 0 24 24" style="display: inline-block; vertical-align: middle; margin-right: 2px;"><path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>';
+
+    if (length === 0) {
+      return { colorClass: '', html: 'No answer yet' };
+    }
+    if (this.tracker.isIncludedInSave(questionText, answer)) {
+      return { colorClass: 'will-save', html: `${check} Will be saved (${length} chars)` };
     }
+    if (this.tracker.applicationData.saveSelections?.[questionText] === false) {
+      return { colorClass: 'too-short', html: `${warning} Left out of the save` };
+    }
+    return { colorClass: 'too-short', html: `${warning} Too short to save (${length}/${minLength} chars)` };
   }
 
   updateProgress(step) {
@@ -1640,6 +2279,171 @@ class SidebarManager {
     this.showStatusMessage(message, 'success');
   }
 
+  // Banner for an earlier application of the same posting
+  showDuplicateWarning(duplicate) {
+    const container = this.sidebar?.querySelector('#jl-duplicate-warning');
+    if (!container) return;
+
+    const app = duplicate.application;
+    const detail = duplicate.matchedBy === 'link'
+      ? 'Same job link as a saved application'
+      : `Matched by company and title: ${app.jobTitle}${app.companyName ? ' at ' + app.companyName : ''}`;
+
+    container.innerHTML = `
+      <div class="jl-duplicate-title">
+        <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24" style="flex-shrink: 0;">
+          <path d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/>
+        </svg>
+        <span>${this.escapeHtml(this.tracker.describeDuplicate(duplicate))}</span>
+      </div>
+      <div class="jl-duplicate-detail">${this.escapeHtml(detail)}</div>
+      <div class="jl-duplicate-actions">
+        <button class="jl-btn jl-btn-secondary" data-action="open-duplicate">Open existing record</button>
+        <button class="jl-btn jl-btn-primary" data-action="continue-duplicate">Continue anyway</button>
+      </div>
+    `;
+
+    container.querySelector('[data-action="open-duplicate"]').addEventListener('click', () => {
+      window.open(duplicate.recordUrl, '_blank');
+    });
+
+    container.querySelector('[data-action="continue-duplicate"]').addEventListener('click', async () => {
+      this.tracker.applicationData.duplicateAcknowledged = true;
+      await this.tracker.saveTrackingState();
+      this.hideDuplicateWarning();
+    });
+
+    container.style.display = 'block';
+  }
+
+  hideDuplicateWarning() {
+    const container = this.sidebar?.querySelector('#jl-duplicate-warning');
+    if (container) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+    }
+  }
+
+  // One-click save prompt after the ATS confirmed the submission
+  showSaveConfirmation(summary) {
+    const container = this.sidebar?.querySelector('#jl-save-confirmation');
+    if (!container) return;
+
+    if (this.isCollapsed) {
+      this.toggleCollapse();
+    }
+
+    const job = [summary.jobTitle, summary.companyName].filter(Boolean).join(' at ');
+    const answers = summary.answerCount === 1 ? '1 answer' : `${summary.answerCount} answers`;
+    const detail = `${job ? job + ' · ' : ''}${answers} to save${summary.platformName ? ' · ' + summary.platformName : ''}`;
+
+    container.innerHTML = `
+      <div class="jl-save-confirmation-title">
+        <svg width="16" height="16" fill="currentColor" viewBox="0 0 24 24" style="flex-shrink: 0;">
+          <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+        </svg>
+        <span>Application submitted! Save it to Job Lander?</span>
+      </div>
+      <div class="jl-save-confirmation-detail">${this.escapeHtml(detail)}</div>
+      <div class="jl-save-confirmation-actions">
+        <button class="jl-btn jl-btn-secondary" data-action="dismiss-save-confirmation">Not now</button>
+        <button class="jl-btn jl-btn-primary" data-action="confirm-save">Save application</button>
+      </div>
+      <label class="jl-save-confirmation-auto">
+        <input type="checkbox" data-action="toggle-auto-save">
+        Always save automatically
+      </label>
+    `;
+
+    container.querySelector('[data-action="confirm-save"]').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      const saved = await this.tracker.saveApplication();
+      if (!saved) e.target.disabled = false;
+    });
+
+    container.querySelector('[data-action="dismiss-save-confirmation"]').addEventListener('click', () => {
+      this.hideSaveConfirmation();
+    });
+
+    container.querySelector('[data-action="toggle-auto-save"]').addEventListener('change', (e) => {
+      this.tracker.updateSettings({ autoSaveOnSubmit: e.target.checked });
+    });
+
+    container.style.display = 'block';
+  }
+
+  /**
+   * List which answers a save sends, which it skips and which questions are empty, then save
+   * on confirmation
+   */
+  showSaveSummary() {
+    const container = this.sidebar?.querySelector('#jl-save-summary');
+    if (!container) return;
+
+    this.tracker.snapshotAnswers();
+    const plan = this.tracker.getSavePlan();
+    const list = (entries, detail) => entries.length === 0 ? '' : `
+        <ul class="jl-save-summary-list">
+          ${entries.map(entry => `<li>${this.escapeHtml(entry.text)}${detail ? `<span> · ${this.escapeHtml(detail(entry))}</span>` : ''}</li>`).join('')}
+        </ul>`;
+
+    container.innerHTML = `
+      <div class="jl-save-confirmation-title">
+        <span>Save this application?</span>
+      </div>
+      <div class="jl-save-summary-group">
+        <strong>Saved (${plan.saved.length})</strong>
+        ${list(plan.saved, entry => `${entry.answer.length} chars`)}
+      </div>
+      <div class="jl-save-summary-group">
+        <strong>Skipped (${plan.skipped.length})</strong>
+        ${list(plan.skipped, entry => entry.reason)}
+      </div>
+      <div class="jl-save-summary-group">
+        <strong>Empty (${plan.empty.length})</strong>
+        ${list(plan.empty)}
+      </div>
+      ${plan.skipped.length > 0 ? '<div class="jl-save-confirmation-detail">Tick "Include in save" on a question to keep a skipped answer.</div>' : ''}
+      <div class="jl-save-confirmation-actions">
+        <button class="jl-btn jl-btn-secondary" data-action="dismiss-save-summary">Back</button>
+        <button class="jl-btn jl-btn-primary" data-action="confirm-save-summary">Save application</button>
+      </div>
+    `;
+
+    container.querySelector('[data-action="confirm-save-summary"]').addEventListener('click', async (e) => {
+      e.target.disabled = true;
+      const saved = await this.tracker.saveApplication();
+      if (saved) {
+        this.hideSaveSummary();
+      } else {
+        e.target.disabled = false;
+      }
+    });
+
+    container.querySelector('[data-action="dismiss-save-summary"]').addEventListener('click', () => {
+      this.hideSaveSummary();
+    });
+
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  hideSaveSummary() {
+    const container = this.sidebar?.querySelector('#jl-save-summary');
+    if (container) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+    }
+  }
+
+  hideSaveConfirmation() {
+    const container = this.sidebar?.querySelector('#jl-save-confirmation');
+    if (container) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+    }
+  }
+
   showError(message) {
     this.showStatusMessage(message, 'error');
   }
@@ -1674,17 +2478,27 @@ class SidebarManager {
 
   /**
    * Handle auto-fill button click
+   * @param {Object} options - { resumeWizard } to continue a multi-step run after a page load
    */
-  async handleAutoFill() {
+  async handleAutoFill({ resumeWizard = false } = {}) {
     if (!this.tracker || !this.tracker.autoFillManager) {
       this.showError('Auto-fill system not initialized');
       return;
     }
 
+    // Wizard mode scans each step itself
+    const wizardToggle = this.sidebar?.querySelector('#jl-wizard-mode');
+    // Until the user sets the toggle it follows the page, e.g. a LinkedIn Easy Apply modal opened since
+    if (wizardToggle && !wizardToggle.dataset.userSet && window.WizardController) {
+      wizardToggle.checked = WizardController.isWizardPage();
+    }
+    const wizardMode = !!this.tracker.wizardController &&
+      (resumeWizard || !!wizardToggle?.checked);
+
     // Get questions
     const questions = Array.from(this.tracker.dataCollector?.detectedQuestions?.values() || []);
     
-    if (questions.length === 0) {
+    if (questions.length === 0 && !wizardMode) {
       this.showError('No questions detected to fill');
       return;
     }
@@ -1703,12 +2517,26 @@ class SidebarManager {
     }
 
     try {
+      const settings = await this.tracker.getSettings();
+      const reviewCallback = settings.reviewBeforeFill === false
+        ? null
+        : (items, actions) => this.showAnswerReview(items, actions);
+
       // Start auto-fill with progress callback
-      const result = await this.tracker.autoFillManager.startAutoFill(
-        questions,
-        jobData,
-        (progress) => this.updateAutoFillProgress(progress)
-      );
+      const result = wizardMode
+        ? await this.tracker.wizardController.run({
+          jobData,
+          progressCallback: (progress) => this.updateAutoFillProgress(progress),
+          reviewCallback,
+          confirmSubmit: () => this.confirmFinalSubmit(),
+          resume: resumeWizard
+        })
+        : await this.tracker.autoFillManager.startAutoFill(
+          questions,
+          jobData,
+          (progress) => this.updateAutoFillProgress(progress),
+          reviewCallback
+        );
 
       // Hide progress UI
       this.hideAutoFillProgress();
@@ -1736,17 +2564,361 @@ class SidebarManager {
     }
   }
 
+  /**
+   * Attach the selected CV and cover letter to the form's upload fields
+   */
+  async handleAttachDocuments() {
+    if (!this.tracker || !this.tracker.fileUploadManager) {
+      this.showError('File upload not available');
+      return;
+    }
+
+    const resumeId = this.sidebar.querySelector('#jl-cv-select')?.value || '';
+    const coverLetterId = this.sidebar.querySelector('#jl-cover-letter-select')?.value || '';
+    if (!resumeId && !coverLetterId) {
+      this.showError('Select a CV to attach');
+      return;
+    }
+
+    const button = this.sidebar.querySelector('[data-action="attach-documents"]');
+    if (button) button.disabled = true;
+
+    try {
+      const result = await this.tracker.fileUploadManager.uploadDocuments({ resumeId, coverLetterId });
+      this.showUploadStatus(result.uploads || []);
+      if (result.success) {
+        this.showSuccess(result.message);
+      } else {
+        this.showError(result.error || 'Could not attach the files');
+      }
+    } catch (error) {
+      console.error('Job Lander: Upload error:', error);
+      this.showError('Upload error: ' + error.message);
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  // One line per document: where it went and whether the page confirmed it
+  showUploadStatus(uploads) {
+    const container = this.sidebar?.querySelector('#jl-upload-status');
+    if (!container) return;
+
+    const names = { resume: 'CV', coverLetter: 'Cover letter' };
+    container.innerHTML = uploads.map(upload => {
+      const state = !upload.success ? 'failed' : upload.confirmed ? 'confirmed' : 'unconfirmed';
+      const text = !upload.success
+        ? upload.error
+        : upload.confirmed
+          ? `${upload.fileName} uploaded`
+          : `${upload.fileName} attached, not yet shown by the page`;
+      return `<div class="jl-upload-item ${state}"><strong>${names[upload.kind]}:</strong> ${this.escapeHtml(text || '')}</div>`;
+    }).join('');
+  }
+
+  /**
+   * Fill name, email, phone, links and address fields from the profile
+   */
+  async handleFillProfile() {
+    if (!this.tracker || !this.tracker.autoFillManager) {
+      this.showError('Auto-fill system not initialized');
+      return;
+    }
+
+    const button = this.sidebar?.querySelector('[data-action="fill-profile"]');
+    if (button) button.disabled = true;
+
+    try {
+      const result = await this.tracker.autoFillManager.fillProfileFields();
+      if (result.success) {
+        this.showSuccess(result.message);
+      } else {
+        this.showError(result.error || 'Could not fill profile fields');
+      }
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  async handleClassifyQuestions() {
+    if (!this.tracker || !this.tracker.questionClassifier) {
+      this.showError('Question classifier not loaded');
+      return;
+    }
+
+    const button = this.sidebar?.querySelector('[data-action="classify-questions"]');
+    if (button) button.disabled = true;
+
+    try {
+      const { classified, total } = await this.tracker.classifyQuestionsWithAI();
+      if (total === 0) {
+        this.showError('No questions to classify. Only answers that will be saved are classified, and ones you adjusted are kept.');
+      } else if (classified === 0) {
+        this.showError('AI suggestions are not available right now. The rule-based types and tags are kept.');
+      } else {
+        this.showSuccess(`Suggested types and tags for ${classified} question${classified === 1 ? '' : 's'}. Adjust them below before saving.`);
+        this.forceUpdateQuestions(Array.from(this.tracker.dataCollector.detectedQuestions.values()));
+      }
+    } catch (error) {
+      console.error('Job Lander: Question classification failed:', error);
+      this.showError('Could not classify questions: ' + error.message);
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
   /**
    * Handle cancel auto-fill
    */
   handleCancelAutoFill() {
     if (this.tracker && this.tracker.autoFillManager) {
-      this.tracker.autoFillManager.cancel();
+      if (this.tracker.wizardController?.isRunning) {
+        this.tracker.wizardController.cancel();
+      } else {
+        this.tracker.autoFillManager.cancel();
+      }
+      this.closeAnswerReview(null);
+      this.closeSubmitConfirm(false);
       this.hideAutoFillProgress();
       this.showError('Auto-fill cancelled');
     }
   }
 
+  /**
+   * Ask before a multi-step auto-fill clicks the final submit button
+   * @returns {Promise<Boolean>} - true to submit
+   */
+  confirmFinalSubmit() {
+    const container = this.sidebar?.querySelector('#jl-submit-confirm');
+    if (!container) return Promise.resolve(false);
+
+    if (this.isCollapsed) {
+      this.toggleCollapse();
+    }
+    container.style.display = 'block';
+
+    return new Promise(resolve => {
+      this.pendingSubmitConfirm = resolve;
+      container.querySelectorAll('[data-confirm-action]').forEach(button => {
+        button.onclick = () => this.closeSubmitConfirm(button.dataset.confirmAction === 'submit');
+      });
+    });
+  }
+
+  closeSubmitConfirm(confirmed) {
+    const container = this.sidebar?.querySelector('#jl-submit-confirm');
+    if (container) container.style.display = 'none';
+
+    if (this.pendingSubmitConfirm) {
+      const resolve = this.pendingSubmitConfirm;
+      this.pendingSubmitConfirm = null;
+      resolve(confirmed);
+    }
+  }
+
+  /**
+   * Show generated answers for approval
+   * Items arrive with answer null and are filled in through onAnswer as generation
+   * finishes. Resolves with one { decision, answer, regenerations } per item when the
+   * user clicks "Fill accepted", or null when the review is cancelled.
+   */
+  showAnswerReview(items, { regenerate, onAnswer }) {
+    const container = this.sidebar?.querySelector('#jl-answer-review');
+    if (!container) return Promise.resolve(null);
+
+    if (this.isCollapsed) {
+      this.toggleCollapse();
+    }
+
+    const progressContainer = this.sidebar.querySelector('#jl-auto-fill-progress');
+    if (progressContainer) {
+      progressContainer.style.display = 'none';
+    }
+
+    // status: 'pending' | 'accepted' | 'skipped'; origin: where the current text came from
+    const states = items.map(item => ({
+      status: 'pending',
+      generated: item.answer,
+      origin: item.source,
+      ready: item.answer !== null,
+      regenerations: 0
+    }));
+
+    container.innerHTML = `
+      <div class="jl-review-header">Review answers before filling</div>
+      ${items.map((item, index) => `
+        <div class="jl-review-item" data-review-index="${index}">
+          <div class="jl-review-question">${this.escapeHtml(item.questionText)}</div>
+          ${item.options ? `<div class="jl-field-hint jl-review-options">Options: ${item.options.map(option => this.escapeHtml(option)).join(' · ')}</div>` : ''}
+          ${item.source === 'library' ? '<div class="jl-field-hint jl-review-source">From your answer library</div>' : ''}
+          ${item.source === 'session' ? '<div class="jl-field-hint jl-review-source">Answered on an earlier step</div>' : ''}
+          ${item.suggestion ? `
+            <div class="jl-review-suggestion">
+              <span>Saved answer to a similar question: "${this.escapeHtml(item.suggestion.question)}"</span>
+              <button class="jl-btn jl-btn-secondary" data-review-action="use-suggestion">Use saved answer</button>
+            </div>
+          ` : ''}
+          <textarea class="jl-input jl-review-answer" rows="3" readonly
+                    placeholder="${item.answer === null ? 'Generating answer...' : 'No answer generated'}">${this.escapeHtml(item.answer || '')}</textarea>
+          <div class="jl-review-actions">
+            <button class="jl-btn jl-btn-primary" data-review-action="accept" ${item.answer === null ? 'disabled' : ''}>Accept</button>
+            <button class="jl-btn jl-btn-secondary" data-review-action="edit">Edit</button>
+            <button class="jl-btn jl-btn-secondary" data-review-action="regenerate" ${item.answer === null ? 'disabled' : ''}>Regenerate</button>
+            <button class="jl-btn jl-btn-secondary" data-review-action="skip">Skip</button>
+          </div>
+        </div>
+      `).join('')}
+      <div class="jl-review-footer">
+        <button class="jl-btn jl-btn-secondary" data-action="cancel-review">Cancel</button>
+        <button class="jl-btn jl-btn-primary" data-action="fill-accepted">Fill accepted (0)</button>
+      </div>
+    `;
+
+    const fillButton = container.querySelector('[data-action="fill-accepted"]');
+    const refreshFillButton = () => {
+      const accepted = states.filter(state => state.status === 'accepted').length;
+      fillButton.textContent = `Fill accepted (${accepted})`;
+      fillButton.disabled = accepted === 0;
+    };
+
+    const setStatus = (itemEl, index, status) => {
+      states[index].status = status;
+      itemEl.classList.toggle('jl-review-accepted', status === 'accepted');
+      itemEl.classList.toggle('jl-review-skipped', status === 'skipped');
+      refreshFillButton();
+    };
+
+    container.querySelectorAll('.jl-review-item').forEach(itemEl => {
+      const index = Number(itemEl.dataset.reviewIndex);
+      const textarea = itemEl.querySelector('.jl-review-answer');
+
+      // Editing an accepted answer puts it back up for approval
+      textarea.addEventListener('input', () => {
+        if (states[index].status === 'accepted') {
+          setStatus(itemEl, index, 'pending');
+        }
+      });
+
+      itemEl.querySelector('[data-review-action="accept"]').addEventListener('click', () => {
+        if (!textarea.value.trim()) {
+          this.showError('Write or regenerate an answer before accepting it');
+          return;
+        }
+        textarea.readOnly = true;
+        setStatus(itemEl, index, 'accepted');
+      });
+
+      itemEl.querySelector('[data-review-action="edit"]').addEventListener('click', () => {
+        textarea.readOnly = false;
+        setStatus(itemEl, index, 'pending');
+        textarea.focus();
+      });
+
+      itemEl.querySelector('[data-review-action="skip"]').addEventListener('click', () => {
+        setStatus(itemEl, index, 'skipped');
+      });
+
+      itemEl.querySelector('[data-review-action="regenerate"]').addEventListener('click', async (e) => {
+        const button = e.target;
+        button.disabled = true;
+        button.textContent = 'Generating...';
+        try {
+          const answer = await regenerate(items[index]);
+          states[index].generated = answer;
+          states[index].origin = 'ai';
+          states[index].regenerations++;
+          textarea.value = answer;
+          textarea.readOnly = true;
+          setStatus(itemEl, index, 'pending');
+        } catch (error) {
+          this.showError('Could not regenerate answer: ' + error.message);
+        } finally {
+          button.disabled = false;
+          button.textContent = 'Regenerate';
+        }
+      });
+    });
+
+    container.querySelectorAll('[data-review-action="use-suggestion"]').forEach(button => {
+      button.addEventListener('click', () => {
+        const itemEl = button.closest('.jl-review-item');
+        const index = Number(itemEl.dataset.reviewIndex);
+        const textarea = itemEl.querySelector('.jl-review-answer');
+
+        states[index].generated = items[index].suggestion.answer;
+        states[index].origin = 'library';
+        textarea.value = items[index].suggestion.answer;
+        textarea.readOnly = true;
+        itemEl.querySelector('[data-review-action="accept"]').disabled = false;
+        setStatus(itemEl, index, 'pending');
+      });
+    });
+
+    // Answers stream in while the user reviews the ones already there
+    onAnswer?.((index, answer) => {
+      const itemEl = container.querySelector(`[data-review-index="${index}"]`);
+      if (!itemEl || states[index].ready) return;
+
+      const textarea = itemEl.querySelector('.jl-review-answer');
+      states[index].ready = true;
+      // Keep anything the user already typed or picked from the library while waiting
+      if (!textarea.value.trim()) {
+        textarea.value = answer;
+        states[index].generated = answer;
+        states[index].origin = 'ai';
+      }
+      textarea.placeholder = 'No answer generated';
+      itemEl.querySelector('[data-review-action="accept"]').disabled = false;
+      itemEl.querySelector('[data-review-action="regenerate"]').disabled = false;
+    });
+
+    refreshFillButton();
+    container.style.display = 'block';
+
+    return new Promise(resolve => {
+      this.pendingReview = { resolve };
+
+      fillButton.addEventListener('click', () => {
+        const decisions = states.map((state, index) => {
+          const answer = container.querySelector(`[data-review-index="${index}"] .jl-review-answer`).value;
+          if (state.status !== 'accepted') {
+            return { decision: 'skipped', answer: '', source: state.origin, regenerations: state.regenerations };
+          }
+          return {
+            decision: answer.trim() === (state.generated || '').trim() ? 'accepted' : 'edited',
+            answer,
+            source: state.origin,
+            regenerations: state.regenerations
+          };
+        });
+        this.closeAnswerReview(decisions);
+      });
+
+      container.querySelector('[data-action="cancel-review"]').addEventListener('click', () => {
+        this.closeAnswerReview(null);
+      });
+    });
+  }
+
+  // Resolve a pending review and put the progress indicator back
+  closeAnswerReview(decisions) {
+    const container = this.sidebar?.querySelector('#jl-answer-review');
+    if (container) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+    }
+
+    if (!this.pendingReview) return;
+    const { resolve } = this.pendingReview;
+    this.pendingReview = null;
+
+    const progressContainer = this.sidebar?.querySelector('#jl-auto-fill-progress');
+    if (progressContainer && decisions) {
+      progressContainer.style.display = 'block';
+    }
+    resolve(decisions);
+  }
+
   /**
    * Show auto-fill progress UI
    */
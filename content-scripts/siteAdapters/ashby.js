@@ -0,0 +1,42 @@
+// Ashby - jobs.ashbyhq.com/<org>/<posting-id>; the posting is embedded as window.__appData
+window.JobLanderSiteAdapters.register({
+  id: 'ashby',
+  name: 'Ashby',
+  match: {
+    hosts: ['ashbyhq.com'],
+    selectors: ['#ashby_embed', '[class*="ashby-job-posting"]']
+  },
+  waitFor: { selector: 'h1', timeoutMs: 3000 },
+  fields: {
+    jobTitle: ['[class*="ashby-job-posting-heading"]', 'h1'],
+    location: ['[class*="ashby-job-posting-left-pane"] [class*="location"]'],
+    jobDescription: { selectors: ['[class*="ashby-job-posting-description"]', '[class*="_descriptionText"]'], html: true }
+  },
+
+  structuredData({ readScriptJson, extractor }) {
+    const appData = readScriptJson(/window\.__appData\s*=\s*/);
+    const posting = appData?.posting;
+    if (!posting) return null;
+
+    return {
+      jobTitle: posting.title,
+      companyName: appData.organization?.name,
+      location: posting.locationName || posting.location?.name,
+      jobDescription: posting.descriptionHtml
+        ? extractor.toMarkdown(posting.descriptionHtml)
+        : posting.descriptionPlainText,
+      salary: posting.compensationTierSummary || posting.scrapeableCompensationSalarySummary,
+      // e.g. "FullTime" -> "Full Time"
+      jobType: (posting.employmentType || '').replace(/([a-z])([A-Z])/g, '$1 $2')
+    };
+  },
+
+  postProcess(data) {
+    // Company falls back to the org slug in the URL
+    if (!data.companyName) {
+      const slug = window.location.pathname.split('/').filter(Boolean)[0] || '';
+      data.companyName = slug.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+    return data;
+  }
+});
@@ -0,0 +1,43 @@
+// BambooHR - <company>.bamboohr.com/careers/<id>; the careers SPA loads postings from a JSON endpoint
+window.JobLanderSiteAdapters.register({
+  id: 'bamboohr',
+  name: 'BambooHR',
+  match: {
+    hosts: ['bamboohr.com']
+  },
+  waitFor: { selector: 'h2, h1', timeoutMs: 3000 },
+  fields: {
+    jobTitle: ['[class*="jss-e"] h2', '.ResAts__page h2', 'h2', 'h1'],
+    location: ['[class*="location"]'],
+    jobDescription: { selectors: ['.BambooRichText', '[class*="RichText"]', '#jobDescription'], html: true }
+  },
+
+  async structuredData({ fetchJson, extractor }) {
+    const jobId = window.location.pathname.match(/\/careers\/(\d+)/)?.[1];
+    if (!jobId) return null;
+
+    const response = await fetchJson(`/careers/${jobId}/detail`);
+    const job = response?.result?.jobOpening;
+    if (!job) return null;
+
+    const location = job.location || job.atsLocation || {};
+    return {
+      jobTitle: job.jobOpeningName,
+      location: [location.city, location.state, location.country].filter(Boolean).join(', '),
+      jobDescription: job.description ? extractor.toMarkdown(job.description) : '',
+      salary: job.compensation || '',
+      jobType: job.employmentStatusLabel
+    };
+  },
+
+  postProcess(data, { document: doc }) {
+    // Careers pages are titled "<Company> - Careers" or "Careers at <Company>"
+    if (!data.companyName) {
+      const title = doc.title || '';
+      const match = title.match(/^(.+?)\s+[-|–]\s+careers/i) || title.match(/careers at\s+(.+)$/i);
+      const sub = window.location.hostname.split('.')[0];
+      data.companyName = match ? match[1].trim() : sub.charAt(0).toUpperCase() + sub.slice(1);
+    }
+    return data;
+  }
+});
@@ -0,0 +1,56 @@
+// Glassdoor - two-column layout; search only the job details panel, not the job list
+window.JobLanderSiteAdapters.register({
+  id: 'glassdoor',
+  name: 'Glassdoor',
+  match: {
+    hosts: ['glassdoor.com']
+  },
+  scope: [
+    '.JobDetails_jobDetailsContainer__y9P3L',
+    '[class*="JobDetails_jobDetails"]',
+    '.jobDetails',
+    '#JobDetails'
+  ],
+  fields: {
+    jobTitle: [
+      'h1[id*="jd-job-title"]',
+      '[data-test="job-title"]',
+      'h1.heading_Level1__w42c9',
+      'h1.heading_Heading__aomVx',
+      'div.JobDetails_jobTitle h1',
+      'h1'
+    ],
+    companyName: [
+      '.EmployerProfile_employerNameHeading__bXBYr h4',
+      'h4.heading_Subhead__jiUbT',
+      '.EmployerProfile_compactEmployerName__9MGcV',
+      '[data-test="employer-name"]',
+      'div[class*="EmployerProfile"] h4',
+      'a[class*="EmployerProfile"] h4',
+      'div.employerName'
+    ],
+    location: [
+      '.JobDetails_locationAndPay__XGFmY > div:first-child',
+      'div[data-test="location"]',
+      '[data-test="location"]',
+      'div[class*="location"]'
+    ],
+    jobDescription: {
+      selectors: [
+        '.JobDetails_jobDescription__uW_fK',
+        'div[class*="JobDetails_jobDescription"]',
+        '[data-test="jobDescriptionContent"]',
+        'div.jobDescriptionContent',
+        'div.desc',
+        'section[class*="description"]'
+      ],
+      html: true
+    },
+    salary: [
+      'div[id*="jd-salary"]',
+      '.JobDetails_locationAndPay__XGFmY .JobCard_salaryEstimate__QpbTW',
+      '[data-test="detailSalary"]',
+      'div[class*="salary"]'
+    ]
+  }
+});
@@ -0,0 +1,21 @@
+// Greenhouse - classic boards.greenhouse.io, the newer job-boards layout and #grnhse_app embeds
+window.JobLanderSiteAdapters.register({
+  id: 'greenhouse',
+  name: 'Greenhouse',
+  match: {
+    hosts: ['greenhouse.io'],
+    selectors: ['#grnhse_app']
+  },
+  fields: {
+    jobTitle: ['#header .app-title', '.job__title h1', 'h1.section-header'],
+    companyName: ['#header .company-name', '.job__header .company-name'],
+    location: ['#header .location', '.job__location', '.location'],
+    jobDescription: { selectors: ['#content', '.job__description', '.job-post-content'], html: true }
+  },
+
+  postProcess(data) {
+    // Classic boards prefix the company with "at "
+    data.companyName = data.companyName.replace(/^at\s+/i, '');
+    return data;
+  }
+});
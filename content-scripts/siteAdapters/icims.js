@@ -0,0 +1,52 @@
+// iCIMS - careers-<company>.icims.com; the posting renders in a same-origin iframe
+window.JobLanderSiteAdapters.register({
+  id: 'icims',
+  name: 'iCIMS',
+  match: {
+    hosts: ['icims.com'],
+    selectors: ['#icims_content_iframe']
+  },
+  // Read from the iframe document when the outer page wraps it
+  scope: (doc) => {
+    const iframe = doc.querySelector('#icims_content_iframe');
+    try {
+      return iframe?.contentDocument?.body || doc;
+    } catch (error) {
+      return doc;
+    }
+  },
+  fields: {
+    jobTitle: ['.iCIMS_Header h1', 'h1.iCIMS_Header', '.iCIMS_JobHeaderTag h1', 'h1'],
+    location: [
+      '.iCIMS_JobHeaderGroup .header.left span:not(.field-label)',
+      '.iCIMS_JobHeaderField[data-field="location"]',
+      '.iCIMS_JobHeaderData'
+    ],
+    jobDescription: { selectors: ['.iCIMS_JobContent', '.iCIMS_InfoMsg_Job', '.iCIMS_Expandable_Container'], html: true },
+    jobType: ['.iCIMS_JobHeaderField[data-field="positiontype"]']
+  },
+
+  postProcess(data, { document: doc }) {
+    // Page titles look like "Job Title in City | Careers at Company"
+    const pageTitle = doc.title || '';
+    const careersAt = pageTitle.match(/careers (?:at|@)\s+(.+)$/i);
+
+    if (!data.jobTitle) {
+      data.jobTitle = pageTitle.split('|')[0].replace(/\s+in\s+.+$/i, '').trim();
+    }
+
+    if (!data.companyName) {
+      data.companyName = careersAt
+        ? careersAt[1].trim()
+        : this.companyFromHost(window.location.hostname);
+    }
+
+    return data;
+  },
+
+  // careers-acme.icims.com -> Acme
+  companyFromHost(hostname) {
+    const sub = hostname.split('.')[0].replace(/^(careers|jobs|uscareers|external)-/, '');
+    return sub.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+});
@@ -0,0 +1,20 @@
+// Indeed - all country sites
+window.JobLanderSiteAdapters.register({
+  id: 'indeed',
+  name: 'Indeed',
+  match: {
+    hosts: ['indeed.com']
+  },
+  fields: {
+    jobTitle: ['[data-jk] h1 span', '[data-jk] h1', 'h1[data-testid="job-title"]', 'h1.jobsearch-JobInfoHeader-title'],
+    companyName: [
+      '[data-testid="company-name"] a',
+      '[data-testid="company-name"]',
+      '[data-testid="inlineHeader-companyName"] a',
+      '.jobsearch-CompanyInfoWithoutHeaderImage a'
+    ],
+    location: ['[data-testid="job-location"]', '[data-testid="inlineHeader-companyLocation"]'],
+    jobDescription: { selectors: ['#jobDescriptionText', '[data-testid="jobDescription"]'], html: true },
+    salary: ['[data-testid="salary-snippet"]', '#salaryInfoAndJobType span']
+  }
+});
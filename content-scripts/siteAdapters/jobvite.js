@@ -0,0 +1,30 @@
+// Jobvite - jobs.jobvite.com/<company>/job/<id>
+window.JobLanderSiteAdapters.register({
+  id: 'jobvite',
+  name: 'Jobvite',
+  match: {
+    hosts: ['jobvite.com'],
+    selectors: ['.jv-job-detail-description']
+  },
+  fields: {
+    jobTitle: ['.jv-header', 'h2.jv-header', '.jv-job-detail-name', 'h1'],
+    companyName: { selectors: ['.jv-logo img', '.jv-page-header img'], attribute: 'alt' },
+    location: ['.jv-job-detail-meta .jv-inline-separator:last-child', '.jv-job-detail-meta'],
+    jobDescription: { selectors: ['.jv-job-detail-description'], html: true }
+  },
+
+  postProcess(data) {
+    // Meta line reads "Category | Location"; keep the location part
+    if (data.location.includes('\n') || data.location.includes('|')) {
+      const parts = data.location.split(/\n|\|/).map(part => part.trim()).filter(Boolean);
+      data.location = parts[parts.length - 1] || '';
+    }
+
+    data.companyName = data.companyName.replace(/\s+logo$/i, '');
+    if (!data.companyName) {
+      const slug = window.location.pathname.split('/').filter(Boolean)[0] || '';
+      data.companyName = slug.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+    return data;
+  }
+});
@@ -0,0 +1,22 @@
+// Lever - jobs.lever.co postings
+window.JobLanderSiteAdapters.register({
+  id: 'lever',
+  name: 'Lever',
+  match: {
+    hosts: ['lever.co'],
+    selectors: ['.posting-headline']
+  },
+  fields: {
+    jobTitle: ['.posting-headline h2', '.posting-header h2'],
+    companyName: { selectors: ['.main-header-logo img', 'img.main-header-logo'], attribute: 'alt' },
+    location: ['.posting-categories .location', '.posting-category.location'],
+    jobDescription: { selectors: ['.section-wrapper .content', '[data-qa="job-description"]'], html: true },
+    jobType: ['.posting-categories .commitment', '.posting-category.commitment']
+  },
+
+  postProcess(data) {
+    // Logo alt text is often "<Company> logo"
+    data.companyName = data.companyName.replace(/\s+logo$/i, '');
+    return data;
+  }
+});
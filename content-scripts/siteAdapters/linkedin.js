@@ -0,0 +1,51 @@
+// LinkedIn Jobs - job view and search-results detail pane
+window.JobLanderSiteAdapters.register({
+  id: 'linkedin',
+  name: 'LinkedIn',
+  match: {
+    hosts: ['linkedin.com']
+  },
+  fields: {
+    jobTitle: [
+      '.jobs-unified-top-card__job-title h1',
+      '.jobs-unified-top-card__job-title a',
+      '.job-details-jobs-unified-top-card__job-title h1',
+      'h1.t-24.t-bold'
+    ],
+    companyName: [
+      '.jobs-unified-top-card__company-name a',
+      '.jobs-unified-top-card__company-name',
+      '.job-details-jobs-unified-top-card__company-name a'
+    ],
+    // Older layouts; the 2024+ layout is handled in postProcess
+    location: [
+      '.jobs-unified-top-card__bullet',
+      '.jobs-unified-top-card__primary-description',
+      '.jobs-unified-top-card__subtitle-primary-grouping .tvm__text'
+    ],
+    jobDescription: {
+      selectors: ['.jobs-description-content__text', '.jobs-description__content', '.jobs-box__html-content'],
+      html: true
+    }
+  },
+
+  postProcess(data, { document: doc }) {
+    data.location = this.findLocation(doc) || data.location;
+    return data;
+  },
+
+  // 2024+ layout: the first low-emphasis tvm__text that looks like "Cairo, Cairo, Egypt"
+  findLocation(doc) {
+    for (const element of doc.querySelectorAll('.tvm__text--low-emphasis')) {
+      const text = element.textContent?.trim() || '';
+      if (text &&
+          text.includes(',') &&
+          !text.includes('ago') &&
+          !text.includes('applicant') &&
+          !/\d/.test(text)) {
+        return text;
+      }
+    }
+    return '';
+  }
+});
@@ -0,0 +1,35 @@
+// Personio - <company>.jobs.personio.de/job/<id> (and .personio.com)
+window.JobLanderSiteAdapters.register({
+  id: 'personio',
+  name: 'Personio',
+  match: {
+    hosts: ['jobs.personio.de', 'jobs.personio.com']
+  },
+  fields: {
+    jobTitle: ['[data-test-id="job-title"]', '.job-title', 'h1'],
+    companyName: { selectors: ['header img[alt]', '.company-logo img'], attribute: 'alt' },
+    location: ['[data-test-id="job-location"]', '.job-location'],
+    jobDescription: {
+      selectors: ['[data-test-id="job-description"]', '.job-description', '#job-details'],
+      html: true
+    },
+    jobType: ['[data-test-id="job-employment-type"]', '.job-employment-type']
+  },
+
+  postProcess(data, { document: doc }) {
+    // The header subtitle joins type and location: "Full-time · Berlin"
+    if (!data.location || !data.jobType) {
+      const subtitle = doc.querySelector('h1 + p, .job-subtitle')?.textContent || '';
+      const parts = subtitle.split(/[·•|]/).map(part => part.trim()).filter(Boolean);
+      if (!data.jobType && parts.length > 1) data.jobType = parts[0];
+      if (!data.location && parts.length) data.location = parts[parts.length - 1];
+    }
+
+    data.companyName = data.companyName.replace(/\s+logo$/i, '');
+    if (!data.companyName) {
+      const sub = window.location.hostname.split('.')[0];
+      data.companyName = sub.charAt(0).toUpperCase() + sub.slice(1);
+    }
+    return data;
+  }
+});
@@ -0,0 +1,40 @@
+// Recruitee - <company>.recruitee.com/o/<offer-slug>; offers are also served as JSON
+window.JobLanderSiteAdapters.register({
+  id: 'recruitee',
+  name: 'Recruitee',
+  match: {
+    hosts: ['recruitee.com']
+  },
+  fields: {
+    jobTitle: ['[data-testid="offer-title"]', '.offer-title', 'h1'],
+    companyName: { selectors: ['header img[alt]', '.company-logo img'], attribute: 'alt' },
+    location: ['[data-testid="offer-location"]', '.offer-location'],
+    jobDescription: { selectors: ['[data-testid="offer-description"]', '.offer-description', '.description'], html: true }
+  },
+
+  async structuredData({ fetchJson, extractor }) {
+    const slug = window.location.pathname.match(/\/o\/([^\/?#]+)/)?.[1];
+    if (!slug) return null;
+
+    const response = await fetchJson(`/api/offers/${slug}`);
+    const offer = response?.offer;
+    if (!offer) return null;
+
+    const sections = [offer.description, offer.requirements].filter(Boolean).join('\n');
+    return {
+      jobTitle: offer.title,
+      companyName: offer.company_name,
+      location: offer.location || [offer.city, offer.country].filter(Boolean).join(', '),
+      jobDescription: sections ? extractor.toMarkdown(sections) : '',
+      salary: offer.salary?.min && offer.salary?.max
+        ? `${offer.salary.min} - ${offer.salary.max} ${offer.salary.currency || ''}`.trim()
+        : '',
+      jobType: offer.employment_type_code
+    };
+  },
+
+  postProcess(data) {
+    data.companyName = data.companyName.replace(/\s+logo$/i, '');
+    return data;
+  }
+});
@@ -0,0 +1,251 @@
+// Site Adapter Registry - Declarative per-site extraction rules used by JobDataExtractor
+//
+// Each job board or ATS lives in its own file in this directory and registers itself:
+//
+//   window.JobLanderSiteAdapters.register({
+//     id: 'greenhouse',
+//     name: 'Greenhouse',
+//     match: {
+//       hosts: ['greenhouse.io'],           // hostname or any subdomain of it
+//       urlPatterns: [/\/jobs\/\d+/],       // optional, tested against the full URL
+//       selectors: ['#grnhse_app']          // optional, DOM markers for embedded boards
+//     },
+//     waitFor: { selector: '.app-title', timeoutMs: 3000 },  // optional, for SPAs
+//     scope: ['.job-details'],              // optional container (or function(doc) => root) to search in
+//     async structuredData(context) {},     // optional, fields from a JSON API or embedded state;
+//                                           // these win over selectors, selectors fill the gaps
+//     fields: {
+//       jobTitle: ['.app-title', 'h1'],     // selector fallbacks, first non-empty text wins
+//       jobDescription: { selectors: ['#content'], html: true },  // converted to Markdown
+//       companyName: { selectors: ['.logo img'], attribute: 'alt' }
+//     },
+//     postProcess(data, context) { return data; }  // optional, `this` is the adapter
+//   });
+//
+// Adapter files must be listed in manifest.json after this file and before jobDataExtractor.js,
+// and need a fixture page in tests/fixtures/siteAdapters (see tests/siteAdapters.test.js).
+
+const SITE_ADAPTER_FIELDS = ['jobTitle', 'companyName', 'location', 'jobDescription', 'salary', 'jobType'];
+
+class SiteAdapterRegistry {
+  constructor() {
+    this.adapters = [];
+  }
+
+  register(adapter) {
+    if (!adapter || !adapter.id || !adapter.match || !adapter.fields) {
+      console.error('Job Lander: Invalid site adapter, needs id, match and fields', adapter);
+      return;
+    }
+
+    // Re-registering an id replaces the earlier adapter
+    this.adapters = this.adapters.filter(existing => existing.id !== adapter.id);
+    this.adapters.push(adapter);
+  }
+
+  list() {
+    return [...this.adapters];
+  }
+
+  get(id) {
+    return this.adapters.find(adapter => adapter.id === id) || null;
+  }
+
+  /**
+   * Choose the adapter for a page. URL rules are checked for every adapter before any DOM
+   * rule, so a loose DOM marker on one board can't shadow another board's own host.
+   * @returns {Object|null} - The matching adapter
+   */
+  find(url = window.location.href, doc = document) {
+    const hostname = new URL(url).hostname.toLowerCase();
+
+    return this.adapters.find(adapter => this.matchesUrl(adapter, hostname, url)) ||
+      this.adapters.find(adapter => this.matchesDom(adapter, doc)) ||
+      null;
+  }
+
+  matchesUrl(adapter, hostname, url) {
+    const { hosts = [], urlPatterns = [] } = adapter.match;
+    return hosts.some(host => hostname === host || hostname.endsWith('.' + host)) ||
+      urlPatterns.some(pattern => pattern.test(url));
+  }
+
+  matchesDom(adapter, doc) {
+    const { selectors = [] } = adapter.match;
+    return selectors.some(selector => doc.querySelector(selector));
+  }
+
+  /**
+   * Run an adapter against the page
+   * @returns {Object} - { jobTitle, companyName, location, jobDescription, salary, jobType }
+   */
+  async extract(adapter, extractor, doc = document) {
+    if (adapter.waitFor) {
+      const rendered = await this.waitForRender(adapter.waitFor, doc);
+      if (!rendered) {
+        console.log(`Job Lander: ${adapter.name} content did not render in time, extracting anyway`);
+      }
+    }
+
+    const root = this.resolveScope(adapter.scope, doc);
+    const context = {
+      root,
+      document: doc,
+      url: window.location.href,
+      extractor,
+      fetchJson: (url, options) => this.fetchJson(url, options),
+      readScriptJson: (pattern) => this.readScriptJson(pattern, doc)
+    };
+
+    let structured = {};
+    if (typeof adapter.structuredData === 'function') {
+      try {
+        structured = (await adapter.structuredData(context)) || {};
+      } catch (error) {
+        console.log(`Job Lander: ${adapter.name} structured data unavailable, using selectors:`, error.message);
+      }
+    }
+
+    let data = {};
+    SITE_ADAPTER_FIELDS.forEach(field => {
+      data[field] = (typeof structured[field] === 'string' && structured[field].trim()) ||
+        this.extractField(adapter.fields[field], root, extractor);
+    });
+
+    if (typeof adapter.postProcess === 'function') {
+      data = adapter.postProcess({ ...data }, context) || data;
+    }
+
+    return data;
+  }
+
+  resolveScope(scope, doc) {
+    if (!scope) return doc;
+    if (typeof scope === 'function') return scope(doc) || doc;
+
+    for (const selector of scope) {
+      const element = doc.querySelector(selector);
+      if (element) return element;
+    }
+    return doc;
+  }
+
+  // A field spec is a selector list, or { selectors, html, attribute }
+  extractField(spec, root, extractor) {
+    if (!spec) return '';
+
+    const { selectors, html = false, attribute = null } = Array.isArray(spec) ? { selectors: spec } : spec;
+
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (!element) continue;
+
+      let value;
+      if (attribute) {
+        value = element.getAttribute(attribute) || '';
+      } else if (html) {
+        value = extractor.toMarkdown(element);
+      } else {
+        value = element.textContent || '';
+      }
+
+      value = value.trim();
+      if (value) return value;
+    }
+
+    return '';
+  }
+
+  // Same-origin JSON endpoint (content-script fetches follow the page's CORS rules)
+  async fetchJson(url, { timeoutMs = 5000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        credentials: 'include',
+        headers: { Accept: 'application/json' },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Parse JSON assigned in an inline script, e.g. /window\.__appData\s*=\s*/
+  readScriptJson(pattern, doc) {
+    for (const script of doc.querySelectorAll('script:not([src])')) {
+      const text = script.textContent || '';
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const json = this.sliceJsonObject(text, match.index + match[0].length);
+      if (!json) continue;
+
+      try {
+        return JSON.parse(json);
+      } catch (error) {
+        console.log('Job Lander: Could not parse embedded page state:', error.message);
+      }
+    }
+    return null;
+  }
+
+  // Return the balanced {...} starting at `start`, skipping braces inside strings
+  sliceJsonObject(text, start) {
+    const begin = text.indexOf('{', start);
+    if (begin === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = begin; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) return text.slice(begin, i + 1);
+      }
+    }
+    return null;
+  }
+
+  // Poll until the adapter's marker has content (or `condition(doc)` is true), up to timeoutMs
+  waitForRender({ selector, condition, timeoutMs = 3000, intervalMs = 250 }, doc) {
+    const isReady = () => {
+      if (condition) return !!condition(doc);
+      const element = doc.querySelector(selector);
+      return !!(element && element.textContent.trim());
+    };
+
+    return new Promise(resolve => {
+      if (isReady()) {
+        resolve(true);
+        return;
+      }
+
+      const startedAt = Date.now();
+      const timer = setInterval(() => {
+        if (isReady()) {
+          clearInterval(timer);
+          resolve(true);
+        } else if (Date.now() - startedAt >= timeoutMs) {
+          clearInterval(timer);
+          resolve(false);
+        }
+      }, intervalMs);
+    });
+  }
+}
+
+// Make available globally; adapter files register into this instance
+window.JobLanderSiteAdapters = new SiteAdapterRegistry();
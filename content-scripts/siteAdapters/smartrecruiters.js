@@ -0,0 +1,16 @@
+// SmartRecruiters - jobs.smartrecruiters.com postings
+window.JobLanderSiteAdapters.register({
+  id: 'smartrecruiters',
+  name: 'SmartRecruiters',
+  match: {
+    hosts: ['smartrecruiters.com'],
+    selectors: ['[data-test="job-title"]']
+  },
+  fields: {
+    jobTitle: ['[data-test="job-title"]', 'h1.job-title'],
+    companyName: ['[data-test="company-name"]', '.header-logo-title'],
+    location: ['[data-test="job-location"]', '.job-detail-location'],
+    jobDescription: { selectors: ['[data-test="job-description"]', '.job-sections'], html: true },
+    jobType: ['[data-test="employment-type"]']
+  }
+});
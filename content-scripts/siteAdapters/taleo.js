@@ -0,0 +1,34 @@
+// Taleo - <company>.taleo.net/careersection/.../jobdetail.ftl; fields render client-side
+window.JobLanderSiteAdapters.register({
+  id: 'taleo',
+  name: 'Taleo',
+  match: {
+    hosts: ['taleo.net'],
+    selectors: ['#requisitionDescriptionInterface\\.reqTitleLinkAction\\.row1']
+  },
+  waitFor: {
+    condition: (doc) => !!(doc.querySelector('.titlepage')?.textContent.trim() ||
+      doc.querySelector('[id*="reqTitleLinkAction"]')?.textContent.trim()),
+    timeoutMs: 5000
+  },
+  fields: {
+    jobTitle: ['[id*="reqTitleLinkAction"]', '.titlepage', 'h1'],
+    location: ['[id*="reqBasicLocation"]', '[id*="reqLocation"]'],
+    jobDescription: {
+      selectors: ['[id*="reqDescription"]', '.editablesection', '#requisitionDescriptionInterface'],
+      html: true
+    },
+    jobType: ['[id*="reqJobSchedule"]', '[id*="reqJobType"]']
+  },
+
+  postProcess(data, { document: doc }) {
+    // Company from the page title ("Job Description - Title (123) - Company") or the subdomain
+    if (!data.companyName) {
+      const parts = (doc.title || '').split(' - ').map(part => part.trim()).filter(Boolean);
+      const fromTitle = parts.length > 2 ? parts[parts.length - 1] : '';
+      const sub = window.location.hostname.split('.')[0];
+      data.companyName = fromTitle || sub.charAt(0).toUpperCase() + sub.slice(1);
+    }
+    return data;
+  }
+});
@@ -0,0 +1,56 @@
+// WhiteCarrot - Vue.js SPA, so wait for the title to render before extracting
+window.JobLanderSiteAdapters.register({
+  id: 'whitecarrot',
+  name: 'WhiteCarrot',
+  match: {
+    hosts: ['whitecarrot.io']
+  },
+  waitFor: { selector: '.mt-3.mb-2.text-center', timeoutMs: 5000 },
+  fields: {
+    // Job title is the centered large text
+    jobTitle: ['.mt-3.mb-2.text-center']
+  },
+
+  postProcess(data, { document: doc }) {
+    if (!data.jobTitle) {
+      data.jobTitle = Array.from(doc.querySelectorAll('p'))
+        .find(p => p.style.fontSize === '1.75rem' && p.textContent.trim())
+        ?.textContent.trim() || '';
+    }
+
+    data.companyName = this.findCompanyName(doc);
+
+    // The page links out to the full description instead of including it
+    const jobDescLink = doc.querySelector('a[href*="/share/careers/"]');
+    if (jobDescLink) {
+      data.jobDescription = `For full job description, visit: ${jobDescLink.href}`;
+    }
+
+    data.location = this.findLocation(doc);
+    return data;
+  },
+
+  // Company comes from the URL (e.g. /careers/bayzat/job/), else the logo filename
+  findCompanyName(doc) {
+    const urlMatch = window.location.pathname.match(/\/careers\/([^\/]+)\//);
+    if (urlMatch) {
+      return urlMatch[1].charAt(0).toUpperCase() + urlMatch[1].slice(1);
+    }
+
+    const logo = doc.querySelector('img[alt="Logo"]');
+    const srcMatch = logo?.src?.match(/\/([^\/]+)\.\w+$/);
+    return srcMatch ? srcMatch[1] : '';
+  },
+
+  // Location often isn't shown on the profile-builder page; look for "City, Country" text
+  findLocation(doc) {
+    const textElements = Array.from(doc.querySelectorAll('p, span, div'));
+    for (const el of textElements) {
+      const text = el.textContent.trim();
+      if (text.match(/^[A-Z][a-z]+,\s*[A-Z]/)) {
+        return text;
+      }
+    }
+    return '';
+  }
+});
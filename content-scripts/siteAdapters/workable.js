@@ -0,0 +1,38 @@
+// Workable - apply.workable.com/<account>/j/<shortcode>/; SPA backed by a public JSON API
+window.JobLanderSiteAdapters.register({
+  id: 'workable',
+  name: 'Workable',
+  match: {
+    hosts: ['workable.com']
+  },
+  waitFor: { selector: '[data-ui="job-title"], h1', timeoutMs: 3000 },
+  fields: {
+    jobTitle: ['[data-ui="job-title"]', 'h1'],
+    companyName: ['[data-ui="company-name"]', 'header h2'],
+    location: ['[data-ui="job-location"]'],
+    jobDescription: { selectors: ['[data-ui="job-description"]', 'section[data-ui="job-breakdown"]'], html: true },
+    jobType: ['[data-ui="job-type"]']
+  },
+
+  async structuredData({ fetchJson, extractor }) {
+    const match = window.location.pathname.match(/^\/([^\/]+)\/j\/([^\/]+)/);
+    if (!match || !window.location.hostname.startsWith('apply.')) return null;
+    const [, account, shortcode] = match;
+
+    const [job, company] = await Promise.all([
+      fetchJson(`/api/v2/accounts/${account}/jobs/${shortcode}`),
+      fetchJson(`/api/v1/accounts/${account}`).catch(() => null)
+    ]);
+
+    const location = job.location || {};
+    const sections = [job.description, job.requirements, job.benefits].filter(Boolean).join('\n');
+
+    return {
+      jobTitle: job.title,
+      companyName: company?.name,
+      location: [location.city, location.region, location.country].filter(Boolean).join(', '),
+      jobDescription: sections ? extractor.toMarkdown(sections) : '',
+      jobType: job.type
+    };
+  }
+});
@@ -0,0 +1,17 @@
+// Workday - *.myworkdayjobs.com career sites (rendered client-side)
+window.JobLanderSiteAdapters.register({
+  id: 'workday',
+  name: 'Workday',
+  match: {
+    hosts: ['myworkdayjobs.com', 'myworkdaysite.com'],
+    selectors: ['[data-automation-id="jobPostingHeader"]']
+  },
+  waitFor: { selector: '[data-automation-id="jobPostingHeader"]', timeoutMs: 3000 },
+  fields: {
+    jobTitle: ['[data-automation-id="jobPostingHeader"]'],
+    companyName: ['[data-automation-id="companyName"]', '.company-name'],
+    location: ['[data-automation-id="locations"] dd', '[data-automation-id="locations"]'],
+    jobDescription: { selectors: ['[data-automation-id="jobPostingDescription"]'], html: true },
+    jobType: ['[data-automation-id="time-type"] dd', '[data-automation-id="time-type"]']
+  }
+});
@@ -0,0 +1,118 @@
+// Text Matcher - Matches free-text answers (AI, answer library or profile) to the options
+// of choice questions: radio groups, checkbox groups and selects
+
+// Leading words that make an answer or an option a plain yes or no
+const TEXT_MATCHER_YES = /^(yes|y|yeah|yep|true|correct|i (am|do|have|will|can|agree|consent))\b/i;
+const TEXT_MATCHER_NO = /^(no|n|nope|false|none|i (am not|do not|don't|have not|haven't|will not|won't|cannot|can't|decline))\b/i;
+
+// Separators between the picks of a "select all that apply" answer
+const TEXT_MATCHER_LIST_SEPARATOR = /\s*(?:[,;\n•]|\band\b|\s-\s)\s*/i;
+
+class TextMatcher {
+  normalize(text) {
+    return (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '') // Strip accents
+      .toLowerCase()
+      .replace(/[^a-z0-9+#]+/g, ' ')
+      .trim();
+  }
+
+  tokens(text) {
+    return this.normalize(text).split(' ').filter(Boolean);
+  }
+
+  /**
+   * 'yes' | 'no' | null
+   */
+  polarity(text) {
+    const normalized = this.normalize(text).replace(/^(answer|response)\s+/, '');
+    if (TEXT_MATCHER_NO.test(normalized)) return 'no';
+    if (TEXT_MATCHER_YES.test(normalized)) return 'yes';
+    return null;
+  }
+
+  /**
+   * Similarity between an answer and one option, 0-1
+   * Exact match beats an option named inside the answer ("Yes, I am authorized"),
+   * which beats word overlap.
+   */
+  similarity(answer, option) {
+    const a = this.normalize(answer);
+    const o = this.normalize(option);
+    if (!a || !o) return 0;
+    if (a === o) return 1;
+
+    // The option appears as whole words in the answer, or the other way round
+    const padded = ` ${a} `;
+    if (o.length >= 2 && padded.includes(` ${o} `)) {
+      return 0.85 + Math.min(o.length, 100) / 1000;
+    }
+    if (a.length >= 3 && ` ${o} `.includes(` ${a} `)) {
+      return 0.8;
+    }
+
+    const answerTokens = new Set(this.tokens(a));
+    const optionTokens = new Set(this.tokens(o));
+    let shared = 0;
+    optionTokens.forEach(token => {
+      if (answerTokens.has(token)) shared++;
+    });
+    return (2 * shared) / (answerTokens.size + optionTokens.size);
+  }
+
+  /**
+   * Best option for an answer
+   * @param {Array} options - Option objects or strings
+   * @param {Object} config - { getText: option => text, minScore }
+   * @returns {Object|null} - { option, score }
+   */
+  bestMatch(answer, options, { getText = option => option, minScore = 0.5 } = {}) {
+    if (!answer || !options || options.length === 0) return null;
+
+    // Yes/no questions: compare polarity, so "No, I will need sponsorship" finds "No"
+    const answerPolarity = this.polarity(answer);
+    if (answerPolarity) {
+      const polar = options.filter(option => this.polarity(getText(option)) === answerPolarity);
+      if (polar.length === 1) {
+        return { option: polar[0], score: 1 };
+      }
+    }
+
+    let best = null;
+    options.forEach(option => {
+      const score = this.similarity(answer, getText(option));
+      if (!best || score > best.score) {
+        best = { option, score };
+      }
+    });
+
+    return best && best.score >= minScore ? best : null;
+  }
+
+  /**
+   * Every option picked by a "select all that apply" answer
+   * @returns {Array} - Matched options, in option order
+   */
+  matchMany(answer, options, { getText = option => option, minScore = 0.6 } = {}) {
+    if (!answer || !options || options.length === 0) return [];
+
+    const picked = new Set();
+    const parts = answer.split(TEXT_MATCHER_LIST_SEPARATOR).filter(part => part.trim());
+
+    parts.forEach(part => {
+      const match = this.bestMatch(part, options, { getText, minScore });
+      if (match) picked.add(match.option);
+    });
+
+    // Options named in the answer even if the split cut them apart ("Research and Development")
+    options.forEach(option => {
+      if (this.similarity(answer, getText(option)) >= 0.85) picked.add(option);
+    });
+
+    return options.filter(option => picked.has(option));
+  }
+}
+
+// Make available globally
+window.TextMatcher = TextMatcher;
@@ -0,0 +1,252 @@
+// Value Coercer - Turns free-text answers ("In two weeks", "$120k", "5+ years") into the
+// values date, number and masked inputs accept
+
+const VALUE_COERCER_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const VALUE_COERCER_WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30
+};
+
+// Date formats written in placeholders and labels: "MM/DD/YYYY", "dd.mm.yyyy", "YYYY-MM-DD"
+const VALUE_COERCER_DATE_FORMAT = /\b(mm|dd|yyyy|yy)([\/.\- ])(mm|dd|yyyy|yy)(?:\2(mm|dd|yyyy|yy))?\b/i;
+
+class ValueCoercer {
+  constructor(locale = navigator.language || 'en-US') {
+    this.locale = locale;
+  }
+
+  /**
+   * Read a date from an answer
+   * @returns {Date|null} - Local midnight
+   */
+  parseDate(text, now = new Date()) {
+    const value = (text || '').toLowerCase().trim();
+    if (!value) return null;
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (/\b(immediately|asap|as soon as possible|right away|today|now)\b/.test(value)) {
+      return today;
+    }
+
+    let match = value.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (match) return this.buildDate(+match[1], +match[2], +match[3]);
+
+    const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    match = value.match(new RegExp(`${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`));
+    if (match) return this.buildDate(+match[3], VALUE_COERCER_MONTHS.indexOf(match[1]) + 1, +match[2]);
+
+    match = value.match(new RegExp(`(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthPattern},?\\s+(\\d{4})`));
+    if (match) return this.buildDate(+match[3], VALUE_COERCER_MONTHS.indexOf(match[2]) + 1, +match[1]);
+
+    match = value.match(new RegExp(`${monthPattern},?\\s+(\\d{4})`));
+    if (match) return this.buildDate(+match[2], VALUE_COERCER_MONTHS.indexOf(match[1]) + 1, 1);
+
+    match = value.match(/\b(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4})\b/);
+    if (match) {
+      const [a, b] = [+match[1], +match[2]];
+      const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+      // Ambiguous 03/04 follows the browser's locale
+      const dayFirst = a > 12 || (b <= 12 && this.localeDateFormat().startsWith('D'));
+      return dayFirst ? this.buildDate(year, b, a) : this.buildDate(year, a, b);
+    }
+
+    // Notice periods: "2 weeks notice", "one month", "in 10 days"
+    match = value.match(/\b(\d+|[a-z]+)\s+(day|week|month)s?\b/);
+    if (match) {
+      const amount = /^\d+$/.test(match[1]) ? +match[1] : VALUE_COERCER_WORD_NUMBERS[match[1]];
+      if (amount) {
+        const date = new Date(today);
+        if (match[2] === 'day') date.setDate(date.getDate() + amount);
+        if (match[2] === 'week') date.setDate(date.getDate() + amount * 7);
+        if (match[2] === 'month') date.setMonth(date.getMonth() + amount);
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+  // Rejects overflowing dates like 31/02
+  buildDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * @param {String} format - Tokens YYYY, YY, MM, M, DD, D, e.g. 'MM/DD/YYYY'
+   */
+  formatDate(date, format = 'YYYY-MM-DD') {
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+      YYYY: String(date.getFullYear()),
+      YY: String(date.getFullYear()).slice(-2),
+      MM: pad(date.getMonth() + 1),
+      M: String(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      D: String(date.getDate())
+    };
+    return format.replace(/YYYY|YY|MM|M|DD|D/g, token => tokens[token]);
+  }
+
+  // The date format a field asks for in its placeholder, label or data attributes
+  inferDateFormat(element, label = '') {
+    const hints = [
+      element.getAttribute('data-date-format'),
+      element.getAttribute('placeholder'),
+      element.getAttribute('aria-label'),
+      label
+    ].filter(Boolean);
+
+    for (const hint of hints) {
+      const match = hint.match(VALUE_COERCER_DATE_FORMAT);
+      if (match) return match[0].toUpperCase();
+    }
+    return null;
+  }
+
+  // Numeric date format of the browser's locale, e.g. 'MM/DD/YYYY' for en-US
+  localeDateFormat() {
+    if (!this.cachedDateFormat) {
+      try {
+        const parts = new Intl.DateTimeFormat(this.locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+          .formatToParts(new Date(2001, 10, 22));
+        const tokens = { year: 'YYYY', month: 'MM', day: 'DD' };
+        this.cachedDateFormat = parts.map(part => tokens[part.type] || part.value).join('');
+      } catch (error) {
+        this.cachedDateFormat = 'MM/DD/YYYY';
+      }
+    }
+    return this.cachedDateFormat;
+  }
+
+  /**
+   * Read a number from an answer; ranges give their lower end ("100-120k" -> 100000)
+   * @returns {Number|null}
+   */
+  parseNumber(text) {
+    const value = (text || '').toLowerCase();
+    const numberPattern = /(\d[\d,.']*\d|\d)\s*(k|m|thousand|million)?\b/g;
+    const found = Array.from(value.matchAll(numberPattern));
+
+    if (found.length === 0) {
+      const word = value.match(/\b([a-z]+)\b/g)?.find(token => token in VALUE_COERCER_WORD_NUMBERS && token.length > 2);
+      return word ? VALUE_COERCER_WORD_NUMBERS[word] : null;
+    }
+
+    const [first, second] = found;
+    let multiplier = this.multiplier(first[2]);
+
+    // "100-120k": the second number's suffix applies to the first
+    if (!first[2] && second && second[2] && /^\s*(-|–|to)\s*$/.test(value.slice(first.index + first[0].length, second.index))) {
+      multiplier = this.multiplier(second[2]);
+    }
+
+    const number = this.parseNumberToken(first[1].trim());
+    if (number === null) return null;
+
+    const isNegative = value.slice(Math.max(0, first.index - 1), first.index) === '-';
+    return (isNegative ? -1 : 1) * number * multiplier;
+  }
+
+  multiplier(suffix) {
+    if (suffix === 'k' || suffix === 'thousand') return 1000;
+    if (suffix === 'm' || suffix === 'million') return 1000000;
+    return 1;
+  }
+
+  // "120,000", "1.234,56", "3,5", "1'500" -> numbers
+  parseNumberToken(token) {
+    let cleaned = token.replace(/'/g, '');
+    const lastComma = cleaned.lastIndexOf(',');
+    const lastDot = cleaned.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      const decimal = lastComma > lastDot ? ',' : '.';
+      const thousands = decimal === ',' ? '.' : ',';
+      cleaned = cleaned.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+      cleaned = /^\d{1,3}(,\d{3})+$/.test(cleaned) ? cleaned.replace(/,/g, '') : cleaned.replace(',', '.');
+    } else if (lastDot !== -1 && /^\d{1,3}(\.\d{3}){2,}$/.test(cleaned)) {
+      cleaned = cleaned.replace(/\./g, '');
+    }
+
+    const number = parseFloat(cleaned);
+    return isNaN(number) ? null : number;
+  }
+
+  /**
+   * Fit a number to an input's min, max and step
+   * @returns {Object} - { value, adjusted }
+   */
+  clampNumber(number, { min, max, step } = {}) {
+    let value = number;
+    const minValue = parseFloat(min);
+    const maxValue = parseFloat(max);
+    const stepValue = parseFloat(step);
+
+    if (!isNaN(stepValue) && stepValue > 0) {
+      const base = isNaN(minValue) ? 0 : minValue;
+      const decimals = (String(step).split('.')[1] || '').length;
+      value = Number((base + Math.round((value - base) / stepValue) * stepValue).toFixed(decimals));
+    }
+    if (!isNaN(minValue) && value < minValue) value = minValue;
+    if (!isNaN(maxValue) && value > maxValue) value = maxValue;
+
+    return { value, adjusted: value !== number };
+  }
+
+  /**
+   * Shorten an answer to a character limit, ending on a whole sentence when one fits,
+   * otherwise on a whole word
+   */
+  fitLength(text, maxLength) {
+    const value = (text || '').trim();
+    if (!maxLength || value.length <= maxLength) return value;
+
+    const cut = value.slice(0, maxLength);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    if (sentenceEnd >= maxLength * 0.5) {
+      return cut.slice(0, sentenceEnd + 1);
+    }
+    if (/[.!?]$/.test(cut) && value[maxLength] === ' ') {
+      return cut;
+    }
+
+    const wordEnd = cut.lastIndexOf(' ');
+    return (wordEnd > 0 ? cut.slice(0, wordEnd) : cut).replace(/[\s,;:\-–]+$/, '');
+  }
+
+  /**
+   * Fit an answer into an input mask: 9 or # takes a digit, a takes a letter, * takes either;
+   * everything else is a literal. "(999) 999-9999" + "555 123 4567" -> "(555) 123-4567"
+   * @returns {Object} - { success, value, error }
+   */
+  applyMask(text, mask) {
+    const slots = Array.from(mask).filter(char => /[9#a*_]/.test(char));
+    const digitsOnly = slots.every(char => /[9#_]/.test(char));
+    let characters = Array.from(text || '').filter(char => (digitsOnly ? /\d/ : /[a-z0-9]/i).test(char));
+
+    if (characters.length > slots.length) {
+      // A leading country code ("+1 555 123 4567") doesn't fit a national mask
+      if (digitsOnly && /^\s*\+/.test(text)) {
+        characters = characters.slice(characters.length - slots.length);
+      } else {
+        return { success: false, value: null, error: `Answer has ${characters.length} characters, the field expects ${slots.length}` };
+      }
+    }
+    if (characters.length < slots.length) {
+      return { success: false, value: null, error: `Answer has ${characters.length} characters, the field expects ${slots.length}` };
+    }
+
+    let index = 0;
+    const value = Array.from(mask).map(char => (/[9#a*_]/.test(char) ? characters[index++] : char)).join('');
+    return { success: true, value, error: null };
+  }
+}
+
+// Make available globally
+window.ValueCoercer = ValueCoercer;
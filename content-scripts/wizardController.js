@@ -0,0 +1,306 @@
+// Wizard Controller - Runs auto-fill across multi-step applications (Workday, LinkedIn Easy
+// Apply, iCIMS): fills the step on screen, moves on when the next one renders and stops
+// before the final submit unless the user confirms
+
+// Sites that split applications into steps; wizard mode is on by default there
+const WIZARD_HOSTS = /myworkdayjobs\.com|\.workday\.com|icims\.com/i;
+// LinkedIn only steps through its Easy Apply modal; the rest of the site is not a wizard
+const WIZARD_MODALS = '.jobs-easy-apply-modal, [data-test-modal-id="easy-apply-modal"]';
+
+// Buttons that move to the next step, most specific first
+const WIZARD_NEXT_SELECTORS = [
+  '[data-automation-id="bottom-navigation-next-button"]', // Workday (reads "Submit" on the last step)
+  'button[aria-label="Continue to next step"]', // LinkedIn Easy Apply
+  'button[aria-label="Review your application"]'
+];
+const WIZARD_NEXT_TEXT = /^(next|continue|save (and|&) continue|review|proceed|next step)\b/i;
+
+const WIZARD_SUBMIT_SELECTORS = [
+  'button[aria-label="Submit application"]', // LinkedIn Easy Apply
+  '[data-automation-id="submit-button"]'
+];
+// Not "Apply": on posting pages that button starts an application rather than submitting one
+const WIZARD_SUBMIT_TEXT = /^(submit|send)( my| your)?( application)?$/i;
+
+const WIZARD_MAX_STEPS = 20;
+const WIZARD_STEP_TIMEOUT_MS = 15000;
+const WIZARD_SETTLE_MS = 800; // Quiet time after the step changes before it is scanned
+
+class WizardController {
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.isRunning = false;
+    this.cancelRequested = false;
+    this.steps = [];
+  }
+
+  static isWizardPage() {
+    return WIZARD_HOSTS.test(window.location.hostname) || !!document.querySelector(WIZARD_MODALS);
+  }
+
+  /**
+   * Fill every step until the final submit (or until the form stops moving)
+   * @param {Object} options - { jobData, progressCallback, reviewCallback, confirmSubmit, resume }
+   *   confirmSubmit resolves true to click the final submit button; without it the run stops there.
+   *   resume continues the step count saved before the last page load.
+   * @returns {Object} - { success, steps, filled, failed, submitted, stoppedBeforeSubmit, message }
+   */
+  async run({ jobData, progressCallback = null, reviewCallback = null, confirmSubmit = null, resume = false } = {}) {
+    if (this.isRunning) {
+      return { success: false, error: 'Auto-fill already running' };
+    }
+
+    const autoFill = this.tracker.autoFillManager;
+    if (!autoFill) {
+      return { success: false, error: 'Auto-fill system not initialized' };
+    }
+
+    this.isRunning = true;
+    this.cancelRequested = false;
+    this.steps = [];
+    const firstStep = resume ? this.tracker.applicationData.wizard?.step || 1 : 1;
+    let outcome = { submitted: false, stoppedBeforeSubmit: false, stalledAt: null, error: null };
+
+    try {
+      for (let step = firstStep; step < firstStep + WIZARD_MAX_STEPS; step++) {
+        if (this.cancelRequested) break;
+
+        const stepProgress = this.readStepProgress();
+        const report = (percentage, message) => progressCallback?.({
+          percentage: this.overallPercentage(percentage, stepProgress),
+          message: `Step ${stepProgress ? `${stepProgress.current} of ${stepProgress.total}` : step}: ${message}`
+        });
+
+        const stepReport = { step, filled: 0, failed: 0, skipped: 0 };
+        this.steps.push(stepReport);
+
+        const questions = this.currentStepQuestions();
+        if (questions.length > 0) {
+          const result = await autoFill.startAutoFill(
+            questions,
+            jobData,
+            (progress) => report(progress.percentage, progress.message),
+            reviewCallback
+          );
+          if (!result.success) {
+            outcome.error = result.error;
+            break;
+          }
+          Object.assign(stepReport, { filled: result.filled || 0, failed: result.failed || 0, skipped: result.skipped || 0 });
+          if (result.cancelled || this.cancelRequested) break;
+        }
+
+        const next = this.findNextButton();
+        const submit = this.findSubmitButton();
+
+        if (!next) {
+          if (submit) {
+            report(100, 'Ready to submit');
+            const confirmed = confirmSubmit ? await confirmSubmit() : false;
+            if (confirmed && !this.cancelRequested) {
+              await this.clearState();
+              this.click(submit);
+              outcome.submitted = true;
+            } else {
+              outcome.stoppedBeforeSubmit = true;
+            }
+          }
+          break;
+        }
+
+        // Saved before clicking: steps that load a new page resume from here
+        await this.saveState(step + 1);
+        report(100, 'Moving to the next step...');
+
+        const signature = this.tracker.pageDetector.getStepSignature();
+        this.click(next);
+        if (!(await this.waitForNextStep(signature))) {
+          outcome.stalledAt = step;
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Job Lander: Wizard error:', error);
+      outcome.error = error.message;
+    } finally {
+      this.isRunning = false;
+      if (!outcome.submitted) {
+        await this.clearState();
+      }
+    }
+
+    return this.buildReport(outcome);
+  }
+
+  cancel() {
+    this.cancelRequested = true;
+    this.tracker.autoFillManager?.cancel();
+    this.clearState();
+  }
+
+  buildReport({ submitted, stoppedBeforeSubmit, stalledAt, error }) {
+    const filled = this.steps.reduce((sum, step) => sum + step.filled, 0);
+    const failed = this.steps.reduce((sum, step) => sum + step.failed, 0);
+
+    if (error && filled === 0) {
+      return { success: false, error, steps: this.steps, filled, failed };
+    }
+
+    const stepCount = this.steps.length;
+    let message = `Filled ${filled} question${filled === 1 ? '' : 's'} across ${stepCount} step${stepCount === 1 ? '' : 's'}.`;
+    if (this.cancelRequested) message = `Auto-fill cancelled. ${message}`;
+    else if (submitted) message += ' Application submitted.';
+    else if (stoppedBeforeSubmit) message += ' Stopped before submitting, review the form and submit it yourself.';
+    else if (stalledAt) message += ` The form did not move past step ${stalledAt}; check for highlighted fields.`;
+    else if (error) message += ` Stopped: ${error}`;
+
+    return {
+      success: true,
+      steps: this.steps,
+      filled,
+      failed,
+      submitted,
+      stoppedBeforeSubmit,
+      cancelled: this.cancelRequested,
+      message
+    };
+  }
+
+  // Questions of the step on screen; earlier steps' questions are gone or hidden
+  currentStepQuestions() {
+    const dataCollector = this.tracker.dataCollector;
+    dataCollector.scanForQuestions();
+
+    return Array.from(dataCollector.detectedQuestions.values()).filter(question => {
+      // Frames report only the questions they currently show
+      if (question.frameId !== undefined && question.frameId !== null) return true;
+
+      const element = question.inputElement;
+      if (!element || !element.isConnected) return false;
+      // Custom radios and checkboxes hide the input itself, so look at the group
+      const visible = question.choiceType
+        ? element.closest('fieldset, [role="radiogroup"], [role="group"]') || element.parentElement
+        : element;
+      return visible.getClientRects().length > 0;
+    });
+  }
+
+  findNextButton() {
+    const buttons = this.visibleButtons();
+    const bySelector = WIZARD_NEXT_SELECTORS
+      .map(selector => buttons.find(button => button.matches(selector)))
+      .find(Boolean);
+
+    const next = bySelector || buttons.find(button => WIZARD_NEXT_TEXT.test(this.buttonText(button)));
+    // Workday's next button turns into the submit button on the last step
+    return next && !WIZARD_SUBMIT_TEXT.test(this.buttonText(next)) ? next : null;
+  }
+
+  findSubmitButton() {
+    const buttons = this.visibleButtons();
+    return WIZARD_SUBMIT_SELECTORS
+      .map(selector => buttons.find(button => button.matches(selector)))
+      .find(Boolean) ||
+      buttons.find(button => WIZARD_SUBMIT_TEXT.test(this.buttonText(button))) ||
+      null;
+  }
+
+  visibleButtons() {
+    return DomTraversal.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]')
+      .filter(button => !button.closest('#job-lander-sidebar'))
+      .filter(button => !button.disabled && button.getAttribute('aria-disabled') !== 'true')
+      .filter(button => button.getClientRects().length > 0);
+  }
+
+  buttonText(button) {
+    return (button.innerText || button.value || button.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+  }
+
+  click(button) {
+    button.scrollIntoView({ block: 'center' });
+    button.click();
+  }
+
+  /**
+   * Wait for the step signature to change and the DOM to settle
+   * Uses PageDetector's DOM monitoring, with a slow poll in case monitoring is off.
+   * @returns {Promise<Boolean>} - false when the form did not move (validation errors) or the run was cancelled
+   */
+  waitForNextStep(previousSignature, timeoutMs = WIZARD_STEP_TIMEOUT_MS) {
+    const pageDetector = this.tracker.pageDetector;
+
+    return new Promise(resolve => {
+      let settleTimer = null;
+      let finished = false;
+
+      const finish = (moved) => {
+        if (finished) return;
+        finished = true;
+        unsubscribe();
+        clearTimeout(settleTimer);
+        clearTimeout(timeout);
+        clearInterval(poll);
+        resolve(moved);
+      };
+
+      const check = () => {
+        if (this.cancelRequested) {
+          finish(false);
+          return;
+        }
+        if (pageDetector.getStepSignature() !== previousSignature) {
+          clearTimeout(settleTimer);
+          settleTimer = setTimeout(() => finish(true), WIZARD_SETTLE_MS);
+        }
+      };
+
+      const unsubscribe = pageDetector.onContentChange(check);
+      const poll = setInterval(check, 1000);
+      const timeout = setTimeout(() => finish(pageDetector.getStepSignature() !== previousSignature), timeoutMs);
+    });
+  }
+
+  /**
+   * Step position shown by the page, if any
+   * @returns {Object|null} - { current, total }
+   */
+  readStepProgress() {
+    // Workday lists every step and marks the active one
+    const workdaySteps = document.querySelectorAll('[data-automation-id="progressBar"] li');
+    if (workdaySteps.length > 0) {
+      const active = Array.from(workdaySteps).findIndex(li =>
+        li.matches('[data-automation-id="progressBarActiveStep"]') || li.querySelector('[data-automation-id="progressBarActiveStep"]')
+      );
+      if (active !== -1) return { current: active + 1, total: workdaySteps.length };
+    }
+
+    // "Step 2 of 5" in a progress area
+    const progressAreas = document.querySelectorAll('[role="progressbar"], [class*="progress"], [class*="step"]');
+    for (const area of progressAreas) {
+      if (area.closest('#job-lander-sidebar')) continue;
+      const match = (area.getAttribute('aria-valuetext') || area.textContent || '').match(/step\s+(\d+)\s*(?:of|\/)\s*(\d+)/i);
+      if (match) return { current: Number(match[1]), total: Number(match[2]) };
+    }
+
+    return null;
+  }
+
+  overallPercentage(stepPercentage, stepProgress) {
+    if (!stepProgress || !stepProgress.total) return stepPercentage;
+    return Math.round(((stepProgress.current - 1) + stepPercentage / 100) / stepProgress.total * 100);
+  }
+
+  async saveState(step) {
+    this.tracker.applicationData.wizard = { active: true, step };
+    await this.tracker.saveTrackingState();
+  }
+
+  async clearState() {
+    if (!this.tracker.applicationData.wizard) return;
+    this.tracker.applicationData.wizard = null;
+    await this.tracker.saveTrackingState();
+  }
+}
+
+// Make available globally
+window.WizardController = WizardController;
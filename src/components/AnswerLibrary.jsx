@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Plus, RefreshCw, Search, Settings, X } from 'lucide-react';
+import answerLibrary from '../../utils/answerLibrary';
+
+const emptyForm = { question: '', answer: '' };
+
+// Answers tab of the popup: browse, edit and sync the answers reused by auto-fill
+const AnswerLibrary = () => {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [syncMessage, setSyncMessage] = useState('');
+  const [editingKey, setEditingKey] = useState(null); // 'new' while adding an entry
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    loadEntries();
+  }, [query]);
+
+  const loadEntries = async () => {
+    try {
+      setEntries(await answerLibrary.search(query));
+    } catch (error) {
+      console.error('Job Lander: Error loading answer library:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    setSyncMessage('');
+    try {
+      const { pulled, pushed } = await answerLibrary.sync();
+      setSyncMessage(`Synced: ${pulled} downloaded, ${pushed} uploaded`);
+      await loadEntries();
+    } catch (error) {
+      console.error('Job Lander: Error syncing answer library:', error);
+      setSyncMessage('Sync failed: ' + error.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const startEdit = (entry) => {
+    setEditingKey(entry ? entry.key : 'new');
+    setFormData(entry ? { question: entry.question, answer: entry.answer } : emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (editingKey === 'new') {
+      await answerLibrary.save({ question: formData.question, answer: formData.answer, source: 'manual' });
+    } else {
+      await answerLibrary.update(editingKey, formData);
+    }
+    setEditingKey(null);
+    await loadEntries();
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm('Remove this answer from your library?')) {
+      return;
+    }
+    await answerLibrary.remove(entry.key);
+    await loadEntries();
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="text"
+        required
+        value={formData.question}
+        onChange={(e) => setFormData({ ...formData, question: e.target.value })}
+        className="w-full px-3 py-2 border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+        placeholder="Question, e.g. Why do you want to work here?"
+      />
+      <textarea
+        required
+        value={formData.answer}
+        onChange={(e) => setFormData({ ...formData, answer: e.target.value })}
+        className="w-full px-3 py-2 border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary resize-none"
+        rows="4"
+        placeholder="Your answer"
+      />
+      <div className="flex gap-2">
+        <button type="submit" className="btn btn-primary btn-sm flex-1">Save Answer</button>
+        <button type="button" onClick={() => setEditingKey(null)} className="btn btn-ghost btn-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <div className="flex items-center justify-between">
+            <h3 className="card-title">Answer Library</h3>
+            <div className="flex items-center space-x-1">
+              <button onClick={() => startEdit(null)} className="btn btn-ghost btn-sm" title="Add answer">
+                <Plus className="w-4 h-4" />
+              </button>
+              <button
+                onClick={handleSync}
+                disabled={syncing}
+                className="btn btn-ghost btn-sm"
+                title="Sync with Job Lander"
+              >
+                <RefreshCw className={`w-4 h-4 ${syncing ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+          </div>
+        </div>
+        <div className="card-content space-y-4">
+          <p className="text-xs text-muted-foreground">
+            Auto-fill reuses these answers for matching questions before asking the AI.
+          </p>
+          {syncMessage && <p className="text-xs text-muted-foreground">{syncMessage}</p>}
+
+          <div className="relative">
+            <Search className="w-4 h-4 text-muted-foreground absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full pl-9 pr-3 py-2 border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+              placeholder="Search questions and answers"
+            />
+          </div>
+
+          {editingKey === 'new' && renderForm()}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="w-4 h-4 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="text-center py-8">
+              <BookOpen className="w-12 h-12 text-muted-foreground mx-auto mb-3" />
+              <p className="text-sm font-medium text-foreground mb-1">
+                {query ? 'No matching answers' : 'No saved answers yet'}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                Answers from saved applications appear here automatically
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {entries.map(entry => (
+                <div key={entry.key} className="p-3 border border-border rounded-md">
+                  {editingKey === entry.key ? renderForm() : (
+                    <>
+                      <div className="flex items-start justify-between gap-2">
+                        <p className="text-sm font-medium text-foreground">{entry.question}</p>
+                        <div className="flex flex-shrink-0">
+                          <button onClick={() => startEdit(entry)} className="btn btn-ghost btn-sm" title="Edit">
+                            <Settings className="w-3 h-3" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(entry)}
+                            className="btn btn-ghost btn-sm text-red-600 hover:bg-red-50"
+                            title="Remove"
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        </div>
+                      </div>
+                      <p className="text-xs text-muted-foreground mt-1 line-clamp-3 whitespace-pre-line">{entry.answer}</p>
+                      <p className="text-xs text-muted-foreground mt-2">
+                        Used {entry.useCount || 0} times{entry.dirty ? ' · not synced' : ''}
+                      </p>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnswerLibrary;
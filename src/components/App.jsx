@@ -60,6 +60,8 @@ const App = () => {
   const handleLogout = async () => {
     try {
       await authManager.logout();
+      // Cached stats were cleared with the rest of local storage, so clear the count too
+      chrome.runtime.sendMessage({ type: 'UPDATE_BADGE', count: 0 });
       setIsAuthenticated(false);
       setUser(null);
       setShowLogin(false);
@@ -11,9 +11,18 @@ import {
   CheckCircle,
   Clock,
   X,
-  RefreshCw
+  RefreshCw,
+  AlertTriangle,
+  CloudOff,
+  BookOpen,
+  User,
+  Play
 } from 'lucide-react';
+import AnswerLibrary from './AnswerLibrary';
+import ProfileForm from './ProfileForm';
 import apiManager from '../../utils/api';
+import configManager from '../../utils/config';
+import { OUTBOX_STATUS } from '../../utils/outbox';
 
 const Dashboard = ({ user, onLogout }) => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -29,88 +38,74 @@ const Dashboard = ({ user, onLogout }) => {
     notes: ''
   });
   const [goalFormSubmitting, setGoalFormSubmitting] = useState(false);
+  const [outboxItems, setOutboxItems] = useState([]);
+  const [outboxBusyId, setOutboxBusyId] = useState(null);
+  const [trackingSessions, setTrackingSessions] = useState([]);
+  const [sessionBusyId, setSessionBusyId] = useState(null);
 
   useEffect(() => {
     loadDashboardData();
+    loadOutbox();
+    loadTrackingSessions();
   }, []);
 
-  const loadDashboardData = async () => {
+  const emptyStats = {
+    total: 0,
+    thisWeek: 0,
+    thisMonth: 0,
+    inProgress: 0,
+    interviews: 0
+  };
+
+  const loadDashboardData = async ({ forceRefresh = false } = {}) => {
     try {
       console.log('Job Lander: Loading dashboard data...');
       
-      // Fetch recent applications with pagination
-      const appsResult = await apiManager.getApplications({
-        pageNumber: 1,
-        pageSize: 10,
-        sortBy: 'submissionDate',
-        sortDescending: true
-      });
+      // Recent applications come from the API; stats over all applications come from the
+      // background stats service, which caches them and keeps the badge in sync
+      const [appsResult, statsResponse] = await Promise.all([
+        apiManager.getApplications({
+          pageNumber: 1,
+          pageSize: 10,
+          sortBy: 'submissionDate',
+          sortDescending: true
+        }),
+        chrome.runtime.sendMessage({ type: 'GET_APPLICATION_STATS', forceRefresh })
+      ]);
 
       if (appsResult.success) {
         const applications = appsResult.data?.items || [];
         console.log('Job Lander: Loaded applications:', applications.length);
         setRecentApplications(applications);
-        
-        // Calculate stats from the application data
-        const now = new Date();
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        
-        const thisWeek = applications.filter(app => {
-          const submissionDate = new Date(app.submissionDate || app.createdAt);
-          return submissionDate >= weekAgo;
-        }).length;
-        
-        const thisMonth = applications.filter(app => {
-          const submissionDate = new Date(app.submissionDate || app.createdAt);
-          return submissionDate >= monthAgo;
-        }).length;
-        
-        const inProgress = applications.filter(app => 
-          app.status === 'Pending' && app.stage !== 'Rejected'
-        ).length;
-        
-        const interviews = applications.filter(app => 
-          ['PhoneScreen', 'HrInterview', 'TechnicalInterview'].includes(app.stage)
-        ).length;
-        
-        setStats({
-          total: appsResult.data?.totalCount || applications.length,
-          thisWeek,
-          thisMonth,
-          inProgress,
-          interviews
-        });
       } else {
         console.error('Job Lander: Failed to load applications:', appsResult.error);
         // Set empty state if API fails
         setRecentApplications([]);
-        setStats({
-          total: 0,
-          thisWeek: 0,
-          thisMonth: 0,
-          inProgress: 0,
-          interviews: 0
-        });
+      }
+
+      if (statsResponse?.success && statsResponse.data) {
+        setStats(statsResponse.data);
+      } else {
+        console.error('Job Lander: Failed to load stats:', statsResponse?.error);
+        setStats(emptyStats);
       }
     } catch (error) {
       console.error('Job Lander: Error loading dashboard data:', error);
       // Set empty state on error
       setRecentApplications([]);
-      setStats({
-        total: 0,
-        thisWeek: 0,
-        thisMonth: 0,
-        inProgress: 0,
-        interviews: 0
-      });
+      setStats(emptyStats);
     } finally {
       setLoading(false);
     }
   };
 
-  const openJobLander = () => {
-    chrome.tabs.create({ url: 'http://localhost:5173' });
+  const openJobLander = async () => {
+    const frontendUrl = await configManager.getFrontendUrl();
+    chrome.tabs.create({ url: frontendUrl });
+  };
+
+  const openSettings = () => {
+    chrome.runtime.openOptionsPage();
   };
 
   const openJobSite = (url) => {
@@ -119,10 +114,105 @@ const Dashboard = ({ user, onLogout }) => {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await loadDashboardData();
+    await Promise.all([loadDashboardData({ forceRefresh: true }), loadOutbox(), loadTrackingSessions()]);
     setRefreshing(false);
   };
 
+  // Application saves queued by the background worker while the backend was unreachable
+  const loadOutbox = async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_OUTBOX' });
+      if (response?.success) {
+        setOutboxItems(response.data || []);
+      }
+    } catch (error) {
+      console.error('Job Lander: Error loading outbox:', error);
+    }
+  };
+
+  const handleRetryOutboxItem = async (id) => {
+    setOutboxBusyId(id);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RETRY_OUTBOX_ITEM', id });
+      if (response?.success && response.data?.success) {
+        await loadDashboardData(); // The background already counted the save into the cached stats
+      }
+    } catch (error) {
+      console.error('Job Lander: Error retrying queued save:', error);
+    } finally {
+      await loadOutbox();
+      setOutboxBusyId(null);
+    }
+  };
+
+  const handleDiscardOutboxItem = async (id) => {
+    if (!confirm('Discard this queued application? It has not been saved to Job Lander.')) {
+      return;
+    }
+
+    setOutboxBusyId(id);
+    try {
+      await chrome.runtime.sendMessage({ type: 'DISCARD_OUTBOX_ITEM', id });
+    } catch (error) {
+      console.error('Job Lander: Error discarding queued save:', error);
+    } finally {
+      await loadOutbox();
+      setOutboxBusyId(null);
+    }
+  };
+
+  // Applications being tracked in a tab, or left unfinished in one that was closed
+  const loadTrackingSessions = async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TRACKING_SESSIONS' });
+      if (response?.success) {
+        setTrackingSessions(response.data || []);
+      }
+    } catch (error) {
+      console.error('Job Lander: Error loading tracking sessions:', error);
+    }
+  };
+
+  const handleResumeSession = async (id) => {
+    setSessionBusyId(id);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RESUME_TRACKING_SESSION', id });
+      if (!response?.success) {
+        alert(response?.error || 'Could not resume this session');
+      }
+    } catch (error) {
+      console.error('Job Lander: Error resuming tracking session:', error);
+    } finally {
+      await loadTrackingSessions();
+      setSessionBusyId(null);
+    }
+  };
+
+  const handleAbandonSession = async (id) => {
+    if (!confirm('Abandon this tracking session? The answers captured so far will not be saved.')) {
+      return;
+    }
+
+    setSessionBusyId(id);
+    try {
+      await chrome.runtime.sendMessage({ type: 'ABANDON_TRACKING_SESSION', id });
+    } catch (error) {
+      console.error('Job Lander: Error abandoning tracking session:', error);
+    } finally {
+      await loadTrackingSessions();
+      setSessionBusyId(null);
+    }
+  };
+
+  // Logging out clears local storage, outbox included
+  const handleLogout = () => {
+    if (outboxItems.length > 0 &&
+        !confirm(`You have ${outboxItems.length} unsent application(s). Logging out will discard them. Continue?`)) {
+      return;
+    }
+    onLogout();
+  };
+
   const loadWeeklyGoal = async () => {
     setWeeklyGoalLoading(true);
     try {
@@ -324,7 +414,14 @@ const Dashboard = ({ user, onLogout }) => {
               <ExternalLink className="w-4 h-4" />
             </button>
             <button
-              onClick={onLogout}
+              onClick={openSettings}
+              className="btn btn-ghost btn-sm"
+              title="Settings"
+            >
+              <Settings className="w-4 h-4" />
+            </button>
+            <button
+              onClick={handleLogout}
               className="btn btn-ghost btn-sm"
               title="Logout"
             >
@@ -340,6 +437,8 @@ const Dashboard = ({ user, onLogout }) => {
           {[
             { id: 'overview', label: 'Overview', icon: TrendingUp },
             { id: 'quick-search', label: 'Quick Search', icon: Plus },
+            { id: 'answers', label: 'Answers', icon: BookOpen },
+            { id: 'profile', label: 'Profile', icon: User },
             { id: 'goals', label: 'Goals', icon: Target }
           ].map(tab => (
             <button
@@ -423,6 +522,130 @@ const Dashboard = ({ user, onLogout }) => {
               </div>
             )}
 
+            {/* Tracking Sessions */}
+            {trackingSessions.length > 0 && (
+              <div className="card">
+                <div className="card-header">
+                  <div className="flex items-center gap-2">
+                    <Clock className="w-4 h-4 text-primary" />
+                    <h3 className="card-title">Tracking Sessions</h3>
+                  </div>
+                </div>
+                <div className="card-content">
+                  <div className="space-y-3">
+                    {trackingSessions.map((session) => (
+                      <div key={session.id} className="flex items-start justify-between p-3 border border-border rounded-md">
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-foreground text-sm truncate" title={session.jobTitle}>
+                            {session.jobTitle || 'Untitled application'}
+                          </p>
+                          {session.companyName && (
+                            <p className="text-xs text-muted-foreground truncate">{session.companyName}</p>
+                          )}
+                          <div className="flex items-center gap-2 mt-1">
+                            <span className={`text-xs ${session.open ? 'text-green-600' : 'text-muted-foreground'}`}>
+                              {session.open ? 'Open in a tab' : 'Tab closed'}
+                            </span>
+                            <span className="text-xs text-muted-foreground">•</span>
+                            <span className="text-xs text-muted-foreground">
+                              {session.answerCount} answer(s)
+                            </span>
+                            <span className="text-xs text-muted-foreground">•</span>
+                            <span className="text-xs text-muted-foreground">
+                              {formatDate(session.updatedAt)}
+                            </span>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-1 ml-2">
+                          <button
+                            onClick={() => handleResumeSession(session.id)}
+                            disabled={sessionBusyId === session.id}
+                            className="btn btn-ghost btn-sm"
+                            title={session.open ? 'Go to tab' : 'Resume'}
+                          >
+                            <Play className="w-3 h-3" />
+                          </button>
+                          <button
+                            onClick={() => handleAbandonSession(session.id)}
+                            disabled={sessionBusyId === session.id}
+                            className="btn btn-ghost btn-sm text-red-600 hover:bg-red-50"
+                            title="Abandon"
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Pending Saves */}
+            {outboxItems.length > 0 && (
+              <div className="card border-yellow-300">
+                <div className="card-header">
+                  <div className="flex items-center gap-2">
+                    <CloudOff className="w-4 h-4 text-yellow-600" />
+                    <h3 className="card-title">Pending Saves</h3>
+                  </div>
+                </div>
+                <div className="card-content">
+                  <div className="space-y-3">
+                    {outboxItems.map((item) => (
+                      <div key={item.id} className="flex items-start justify-between p-3 border border-border rounded-md">
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-foreground text-sm truncate" title={item.jobTitle}>
+                            {item.jobTitle}
+                          </p>
+                          <div className="flex items-center gap-2 mt-1">
+                            {item.status === OUTBOX_STATUS.FAILED ? (
+                              <span className="inline-flex items-center text-xs text-red-600">
+                                <AlertTriangle className="w-3 h-3 mr-1" />
+                                Failed
+                              </span>
+                            ) : (
+                              <span className="inline-flex items-center text-xs text-yellow-600">
+                                <Clock className="w-3 h-3 mr-1" />
+                                Retrying
+                              </span>
+                            )}
+                            <span className="text-xs text-muted-foreground">•</span>
+                            <span className="text-xs text-muted-foreground">
+                              {item.applicationId ? 'Questions pending' : `${item.attempts} attempt(s)`}
+                            </span>
+                          </div>
+                          {item.lastError && (
+                            <p className="text-xs text-muted-foreground truncate mt-1" title={item.lastError}>
+                              {item.lastError}
+                            </p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-1 ml-2">
+                          <button
+                            onClick={() => handleRetryOutboxItem(item.id)}
+                            disabled={outboxBusyId === item.id}
+                            className="btn btn-ghost btn-sm"
+                            title="Retry now"
+                          >
+                            <RefreshCw className={`w-3 h-3 ${outboxBusyId === item.id ? 'animate-spin' : ''}`} />
+                          </button>
+                          <button
+                            onClick={() => handleDiscardOutboxItem(item.id)}
+                            disabled={outboxBusyId === item.id}
+                            className="btn btn-ghost btn-sm text-red-600 hover:bg-red-50"
+                            title="Discard"
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* Recent Applications */}
             <div className="card">
               <div className="card-header">
@@ -535,6 +758,10 @@ const Dashboard = ({ user, onLogout }) => {
           </div>
         )}
 
+        {activeTab === 'answers' && <AnswerLibrary />}
+
+        {activeTab === 'profile' && <ProfileForm />}
+
         {activeTab === 'goals' && (
           <div className="space-y-6">
             <div className="card">
@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Briefcase,
+  Server,
+  Plus,
+  Trash2,
+  CheckCircle,
+  AlertTriangle
+} from 'lucide-react';
+import configManager from '../../utils/config';
+import settingsManager, { DEFAULT_SETTINGS } from '../../utils/settings';
+
+const emptyForm = {
+  name: '',
+  apiBaseUrl: '',
+  frontendUrl: ''
+};
+
+const OptionsPage = () => {
+  const [environments, setEnvironments] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [permissions, setPermissions] = useState({});
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [formData, setFormData] = useState(emptyForm);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadEnvironments();
+  }, []);
+
+  const loadEnvironments = async () => {
+    try {
+      const [list, active, trackerSettings] = await Promise.all([
+        configManager.listEnvironments(),
+        configManager.getEnvironment(),
+        settingsManager.get()
+      ]);
+
+      const permissionEntries = await Promise.all(
+        list.map(async (env) => [env.id, await configManager.hasHostPermissions(env)])
+      );
+
+      setEnvironments(list);
+      setActiveId(active.id);
+      setPermissions(Object.fromEntries(permissionEntries));
+      setSettings(trackerSettings);
+    } catch (error) {
+      console.error('Job Lander: Error loading environments:', error);
+      setMessage({ type: 'error', text: 'Failed to load environments: ' + error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleActivate = async (environment) => {
+    // Ask for host access first - the request must run inside the click gesture
+    const granted = permissions[environment.id] || await configManager.requestHostPermissions(environment);
+    if (!granted) {
+      setMessage({ type: 'error', text: `Host access to ${environment.name} was not granted.` });
+      return;
+    }
+
+    try {
+      await configManager.setActiveEnvironment(environment.id);
+      setMessage({ type: 'success', text: `Now using ${environment.name}. Sign in again from the popup if needed.` });
+      await loadEnvironments();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleAddEnvironment = async (e) => {
+    e.preventDefault();
+
+    let environment;
+    try {
+      environment = configManager.normalizeEnvironment(formData);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+
+    const granted = await configManager.requestHostPermissions(environment);
+
+    try {
+      await configManager.saveCustomEnvironment(environment);
+      setFormData(emptyForm);
+      setMessage(granted
+        ? { type: 'success', text: `Added ${environment.name}.` }
+        : { type: 'error', text: `Added ${environment.name}, but host access was not granted. Activate it to ask again.` });
+      await loadEnvironments();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleSettingChange = async (changes) => {
+    try {
+      setSettings(await settingsManager.update(changes));
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to save settings: ' + error.message });
+    }
+  };
+
+  const handleRemove = async (environment) => {
+    if (!confirm(`Remove the "${environment.name}" environment?`)) {
+      return;
+    }
+
+    try {
+      await configManager.removeCustomEnvironment(environment.id);
+      setMessage({ type: 'success', text: `Removed ${environment.name}.` });
+      await loadEnvironments();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 flex items-center justify-center min-h-[400px]">
+        <div className="flex items-center space-x-2">
+          <div className="w-4 h-4 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
+          <span className="text-sm text-muted-foreground">Loading settings...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-8 space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <div className="w-10 h-10 bg-gradient-to-br from-primary to-primary-dark rounded-xl flex items-center justify-center shadow-md">
+          <Briefcase className="w-5 h-5 text-white" />
+        </div>
+        <div>
+          <h1 className="text-xl font-bold text-foreground tracking-tight">Job Lander Settings</h1>
+          <p className="text-sm text-muted-foreground">Choose which Job Lander backend the extension talks to</p>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`p-3 text-sm rounded-md border flex items-center gap-2 ${
+          message.type === 'success'
+            ? 'text-green-700 bg-green-50 border-green-200'
+            : 'text-red-600 bg-red-50 border-red-200'
+        }`}>
+          {message.type === 'success'
+            ? <CheckCircle className="w-4 h-4 flex-shrink-0" />
+            : <AlertTriangle className="w-4 h-4 flex-shrink-0" />}
+          <span>{message.text}</span>
+        </div>
+      )}
+
+      {/* Environments */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Environments</h3>
+        </div>
+        <div className="card-content space-y-3">
+          {environments.map(env => (
+            <div
+              key={env.id}
+              className={`flex items-start justify-between p-3 border rounded-md ${
+                env.id === activeId ? 'border-primary bg-primary/5' : 'border-border'
+              }`}
+            >
+              <div className="flex items-start space-x-3 min-w-0">
+                <Server className="w-4 h-4 mt-0.5 text-muted-foreground flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="font-medium text-sm text-foreground">
+                    {env.name}
+                    {env.id === activeId && (
+                      <span className="ml-2 text-xs font-medium text-primary">Active</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-muted-foreground truncate" title={env.apiBaseUrl}>API: {env.apiBaseUrl}</p>
+                  <p className="text-xs text-muted-foreground truncate" title={env.frontendUrl}>App: {env.frontendUrl}</p>
+                  {!permissions[env.id] && (
+                    <p className="text-xs text-yellow-600 mt-1">Host access not granted yet</p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 ml-2">
+                {env.id !== activeId && (
+                  <button onClick={() => handleActivate(env)} className="btn btn-outline btn-sm">
+                    Use
+                  </button>
+                )}
+                {!env.builtIn && (
+                  <button
+                    onClick={() => handleRemove(env)}
+                    className="btn btn-ghost btn-sm text-red-600 hover:bg-red-50"
+                    title="Remove environment"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Add custom environment */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Add Environment</h3>
+        </div>
+        <div className="card-content">
+          <form onSubmit={handleAddEnvironment} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Name</label>
+              <input
+                type="text"
+                required
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="w-full px-3 py-2 border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="e.g., Staging"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">API Base URL</label>
+              <input
+                type="url"
+                required
+                value={formData.apiBaseUrl}
+                onChange={(e) => setFormData({ ...formData, apiBaseUrl: e.target.value })}
+                className="w-full px-3 py-2 border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="https://api.staging.example.com/api"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Frontend URL</label>
+              <input
+                type="url"
+                required
+                value={formData.frontendUrl}
+                onChange={(e) => setFormData({ ...formData, frontendUrl: e.target.value })}
+                className="w-full px-3 py-2 border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="https://staging.example.com"
+              />
+            </div>
+            <button type="submit" className="btn btn-primary btn-md">
+              <Plus className="w-4 h-4 mr-1.5" />
+              Add Environment
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {/* Tracking behaviour */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Tracking</h3>
+        </div>
+        <div className="card-content">
+          <label className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.autoSaveOnSubmit}
+              onChange={(e) => handleSettingChange({ autoSaveOnSubmit: e.target.checked })}
+              className="mt-0.5"
+            />
+            <div>
+              <p className="text-sm font-medium text-foreground">Save automatically after submitting</p>
+              <p className="text-xs text-muted-foreground">
+                When a job site confirms your application was sent, save it without asking.
+                A notification lets you undo the save for 10 minutes.
+              </p>
+            </div>
+          </label>
+          <label className="flex items-start space-x-3 cursor-pointer mt-4">
+            <input
+              type="checkbox"
+              checked={settings.reviewBeforeFill}
+              onChange={(e) => handleSettingChange({ reviewBeforeFill: e.target.checked })}
+              className="mt-0.5"
+            />
+            <div>
+              <p className="text-sm font-medium text-foreground">Review answers before auto-fill</p>
+              <p className="text-xs text-muted-foreground">
+                Show each AI answer in the sidebar so you can accept, edit, regenerate or skip it.
+                Only accepted answers are written into the application form.
+              </p>
+            </div>
+          </label>
+          <div className="mt-4">
+            <label htmlFor="min-answer-length" className="block text-sm font-medium text-foreground mb-2">
+              Minimum answer length to save
+            </label>
+            <input
+              id="min-answer-length"
+              type="number"
+              min="0"
+              max="2000"
+              value={settings.minAnswerLength}
+              onChange={(e) => handleSettingChange({ minAnswerLength: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              className="w-32 px-3 py-2 border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <p className="text-xs text-muted-foreground mt-1">
+              Answers with fewer characters are skipped when an application is saved, unless you tick
+              "Include in save" on the question in the sidebar. Use 0 to save every answer.
+            </p>
+          </div>
+          <label className="flex items-start space-x-3 cursor-pointer mt-4">
+            <input
+              type="checkbox"
+              checked={settings.apiLogging}
+              onChange={(e) => handleSettingChange({ apiLogging: e.target.checked })}
+              className="mt-0.5"
+            />
+            <div>
+              <p className="text-sm font-medium text-foreground">Log API requests</p>
+              <p className="text-xs text-muted-foreground">
+                Write each request to the Job Lander API, and any failure, to the browser console.
+                Useful when reporting a problem.
+              </p>
+            </div>
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OptionsPage;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle } from 'lucide-react';
+import profileStore, { PROFILE_FIELDS } from '../../utils/profileStore';
+
+// Profile tab of the popup: contact details used by "Fill Profile Fields" in the sidebar
+const ProfileForm = () => {
+  const [profile, setProfile] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    profileStore.get().then(setProfile);
+  }, []);
+
+  const handleChange = (key, value) => {
+    setProfile({ ...profile, [key]: value });
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      setProfile(await profileStore.update(profile));
+      setSaved(true);
+    } catch (error) {
+      console.error('Job Lander: Error saving profile:', error);
+      alert('Failed to save profile: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!profile) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="w-4 h-4 border-2 border-primary border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Profile</h3>
+        </div>
+        <div className="card-content">
+          <p className="text-xs text-muted-foreground mb-4">
+            Used to fill name, contact, link and address fields on application forms.
+            Stored only in this browser.
+          </p>
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              {PROFILE_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-xs font-medium text-foreground mb-1">{field.label}</label>
+                  <input
+                    type={field.type || 'text'}
+                    value={profile[field.key]}
+                    onChange={(e) => handleChange(field.key, e.target.value)}
+                    className="w-full px-3 py-2 border border-border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center gap-3">
+              <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+                {saving ? 'Saving...' : 'Save Profile'}
+              </button>
+              {saved && (
+                <span className="flex items-center text-xs text-green-600">
+                  <CheckCircle className="w-3 h-3 mr-1" />
+                  Saved
+                </span>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileForm;
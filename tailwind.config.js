@@ -2,6 +2,7 @@
 module.exports = {
   content: [
     "./popup/**/*.{html,js,jsx}",
+    "./options/**/*.html",
     "./src/**/*.{js,jsx}"
   ],
   theme: {
@@ -0,0 +1,281 @@
+// Site adapter tests - each adapter runs against a saved posting page in tests/fixtures/siteAdapters.
+// Adapters load in manifest order into a jsdom window, as the content scripts do in the browser.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures', 'siteAdapters');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+// The manifest points at the copies webpack puts in dist/; load the sources
+const SCRIPTS = manifest.content_scripts[0].js
+  .map(file => file.replace(/^dist\//, ''))
+  .filter(file => file === 'content-scripts/markdownConverter.js' || file.startsWith('content-scripts/siteAdapters/'));
+
+// One posting per adapter; description is matched loosely since it goes through Markdown conversion
+const CASES = [
+  {
+    id: 'ashby',
+    url: 'https://jobs.ashbyhq.com/northwind/3f1c2d4e-5b6a-4c8d-9e0f-1a2b3c4d5e6f',
+    expected: {
+      jobTitle: 'Senior Backend Engineer',
+      companyName: 'Northwind Labs',
+      location: 'Remote - Europe',
+      salary: '€80K – €100K',
+      jobType: 'Full Time'
+    },
+    description: /Own our payments APIs/
+  },
+  {
+    id: 'bamboohr',
+    url: 'https://brightside.bamboohr.com/careers/57',
+    expected: {
+      jobTitle: 'Customer Success Manager',
+      companyName: 'Brightside',
+      location: 'Austin, Texas, United States'
+    },
+    description: /Run onboarding calls/
+  },
+  {
+    id: 'glassdoor',
+    url: 'https://www.glassdoor.com/job-listing/data-analyst-contoso-retail-JV_IC1128808_KO0,12_KE13,27.htm?jl=1009',
+    expected: {
+      jobTitle: 'Data Analyst',
+      companyName: 'Contoso Retail',
+      location: 'Chicago, IL',
+      salary: '$70K - $85K (Employer est.)'
+    },
+    description: /Turn store data into weekly decisions/
+  },
+  {
+    id: 'greenhouse',
+    url: 'https://boards.greenhouse.io/fabrikam/jobs/4012345',
+    expected: {
+      jobTitle: 'Platform Engineer',
+      companyName: 'Fabrikam',
+      location: 'New York, NY'
+    },
+    description: /Kubernetes in production/
+  },
+  {
+    id: 'icims',
+    url: 'https://careers-tailspin.icims.com/jobs/2231/warehouse-supervisor/job?in_iframe=1',
+    expected: {
+      jobTitle: 'Warehouse Supervisor',
+      companyName: 'Tailspin Logistics',
+      location: 'US-NV-Reno',
+      jobType: 'Full-Time'
+    },
+    description: /night shift/
+  },
+  {
+    id: 'indeed',
+    url: 'https://www.indeed.com/viewjob?jk=4f2a9c',
+    expected: {
+      jobTitle: 'Registered Nurse',
+      companyName: 'Wellspring Health',
+      location: 'Denver, CO 80202',
+      salary: '$38 - $52 an hour'
+    },
+    description: /Active RN licence/
+  },
+  {
+    id: 'jobvite',
+    url: 'https://jobs.jobvite.com/proseware/job/oAbC1fwX',
+    expected: {
+      jobTitle: 'QA Engineer',
+      companyName: 'Proseware',
+      location: 'Toronto, Ontario'
+    },
+    description: /Keep our releases boring/
+  },
+  {
+    id: 'lever',
+    url: 'https://jobs.lever.co/litware/8d2f6a1e-0c3b-4e5f-9a7d-2b1c0e9f8a7b',
+    expected: {
+      jobTitle: 'Product Designer',
+      companyName: 'Litware',
+      location: 'London, United Kingdom',
+      jobType: 'Full-time'
+    },
+    description: /Design the tools/
+  },
+  {
+    id: 'linkedin',
+    url: 'https://www.linkedin.com/jobs/view/3901234567/',
+    expected: {
+      jobTitle: 'Machine Learning Engineer',
+      companyName: 'Adatum',
+      location: 'Cairo, Cairo, Egypt'
+    },
+    description: /recommendation models/
+  },
+  {
+    id: 'personio',
+    url: 'https://tailwind.jobs.personio.de/job/1203344',
+    expected: {
+      jobTitle: 'Working Student Marketing',
+      companyName: 'Tailwind Traders',
+      location: 'Berlin',
+      jobType: 'Part-time'
+    },
+    description: /campaigns across Europe/
+  },
+  {
+    id: 'recruitee',
+    url: 'https://woodgrove.recruitee.com/o/frontend-developer',
+    expected: {
+      jobTitle: 'Frontend Developer',
+      companyName: 'Woodgrove',
+      location: 'Amsterdam, Netherlands'
+    },
+    description: /banking app/
+  },
+  {
+    id: 'smartrecruiters',
+    url: 'https://jobs.smartrecruiters.com/AlpineSkiHouse/743999901234567-store-manager',
+    expected: {
+      jobTitle: 'Store Manager',
+      companyName: 'Alpine Ski House',
+      location: 'Zermatt, Switzerland',
+      jobType: 'Full-time'
+    },
+    description: /flagship store/
+  },
+  {
+    id: 'taleo',
+    url: 'https://relecloud.taleo.net/careersection/2/jobdetail.ftl?job=2400123',
+    expected: {
+      jobTitle: 'Financial Analyst',
+      companyName: 'Relecloud',
+      location: 'Seattle, WA',
+      jobType: 'Full-time'
+    },
+    description: /monthly forecast/
+  },
+  {
+    id: 'whitecarrot',
+    url: 'https://app.whitecarrot.io/careers/bayzat/job/42/role/apply',
+    expected: {
+      jobTitle: 'Operations Associate',
+      companyName: 'Bayzat',
+      location: 'Dubai, United Arab Emirates',
+      jobDescription: 'For full job description, visit: https://app.whitecarrot.io/share/careers/bayzat/job/42'
+    }
+  },
+  {
+    id: 'workable',
+    url: 'https://apply.workable.com/coho-winery/j/A1B2C3D4E5/',
+    expected: {
+      jobTitle: 'Support Engineer',
+      companyName: 'Coho Winery',
+      location: 'Lisbon, Portugal',
+      jobType: 'Full time'
+    },
+    description: /hard tickets/
+  },
+  {
+    id: 'workday',
+    url: 'https://drivetech.wd3.myworkdayjobs.com/en-US/careers/job/Munich/Electrical-Engineer_R-10422',
+    expected: {
+      jobTitle: 'Electrical Engineer',
+      location: 'Munich, Germany',
+      jobType: 'Full time'
+    },
+    description: /power electronics/
+  }
+];
+
+// A window with the page and the adapter scripts loaded. Inline page scripts don't run, and
+// fetch fails, so adapters with a JSON endpoint fall back to their selectors.
+function loadPage(html, url) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  const { window } = dom;
+  window.fetch = () => Promise.reject(new Error('No network in tests'));
+  SCRIPTS.forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+  return window;
+}
+
+function loadFixture(id, url) {
+  return loadPage(fs.readFileSync(path.join(FIXTURES, `${id}.html`), 'utf8'), url);
+}
+
+// The part of JobDataExtractor that adapters call
+function createExtractor(window) {
+  const converter = new window.MarkdownConverter();
+  return { toMarkdown: (htmlOrElement) => converter.convert(htmlOrElement) };
+}
+
+test('every registered adapter has a fixture case', () => {
+  const window = loadPage('<!DOCTYPE html><html><body></body></html>', 'https://example.com/');
+  // Array.from brings the list over from the jsdom realm so deepEqual can compare it
+  const registered = Array.from(window.JobLanderSiteAdapters.list(), adapter => adapter.id).sort();
+  assert.deepEqual(registered, CASES.map(c => c.id).sort());
+});
+
+for (const { id, url, expected, description } of CASES) {
+  test(`${id}: matches its posting page and extracts the fields`, async () => {
+    const window = loadFixture(id, url);
+    const registry = window.JobLanderSiteAdapters;
+
+    const adapter = registry.find(url, window.document);
+    assert.equal(adapter?.id, id);
+
+    const data = await registry.extract(adapter, createExtractor(window), window.document);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.equal(data[field], value, `${field} of ${id}`);
+    }
+    if (description) {
+      assert.match(data.jobDescription, description);
+    }
+  });
+}
+
+test('registry: an embedded board is found by its DOM marker on a company site', () => {
+  const window = loadFixture('greenhouse', 'https://www.fabrikam.com/careers?gh_jid=4012345');
+  window.document.body.insertAdjacentHTML('beforeend', '<div id="grnhse_app"></div>');
+
+  const adapter = window.JobLanderSiteAdapters.find(window.location.href, window.document);
+  assert.equal(adapter?.id, 'greenhouse');
+});
+
+test('registry: a host match wins over another board\'s DOM marker', () => {
+  // Lever's page carries a Greenhouse-style marker; the host decides
+  const url = 'https://jobs.lever.co/litware/8d2f6a1e-0c3b-4e5f-9a7d-2b1c0e9f8a7b';
+  const window = loadFixture('lever', url);
+  window.document.body.insertAdjacentHTML('beforeend', '<div id="grnhse_app"></div>');
+
+  assert.equal(window.JobLanderSiteAdapters.find(url, window.document)?.id, 'lever');
+});
+
+test('extractor: reports the matched adapter when JSON-LD alone is enough', async () => {
+  const url = 'https://boards.greenhouse.io/fabrikam/jobs/4012345';
+  const window = loadFixture('greenhouse', url);
+  ['content-scripts/salaryParser.js', 'content-scripts/jobDataExtractor.js']
+    .forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+
+  const jsonLd = window.document.createElement('script');
+  jsonLd.type = 'application/ld+json';
+  jsonLd.textContent = JSON.stringify({
+    '@type': 'JobPosting',
+    title: 'Platform Engineer',
+    hiringOrganization: { name: 'Fabrikam' },
+    jobLocation: { address: { addressLocality: 'New York', addressRegion: 'NY' } },
+    description: '<p>Run Kubernetes in production.</p>',
+    employmentType: 'FULL_TIME'
+  });
+  window.document.head.appendChild(jsonLd);
+
+  const data = await new window.JobDataExtractor().extract();
+  assert.equal(data.jobTitle, 'Platform Engineer');
+  assert.equal(data.siteAdapter, 'greenhouse');
+});
+
+test('registry: pages of unknown sites have no adapter', () => {
+  const url = 'https://www.example.com/about';
+  const window = loadPage('<!DOCTYPE html><html><body><h1>About us</h1></body></html>', url);
+  assert.equal(window.JobLanderSiteAdapters.find(url, window.document), null);
+});
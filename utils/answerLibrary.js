@@ -0,0 +1,329 @@
+// Answer library for Job Lander Extension
+// Keeps the user's previous answers keyed by normalized question text so recurring
+// questions ("Why do you want to work here?", "Work authorization?") can be answered
+// without an AI call. Fed by saved applications and the backend questions endpoint.
+import apiClient from './apiClient.js';
+
+const STORAGE_KEY = 'answerLibrary';
+const MAX_ENTRIES = 500;
+
+// Match scores (0-1): at or above SUGGEST a stored answer is offered next to the AI answer.
+// It replaces the AI call only at 1, when both questions have the same content words: one
+// differing word ("...to work in the US?" / "...in Germany?") can call for a different answer.
+export const ANSWER_MATCH_THRESHOLDS = {
+  AUTO_FILL: 1,
+  SUGGEST: 0.6
+};
+
+// Words that say nothing about what is being asked
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'with', 'by', 'as',
+  'is', 'are', 'was', 'be', 'do', 'does', 'did', 'you', 'your', 'we', 'our', 'i', 'my',
+  'this', 'that', 'what', 'which', 'how', 'please', 'have', 'has', 'if', 'any', 'can', 'will'
+]);
+
+class AnswerLibrary {
+  constructor() {
+    this.client = apiClient;
+    this.storage = chrome.storage.local;
+    // Saves, usage counts and syncs all rewrite the library; they run one after another so none is lost
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Same normalization as DataCollector.normalizeQuestionText, so keys line up with
+  // the normalizedText of detected questions
+  normalizeQuestion(text) {
+    if (!text) return '';
+
+    return text
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/g, ' ')
+      .replace(/[*:?!.]+/g, '')
+      .replace(/\s+/g, '_')
+      .trim();
+  }
+
+  tokenize(key) {
+    return key
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !STOPWORDS.has(token))
+      .map(token => (token.length > 3 ? token.replace(/s$/, '') : token));
+  }
+
+  // Dice coefficient over content words; identical keys and identical content words score 1
+  similarity(keyA, keyB) {
+    if (!keyA || !keyB) return 0;
+    if (keyA === keyB) return 1;
+
+    const a = new Set(this.tokenize(keyA));
+    const b = new Set(this.tokenize(keyB));
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    a.forEach(token => {
+      if (b.has(token)) shared++;
+    });
+    return (2 * shared) / (a.size + b.size);
+  }
+
+  async getEntries() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return result[STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Job Lander: Error reading answer library:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read, change and write the entries without interleaving with other writes
+   * @param {Function} change - Receives the entries object, changes it in place and returns a result
+   */
+  mutate(change) {
+    const run = this.writeQueue.then(async () => {
+      const entries = await this.getEntries();
+      const result = await change(entries);
+      await this.setEntries(entries);
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async setEntries(entries) {
+    const keys = Object.keys(entries);
+    if (keys.length > MAX_ENTRIES) {
+      // Drop the entries used least recently
+      keys
+        .sort((a, b) => (entries[a].lastUsedAt || entries[a].updatedAt || '').localeCompare(entries[b].lastUsedAt || entries[b].updatedAt || ''))
+        .slice(0, keys.length - MAX_ENTRIES)
+        .forEach(key => delete entries[key]);
+    }
+    await this.storage.set({ [STORAGE_KEY]: entries });
+  }
+
+  // All entries, most recently updated first
+  async getAll() {
+    const entries = await this.getEntries();
+    return Object.values(entries).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  // Plain-text search over questions and answers for the popup
+  async search(query) {
+    const all = await this.getAll();
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return all;
+
+    return all.filter(entry =>
+      entry.question.toLowerCase().includes(needle) || entry.answer.toLowerCase().includes(needle)
+    );
+  }
+
+  /**
+   * Stored answers closest to a question
+   * @returns {Array} - [{ entry, score }] best first, at or above minScore
+   */
+  async findMatches(questionText, { minScore = ANSWER_MATCH_THRESHOLDS.SUGGEST, limit = 3 } = {}) {
+    const key = this.normalizeQuestion(questionText);
+    if (!key) return [];
+
+    const entries = await this.getEntries();
+    if (entries[key]) {
+      return [{ entry: entries[key], score: 1 }];
+    }
+
+    return Object.values(entries)
+      .map(entry => ({ entry, score: this.similarity(key, entry.key) }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Best stored answer for each question, for auto-fill
+   * @param {Array} questions - [{ id, text }]
+   * @returns {Object} - { [id]: { key, question, answer, score, autoFill } }
+   */
+  async matchQuestions(questions) {
+    const matches = {};
+    for (const question of questions || []) {
+      const [best] = await this.findMatches(question.text, { limit: 1 });
+      if (best) {
+        matches[question.id] = {
+          key: best.entry.key,
+          question: best.entry.question,
+          answer: best.entry.answer,
+          score: Math.round(best.score * 100) / 100,
+          autoFill: best.score >= ANSWER_MATCH_THRESHOLDS.AUTO_FILL // Fuzzy matches are only suggested
+        };
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Add or replace the answer for a question
+   * @param {Object} data - { question, answer, source, backendId }
+   * @param {Object} options - { dirty } false when the data came from the backend
+   */
+  async save({ question, answer, source = 'manual', backendId = null }, { dirty = true } = {}) {
+    const key = this.normalizeQuestion(question);
+    const text = (answer || '').trim();
+    if (!key || !text) return null;
+
+    return this.mutate(entries => {
+      const existing = entries[key];
+      const now = new Date().toISOString();
+
+      entries[key] = {
+        key,
+        question: question.trim(),
+        answer: text,
+        source: existing?.source === 'manual' ? 'manual' : source,
+        backendId: backendId || existing?.backendId || null,
+        useCount: existing?.useCount || 0,
+        lastUsedAt: existing?.lastUsedAt || null,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        dirty: dirty || (existing?.dirty && existing.answer === text) || false
+      };
+      return entries[key];
+    });
+  }
+
+  // Learn from the questions of a saved application
+  async learnFromQuestions(questions) {
+    for (const question of questions || []) {
+      const text = question.question1 || question.questionText || question.text;
+      // Already sent to the backend with the application, so nothing to push
+      await this.save({ question: text, answer: question.answer, source: 'application' }, { dirty: false });
+    }
+  }
+
+  update(key, changes) {
+    return this.mutate(entries => {
+      const entry = entries[key];
+      if (!entry) return null;
+
+      const question = (changes.question ?? entry.question).trim();
+      const answer = (changes.answer ?? entry.answer).trim();
+      if (!answer) return null;
+
+      const newKey = this.normalizeQuestion(question);
+      delete entries[key];
+      entries[newKey] = {
+        ...entry,
+        key: newKey,
+        question,
+        answer,
+        source: 'manual',
+        updatedAt: new Date().toISOString(),
+        dirty: true
+      };
+      return entries[newKey];
+    });
+  }
+
+  remove(key) {
+    return this.mutate(entries => {
+      delete entries[key];
+    });
+  }
+
+  recordUse(key) {
+    return this.mutate(entries => {
+      if (!entries[key]) return;
+
+      entries[key].useCount = (entries[key].useCount || 0) + 1;
+      entries[key].lastUsedAt = new Date().toISOString();
+    });
+  }
+
+  /**
+   * Two-way sync with the backend questions endpoint
+   * Pulls answered questions the library doesn't have yet, then pushes entries edited
+   * locally: existing backend questions are updated, new ones are created.
+   * @returns {Object} - { pulled, pushed }
+   */
+  async sync() {
+    const remote = await this.client.getQuestions({ pageSize: 200 });
+
+    const pulled = await this.mutate(entries => {
+      let added = 0;
+      remote.forEach(item => {
+        const key = this.normalizeQuestion(item.question1);
+        const answer = (item.answer || '').trim();
+        if (!key || !answer) return;
+
+        const existing = entries[key];
+        if (existing) {
+          if (!existing.backendId) existing.backendId = item.id;
+          return;
+        }
+
+        const now = new Date().toISOString();
+        entries[key] = {
+          key,
+          question: item.question1.trim(),
+          answer,
+          source: 'backend',
+          backendId: item.id,
+          useCount: 0,
+          lastUsedAt: null,
+          createdAt: item.createdAt || now,
+          updatedAt: item.updatedAt || now,
+          dirty: false
+        };
+        added++;
+      });
+      return added;
+    });
+
+    // Pushed from a snapshot, since the requests take a while and other writes go on meanwhile
+    const dirty = Object.values(await this.getEntries()).filter(entry => entry.dirty);
+    const toUpdate = dirty.filter(entry => entry.backendId);
+    const toCreate = dirty.filter(entry => !entry.backendId);
+    const pushed = [];
+
+    try {
+      for (const entry of toUpdate) {
+        await this.client.updateQuestion(entry.backendId, { question1: entry.question, answer: entry.answer });
+        pushed.push(entry);
+      }
+
+      if (toCreate.length > 0) {
+        await this.client.saveQuestionsBatch(toCreate.map(entry => ({
+          question1: entry.question,
+          answer: entry.answer,
+          applicationId: 0,
+          type: 'General',
+          answerStatus: 'Answered',
+          difficulty: 3,
+          preparationNote: '',
+          favorite: false,
+          tags: ['answer-library']
+        })));
+        pushed.push(...toCreate);
+      }
+    } finally {
+      // Entries edited again while they were being pushed stay dirty for the next sync
+      await this.mutate(entries => {
+        pushed.forEach(sent => {
+          const entry = entries[sent.key];
+          if (entry && entry.question === sent.question && entry.answer === sent.answer) {
+            entry.dirty = false;
+          }
+        });
+      });
+    }
+
+    console.log('Job Lander: Answer library synced:', { pulled, pushed: dirty.length });
+    return { pulled, pushed: dirty.length };
+  }
+}
+
+// Export singleton instance
+const answerLibrary = new AnswerLibrary();
+export default answerLibrary;
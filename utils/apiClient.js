@@ -0,0 +1,380 @@
+// Shared API client for Job Lander Extension
+// Used by both the service worker and the popup so every request gets the same auth,
+// refresh-and-retry, timeout and error handling.
+import authManager from './auth.js';
+import configManager from './config.js';
+import settingsManager, { DEFAULT_SETTINGS } from './settings.js';
+
+export const API_ERROR_CODES = {
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  VALIDATION: 'VALIDATION',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER: 'SERVER',
+  HTTP: 'HTTP',
+  TIMEOUT: 'TIMEOUT',
+  ABORTED: 'ABORTED',
+  NETWORK: 'NETWORK'
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Error thrown for every failed request. status is 0 when no HTTP response was received.
+export class ApiError extends Error {
+  constructor({ status = 0, code, message, details = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  static fromStatus(status, message, details) {
+    let code = API_ERROR_CODES.HTTP;
+    if (status === 400 || status === 422) code = API_ERROR_CODES.VALIDATION;
+    else if (status === 401) code = API_ERROR_CODES.UNAUTHORIZED;
+    else if (status === 403) code = API_ERROR_CODES.FORBIDDEN;
+    else if (status === 404) code = API_ERROR_CODES.NOT_FOUND;
+    else if (status === 409) code = API_ERROR_CODES.CONFLICT;
+    else if (status === 429) code = API_ERROR_CODES.RATE_LIMITED;
+    else if (status >= 500) code = API_ERROR_CODES.SERVER;
+
+    return new ApiError({ status, code, message, details });
+  }
+
+  toJSON() {
+    return { status: this.status, code: this.code, message: this.message };
+  }
+}
+
+class ApiClient {
+  constructor({ auth = authManager, config = configManager, settings = settingsManager, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.auth = auth;
+    this.config = config;
+    this.timeoutMs = timeoutMs;
+    // Request logging follows the "Log API requests" setting in every context that uses the client
+    this.loggingEnabled = DEFAULT_SETTINGS.apiLogging;
+    settings.get().then(current => this.setLoggingEnabled(current.apiLogging));
+    settings.onChange(current => this.setLoggingEnabled(current.apiLogging));
+    // Only UI pages open the login tab; the service worker must not pop tabs on its own
+    this.redirectOnAuthFailure = typeof window !== 'undefined';
+  }
+
+  setLoggingEnabled(enabled) {
+    this.loggingEnabled = !!enabled;
+  }
+
+  log(...args) {
+    if (this.loggingEnabled) console.log('Job Lander API:', ...args);
+  }
+
+  logError(...args) {
+    if (this.loggingEnabled) console.error('Job Lander API:', ...args);
+  }
+
+  /**
+   * Make an authenticated request
+   * @param {String} endpoint - Path relative to the API base URL, e.g. '/applications'
+   * @param {Object} options - { method, body, query, timeoutMs, signal, authenticated, responseType }
+   *   responseType 'blob' returns { blob, fileName, contentType } for file downloads
+   * @returns {*} - Parsed JSON, text, or null for empty responses
+   * @throws {ApiError}
+   */
+  async request(endpoint, options = {}) {
+    const {
+      method = 'GET',
+      body,
+      query,
+      timeoutMs = this.timeoutMs,
+      signal,
+      authenticated = true,
+      responseType = 'auto'
+    } = options;
+
+    const url = await this.buildUrl(endpoint, query);
+    let token = null;
+
+    if (authenticated) {
+      token = await this.auth.getValidToken({ redirectOnFailure: this.redirectOnAuthFailure });
+      if (!token) {
+        throw new ApiError({
+          status: 401,
+          code: API_ERROR_CODES.UNAUTHORIZED,
+          message: 'No authentication token available'
+        });
+      }
+    }
+
+    this.log(method, endpoint);
+    let response = await this.send(url, { method, body, token, timeoutMs, signal });
+
+    // Refresh once and retry on 401
+    if (response.status === 401 && authenticated) {
+      this.log('Got 401, refreshing token for', endpoint);
+      // Another request may have refreshed the token while this one was on its way
+      const currentToken = await this.auth.getValidToken({ redirectOnFailure: false });
+      const refreshedToken = currentToken && currentToken !== token
+        ? currentToken
+        : await this.auth.refreshAccessToken({ redirectOnFailure: this.redirectOnAuthFailure });
+
+      if (!refreshedToken || refreshedToken === token) {
+        throw new ApiError({
+          status: 401,
+          code: API_ERROR_CODES.UNAUTHORIZED,
+          message: 'Authentication expired'
+        });
+      }
+
+      response = await this.send(url, { method, body, token: refreshedToken, timeoutMs, signal });
+    }
+
+    if (response.ok && responseType === 'blob') {
+      return this.parseFile(response);
+    }
+
+    const data = await this.parseBody(response);
+
+    if (!response.ok) {
+      const message = (data && typeof data === 'object' && (data.message || data.title)) ||
+        (typeof data === 'string' && data) ||
+        `Request failed with status ${response.status}`;
+      const error = ApiError.fromStatus(response.status, message, data);
+      this.logError(method, endpoint, 'failed:', error.toJSON());
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Single fetch with a timeout; an external signal (e.g. a cancelled auto-fill) also aborts it
+  async send(url, { method, body, token, timeoutMs, signal }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    const onExternalAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onExternalAbort);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    try {
+      return await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new ApiError({ code: API_ERROR_CODES.TIMEOUT, message: `Request timed out after ${timeoutMs}ms` });
+      }
+      if (error.name === 'AbortError') {
+        throw new ApiError({ code: API_ERROR_CODES.ABORTED, message: 'Request was cancelled' });
+      }
+      this.logError('Network error:', error.message);
+      throw new ApiError({ code: API_ERROR_CODES.NETWORK, message: error.message || 'Network error' });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onExternalAbort);
+    }
+  }
+
+  async buildUrl(endpoint, query) {
+    const apiBaseUrl = await this.config.getApiBaseUrl();
+    const url = new URL(`${apiBaseUrl}${endpoint}`);
+
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.append(key, value);
+      }
+    });
+
+    return url.toString();
+  }
+
+  // Some endpoints answer with an empty body or plain text
+  async parseBody(response) {
+    const text = await response.text().catch(() => '');
+    if (!text) return null;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json')) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    }
+    return text;
+  }
+
+  // File name comes from Content-Disposition when the server sends one
+  async parseFile(response) {
+    const disposition = response.headers.get('content-disposition') || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/i) || disposition.match(/filename="?([^";]+)"?/i);
+
+    return {
+      blob: await response.blob(),
+      fileName: match ? decodeURIComponent(match[1].trim()) : null,
+      contentType: response.headers.get('content-type') || 'application/octet-stream'
+    };
+  }
+
+  // ============== APPLICATIONS ==============
+
+  async createApplication(applicationData) {
+    return this.request('/applications', { method: 'POST', body: applicationData });
+  }
+
+  /**
+   * @param {Object} filters - { pageNumber, pageSize, companyId, companyName, jobTitle, jobType,
+   *   stage, status, fromDate, toDate, searchTerm, sortBy, sortDescending }
+   */
+  async getApplications(filters = {}) {
+    return this.request('/applications', {
+      query: {
+        PageNumber: filters.pageNumber,
+        PageSize: filters.pageSize,
+        CompanyId: filters.companyId,
+        CompanyName: filters.companyName,
+        JobTitle: filters.jobTitle,
+        JobType: filters.jobType,
+        Stage: filters.stage,
+        Status: filters.status,
+        FromDate: filters.fromDate,
+        ToDate: filters.toDate,
+        SearchTerm: filters.searchTerm,
+        SortBy: filters.sortBy,
+        SortDescending: filters.sortDescending
+      }
+    });
+  }
+
+  async updateApplication(applicationId, changes) {
+    return this.request(`/applications/${applicationId}`, { method: 'PATCH', body: changes });
+  }
+
+  async deleteApplication(applicationId) {
+    return this.request(`/applications/${applicationId}`, { method: 'DELETE' });
+  }
+
+  async getApplicationStats() {
+    return this.request('/applications/stats');
+  }
+
+  // ============== COMPANIES & CVS ==============
+
+  async getCompanies() {
+    return this.request('/companies');
+  }
+
+  async getUserCompanies({ pageSize = 100 } = {}) {
+    const data = await this.request('/user-companies', { query: { PageSize: pageSize } });
+    // Returned either as a plain array or as a paged result
+    if (Array.isArray(data)) return data;
+    return Array.isArray(data?.items) ? data.items : [];
+  }
+
+  async getCvs() {
+    const data = await this.request('/cvs');
+    return data || [];
+  }
+
+  // The uploaded CV file; resolves to { blob, fileName, contentType }
+  async downloadCv(cvId) {
+    return this.request(`/cvs/${cvId}/download`, { responseType: 'blob', timeoutMs: 30000 });
+  }
+
+  // ============== QUESTIONS ==============
+
+  async saveQuestionsBatch(questions) {
+    return this.request('/questions/batch', { method: 'POST', body: { questions } });
+  }
+
+  async getQuestions({ pageSize = 200, searchTerm } = {}) {
+    const data = await this.request('/questions', { query: { PageSize: pageSize, SearchTerm: searchTerm } });
+    // Returned either as a plain array or as a paged result
+    if (Array.isArray(data)) return data;
+    return Array.isArray(data?.items) ? data.items : [];
+  }
+
+  async updateQuestion(questionId, changes) {
+    return this.request(`/questions/${questionId}`, { method: 'PATCH', body: changes });
+  }
+
+  // ============== WEEKLY GOALS ==============
+
+  // Resolves to null when no goal is set for the current week
+  async getCurrentWeeklyGoal() {
+    try {
+      return await this.request('/weekly-goals/current');
+    } catch (error) {
+      if (error.code === API_ERROR_CODES.NOT_FOUND) return null;
+      throw error;
+    }
+  }
+
+  async createWeeklyGoal(goalData) {
+    return this.request('/weekly-goals', { method: 'POST', body: goalData });
+  }
+
+  async updateWeeklyGoal(goalId, goalData) {
+    return this.request(`/weekly-goals/${goalId}`, { method: 'PUT', body: goalData });
+  }
+
+  async deleteWeeklyGoal(goalId) {
+    return this.request(`/weekly-goals/${goalId}`, { method: 'DELETE' });
+  }
+
+  async getWeeklyGoalStats() {
+    return this.request('/weekly-goals/stats');
+  }
+
+  // ============== AI ASSISTANT ==============
+
+  /**
+   * Generate an answer for an application question
+   * @param {Object} params - { question, jobContext, topK }
+   * @param {Object} options - { signal, timeoutMs }
+   * @returns {String} - The answer, or '' if the assistant returned none
+   */
+  async generateAnswer({ question, jobContext = '', topK = 50 }, { signal, timeoutMs = 60000 } = {}) {
+    const result = await this.request('/ai-assistant/generate-answer', {
+      method: 'POST',
+      body: { query: question, jobContext, topK },
+      signal,
+      timeoutMs
+    });
+
+    return (result && result.success !== false && result.answer) || '';
+  }
+
+  /**
+   * Classify application questions for interview prep
+   * @param {Object} params - { questions: [{ question, answer }], jobDescription, types }
+   * @returns {Array} - One { type, difficulty, tags } per question, in order
+   */
+  async classifyQuestions({ questions, jobDescription = '', types }, { signal, timeoutMs = 60000 } = {}) {
+    const result = await this.request('/ai-assistant/classify-questions', {
+      method: 'POST',
+      body: { questions, jobContext: jobDescription, types },
+      signal,
+      timeoutMs
+    });
+
+    return (result && Array.isArray(result.classifications) && result.classifications) || [];
+  }
+}
+
+// Export singleton instance
+const apiClient = new ApiClient();
+export default apiClient;
@@ -0,0 +1,139 @@
+// Saved-application index for Job Lander Extension
+// Finds applications the user already saved so the same posting isn't tracked twice.
+// Checks a local index of saved job links first, then the backend by company and title.
+import apiClient from './apiClient.js';
+
+const STORAGE_KEY = 'savedApplicationIndex';
+
+// Query parameters that only say where the click came from, not which job it is
+const TRACKING_PARAMS = [
+  /^utm_/, /^gh_src$/, /^source$/, /^src$/, /^ref$/, /^refid$/, /^trk/, /^tracking/,
+  /^lever-/, /^referrer$/, /^fbclid$/, /^gclid$/, /^mc_/, /^iis$/, /^iisn$/, /^from$/
+];
+
+// Path suffixes that point at the apply step of the same posting
+const APPLY_SUFFIXES = [/\/apply\/?$/, /\/application\/?$/, /\/applynow\/?$/];
+
+class ApplicationIndex {
+  constructor() {
+    this.client = apiClient;
+    this.storage = chrome.storage.local;
+  }
+
+  // Canonical form of a job URL: no www, hash, tracking params, apply suffix or trailing slash
+  normalizeJobLink(link) {
+    if (!link) return '';
+
+    try {
+      const url = new URL(link);
+      const host = url.hostname.toLowerCase().replace(/^www\./, '');
+
+      let path = url.pathname.toLowerCase();
+      APPLY_SUFFIXES.forEach(suffix => {
+        path = path.replace(suffix, '');
+      });
+      path = path.replace(/\/+$/, '');
+
+      const params = Array.from(url.searchParams.entries())
+        .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase())))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key.toLowerCase()}=${value}`);
+
+      return `${host}${path}${params.length ? '?' + params.join('&') : ''}`;
+    } catch (error) {
+      return link.trim().toLowerCase();
+    }
+  }
+
+  normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  async getIndex() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return result[STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Job Lander: Error reading application index:', error);
+      return {};
+    }
+  }
+
+  // Remember a saved application under its normalized link
+  async record(application, applicationId) {
+    const key = this.normalizeJobLink(application.link);
+    if (!key) return;
+
+    const index = await this.getIndex();
+    index[key] = {
+      applicationId,
+      jobTitle: application.jobTitle || '',
+      companyName: application.companyName || '',
+      stage: application.stage || 'Applied',
+      status: application.status || 'Pending',
+      submissionDate: application.submissionDate || new Date().toISOString().split('T')[0],
+      link: application.link
+    };
+
+    await this.storage.set({ [STORAGE_KEY]: index });
+  }
+
+  async forget(applicationId) {
+    const index = await this.getIndex();
+    Object.keys(index).forEach(key => {
+      if (index[key].applicationId === applicationId) delete index[key];
+    });
+    await this.storage.set({ [STORAGE_KEY]: index });
+  }
+
+  /**
+   * Look for an existing application matching this posting
+   * @param {Object} job - { link, jobTitle, companyName, companyId }
+   * @returns {Object|null} - { application, matchedBy: 'link'|'company_title', source: 'local'|'api' }
+   */
+  async findDuplicate(job) {
+    const linkKey = this.normalizeJobLink(job.link);
+
+    const index = await this.getIndex();
+    if (linkKey && index[linkKey]) {
+      return { application: index[linkKey], matchedBy: 'link', source: 'local' };
+    }
+
+    // Nothing to search the backend with
+    if (!job.jobTitle || (!job.companyName && !job.companyId)) {
+      return null;
+    }
+
+    const page = await this.client.getApplications({
+      pageNumber: 1,
+      pageSize: 20,
+      jobTitle: job.jobTitle,
+      companyId: job.companyId || undefined,
+      companyName: job.companyId ? undefined : job.companyName
+    });
+    const candidates = Array.isArray(page) ? page : (page?.items || []);
+
+    const linkMatch = linkKey && candidates.find(app => this.normalizeJobLink(app.link) === linkKey);
+    if (linkMatch) {
+      return { application: linkMatch, matchedBy: 'link', source: 'api' };
+    }
+
+    const title = this.normalizeText(job.jobTitle);
+    const company = this.normalizeText(job.companyName);
+    const titleMatch = candidates.find(app =>
+      this.normalizeText(app.jobTitle) === title &&
+      (job.companyId
+        ? String(app.companyId) === String(job.companyId)
+        : this.normalizeText(app.companyName) === company)
+    );
+    if (titleMatch) {
+      return { application: titleMatch, matchedBy: 'company_title', source: 'api' };
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+const applicationIndex = new ApplicationIndex();
+export default applicationIndex;
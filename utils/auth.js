@@ -1,10 +1,37 @@
 // Authentication utilities for Job Lander Extension
 // Leverages frontend authentication instead of duplicating login
+import configManager from './config.js';
+
 class AuthManager {
   constructor() {
-    this.API_BASE_URL = 'http://localhost:5253/api';
-    this.FRONTEND_URL = 'http://localhost:5173'; // Vite dev server default
+    this.config = configManager; // API and frontend URLs come from the active environment
     this.storage = chrome.storage.local; // Fallback to extension storage
+    this.refreshInFlight = null; // The refresh request in progress, shared by everyone who needs one
+
+    // Cached tokens belong to the previous backend once the environment changes
+    this.config.onChange(({ previousEnvironmentId, environmentId }) => {
+      if (previousEnvironmentId !== environmentId) {
+        this.clearCachedTokens();
+      }
+    });
+  }
+
+  async getApiBaseUrl() {
+    return this.config.getApiBaseUrl();
+  }
+
+  async getFrontendUrl() {
+    return this.config.getFrontendUrl();
+  }
+
+  // Remove tokens cached from a previous login
+  async clearCachedTokens() {
+    try {
+      await this.storage.remove(['cached_access_token', 'cached_refresh_token', 'cached_user_data']);
+      console.log('Job Lander: Cleared cached tokens after environment change');
+    } catch (error) {
+      console.error('Job Lander: Error clearing cached tokens:', error);
+    }
   }
 
   // Get tokens from frontend localStorage OR extension storage
@@ -121,10 +148,12 @@ class AuthManager {
 
   // Helper to access localStorage from extension with security handling
   async getFromLocalStorage(key) {
+    const frontendUrl = await this.getFrontendUrl();
+
     return new Promise((resolve) => {
       try {
         // Execute script in the context of the frontend tab
-        chrome.tabs.query({ url: `${this.FRONTEND_URL}/*` }, (tabs) => {
+        chrome.tabs.query({ url: `${frontendUrl}/*` }, (tabs) => {
           if (tabs.length > 0) {
             chrome.scripting.executeScript({
               target: { tabId: tabs[0].id },
@@ -214,10 +243,29 @@ class AuthManager {
     }
   }
 
-  // Refresh token using the same mechanism as frontend
-  async refreshToken(refreshToken) {
+  // Refresh token using the same mechanism as frontend.
+  // The backend rotates refresh tokens, so callers that need a refresh at the same time (several
+  // requests getting a 401 together) wait for one request instead of each spending the token.
+  async refreshToken(refreshToken, { redirectOnFailure = true } = {}) {
+    if (!this.refreshInFlight) {
+      this.refreshInFlight = this.requestRefresh(refreshToken).finally(() => {
+        this.refreshInFlight = null;
+      });
+    }
+
+    const token = await this.refreshInFlight;
+    if (!token && redirectOnFailure) {
+      // Refresh failed, redirect to frontend for re-authentication
+      await this.redirectToFrontend();
+    }
+    return token;
+  }
+
+  // Exchange the refresh token for new tokens; resolves to null when that fails
+  async requestRefresh(refreshToken) {
     try {
-      const response = await fetch(`${this.API_BASE_URL}/auth/refresh`, {
+      const apiBaseUrl = await this.getApiBaseUrl();
+      const response = await fetch(`${apiBaseUrl}/auth/refresh`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -230,24 +278,34 @@ class AuthManager {
         
         // Update tokens in frontend localStorage via content script
         await this.updateFrontendTokens(data);
+        await this.storage.set({
+          'cached_access_token': data.token,
+          'cached_refresh_token': data.refreshToken
+        });
         
         return data.token;
-      } else {
-        // Refresh failed, redirect to frontend for re-authentication
-        await this.redirectToFrontend();
-        return null;
       }
+      return null;
     } catch (error) {
       console.error('Token refresh error:', error);
-      await this.redirectToFrontend();
       return null;
     }
   }
 
+  // Force a refresh even if the current access token still looks valid (e.g. after a 401)
+  async refreshAccessToken(options = {}) {
+    const { refreshToken } = await this.getTokensFromFrontend();
+    if (!refreshToken) {
+      return null;
+    }
+    return this.refreshToken(refreshToken, options);
+  }
+
   // Update tokens in frontend localStorage with security handling
   async updateFrontendTokens(tokenData) {
     try {
-      chrome.tabs.query({ url: `${this.FRONTEND_URL}/*` }, (tabs) => {
+      const frontendUrl = await this.getFrontendUrl();
+      chrome.tabs.query({ url: `${frontendUrl}/*` }, (tabs) => {
         if (tabs.length > 0) {
           chrome.scripting.executeScript({
             target: { tabId: tabs[0].id },
@@ -299,7 +357,7 @@ class AuthManager {
   async redirectToFrontend() {
     try {
       await chrome.tabs.create({
-        url: this.FRONTEND_URL,
+        url: await this.getFrontendUrl(),
         active: true
       });
     } catch (error) {
@@ -308,7 +366,7 @@ class AuthManager {
   }
 
   // Get current access token (with automatic refresh if needed)
-  async getValidToken() {
+  async getValidToken(options = {}) {
     const { accessToken, refreshToken } = await this.getTokensFromFrontend();
     
     if (!accessToken) {
@@ -322,7 +380,7 @@ class AuthManager {
 
     // Try to refresh token
     if (refreshToken) {
-      return await this.refreshToken(refreshToken);
+      return await this.refreshToken(refreshToken, options);
     }
 
     return null;
@@ -359,7 +417,8 @@ class AuthManager {
   // Simple login method for extension (fallback)
   async login(email, password) {
     try {
-      const response = await fetch(`${this.API_BASE_URL}/auth/login`, {
+      const apiBaseUrl = await this.getApiBaseUrl();
+      const response = await fetch(`${apiBaseUrl}/auth/login`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -405,7 +464,8 @@ class AuthManager {
       await this.storage.clear();
       // Try to clear frontend tokens if available
       try {
-        chrome.tabs.query({ url: `${this.FRONTEND_URL}/*` }, (tabs) => {
+        const frontendUrl = await this.getFrontendUrl();
+        chrome.tabs.query({ url: `${frontendUrl}/*` }, (tabs) => {
           if (tabs.length > 0) {
             chrome.scripting.executeScript({
               target: { tabId: tabs[0].id },
@@ -430,54 +490,6 @@ class AuthManager {
       return false;
     }
   }
-
-  // Make authenticated API request (updated to use shared tokens)
-  async apiRequest(endpoint, options = {}) {
-    const token = await this.getValidToken();
-    if (!token) {
-      await this.redirectToFrontend();
-      throw new Error('No authentication token available');
-    }
-
-    const defaultOptions = {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-    };
-
-    const mergedOptions = {
-      ...defaultOptions,
-      ...options,
-      headers: {
-        ...defaultOptions.headers,
-        ...options.headers,
-      },
-    };
-
-    try {
-      const response = await fetch(`${this.API_BASE_URL}${endpoint}`, mergedOptions);
-      
-      if (response.status === 401) {
-        // Try to refresh token one more time
-        const refreshedToken = await this.getValidToken();
-        if (refreshedToken && refreshedToken !== token) {
-          // Retry with new token
-          mergedOptions.headers['Authorization'] = `Bearer ${refreshedToken}`;
-          return await fetch(`${this.API_BASE_URL}${endpoint}`, mergedOptions);
-        } else {
-          // Refresh failed, redirect to frontend
-          await this.redirectToFrontend();
-          throw new Error('Authentication expired');
-        }
-      }
-
-      return response;
-    } catch (error) {
-      console.error('API request error:', error);
-      throw error;
-    }
-  }
 }
 
 // Export singleton instance
@@ -0,0 +1,210 @@
+// Environment configuration for Job Lander Extension
+// Shared by the service worker, the popup, the options page and AuthManager.
+// Stored in chrome.storage.sync so the chosen backend survives logout (which clears local storage).
+
+export const DEFAULT_ENVIRONMENT_ID = 'local';
+
+export const BUILT_IN_ENVIRONMENTS = {
+  local: {
+    id: 'local',
+    name: 'Local Development',
+    apiBaseUrl: 'http://localhost:5253/api',
+    frontendUrl: 'http://localhost:5173', // Vite dev server default
+    builtIn: true
+  }
+};
+
+const STORAGE_KEY = 'environmentConfig';
+
+class ConfigManager {
+  constructor() {
+    this.storage = chrome.storage.sync;
+    this.cache = null;
+
+    // Drop the cached config whenever another context (options page, popup) changes it
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[STORAGE_KEY]) {
+        this.cache = null;
+      }
+    });
+  }
+
+  // Load the raw config from storage
+  async load() {
+    if (this.cache) return this.cache;
+
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      const stored = result[STORAGE_KEY] || {};
+
+      this.cache = {
+        activeEnvironmentId: stored.activeEnvironmentId || DEFAULT_ENVIRONMENT_ID,
+        customEnvironments: stored.customEnvironments || {}
+      };
+    } catch (error) {
+      console.error('Job Lander: Error loading environment config:', error);
+      this.cache = {
+        activeEnvironmentId: DEFAULT_ENVIRONMENT_ID,
+        customEnvironments: {}
+      };
+    }
+
+    return this.cache;
+  }
+
+  async save(config) {
+    await this.storage.set({ [STORAGE_KEY]: config });
+    this.cache = config;
+  }
+
+  // All environments (built-in first, then custom ones)
+  async listEnvironments() {
+    const config = await this.load();
+    return [
+      ...Object.values(BUILT_IN_ENVIRONMENTS),
+      ...Object.values(config.customEnvironments)
+    ];
+  }
+
+  // Currently active environment (falls back to the default if the active one was removed)
+  async getEnvironment() {
+    const config = await this.load();
+    return BUILT_IN_ENVIRONMENTS[config.activeEnvironmentId] ||
+      config.customEnvironments[config.activeEnvironmentId] ||
+      BUILT_IN_ENVIRONMENTS[DEFAULT_ENVIRONMENT_ID];
+  }
+
+  async getApiBaseUrl() {
+    const environment = await this.getEnvironment();
+    return environment.apiBaseUrl;
+  }
+
+  async getFrontendUrl() {
+    const environment = await this.getEnvironment();
+    return environment.frontendUrl;
+  }
+
+  async setActiveEnvironment(environmentId) {
+    const config = await this.load();
+
+    if (!BUILT_IN_ENVIRONMENTS[environmentId] && !config.customEnvironments[environmentId]) {
+      throw new Error(`Unknown environment: ${environmentId}`);
+    }
+
+    await this.save({ ...config, activeEnvironmentId: environmentId });
+    console.log('Job Lander: Active environment set to', environmentId);
+  }
+
+  // Add or update a custom environment
+  async saveCustomEnvironment(environment) {
+    const normalized = this.normalizeEnvironment(environment);
+    const config = await this.load();
+
+    if (BUILT_IN_ENVIRONMENTS[normalized.id]) {
+      throw new Error('Built-in environments cannot be modified');
+    }
+
+    await this.save({
+      ...config,
+      customEnvironments: {
+        ...config.customEnvironments,
+        [normalized.id]: normalized
+      }
+    });
+
+    return normalized;
+  }
+
+  async removeCustomEnvironment(environmentId) {
+    const config = await this.load();
+    const customEnvironments = { ...config.customEnvironments };
+    delete customEnvironments[environmentId];
+
+    await this.save({
+      activeEnvironmentId: config.activeEnvironmentId === environmentId
+        ? DEFAULT_ENVIRONMENT_ID
+        : config.activeEnvironmentId,
+      customEnvironments
+    });
+  }
+
+  // Validate URLs and strip trailing slashes so callers can append paths safely
+  normalizeEnvironment(environment) {
+    const name = (environment.name || '').trim();
+    if (!name) {
+      throw new Error('Environment name is required');
+    }
+
+    const cleanUrl = (value, label) => {
+      let url;
+      try {
+        url = new URL((value || '').trim());
+      } catch (error) {
+        throw new Error(`${label} is not a valid URL`);
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`${label} must use http or https`);
+      }
+      return url.toString().replace(/\/+$/, '');
+    };
+
+    const id = environment.id ||
+      name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') ||
+      `env-${Date.now()}`;
+
+    return {
+      id,
+      name,
+      apiBaseUrl: cleanUrl(environment.apiBaseUrl, 'API base URL'),
+      frontendUrl: cleanUrl(environment.frontendUrl, 'Frontend URL'),
+      builtIn: false
+    };
+  }
+
+  // Host permission match patterns needed to talk to an environment
+  getOriginPatterns(environment) {
+    const origins = [environment.apiBaseUrl, environment.frontendUrl]
+      .map(url => `${new URL(url).origin}/*`);
+    return Array.from(new Set(origins));
+  }
+
+  async hasHostPermissions(environment) {
+    try {
+      return await chrome.permissions.contains({ origins: this.getOriginPatterns(environment) });
+    } catch (error) {
+      console.warn('Job Lander: Could not check host permissions:', error);
+      return false;
+    }
+  }
+
+  // Must be called from a user gesture (e.g. a click handler in the options page)
+  async requestHostPermissions(environment) {
+    try {
+      return await chrome.permissions.request({ origins: this.getOriginPatterns(environment) });
+    } catch (error) {
+      console.error('Job Lander: Host permission request failed:', error);
+      return false;
+    }
+  }
+
+  // Subscribe to config changes from any extension context
+  onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'sync' || !changes[STORAGE_KEY]) return;
+
+      const oldConfig = changes[STORAGE_KEY].oldValue || {};
+      const newConfig = changes[STORAGE_KEY].newValue || {};
+      callback({
+        previousEnvironmentId: oldConfig.activeEnvironmentId || DEFAULT_ENVIRONMENT_ID,
+        environmentId: newConfig.activeEnvironmentId || DEFAULT_ENVIRONMENT_ID
+      });
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export singleton instance
+const configManager = new ConfigManager();
+export default configManager;
@@ -0,0 +1,66 @@
+// Full job descriptions for Job Lander Extension
+// The API receives a size-limited description; the full Markdown and its sections are kept
+// here in chrome.storage.local, keyed by applicationId.
+
+const STORAGE_KEY = 'jobDescriptions';
+const MAX_ENTRIES = 200; // Oldest entries are dropped past this to stay within storage quota
+
+class DescriptionStore {
+  constructor() {
+    this.storage = chrome.storage.local;
+  }
+
+  async getAll() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return result[STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Job Lander: Error reading saved descriptions:', error);
+      return {};
+    }
+  }
+
+  async get(applicationId) {
+    const all = await this.getAll();
+    return all[applicationId] || null;
+  }
+
+  /**
+   * @param {*} applicationId
+   * @param {Object} description - { markdown, sections, jobTitle, link }
+   */
+  async save(applicationId, description) {
+    if (!applicationId || !description?.markdown) return;
+
+    const all = await this.getAll();
+    all[applicationId] = {
+      markdown: description.markdown,
+      sections: description.sections || {},
+      jobTitle: description.jobTitle || '',
+      link: description.link || '',
+      savedAt: new Date().toISOString()
+    };
+
+    const ids = Object.keys(all);
+    if (ids.length > MAX_ENTRIES) {
+      ids
+        .sort((a, b) => new Date(all[a].savedAt) - new Date(all[b].savedAt))
+        .slice(0, ids.length - MAX_ENTRIES)
+        .forEach(id => delete all[id]);
+    }
+
+    await this.storage.set({ [STORAGE_KEY]: all });
+  }
+
+  async remove(applicationId) {
+    const all = await this.getAll();
+    if (!all[applicationId]) return;
+
+    delete all[applicationId];
+    await this.storage.set({ [STORAGE_KEY]: all });
+  }
+}
+
+// Export singleton instance
+const descriptionStore = new DescriptionStore();
+export default descriptionStore;
@@ -0,0 +1,145 @@
+// Outbox for Job Lander Extension
+// Persists tracked-application saves that could not reach the backend so they can be retried later.
+// Lives in chrome.storage.local; logging out clears it together with the rest of the user's data.
+
+const STORAGE_KEY = 'saveOutbox';
+
+export const OUTBOX_ALARM_NAME = 'outbox-retry';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+// Retry schedule: 30s, 1m, 2m, 4m ... capped at 1h, then give up and wait for a manual retry
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+
+class OutboxManager {
+  constructor() {
+    this.storage = chrome.storage.local;
+  }
+
+  async getItems() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return result[STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Job Lander: Error reading outbox:', error);
+      return [];
+    }
+  }
+
+  async saveItems(items) {
+    await this.storage.set({ [STORAGE_KEY]: items });
+  }
+
+  async getItem(id) {
+    const items = await this.getItems();
+    return items.find(item => item.id === id) || null;
+  }
+
+  // Queue a SAVE_TRACKED_APPLICATION payload that failed to send
+  // Rejected payloads (retryable: false) go in as failed and wait for a manual retry or discard
+  async enqueue(payload, { applicationId = null, error = null, retryable = true } = {}) {
+    const now = Date.now();
+    const item = {
+      id: `outbox-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      payload,
+      // Set once the application itself is saved, so a retry only re-sends the questions
+      applicationId,
+      jobTitle: payload.application?.jobTitle || 'Untitled application',
+      link: payload.application?.link || '',
+      questionCount: payload.questions?.length || 0,
+      status: retryable ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+      attempts: 1,
+      createdAt: now,
+      lastAttemptAt: now,
+      nextAttemptAt: retryable ? now + this.getBackoffDelay(1) : null,
+      lastError: error?.message || error || null
+    };
+
+    const items = await this.getItems();
+    items.push(item);
+    await this.saveItems(items);
+
+    console.log('Job Lander: Queued application save in outbox:', item.id);
+    return item;
+  }
+
+  async update(id, changes) {
+    const items = await this.getItems();
+    const index = items.findIndex(item => item.id === id);
+    if (index === -1) return null;
+
+    items[index] = { ...items[index], ...changes };
+    await this.saveItems(items);
+    return items[index];
+  }
+
+  async remove(id) {
+    const items = await this.getItems();
+    await this.saveItems(items.filter(item => item.id !== id));
+  }
+
+  // Record a failed delivery and work out when (or whether) to try again
+  async recordFailure(id, error, { retryable = true } = {}) {
+    const item = await this.getItem(id);
+    if (!item) return null;
+
+    const now = Date.now();
+    const attempts = item.attempts + 1;
+    const giveUp = !retryable || attempts >= MAX_ATTEMPTS;
+
+    return this.update(id, {
+      attempts,
+      lastAttemptAt: now,
+      lastError: error?.message || error || 'Unknown error',
+      status: giveUp ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+      nextAttemptAt: giveUp ? null : now + this.getBackoffDelay(attempts)
+    });
+  }
+
+  // Manual retry from the popup: make the item due immediately
+  async markForRetry(id) {
+    return this.update(id, {
+      status: OUTBOX_STATUS.PENDING,
+      nextAttemptAt: Date.now()
+    });
+  }
+
+  // Pending items whose retry time has come, oldest first
+  async getDueItems(now = Date.now()) {
+    const items = await this.getItems();
+    return items
+      .filter(item => item.status === OUTBOX_STATUS.PENDING && item.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  getBackoffDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+  }
+
+  // Point the retry alarm at the next pending item, or clear it when nothing is waiting
+  async scheduleRetry() {
+    const items = await this.getItems();
+    const nextAttemptAt = items
+      .filter(item => item.status === OUTBOX_STATUS.PENDING && item.nextAttemptAt)
+      .reduce((earliest, item) => Math.min(earliest, item.nextAttemptAt), Infinity);
+
+    if (nextAttemptAt === Infinity) {
+      await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+      return;
+    }
+
+    // Chrome enforces a 30s minimum for alarms in packed extensions
+    await chrome.alarms.create(OUTBOX_ALARM_NAME, {
+      when: Math.max(nextAttemptAt, Date.now() + BASE_DELAY_MS)
+    });
+  }
+}
+
+// Export singleton instance
+const outboxManager = new OutboxManager();
+export default outboxManager;
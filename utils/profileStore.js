@@ -0,0 +1,71 @@
+// Profile store for Job Lander Extension
+// Contact details used to fill the standard fields of application forms (name, email, phone,
+// links, address). Personal data, so it lives in chrome.storage.local and goes on logout.
+
+// Fields in the order the popup shows them
+export const PROFILE_FIELDS = [
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'email', label: 'Email', type: 'email' },
+  { key: 'phone', label: 'Phone', type: 'tel' },
+  { key: 'linkedin', label: 'LinkedIn URL', type: 'url' },
+  { key: 'github', label: 'GitHub URL', type: 'url' },
+  { key: 'portfolio', label: 'Website / portfolio', type: 'url' },
+  { key: 'currentCompany', label: 'Current company' },
+  { key: 'currentTitle', label: 'Current title' },
+  { key: 'addressLine1', label: 'Street address' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State / region' },
+  { key: 'postalCode', label: 'Postal code' },
+  { key: 'country', label: 'Country' }
+];
+
+const STORAGE_KEY = 'userProfile';
+
+class ProfileStore {
+  constructor() {
+    this.storage = chrome.storage.local;
+  }
+
+  async get() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      const stored = result[STORAGE_KEY] || {};
+      return Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, stored[field.key] || '']));
+    } catch (error) {
+      console.error('Job Lander: Error loading profile:', error);
+      return Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, '']));
+    }
+  }
+
+  // Merge changes into the stored profile, ignoring unknown keys
+  async update(changes) {
+    const current = await this.get();
+    const next = { ...current };
+
+    Object.keys(changes || {}).forEach(key => {
+      if (key in current) {
+        next[key] = String(changes[key] ?? '').trim();
+      }
+    });
+
+    await this.storage.set({ [STORAGE_KEY]: next });
+    return next;
+  }
+
+  // Profile plus values derived from it, keyed like ProfileFieldClassifier's field keys
+  async getFillValues() {
+    const profile = await this.get();
+    const location = [profile.city, profile.state, profile.country].filter(Boolean).join(', ');
+
+    return {
+      ...profile,
+      fullName: [profile.firstName, profile.lastName].filter(Boolean).join(' '),
+      location
+    };
+  }
+}
+
+// Export singleton instance
+const profileStore = new ProfileStore();
+export default profileStore;
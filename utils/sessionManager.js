@@ -0,0 +1,205 @@
+// Tracking sessions for Job Lander Extension
+// One session per application being tracked, keyed by session id. A session belongs to the tab
+// that started it and the tabs opened from it (an "Apply" link in a new tab), so several
+// applications can be tracked side by side and unrelated tabs never pick one up. Kept in
+// chrome.storage.local so sessions outlive the service worker; logging out clears them.
+
+const STORAGE_KEY = 'trackingSessions';
+
+// Written by content scripts before sessions existed (a single global session)
+const LEGACY_STORAGE_KEY = 'activeTracking';
+
+export const SESSION_ALARM_NAME = 'tracking-session-expiry';
+
+const EXPIRY_CHECK_MINUTES = 60;
+const SESSION_MAX_IDLE_MS = 3 * 24 * 60 * 60 * 1000;
+
+class SessionManager {
+  constructor() {
+    this.storage = chrome.storage.local;
+    // Tracked tabs save on every answer; writes run one after another so none is lost
+    this.writeQueue = Promise.resolve();
+  }
+
+  async getSessions() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return result[STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Job Lander: Error reading tracking sessions:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read, change and write the sessions without interleaving with other writes
+   * @param {Function} change - Receives the sessions object, changes it in place and returns a result
+   */
+  mutate(change) {
+    const run = this.writeQueue.then(async () => {
+      const sessions = await this.getSessions();
+      const result = await change(sessions);
+      await this.storage.set({ [STORAGE_KEY]: sessions });
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async get(id) {
+    const sessions = await this.getSessions();
+    return sessions[id] || null;
+  }
+
+  async findForTab(tabId) {
+    if (tabId === undefined || tabId === null) return null;
+    const sessions = await this.getSessions();
+    return Object.values(sessions).find(session => session.tabIds.includes(tabId)) || null;
+  }
+
+  /**
+   * Store a tab's tracking state, starting a session when it has none yet
+   * @param {String|null} id - The tab's session, null on the first save
+   * @param {Object} options - { tabId, url, state: { data, userAnswersArray } }
+   * @returns {Object} - The session
+   */
+  save(id, { tabId = null, url = '', state }) {
+    return this.mutate(sessions => {
+      const now = Date.now();
+      const data = state?.data || {};
+      let session = id ? sessions[id] : null;
+
+      if (!session) {
+        session = {
+          id: `session-${now}-${Math.random().toString(36).slice(2, 8)}`,
+          link: data.link || url,
+          originTabId: tabId,
+          tabIds: [],
+          createdAt: now
+        };
+        sessions[session.id] = session;
+      }
+
+      Object.assign(session, {
+        jobTitle: data.jobTitle || session.jobTitle || '',
+        companyName: data.companyName || session.companyName || '',
+        lastUrl: url || session.lastUrl || session.link,
+        state,
+        updatedAt: now
+      });
+      if (tabId !== null) {
+        this.bindTab(sessions, session.id, tabId);
+      }
+      return session;
+    });
+  }
+
+  /**
+   * @returns {Object|null} - The removed session
+   */
+  remove(id) {
+    return this.mutate(sessions => {
+      const session = sessions[id] || null;
+      delete sessions[id];
+      return session;
+    });
+  }
+
+  attachTab(id, tabId) {
+    return this.mutate(sessions => {
+      if (!sessions[id]) return null;
+      this.bindTab(sessions, id, tabId);
+      return sessions[id];
+    });
+  }
+
+  // A tab opened from a session's tab continues that application
+  async attachOpenedTab(openerTabId, tabId) {
+    const opener = await this.findForTab(openerTabId);
+    return opener ? this.attachTab(opener.id, tabId) : null;
+  }
+
+  // A closed tab leaves its session, which stays resumable from the popup until it expires
+  async detachTab(tabId) {
+    if (!(await this.findForTab(tabId))) return;
+    await this.mutate(sessions => {
+      Object.values(sessions).forEach(session => {
+        session.tabIds = session.tabIds.filter(id => id !== tabId);
+      });
+    });
+  }
+
+  // Tab ids start over when the browser restarts, so no binding from the last run is valid
+  releaseTabs() {
+    return this.mutate(sessions => {
+      Object.values(sessions).forEach(session => {
+        session.tabIds = [];
+      });
+    });
+  }
+
+  // A tab takes part in one session at a time: starting or resuming another moves it over
+  bindTab(sessions, id, tabId) {
+    Object.values(sessions).forEach(session => {
+      session.tabIds = session.tabIds.filter(existing => existing !== tabId);
+    });
+    sessions[id].tabIds.push(tabId);
+  }
+
+  /**
+   * Sessions for the popup, most recently active first, without their tracked state
+   */
+  async list() {
+    const sessions = await this.getSessions();
+    return Object.values(sessions)
+      .map(session => ({
+        id: session.id,
+        jobTitle: session.jobTitle,
+        companyName: session.companyName,
+        link: session.link,
+        lastUrl: session.lastUrl,
+        answerCount: session.state?.userAnswersArray?.length || 0,
+        open: session.tabIds.length > 0,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // Drop sessions nobody has touched for a while
+  expireStale(now = Date.now()) {
+    return this.mutate(sessions => {
+      const expired = Object.keys(sessions).filter(id => now - sessions[id].updatedAt > SESSION_MAX_IDLE_MS);
+      expired.forEach(id => delete sessions[id]);
+      if (expired.length > 0) {
+        console.log(`Job Lander: Expired ${expired.length} stale tracking session(s)`);
+      }
+      return expired.length;
+    });
+  }
+
+  // Create the periodic expiry alarm if it doesn't exist yet
+  async scheduleExpiry() {
+    const existing = await chrome.alarms.get(SESSION_ALARM_NAME);
+    if (!existing) {
+      await chrome.alarms.create(SESSION_ALARM_NAME, { periodInMinutes: EXPIRY_CHECK_MINUTES });
+    }
+  }
+
+  // Carry a session saved by an older version over as a session with no tab
+  async importLegacy() {
+    const result = await this.storage.get([LEGACY_STORAGE_KEY]);
+    const legacy = result[LEGACY_STORAGE_KEY];
+    if (legacy && legacy.isActive && legacy.data) {
+      await this.save(null, {
+        url: legacy.data.link,
+        state: { data: legacy.data, userAnswersArray: legacy.userAnswersArray || [] }
+      });
+    }
+    await this.storage.remove(LEGACY_STORAGE_KEY);
+  }
+}
+
+// Export singleton instance
+const sessionManager = new SessionManager();
+export default sessionManager;
@@ -0,0 +1,62 @@
+// Tracker settings for Job Lander Extension
+// Edited on the options page; content scripts read them through the background (GET_SETTINGS).
+// Stored in chrome.storage.sync so they survive logout and follow the user across devices.
+
+export const DEFAULT_SETTINGS = {
+  autoSaveOnSubmit: false, // Save automatically when a submitted application is detected
+  reviewBeforeFill: true, // Show AI answers for approval before auto-fill writes them into the form
+  minAnswerLength: 100, // Shorter answers are left out of a save unless ticked in the sidebar
+  apiLogging: false // Log every API request and failure to the console, for debugging
+};
+
+const STORAGE_KEY = 'trackerSettings';
+
+class SettingsManager {
+  constructor() {
+    this.storage = chrome.storage.sync;
+  }
+
+  async get() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return { ...DEFAULT_SETTINGS, ...(result[STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.error('Job Lander: Error loading settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  // Merge changes into the stored settings, ignoring unknown keys
+  async update(changes) {
+    const current = await this.get();
+    const next = { ...current };
+
+    Object.keys(changes || {}).forEach(key => {
+      if (key in DEFAULT_SETTINGS) {
+        next[key] = changes[key];
+      }
+    });
+
+    await this.storage.set({ [STORAGE_KEY]: next });
+    return next;
+  }
+
+  /**
+   * Listen for settings changes made in any context
+   * @param {Function} callback - Receives the full settings after each change
+   * @returns {Function} - Removes the listener
+   */
+  onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'sync' || !changes[STORAGE_KEY]) return;
+      callback({ ...DEFAULT_SETTINGS, ...(changes[STORAGE_KEY].newValue || {}) });
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export singleton instance
+const settingsManager = new SettingsManager();
+export default settingsManager;
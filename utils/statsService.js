@@ -0,0 +1,187 @@
+// Application statistics for Job Lander Extension
+// Runs in the service worker: aggregates the user's applications, caches the counts and feeds
+// both the toolbar badge and the popup Dashboard.
+import apiClient from './apiClient.js';
+
+export const STATS_ALARM_NAME = 'stats-refresh';
+
+const STORAGE_KEY = 'applicationStats';
+const REFRESH_PERIOD_MINUTES = 30;
+const CACHE_MAX_AGE_MS = 5 * 60 * 1000;
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50; // Safety stop at 5000 applications
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVIEW_STAGES = ['PhoneScreen', 'HrInterview', 'TechnicalInterview'];
+
+class StatsService {
+  constructor() {
+    this.client = apiClient;
+    this.storage = chrome.storage.local;
+    this.statsEndpointAvailable = true; // Flipped off for this worker's lifetime once the endpoint 404s
+    this.refreshPromise = null;
+  }
+
+  // Create the periodic refresh alarm if it doesn't exist yet
+  async scheduleRefresh() {
+    const existing = await chrome.alarms.get(STATS_ALARM_NAME);
+    if (!existing) {
+      await chrome.alarms.create(STATS_ALARM_NAME, { periodInMinutes: REFRESH_PERIOD_MINUTES });
+    }
+  }
+
+  async getCached() {
+    try {
+      const result = await this.storage.get([STORAGE_KEY]);
+      return result[STORAGE_KEY] || null;
+    } catch (error) {
+      console.error('Job Lander: Error reading cached stats:', error);
+      return null;
+    }
+  }
+
+  // Cached stats if they are fresh enough, otherwise a refresh from the backend
+  async getStats({ forceRefresh = false } = {}) {
+    if (!forceRefresh) {
+      const cached = await this.getCached();
+      if (cached && Date.now() - cached.updatedAt < CACHE_MAX_AGE_MS) {
+        return cached;
+      }
+    }
+    return this.refresh();
+  }
+
+  // Concurrent callers (alarm, save, popup) share one in-flight refresh
+  async refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.fetchStats()
+        .then(async (stats) => {
+          const entry = { ...stats, updatedAt: Date.now() };
+          await this.storage.set({ [STORAGE_KEY]: entry });
+          return entry;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  async fetchStats() {
+    if (this.statsEndpointAvailable) {
+      try {
+        const stats = await this.client.getApplicationStats();
+        if (stats && typeof stats.total === 'number') {
+          return this.normalizeEndpointStats(stats);
+        }
+      } catch (error) {
+        // 400/404/405 mean the backend has no stats endpoint; anything else is a real failure
+        if (![400, 404, 405].includes(error.status)) {
+          throw error;
+        }
+        console.log('Job Lander: No stats endpoint, aggregating from /applications');
+        this.statsEndpointAvailable = false;
+      }
+    }
+
+    const applications = await this.fetchAllApplications();
+    return this.aggregate(applications);
+  }
+
+  async fetchAllApplications() {
+    const applications = [];
+
+    for (let pageNumber = 1; pageNumber <= MAX_PAGES; pageNumber++) {
+      const page = await this.client.getApplications({ pageNumber, pageSize: PAGE_SIZE });
+      const items = Array.isArray(page) ? page : (page?.items || []);
+      applications.push(...items);
+
+      const totalCount = page?.totalCount;
+      if (items.length < PAGE_SIZE || (totalCount && applications.length >= totalCount)) {
+        break;
+      }
+    }
+
+    return applications;
+  }
+
+  /**
+   * Count a save (delta 1) or delete (delta -1) made from the extension into the cached stats,
+   * so the badge follows it without paging through /applications again
+   * @param {Object} application - { submissionDate, stage, status }
+   * @returns {Object|null} - The updated stats, or null when nothing is cached yet
+   */
+  async recordChange(application, delta, now = Date.now()) {
+    const cached = await this.getCached();
+    if (!cached) return null;
+
+    const entry = { ...cached, byStage: { ...cached.byStage }, byStatus: { ...cached.byStatus }, byPeriod: { ...cached.byPeriod } };
+    entry.total = Math.max(0, entry.total + delta);
+    this.count(entry, application, delta, now);
+
+    await this.storage.set({ [STORAGE_KEY]: entry });
+    return entry;
+  }
+
+  // Count applications by stage, status and submission period
+  aggregate(applications, now = Date.now()) {
+    const stats = {
+      total: applications.length,
+      thisWeek: 0,
+      thisMonth: 0,
+      inProgress: 0,
+      interviews: 0,
+      byStage: {},
+      byStatus: {},
+      byPeriod: {}
+    };
+
+    applications.forEach(app => this.count(stats, app, 1, now));
+    return stats;
+  }
+
+  // Add one application to (delta 1) or take it from (delta -1) every count it belongs to
+  count(stats, app, delta, now = Date.now()) {
+    const submitted = new Date(app.submissionDate || app.createdAt).getTime();
+    const bump = (counts, key) => {
+      counts[key] = Math.max(0, (counts[key] || 0) + delta);
+      if (counts[key] === 0) delete counts[key];
+    };
+
+    if (submitted >= now - 7 * DAY_MS) stats.thisWeek = Math.max(0, stats.thisWeek + delta);
+    if (submitted >= now - 30 * DAY_MS) stats.thisMonth = Math.max(0, stats.thisMonth + delta);
+
+    if (app.status === 'Pending' && app.stage !== 'Rejected') stats.inProgress = Math.max(0, stats.inProgress + delta);
+    if (INTERVIEW_STAGES.includes(app.stage)) stats.interviews = Math.max(0, stats.interviews + delta);
+
+    if (app.stage) bump(stats.byStage, app.stage);
+    if (app.status) bump(stats.byStatus, app.status);
+
+    // Monthly buckets, e.g. "2025-03"
+    if (!isNaN(submitted)) {
+      bump(stats.byPeriod, new Date(submitted).toISOString().slice(0, 7));
+    }
+  }
+
+  // Fill in whatever a dedicated stats endpoint leaves out
+  normalizeEndpointStats(stats) {
+    return {
+      total: stats.total || 0,
+      thisWeek: stats.thisWeek || 0,
+      thisMonth: stats.thisMonth || 0,
+      inProgress: stats.inProgress || 0,
+      interviews: stats.interviews || 0,
+      byStage: stats.byStage || {},
+      byStatus: stats.byStatus || {},
+      byPeriod: stats.byPeriod || {}
+    };
+  }
+
+  async clear() {
+    await this.storage.remove([STORAGE_KEY]);
+  }
+}
+
+// Export singleton instance
+const statsService = new StatsService();
+export default statsService;
@@ -5,6 +5,7 @@ const CopyPlugin = require('copy-webpack-plugin');
 module.exports = {
   entry: {
     popup: './src/popup.jsx',
+    options: './src/options.jsx',
     background: './background.js'
   },
   output: {
@@ -36,6 +37,11 @@ module.exports = {
       filename: 'popup/index.html',
       chunks: ['popup']
     }),
+    new HtmlWebpackPlugin({
+      template: './options/index.html',
+      filename: 'options/index.html',
+      chunks: ['options']
+    }),
     new CopyPlugin({
       patterns: [
         {